@@ -39,6 +39,7 @@ const sampleFacilities = [
       {
         name: "Dr. Sarah Johnson",
         specialty: "General Practitioner",
+        licenseNumber: "MP0612345",
         consultationFee: 300,
         qualifications: ["MBChB", "Dip HIV Management"],
         languages: ["english", "zulu"],
@@ -82,6 +83,7 @@ const sampleFacilities = [
       {
         name: "Dr. Thandi Ndlovu",
         specialty: "General Practitioner",
+        licenseNumber: "MP0598123",
         consultationFee: 300,
         qualifications: ["MBChB"],
         languages: ["zulu", "english", "xhosa"],
@@ -90,6 +92,7 @@ const sampleFacilities = [
       {
         name: "Dr. James Khumalo",
         specialty: "Pediatrician",
+        licenseNumber: "MP0654321",
         consultationFee: 350,
         qualifications: ["MBChB", "FCPaed"],
         languages: ["zulu", "english"],
@@ -128,6 +131,7 @@ const sampleFacilities = [
       {
         name: "Dr. Michael Bhengu",
         specialty: "General Practitioner",
+        licenseNumber: "MP0701234",
         consultationFee: 0,
         qualifications: ["MBChB"],
         languages: ["zulu", "english"],
@@ -160,6 +164,7 @@ const sampleFacilities = [
       {
         name: "Dr. Patricia Naidoo",
         specialty: "Emergency Medicine",
+        licenseNumber: "MP0587654",
         consultationFee: 0,
         qualifications: ["MBChB", "Dip PEC"],
         languages: ["english", "afrikaans"],
@@ -168,6 +173,7 @@ const sampleFacilities = [
       {
         name: "Dr. Robert Singh",
         specialty: "Gynecologist",
+        licenseNumber: "MP0623456",
         consultationFee: 0,
         qualifications: ["MBChB", "FCOG"],
         languages: ["english"],
@@ -208,6 +214,7 @@ const sampleFacilities = [
       {
         name: "Dr. David van der Merwe",
         specialty: "General Practitioner",
+        licenseNumber: "MP0545678",
         consultationFee: 650,
         qualifications: ["MBChB", "Dip Pall Med"],
         languages: ["english", "afrikaans"],
@@ -216,6 +223,7 @@ const sampleFacilities = [
       {
         name: "Dr. Aisha Patel",
         specialty: "Dermatologist",
+        licenseNumber: "MP0678901",
         consultationFee: 850,
         qualifications: ["MBChB", "FCDerm"],
         languages: ["english"],
@@ -253,6 +261,7 @@ const sampleFacilities = [
       {
         name: "Dr. Lisa Chen",
         specialty: "Dentist",
+        licenseNumber: "DP0034567",
         consultationFee: 500,
         qualifications: ["BChD", "Dip Implantology"],
         languages: ["english"],
@@ -292,6 +301,7 @@ const sampleFacilities = [
       {
         name: "Dr. Ahmed Khan",
         specialty: "Ophthalmologist",
+        licenseNumber: "MP0567890",
         consultationFee: 800,
         qualifications: ["MBChB", "FCOphth"],
         languages: ["english"],
@@ -322,17 +332,40 @@ async function populateSampleData() {
     console.log('Connected to MongoDB successfully.');
 
     const HealthcareFacility = (await import('./src/models/HealthcareFacility.js')).default;
+    const Doctor = (await import('./src/models/Doctor.js')).default;
 
     console.log('Clearing existing sample facilities...');
-    await HealthcareFacility.deleteMany({
+    const existingFacilities = await HealthcareFacility.find({
       name: { $in: sampleFacilities.map(f => f.name) }
-    });
+    }).select('_id');
+    const existingIds = existingFacilities.map(f => f._id);
+
+    // Sample doctors are matched again by license number, so only their affiliations are removed
+    await Doctor.updateMany(
+      { 'affiliations.facility': { $in: existingIds } },
+      { $pull: { affiliations: { facility: { $in: existingIds } } } }
+    );
+    await HealthcareFacility.deleteMany({ _id: { $in: existingIds } });
 
     console.log('Inserting new sample facilities...');
-    const result = await HealthcareFacility.insertMany(sampleFacilities);
+    const result = await HealthcareFacility.insertMany(
+      sampleFacilities.map(({ doctors, ...facility }) => facility)
+    );
 
     console.log(`Successfully inserted ${result.length} sample facilities.`);
 
+    console.log('Registering sample doctors...');
+    let doctorListings = 0;
+    for (const [index, facility] of result.entries()) {
+      for (const listing of sampleFacilities[index].doctors || []) {
+        await Doctor.affiliateFromListing(facility, listing);
+        doctorListings += 1;
+      }
+    }
+    await HealthcareFacility.refreshDoctorCounts(result.map(f => f._id));
+
+    console.log(`Registered ${doctorListings} doctor listings.`);
+
     const summary = sampleFacilities.reduce((acc, facility) => {
       acc[facility.facilityType] = (acc[facility.facilityType] || 0) + 1;
       return acc;
@@ -0,0 +1,118 @@
+/**
+ * Reverse Geocoding Providers
+ * Optional address enrichment for location detection
+ *
+ * @module config/geocodingProviders
+ * @version 1.0.0
+ * @description District detection always runs offline against the KZN district boundaries
+ * (utils/districtBoundaries). A geocoding provider only adds a street address and a second
+ * opinion on the district for points close to a district boundary. Google Maps is used when
+ * GEOCODING_PROVIDER=google, or by default when GOOGLE_MAPS_API_KEY is set; otherwise the offline
+ * provider adds nothing. Call setGeocoder() to use a local stub in tests.
+ *
+ * Provider interface: { name: string, reverseGeocode({ lat, lng }) => Promise<{ formattedAddress, province, district } | null> }
+ * district is an internal district code, or null when the provider does not recognise it.
+ */
+
+import { googleMapsClient, GOOGLE_API_KEY, KZN_DISTRICTS } from './googleConfig.js';
+
+/**
+ * Google district names mapped to internal district codes
+ * @constant {Object<string, string>} GOOGLE_DISTRICT_CODES
+ */
+const GOOGLE_DISTRICT_CODES = Object.fromEntries(
+    Object.entries(KZN_DISTRICTS).map(([code, name]) => [name, code])
+);
+
+/**
+ * Check whether a usable Google Maps API key is configured
+ * @returns {boolean} True if a key other than the sample placeholder is set
+ */
+const hasGoogleApiKey = () => Boolean(GOOGLE_API_KEY) && GOOGLE_API_KEY !== 'your_google_maps_api_key_here';
+
+/**
+ * Create the offline provider
+ * Adds no address details; district detection uses the boundary polygons alone
+ * @returns {Object} Geocoding provider
+ */
+export const createOfflineGeocoder = () => ({
+    name: 'offline',
+    reverseGeocode: async () => null
+});
+
+/**
+ * Create the Google Maps provider
+ * @returns {Object} Geocoding provider
+ */
+export const createGoogleGeocoder = () => ({
+    name: 'google',
+    reverseGeocode: async ({ lat, lng }) => {
+        const response = await googleMapsClient.reverseGeocode({
+            params: {
+                latlng: { lat, lng },
+                key: GOOGLE_API_KEY,
+                result_type: ['administrative_area_level_1', 'administrative_area_level_2'],
+                language: 'en'
+            },
+            timeout: 10000
+        });
+
+        const [firstResult] = response.data.results || [];
+        if (!firstResult) return null;
+
+        const findComponent = (type) => firstResult.address_components
+            .find(component => component.types.includes(type))?.long_name || null;
+        const districtName = findComponent('administrative_area_level_2');
+
+        return {
+            formattedAddress: firstResult.formatted_address,
+            province: findComponent('administrative_area_level_1'),
+            district: GOOGLE_DISTRICT_CODES[districtName] || null
+        };
+    }
+});
+
+/**
+ * Active provider, created on first use
+ */
+let geocoder = null;
+
+/**
+ * Get the configured geocoding provider
+ * @returns {Object} Provider with a reverseGeocode() method
+ * @throws {Error} If GEOCODING_PROVIDER names an unknown provider
+ */
+export const getGeocoder = () => {
+    if (!geocoder) {
+        const mode = process.env.GEOCODING_PROVIDER || (hasGoogleApiKey() ? 'google' : 'offline');
+        const factory = { offline: createOfflineGeocoder, google: createGoogleGeocoder }[mode];
+        if (!factory) {
+            throw new Error(`Unknown geocoding provider: ${mode}`);
+        }
+        geocoder = factory();
+    }
+    return geocoder;
+};
+
+/**
+ * Replace the geocoding provider (e.g. with a local stub in tests)
+ * @param {Object} provider - Provider with a reverseGeocode() method
+ */
+export const setGeocoder = (provider) => {
+    geocoder = provider;
+};
+
+/**
+ * Drop the configured provider so it is re-created from the environment
+ */
+export const resetGeocoder = () => {
+    geocoder = null;
+};
+
+export default {
+    createOfflineGeocoder,
+    createGoogleGeocoder,
+    getGeocoder,
+    setGeocoder,
+    resetGeocoder
+};
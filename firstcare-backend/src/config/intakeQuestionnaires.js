@@ -0,0 +1,389 @@
+/**
+ * Pre-visit Intake Questionnaires
+ * Centralized configuration for the questions patients answer before seeing a provider
+ *
+ * @module config/intakeQuestionnaires
+ * @version 1.0.0
+ * @description One questionnaire per medical category. Every questionnaire starts with the main
+ * concern, its severity and how long it has lasted (stored as the appointment's symptoms), followed
+ * by questions for the specialty. Answers that need attention before the visit raise flags for the
+ * provider, and scored questionnaires (e.g. the PHQ-style mood questions) are banded.
+ *
+ * Question fields:
+ * - id, text, type (text, number, scale, boolean, choice, multi-choice)
+ * - required, or requiredIf { question, equals } for follow-up questions
+ * - min / max for number and scale, maxLength for text, options [{ value, label, score }] for choices
+ * - flag { equals | min, message } raised when the answer matches
+ * - symptom (description, severity, duration) to copy the answer into the appointment's symptoms
+ *
+ * Bump a questionnaire's version when its questions change; stored answers keep the version
+ * they were given against.
+ */
+
+/**
+ * Question types answers are validated against
+ * @constant {Array<string>} QUESTION_TYPES
+ */
+export const QUESTION_TYPES = ['text', 'number', 'scale', 'boolean', 'choice', 'multi-choice'];
+
+/**
+ * How often a PHQ-style item applied over the last two weeks
+ * @constant {Array<Object>} FREQUENCY_OPTIONS
+ */
+const FREQUENCY_OPTIONS = [
+    { value: 'not-at-all', label: 'Not at all', score: 0 },
+    { value: 'several-days', label: 'Several days', score: 1 },
+    { value: 'more-than-half', label: 'More than half the days', score: 2 },
+    { value: 'nearly-every-day', label: 'Nearly every day', score: 3 }
+];
+
+/**
+ * Questions asked before every visit
+ * @constant {Array<Object>} COMMON_QUESTIONS
+ */
+const COMMON_QUESTIONS = [
+    {
+        id: 'mainConcern',
+        text: 'What is the main problem you would like help with?',
+        type: 'text',
+        required: true,
+        maxLength: 500,
+        symptom: 'description'
+    },
+    {
+        id: 'severity',
+        text: 'How bad is it?',
+        type: 'choice',
+        required: true,
+        options: [
+            { value: 'mild', label: 'Mild' },
+            { value: 'moderate', label: 'Moderate' },
+            { value: 'severe', label: 'Severe' }
+        ],
+        symptom: 'severity'
+    },
+    {
+        id: 'symptomDuration',
+        text: 'How long have you had it? (e.g. 3 days, 2 weeks)',
+        type: 'text',
+        required: true,
+        maxLength: 50,
+        symptom: 'duration'
+    }
+];
+
+/**
+ * Pain score from 0 (no pain) to 10 (worst pain imaginable)
+ * @param {string} text - Question text
+ * @param {number} flagFrom - Score from which the pain is flagged
+ * @returns {Object} Scale question
+ */
+const painScale = (text, flagFrom = 8) => ({
+    id: 'painScale',
+    text,
+    type: 'scale',
+    required: true,
+    min: 0,
+    max: 10,
+    flag: { min: flagFrom, message: `Severe pain reported (${flagFrom} or more out of 10)` }
+});
+
+/**
+ * PHQ-style mood questions scored 0-3 each
+ * @constant {Array<Object>} MOOD_QUESTIONS
+ */
+const MOOD_QUESTIONS = [
+    ['littleInterest', 'Little interest or pleasure in doing things'],
+    ['feelingDown', 'Feeling down, depressed or hopeless'],
+    ['sleepTrouble', 'Trouble falling or staying asleep, or sleeping too much'],
+    ['feelingTired', 'Feeling tired or having little energy'],
+    ['appetite', 'Poor appetite or overeating'],
+    ['feelingBad', 'Feeling bad about yourself, or that you have let yourself or your family down'],
+    ['concentration', 'Trouble concentrating on things such as reading or listening to the radio'],
+    ['movement', 'Moving or speaking so slowly, or being so restless, that other people could notice'],
+    ['selfHarm', 'Thoughts that you would be better off dead, or of hurting yourself']
+].map(([id, text]) => ({
+    id,
+    text: `Over the last 2 weeks, how often have you been bothered by: ${text}?`,
+    type: 'choice',
+    required: true,
+    options: FREQUENCY_OPTIONS,
+    ...(id === 'selfHarm' && {
+        flag: { min: 1, message: 'Thoughts of self-harm reported - contact the patient before the visit' }
+    })
+}));
+
+/**
+ * Intake questionnaires keyed by medical category
+ * @constant {Object<string, Object>} INTAKE_QUESTIONNAIRES
+ */
+export const INTAKE_QUESTIONNAIRES = {
+    'Cardiologist': {
+        id: 'cardiology-intake',
+        version: 1,
+        title: 'Heart health questionnaire',
+        questions: [
+            {
+                id: 'chestPain',
+                text: 'Do you have chest pain or tightness?',
+                type: 'boolean',
+                required: true,
+                flag: { equals: true, message: 'Chest pain reported' }
+            },
+            {
+                id: 'breathlessness',
+                text: 'When do you get short of breath?',
+                type: 'choice',
+                required: true,
+                options: [
+                    { value: 'never', label: 'Never' },
+                    { value: 'exertion', label: 'When walking or climbing stairs' },
+                    { value: 'rest', label: 'Even when resting' }
+                ],
+                flag: { equals: 'rest', message: 'Short of breath at rest' }
+            },
+            { id: 'palpitations', text: 'Do you feel your heart racing or skipping beats?', type: 'boolean' },
+            { id: 'knownHypertension', text: 'Have you been told you have high blood pressure?', type: 'boolean' }
+        ]
+    },
+    'Dentist': {
+        id: 'dental-intake',
+        version: 1,
+        title: 'Dental questionnaire',
+        questions: [
+            painScale('How bad is your tooth or mouth pain? (0 = no pain, 10 = worst pain imaginable)'),
+            {
+                id: 'facialSwelling',
+                text: 'Is your face or jaw swollen?',
+                type: 'boolean',
+                required: true,
+                flag: { equals: true, message: 'Facial swelling reported (possible abscess)' }
+            },
+            { id: 'bleedingGums', text: 'Do your gums bleed?', type: 'boolean' },
+            {
+                id: 'lastDentalVisit',
+                text: 'When did you last see a dentist?',
+                type: 'choice',
+                options: [
+                    { value: 'under-1-year', label: 'Less than a year ago' },
+                    { value: '1-3-years', label: '1 to 3 years ago' },
+                    { value: 'over-3-years', label: 'More than 3 years ago' },
+                    { value: 'never', label: 'Never' }
+                ]
+            }
+        ]
+    },
+    'General Practitioner': {
+        id: 'general-intake',
+        version: 1,
+        title: 'General health questionnaire',
+        questions: [
+            { id: 'fever', text: 'Do you have a fever?', type: 'boolean' },
+            {
+                id: 'chronicConditions',
+                text: 'Do you have any of these long-term conditions?',
+                type: 'multi-choice',
+                options: [
+                    { value: 'hypertension', label: 'High blood pressure' },
+                    { value: 'diabetes', label: 'Diabetes' },
+                    { value: 'hiv', label: 'HIV' },
+                    { value: 'tb', label: 'TB' },
+                    { value: 'asthma', label: 'Asthma' },
+                    { value: 'epilepsy', label: 'Epilepsy' }
+                ]
+            },
+            { id: 'currentMedication', text: 'Which medicines are you taking at the moment?', type: 'text', maxLength: 500 }
+        ]
+    },
+    'Obstetrician-Gynecologist': {
+        id: 'antenatal-intake',
+        version: 1,
+        title: 'Antenatal and women\'s health questionnaire',
+        questions: [
+            { id: 'pregnant', text: 'Are you pregnant?', type: 'boolean', required: true },
+            {
+                id: 'antenatalWeek',
+                text: 'How many weeks pregnant are you?',
+                type: 'number',
+                min: 1,
+                max: 42,
+                requiredIf: { question: 'pregnant', equals: true }
+            },
+            {
+                id: 'vaginalBleeding',
+                text: 'Do you have any vaginal bleeding?',
+                type: 'boolean',
+                required: true,
+                flag: { equals: true, message: 'Vaginal bleeding reported' }
+            },
+            {
+                id: 'reducedFetalMovement',
+                text: 'Has the baby been moving less than usual?',
+                type: 'boolean',
+                requiredIf: { question: 'pregnant', equals: true },
+                flag: { equals: true, message: 'Reduced fetal movement reported' }
+            },
+            { id: 'previousPregnancies', text: 'How many times have you been pregnant before?', type: 'number', min: 0, max: 20 }
+        ]
+    },
+    'Ophthalmologist': {
+        id: 'eye-intake',
+        version: 1,
+        title: 'Eye questionnaire',
+        questions: [
+            {
+                id: 'affectedEye',
+                text: 'Which eye is affected?',
+                type: 'choice',
+                required: true,
+                options: [
+                    { value: 'left', label: 'Left' },
+                    { value: 'right', label: 'Right' },
+                    { value: 'both', label: 'Both' }
+                ]
+            },
+            {
+                id: 'suddenVisionLoss',
+                text: 'Did you lose your sight suddenly?',
+                type: 'boolean',
+                required: true,
+                flag: { equals: true, message: 'Sudden loss of vision reported' }
+            },
+            painScale('How painful is the eye? (0 = no pain, 10 = worst pain imaginable)', 7),
+            { id: 'wearsGlasses', text: 'Do you wear glasses or contact lenses?', type: 'boolean' }
+        ]
+    },
+    'Psychologist': {
+        id: 'mood-intake',
+        version: 1,
+        title: 'Mood questionnaire (PHQ-style)',
+        questions: MOOD_QUESTIONS,
+        scoring: {
+            questions: MOOD_QUESTIONS.map(question => question.id),
+            bands: [
+                { max: 4, label: 'minimal' },
+                { max: 9, label: 'mild' },
+                { max: 14, label: 'moderate' },
+                { max: 19, label: 'moderately severe' },
+                { max: 27, label: 'severe' }
+            ],
+            flagFrom: { score: 15, message: 'Mood score in the moderately severe range or above' }
+        }
+    },
+    'Pediatrician': {
+        id: 'child-intake',
+        version: 1,
+        title: 'Child health questionnaire',
+        questions: [
+            { id: 'childAgeMonths', text: 'How old is the child in months?', type: 'number', required: true, min: 0, max: 216 },
+            { id: 'fever', text: 'Does the child have a fever?', type: 'boolean', required: true },
+            {
+                id: 'feedingWell',
+                text: 'Is the child eating and drinking normally?',
+                type: 'boolean',
+                required: true,
+                flag: { equals: false, message: 'Child not feeding normally' }
+            },
+            {
+                id: 'immunisationsUpToDate',
+                text: 'Are the child\'s immunisations up to date (Road to Health booklet)?',
+                type: 'choice',
+                options: [
+                    { value: 'yes', label: 'Yes' },
+                    { value: 'no', label: 'No' },
+                    { value: 'unsure', label: 'Not sure' }
+                ]
+            }
+        ]
+    },
+    'Dermatologist': {
+        id: 'skin-intake',
+        version: 1,
+        title: 'Skin questionnaire',
+        questions: [
+            { id: 'affectedArea', text: 'Where on your body is the problem?', type: 'text', required: true, maxLength: 200 },
+            { id: 'itching', text: 'How itchy is it? (0 = not at all, 10 = unbearable)', type: 'scale', min: 0, max: 10 },
+            {
+                id: 'spreading',
+                text: 'Is it spreading quickly?',
+                type: 'boolean',
+                flag: { equals: true, message: 'Rapidly spreading skin condition reported' }
+            }
+        ]
+    },
+    'Orthopedic Surgeon': {
+        id: 'orthopedic-intake',
+        version: 1,
+        title: 'Bone and joint questionnaire',
+        questions: [
+            painScale('How bad is the pain? (0 = no pain, 10 = worst pain imaginable)'),
+            { id: 'injuryRelated', text: 'Did it start after a fall or injury?', type: 'boolean', required: true },
+            {
+                id: 'canBearWeight',
+                text: 'Can you put weight on the affected limb?',
+                type: 'boolean',
+                flag: { equals: false, message: 'Unable to bear weight' }
+            }
+        ]
+    },
+    'Physiotherapist': {
+        id: 'physio-intake',
+        version: 1,
+        title: 'Physiotherapy questionnaire',
+        questions: [
+            painScale('How bad is the pain? (0 = no pain, 10 = worst pain imaginable)', 9),
+            {
+                id: 'referredBy',
+                text: 'Who referred you?',
+                type: 'choice',
+                options: [
+                    { value: 'doctor', label: 'A doctor' },
+                    { value: 'hospital', label: 'A hospital after discharge' },
+                    { value: 'self', label: 'Nobody, I booked myself' }
+                ]
+            },
+            {
+                id: 'mobility',
+                text: 'How do you get around?',
+                type: 'choice',
+                required: true,
+                options: [
+                    { value: 'independent', label: 'On my own' },
+                    { value: 'walking-aid', label: 'With a walking aid' },
+                    { value: 'wheelchair', label: 'In a wheelchair' }
+                ]
+            }
+        ]
+    },
+    'Emergency Care': {
+        id: 'emergency-intake',
+        version: 1,
+        title: 'Emergency questionnaire',
+        questions: [
+            painScale('How bad is the pain? (0 = no pain, 10 = worst pain imaginable)', 7),
+            { id: 'currentMedication', text: 'Which medicines are you taking at the moment?', type: 'text', maxLength: 500 }
+        ]
+    }
+};
+
+/**
+ * Get the questionnaire for a medical category, including the common questions
+ * @param {string} category - One of MEDICAL_CATEGORIES
+ * @returns {Object|null} Questionnaire { id, version, category, title, questions, scoring }, or null if none is configured
+ */
+export const getQuestionnaire = (category) => {
+    const questionnaire = INTAKE_QUESTIONNAIRES[category];
+    if (!questionnaire) return null;
+
+    return {
+        ...questionnaire,
+        category,
+        questions: [...COMMON_QUESTIONS, ...questionnaire.questions]
+    };
+};
+
+export default {
+    QUESTION_TYPES,
+    INTAKE_QUESTIONNAIRES,
+    getQuestionnaire
+};
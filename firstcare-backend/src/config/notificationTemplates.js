@@ -0,0 +1,130 @@
+/**
+ * Notification Message Templates
+ * Patient-facing message text for each notification type and supported language
+ *
+ * @module config/notificationTemplates
+ * @version 1.0.0
+ * @description Booking confirmations, 24-hour reminders and waitlist offers in English,
+ * isiZulu, Afrikaans, isiXhosa and Sesotho. Unknown languages fall back to English.
+ */
+
+/**
+ * Notification Types
+ * @constant {Array<string>} NOTIFICATION_TYPES
+ */
+export const NOTIFICATION_TYPES = [
+    'booking-confirmation',
+    'appointment-reminder',
+    'waitlist-offer'
+];
+
+/**
+ * Language used when a template is missing for the patient's language
+ * @constant {string} DEFAULT_LANGUAGE
+ */
+export const DEFAULT_LANGUAGE = 'english';
+
+/**
+ * Templates keyed by notification type, then language
+ * Each template has a subject (email) and text (email body and SMS/WhatsApp message)
+ * @constant {Object} NOTIFICATION_TEMPLATES
+ */
+export const NOTIFICATION_TEMPLATES = {
+    'booking-confirmation': {
+        english: {
+            subject: () => 'Your FirstCare appointment booking',
+            text: (p) => `Hello ${p.patientName}, your appointment with ${p.doctor} at ${p.facilityName} on ${p.date} at ${p.time} has been booked. Address: ${p.providerAddress}.`
+        },
+        zulu: {
+            subject: () => 'Ukubhukha kwakho kwe-FirstCare',
+            text: (p) => `Sawubona ${p.patientName}, ukubhukha kwakho no-${p.doctor} e-${p.facilityName} ngo-${p.date} ngo-${p.time} kwenziwe. Ikheli: ${p.providerAddress}.`
+        },
+        afrikaans: {
+            subject: () => 'Jou FirstCare-afspraak',
+            text: (p) => `Hallo ${p.patientName}, jou afspraak met ${p.doctor} by ${p.facilityName} op ${p.date} om ${p.time} is bespreek. Adres: ${p.providerAddress}.`
+        },
+        xhosa: {
+            subject: () => 'Ukubhukisha kwakho kwe-FirstCare',
+            text: (p) => `Molo ${p.patientName}, idinga lakho no-${p.doctor} e-${p.facilityName} ngomhla we-${p.date} ngo-${p.time} libhukishiwe. Idilesi: ${p.providerAddress}.`
+        },
+        sotho: {
+            subject: () => 'Peeletso ya hao ya FirstCare',
+            text: (p) => `Dumela ${p.patientName}, kopano ya hao le ${p.doctor} ho ${p.facilityName} ka la ${p.date} ka ${p.time} e beeletswe. Aterese: ${p.providerAddress}.`
+        }
+    },
+    'appointment-reminder': {
+        english: {
+            subject: () => 'Reminder: your appointment is tomorrow',
+            text: (p) => `Reminder: ${p.patientName}, you have an appointment with ${p.doctor} at ${p.facilityName} on ${p.date} at ${p.time}. Please arrive 15 minutes early.`
+        },
+        zulu: {
+            subject: () => 'Isikhumbuzo: isikhathi sakho sokubonana sikusasa',
+            text: (p) => `Isikhumbuzo: ${p.patientName}, unesikhathi sokubonana no-${p.doctor} e-${p.facilityName} ngo-${p.date} ngo-${p.time}. Sicela ufike imizuzu eyi-15 ngaphambili.`
+        },
+        afrikaans: {
+            subject: () => 'Herinnering: jou afspraak is môre',
+            text: (p) => `Herinnering: ${p.patientName}, jy het 'n afspraak met ${p.doctor} by ${p.facilityName} op ${p.date} om ${p.time}. Kom asseblief 15 minute vroeër.`
+        },
+        xhosa: {
+            subject: () => 'Isikhumbuzo: idinga lakho lingomso',
+            text: (p) => `Isikhumbuzo: ${p.patientName}, unedinga no-${p.doctor} e-${p.facilityName} ngomhla we-${p.date} ngo-${p.time}. Nceda ufike imizuzu eli-15 ngaphambili.`
+        },
+        sotho: {
+            subject: () => 'Kgopotso: kopano ya hao ke hosane',
+            text: (p) => `Kgopotso: ${p.patientName}, o na le kopano le ${p.doctor} ho ${p.facilityName} ka la ${p.date} ka ${p.time}. Ka kopo fihla metsotso e 15 pele.`
+        }
+    },
+    'waitlist-offer': {
+        english: {
+            subject: () => 'An appointment slot is available for you',
+            text: (p) => `Hello ${p.patientName}, a slot with ${p.doctor} at ${p.facilityName} on ${p.date} at ${p.time} is being held for you until ${p.expiresAt}. Accept it in FirstCare before then or it will be offered to the next patient.`
+        },
+        zulu: {
+            subject: () => 'Kukhona isikhathi sokubonana esikugcinelwe',
+            text: (p) => `Sawubona ${p.patientName}, isikhathi no-${p.doctor} e-${p.facilityName} ngo-${p.date} ngo-${p.time} sikugcinelwe kuze kube ngu-${p.expiresAt}. Samukele ku-FirstCare ngaphambi kwalokho, uma kungenjalo sizonikezwa isiguli esilandelayo.`
+        },
+        afrikaans: {
+            subject: () => "'n Afspraak is vir jou beskikbaar",
+            text: (p) => `Hallo ${p.patientName}, 'n afspraak met ${p.doctor} by ${p.facilityName} op ${p.date} om ${p.time} word tot ${p.expiresAt} vir jou gehou. Aanvaar dit voor dan in FirstCare, anders word dit aan die volgende pasiënt aangebied.`
+        },
+        xhosa: {
+            subject: () => 'Kukho ixesha ogcinelwe lona',
+            text: (p) => `Molo ${p.patientName}, ixesha no-${p.doctor} e-${p.facilityName} ngomhla we-${p.date} ngo-${p.time} ugcinelwe lona de kube ngu-${p.expiresAt}. Lamkele kwi-FirstCare ngaphambi koko, kungenjalo liza kunikwa isigulana esilandelayo.`
+        },
+        sotho: {
+            subject: () => 'Ho na le nako ya kopano e o boloketsweng yona',
+            text: (p) => `Dumela ${p.patientName}, nako le ${p.doctor} ho ${p.facilityName} ka la ${p.date} ka ${p.time} e o boloketswe ho fihlela ${p.expiresAt}. E amohele ho FirstCare pele ho moo, ho seng jwalo e tla fuwa mokudi ya latelang.`
+        }
+    }
+};
+
+/**
+ * Render a notification in the patient's language
+ * @param {string} type - Notification type
+ * @param {string} language - Patient's preferred language
+ * @param {Object} params - Template values
+ * @returns {Object} Rendered message with language, subject and text
+ * @throws {Error} If the notification type is unknown
+ */
+export const renderNotification = (type, language, params) => {
+    const templates = NOTIFICATION_TEMPLATES[type];
+    if (!templates) {
+        throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    const renderedLanguage = templates[language] ? language : DEFAULT_LANGUAGE;
+    const template = templates[renderedLanguage];
+
+    return {
+        language: renderedLanguage,
+        subject: template.subject(params),
+        text: template.text(params)
+    };
+};
+
+export default {
+    NOTIFICATION_TYPES,
+    DEFAULT_LANGUAGE,
+    NOTIFICATION_TEMPLATES,
+    renderNotification
+};
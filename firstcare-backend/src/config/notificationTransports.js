@@ -0,0 +1,170 @@
+/**
+ * Outbound Notification Transports
+ * Centralized configuration for email and SMS/WhatsApp delivery
+ *
+ * @module config/notificationTransports
+ * @version 1.0.0
+ * @description Pluggable transports used by the notification pipeline. Email goes through
+ * nodemailer (SMTP, or a JSON transport that only logs when no SMTP server is configured).
+ * SMS and WhatsApp go through an HTTP gateway, or a logging transport when no gateway is
+ * configured. Point SMTP_HOST / SMS_GATEWAY_URL at local stubs, or call setTransport(), to
+ * test delivery without real providers.
+ *
+ * The logging transports never log recipients or message text and report delivered: false, so
+ * notifications are recorded as skipped rather than sent. In production they refuse to send,
+ * so the notification is retried and eventually marked failed.
+ *
+ * Transport interface: { name: string, send({ channel, to, subject, text }) => Promise<{ messageId, delivered? }> }
+ */
+
+import nodemailer from 'nodemailer';
+import axios from 'axios';
+
+/**
+ * Sender address for outbound email
+ * @constant {string} EMAIL_FROM
+ */
+export const EMAIL_FROM = process.env.EMAIL_FROM || 'FirstCare KZN <no-reply@firstcare.local>';
+
+/**
+ * Throw when a logging transport is used in production
+ * @param {string} message - Why the notification could not be delivered
+ * @throws {Error} In production, so the notification is retried rather than marked sent
+ */
+const refuseInProduction = (message) => {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error(message);
+    }
+};
+
+/**
+ * Create the email transport
+ * Uses SMTP when SMTP_HOST is set (or EMAIL_TRANSPORT=smtp), otherwise nodemailer's JSON transport
+ * @returns {Object} Email transport
+ */
+export const createEmailTransport = () => {
+    const mode = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json');
+
+    const transporter = mode === 'smtp'
+        ? nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined
+        })
+        : nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+        name: `email:${mode}`,
+        send: async ({ to, subject, text }) => {
+            if (mode !== 'smtp') {
+                refuseInProduction('Email not sent: no SMTP server configured');
+            }
+
+            const info = await transporter.sendMail({ from: EMAIL_FROM, to, subject, text });
+
+            if (mode !== 'smtp') {
+                console.log(`[email:${mode}] Notification ${info.messageId} not delivered: no SMTP server configured`);
+                return { messageId: info.messageId, delivered: false };
+            }
+
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+/**
+ * Create the SMS/WhatsApp transport
+ * Posts to SMS_GATEWAY_URL when set, otherwise logs that nothing was delivered
+ * @returns {Object} SMS transport
+ */
+export const createSmsTransport = () => {
+    const gatewayUrl = process.env.SMS_GATEWAY_URL;
+
+    if (!gatewayUrl) {
+        return {
+            name: 'sms:log',
+            send: async ({ channel }) => {
+                refuseInProduction(`Message not sent over ${channel}: no SMS gateway configured`);
+
+                const messageId = `log-${Date.now()}`;
+                console.log(`[${channel}:log] Notification ${messageId} not delivered: no SMS gateway configured`);
+                return { messageId, delivered: false };
+            }
+        };
+    }
+
+    return {
+        name: 'sms:http',
+        send: async ({ channel, to, text }) => {
+            const response = await axios.post(gatewayUrl, {
+                channel,
+                to,
+                message: text
+            }, {
+                timeout: 10000,
+                headers: process.env.SMS_GATEWAY_API_KEY
+                    ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}` }
+                    : {}
+            });
+
+            return { messageId: response.data?.messageId || response.data?.id || null };
+        }
+    };
+};
+
+/**
+ * Active transports per channel, created on first use
+ * WhatsApp messages are sent through the SMS gateway
+ */
+const transports = {};
+
+const transportFactories = {
+    email: createEmailTransport,
+    sms: createSmsTransport,
+    whatsapp: () => getTransport('sms')
+};
+
+/**
+ * Get the transport for a delivery channel
+ * @param {string} channel - email, sms or whatsapp
+ * @returns {Object} Transport with a send() method
+ * @throws {Error} If the channel has no transport
+ */
+export const getTransport = (channel) => {
+    if (!transports[channel]) {
+        const factory = transportFactories[channel];
+        if (!factory) {
+            throw new Error(`No notification transport for channel: ${channel}`);
+        }
+        transports[channel] = factory();
+    }
+    return transports[channel];
+};
+
+/**
+ * Replace the transport for a channel (e.g. with a local stub in tests)
+ * @param {string} channel - email, sms or whatsapp
+ * @param {Object} transport - Transport with a send() method
+ */
+export const setTransport = (channel, transport) => {
+    transports[channel] = transport;
+};
+
+/**
+ * Drop configured transports so they are re-created from the environment
+ */
+export const resetTransports = () => {
+    Object.keys(transports).forEach(channel => delete transports[channel]);
+};
+
+export default {
+    EMAIL_FROM,
+    createEmailTransport,
+    createSmsTransport,
+    getTransport,
+    setTransport,
+    resetTransports
+};
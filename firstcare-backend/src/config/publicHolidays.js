@@ -0,0 +1,148 @@
+/**
+ * South African Public Holiday Calendar
+ * Centralized configuration for non-working days used by booking validation
+ *
+ * @module config/publicHolidays
+ * @version 1.0.0
+ * @description Statutory holidays from the Public Holidays Act (36 of 1994), including
+ * Easter-based dates and the Sunday-to-Monday observance rule, with environment overrides
+ * for once-off declared holidays (e.g. election days)
+ */
+
+import { format, addDays } from 'date-fns';
+import { toClinicDateString } from '../utils/timeZoneUtils.js';
+
+/**
+ * Fixed-date statutory public holidays
+ * @constant {Array<Object>} FIXED_PUBLIC_HOLIDAYS
+ */
+export const FIXED_PUBLIC_HOLIDAYS = [
+    { month: 1, day: 1, name: "New Year's Day" },
+    { month: 3, day: 21, name: 'Human Rights Day' },
+    { month: 4, day: 27, name: 'Freedom Day' },
+    { month: 5, day: 1, name: "Workers' Day" },
+    { month: 6, day: 16, name: 'Youth Day' },
+    { month: 8, day: 9, name: "National Women's Day" },
+    { month: 9, day: 24, name: 'Heritage Day' },
+    { month: 12, day: 16, name: 'Day of Reconciliation' },
+    { month: 12, day: 25, name: 'Christmas Day' },
+    { month: 12, day: 26, name: 'Day of Goodwill' }
+];
+
+/**
+ * Parse a comma-separated list of `YYYY-MM-DD:Name` entries
+ * @param {string} value - Raw environment value
+ * @returns {Array<Object>} Holidays with date key and name
+ */
+const parseHolidayList = (value = '') => {
+    return value
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [date, ...nameParts] = entry.split(':');
+            return { date: date.trim(), name: nameParts.join(':').trim() || 'Declared Public Holiday' };
+        })
+        .filter(holiday => /^\d{4}-\d{2}-\d{2}$/.test(holiday.date));
+};
+
+/**
+ * Additional declared holidays, e.g. PUBLIC_HOLIDAYS_EXTRA="2026-11-04:Local Government Elections"
+ * @constant {Array<Object>} EXTRA_PUBLIC_HOLIDAYS
+ */
+export const EXTRA_PUBLIC_HOLIDAYS = parseHolidayList(process.env.PUBLIC_HOLIDAYS_EXTRA);
+
+/**
+ * Dates to treat as normal working days, e.g. PUBLIC_HOLIDAYS_EXCLUDE="2026-12-26"
+ * @constant {Array<string>} EXCLUDED_PUBLIC_HOLIDAYS
+ */
+export const EXCLUDED_PUBLIC_HOLIDAYS = (process.env.PUBLIC_HOLIDAYS_EXCLUDE || '')
+    .split(',')
+    .map(date => date.trim())
+    .filter(Boolean);
+
+/**
+ * Calculate Easter Sunday for a year (Anonymous Gregorian algorithm)
+ * @param {number} year - Calendar year
+ * @returns {Date} Easter Sunday
+ */
+export const getEasterSunday = (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * Get all public holidays for a year, keyed by YYYY-MM-DD
+ * @param {number} year - Calendar year
+ * @returns {Map<string, string>} Map of date key to holiday name
+ */
+export const getPublicHolidaysForYear = (year) => {
+    const holidays = new Map();
+    const add = (date, name) => {
+        const key = format(date, 'yyyy-MM-dd');
+        if (!holidays.has(key)) holidays.set(key, name);
+    };
+
+    for (const holiday of FIXED_PUBLIC_HOLIDAYS) {
+        const date = new Date(year, holiday.month - 1, holiday.day);
+        add(date, holiday.name);
+
+        // A holiday falling on a Sunday is observed on the following Monday
+        if (date.getDay() === 0) {
+            add(addDays(date, 1), `${holiday.name} (observed)`);
+        }
+    }
+
+    const easterSunday = getEasterSunday(year);
+    add(addDays(easterSunday, -2), 'Good Friday');
+    add(addDays(easterSunday, 1), 'Family Day');
+
+    EXTRA_PUBLIC_HOLIDAYS
+        .filter(holiday => holiday.date.startsWith(`${year}-`))
+        .forEach(holiday => holidays.set(holiday.date, holiday.name));
+
+    EXCLUDED_PUBLIC_HOLIDAYS.forEach(date => holidays.delete(date));
+
+    return holidays;
+};
+
+/**
+ * Get the public holiday that falls on a date
+ * @param {Date} date - Date to check (evaluated in the clinic time zone)
+ * @returns {Object|null} Holiday with date and name, or null
+ */
+export const getPublicHoliday = (date) => {
+    const key = toClinicDateString(date);
+    const name = getPublicHolidaysForYear(Number(key.slice(0, 4))).get(key);
+    return name ? { date: key, name } : null;
+};
+
+/**
+ * Check whether a date is a public holiday
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the date is a public holiday
+ */
+export const isPublicHoliday = (date) => getPublicHoliday(date) !== null;
+
+export default {
+    FIXED_PUBLIC_HOLIDAYS,
+    EXTRA_PUBLIC_HOLIDAYS,
+    EXCLUDED_PUBLIC_HOLIDAYS,
+    getEasterSunday,
+    getPublicHolidaysForYear,
+    getPublicHoliday,
+    isPublicHoliday
+};
@@ -514,6 +514,58 @@ Protected endpoints require a valid JWT token, provided via:
                     }
                 },
 
+                Dependant: {
+                    type: 'object',
+                    description: 'Patient without a login of their own, managed from a guardian\'s family account',
+                    properties: {
+                        id: { type: 'string', example: '65f1c2a9e4b0a1d2c3e4f567' },
+                        firstName: { type: 'string', example: 'Thandiwe' },
+                        lastName: { type: 'string', example: 'Mkhize' },
+                        dateOfBirth: { type: 'string', format: 'date', example: '2018-06-02' },
+                        age: { type: 'integer', example: 7 },
+                        isMinor: { type: 'boolean', example: true },
+                        isElderly: { type: 'boolean', example: false },
+                        gender: { type: 'string', enum: ['male', 'female', 'other', 'prefer-not-to-say'] },
+                        preferredLanguage: { type: 'string', enum: ['english', 'zulu', 'afrikaans', 'xhosa', 'sotho'] },
+                        phoneNumber: { type: 'string', nullable: true },
+                        locationData: { $ref: '#/components/schemas/UserLocationData' },
+                        isProfileComplete: { type: 'boolean' },
+                        access: {
+                            type: 'object',
+                            description: 'The requesting guardian\'s link and consent',
+                            properties: {
+                                relationship: {
+                                    type: 'string',
+                                    enum: ['parent', 'legal-guardian', 'grandparent', 'child', 'spouse', 'sibling', 'caregiver', 'other']
+                                },
+                                canMakeMedicalDecisions: { type: 'boolean' },
+                                consentBasis: { type: 'string', enum: ['parental-responsibility', 'patient-consent'] },
+                                consentMethod: { type: 'string', enum: ['declared', 'verbal', 'written'] },
+                                consentScope: {
+                                    type: 'array',
+                                    items: { type: 'string', enum: ['appointments', 'medical-profile'] }
+                                },
+                                consentGivenAt: { type: 'string', format: 'date-time' },
+                                active: { type: 'boolean' },
+                                consentRequired: {
+                                    type: 'boolean',
+                                    description: 'True once a child managed under parental responsibility turns 18'
+                                }
+                            }
+                        },
+                        medicalHistory: {
+                            $ref: '#/components/schemas/MedicalHistory'
+                        },
+                        allergies: {
+                            type: 'array',
+                            items: { $ref: '#/components/schemas/Allergy' }
+                        },
+                        healthcarePreferences: {
+                            $ref: '#/components/schemas/HealthcarePreferences'
+                        }
+                    }
+                },
+
                 UserProfileResponse: {
                     type: 'object',
                     properties: {
@@ -593,16 +645,52 @@ Protected endpoints require a valid JWT token, provided via:
                         'district'
                     ],
                     properties: {
+                        patientId: {
+                            type: 'string',
+                            writeOnly: true,
+                            description: 'Dependant, or patient in a health worker\'s district, to book for; defaults to the logged-in user. Needs the patient\'s consent.'
+                        },
+                        createdBy: {
+                            type: 'string',
+                            readOnly: true,
+                            description: 'Account that made the booking, when different from the patient'
+                        },
                         date: {
                             type: 'string',
                             format: 'date',
                             example: '2024-01-15',
-                            description: 'Appointment date in YYYY-MM-DD format'
+                            description: 'Appointment date in YYYY-MM-DD format, in Africa/Johannesburg'
                         },
                         time: {
                             type: 'string',
                             example: '14:30',
-                            description: 'Appointment time in 24-hour HH:MM format'
+                            description: 'Appointment time in 24-hour HH:MM format, in Africa/Johannesburg'
+                        },
+                        endTime: {
+                            type: 'string',
+                            readOnly: true,
+                            example: '15:00',
+                            description: 'Local end time, derived from time and duration'
+                        },
+                        startAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            readOnly: true,
+                            example: '2024-01-15T12:30:00.000Z',
+                            description: 'Start of the appointment as an ISO 8601 instant'
+                        },
+                        endAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            readOnly: true,
+                            example: '2024-01-15T13:00:00.000Z',
+                            description: 'End of the appointment as an ISO 8601 instant'
+                        },
+                        timeZone: {
+                            type: 'string',
+                            readOnly: true,
+                            example: 'Africa/Johannesburg',
+                            description: 'Time zone the local date and times are expressed in'
                         },
                         reason: {
                             type: 'string',
@@ -624,6 +712,11 @@ Protected endpoints require a valid JWT token, provided via:
                             example: 'doc_12345',
                             description: 'Unique identifier for the healthcare provider'
                         },
+                        facilityId: {
+                            type: 'string',
+                            example: '507f1f77bcf86cd799439011',
+                            description: 'Healthcare facility id, used to enforce opening hours and public holidays'
+                        },
                         facilityName: {
                             type: 'string',
                             example: 'Addington Hospital',
@@ -649,6 +742,49 @@ Protected endpoints require a valid JWT token, provided via:
                             example: 'Patient has allergy to penicillin',
                             description: 'Additional medical notes or instructions'
                         },
+                        transportAssistance: {
+                            type: 'object',
+                            description: 'Optional transport request; reviewed by a health worker or admin in the district',
+                            properties: {
+                                type: {
+                                    type: 'string',
+                                    enum: ['ambulance', 'patient-transport']
+                                },
+                                pickup: {
+                                    type: 'object',
+                                    properties: {
+                                        address: { type: 'string', example: 'House 12, KwaNgwanase main road' },
+                                        subLocation: { type: 'string', example: 'Manguzi' },
+                                        lat: { type: 'number' },
+                                        lng: { type: 'number' }
+                                    }
+                                },
+                                mobilityNeeds: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'string',
+                                        enum: ['wheelchair', 'stretcher', 'walking-aid', 'oxygen', 'visually-impaired', 'companion']
+                                    }
+                                },
+                                notes: { type: 'string' },
+                                status: {
+                                    type: 'string',
+                                    readOnly: true,
+                                    enum: ['pending', 'approved', 'declined']
+                                }
+                            }
+                        },
+                        intake: {
+                            type: 'object',
+                            description: 'Optional answers to the pre-visit questionnaire for the category (see GET /api/appointments/questionnaires)',
+                            properties: {
+                                answers: {
+                                    type: 'object',
+                                    additionalProperties: true,
+                                    example: { mainConcern: 'Toothache on the lower left side', severity: 'moderate', symptomDuration: '4 days', painScale: 6, facialSwelling: false }
+                                }
+                            }
+                        },
                         status: {
                             type: 'string',
                             example: 'pending',
@@ -691,8 +827,38 @@ Protected endpoints require a valid JWT token, provided via:
                         },
                         rating: {
                             type: 'number',
+                            description: 'Average rating from published reviews of completed visits',
                             example: 4.2
                         },
+                        userRatingsTotal: {
+                            type: 'integer',
+                            example: 37
+                        },
+                        reviewSummary: {
+                            type: 'object',
+                            description: 'Included in facility search and details responses',
+                            properties: {
+                                averageRating: { type: 'number', nullable: true, example: 4.2 },
+                                reviewCount: { type: 'integer', example: 37 },
+                                ratingBreakdown: {
+                                    type: 'object',
+                                    description: 'Number of reviews for each star rating (1-5)',
+                                    example: { 1: 1, 2: 2, 3: 5, 4: 14, 5: 15 }
+                                },
+                                recentComments: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            rating: { type: 'integer' },
+                                            comment: { type: 'string' },
+                                            category: { type: 'string' },
+                                            publishedAt: { type: 'string', format: 'date-time' }
+                                        }
+                                    }
+                                }
+                            }
+                        },
                         contact: {
                             type: 'object',
                             properties: {
@@ -718,6 +884,55 @@ Protected endpoints require a valid JWT token, provided via:
                     },
                 },
 
+                DoctorInput: {
+                    type: 'object',
+                    required: ['name', 'specialty', 'affiliations'],
+                    properties: {
+                        name: {
+                            type: 'string',
+                            example: 'Dr. Thandi Ndlovu'
+                        },
+                        specialty: {
+                            type: 'string',
+                            example: 'General Practitioner'
+                        },
+                        licenseNumber: {
+                            type: 'string',
+                            description: 'HPCSA registration number',
+                            example: 'MP0123456'
+                        },
+                        qualifications: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            example: ['MBChB']
+                        },
+                        languages: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            example: ['zulu', 'english']
+                        },
+                        isActive: {
+                            type: 'boolean',
+                            description: 'Updates only'
+                        },
+                        affiliations: {
+                            type: 'array',
+                            description: 'Facilities the doctor works at; replaces the existing list on update',
+                            items: {
+                                type: 'object',
+                                required: ['facilityId'],
+                                properties: {
+                                    facilityId: { type: 'string' },
+                                    consultationFee: { type: 'number', example: 300 },
+                                    availability: { type: 'object', description: 'Opening times per weekday at this facility' },
+                                    isAvailable: { type: 'boolean', example: true },
+                                    isPrimary: { type: 'boolean' }
+                                }
+                            }
+                        }
+                    }
+                },
+
                 DistrictResponse: {
                     type: 'object',
                     properties: {
@@ -834,6 +1049,41 @@ Protected endpoints require a valid JWT token, provided via:
                         },
                     },
                 },
+                StatusTransitionResult: {
+                    description: 'Status updated; returns the appointment with its status history',
+                },
+                InvalidStatusTransition: {
+                    description: "The appointment's current status does not allow this change",
+                    content: {
+                        'application/json': {
+                            schema: { $ref: '#/components/schemas/Error' },
+                            example: {
+                                error: 'Invalid status transition',
+                                code: 'INVALID_STATUS_TRANSITION',
+                                message: 'A completed appointment cannot be confirmed',
+                            },
+                        },
+                    },
+                },
+            },
+
+            // Predefined Request Bodies
+            requestBodies: {
+                StatusTransition: {
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    notes: {
+                                        type: 'string',
+                                        description: 'Optional note recorded in the status history'
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
             },
         },
 
@@ -853,6 +1103,54 @@ Protected endpoints require a valid JWT token, provided via:
                 name: 'Appointments',
                 description: 'Healthcare appointment booking and management'
             },
+            {
+                name: 'Schedules',
+                description: 'Provider working schedules, slot lengths and schedule exceptions'
+            },
+            {
+                name: 'Waitlist',
+                description: 'Provider waitlists and time-limited offers of freed slots'
+            },
+            {
+                name: 'Provider Portal',
+                description: 'Day sheets, patient queues and provider account links to facility doctors'
+            },
+            {
+                name: 'Real-time Events',
+                description: 'Server-Sent Events stream of appointment status, availability, waitlist offer and walk-in queue changes'
+            },
+            {
+                name: 'Emergency Triage',
+                description: 'Symptom triage, nearest open emergency facilities and prioritised emergency arrivals'
+            },
+            {
+                name: 'Patient Transport',
+                description: 'Transport assistance requests, district approval and transport manifests'
+            },
+            {
+                name: 'Calendar',
+                description: 'iCalendar subscription feeds of patient appointments in Africa/Johannesburg time'
+            },
+            {
+                name: 'Patient Reviews',
+                description: 'Post-visit ratings and reviews from verified completed visits, with moderation'
+            },
+            {
+                name: 'Family Accounts',
+                description: 'Guardians managing dependants\' profiles and consent; dependants\' appointments are booked with a patientId'
+            },
+            {
+                name: 'Assisted Booking',
+                description: 'Community health workers registering and booking for consenting patients in their district'
+            },
+            {
+                name: 'Walk-in Queue',
+                description: 'Same-day walk-in tickets, live queue positions and triage-ordered calling at public and Unjani clinics'
+            },
+            {
+                name: 'Notifications',
+                description: 'Booking confirmations, appointment reminders and waitlist offer messages'
+            },
             {
                 name: 'Healthcare',
                 description: 'Healthcare facilities search and doctor availability'
@@ -0,0 +1,61 @@
+/**
+ * Visit Preparation Checklists
+ * What patients should bring to an appointment, printed on confirmation slips
+ *
+ * @module config/visitPreparation
+ * @version 1.0.0
+ * @description Every patient brings identification and their slip. Medical categories add the
+ * records and items the provider will ask for, and private facilities add the medical aid card.
+ */
+
+/**
+ * Items every patient should bring
+ * @constant {Array<string>} COMMON_ITEMS
+ */
+const COMMON_ITEMS = [
+    'South African ID, passport or birth certificate',
+    'This confirmation slip (printed or on your phone)',
+    'Clinic card or hospital folder number, if you have one',
+    'All medicines you are currently taking, in their boxes'
+];
+
+/**
+ * Extra items by medical category
+ * @constant {Object<string, Array<string>>} CATEGORY_ITEMS
+ */
+const CATEGORY_ITEMS = {
+    'Cardiologist': ['Recent ECG or blood test results', 'Your blood pressure record, if you keep one'],
+    'Dentist': ['Previous dental X-rays, if you have them'],
+    'General Practitioner': ['Any recent test results or referral letters'],
+    'Obstetrician-Gynecologist': ['Antenatal (maternity) card, if you are pregnant', 'Previous scan or pap smear results'],
+    'Ophthalmologist': ['Your glasses or contact lenses', 'Someone to take you home, as eye drops may blur your vision'],
+    'Psychologist': ['Any referral letter', 'Notes of what you would like to talk about'],
+    'Pediatrician': ["The child's Road to Health booklet", "The child's birth certificate"],
+    'Dermatologist': ['Photos of the skin problem if it comes and goes', 'Creams or ointments you have used'],
+    'Orthopedic Surgeon': ['X-rays, scans or their reports', 'Loose clothing so the injured area can be examined'],
+    'Physiotherapist': ['Comfortable clothing you can move in', 'Referral letter from your doctor'],
+    'Emergency Care': ['Any referral letter from a clinic or doctor']
+};
+
+/**
+ * Facility types that bill medical aid or private patients
+ * @constant {Array<string>} PRIVATE_FACILITY_TYPES
+ */
+const PRIVATE_FACILITY_TYPES = ['private-practice', 'private-hospital', 'specialist-center'];
+
+/**
+ * Get the checklist of what to bring to an appointment
+ * @param {Object} appointment - Appointment (category, facilityType)
+ * @returns {Array<string>} Items to bring
+ */
+export const getWhatToBring = ({ category, facilityType }) => [
+    ...COMMON_ITEMS,
+    ...(PRIVATE_FACILITY_TYPES.includes(facilityType)
+        ? ['Medical aid card, or a means of payment if you are paying yourself']
+        : []),
+    ...(CATEGORY_ITEMS[category] || [])
+];
+
+export default {
+    getWhatToBring
+};
@@ -27,10 +27,22 @@
  * @author Healthcare System - KZN Implementation
  */
 
-import Appointment from '../models/Appointment.js';
+import mongoose from 'mongoose';
+import Appointment, { RECORD_RETENTION_YEARS, ACTIVE_STATUSES, SAME_DAY_BOOKING_TYPES } from '../models/Appointment.js';
+import ProviderSchedule from '../models/ProviderSchedule.js';
+import AppointmentSeries, { MAX_SERIES_SPAN_MONTHS } from '../models/AppointmentSeries.js';
+import AppointmentBundle from '../models/AppointmentBundle.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import HealthcareFacility from '../models/HealthcareFacility.js';
+import Doctor from '../models/Doctor.js';
 import User from '../models/user.js';
 import { validationResult } from 'express-validator';
-import { format, parseISO, isValid, addDays, isBefore, isAfter } from 'date-fns';
+import { isValid, addDays, isBefore, isAfter } from 'date-fns';
+import { getPublicHoliday } from '../config/publicHolidays.js';
+import { INTAKE_QUESTIONNAIRES, getQuestionnaire } from '../config/intakeQuestionnaires.js';
+import { validateIntakeAnswers, formatIntake } from '../utils/intakeUtils.js';
+import { timeToMinutes, minutesToTime, intervalsOverlap } from '../utils/scheduleUtils.js';
+import { CLINIC_TIME_ZONE, toClinicDateString, startOfClinicDay, parseClinicDate, addToClinicDate, getClinicWeekday } from '../utils/timeZoneUtils.js';
 
 /**
  * KZN District Configuration
@@ -48,6 +60,48 @@ const KZN_DISTRICTS = {
     zululand: { type: 'rural', urbanCenters: ['Vryheid'] }
 };
 
+/**
+ * Language-matched doctors suggested when the booked doctor needs an interpreter
+ */
+const MAX_LANGUAGE_MATCHES = 3;
+
+/**
+ * Appointment details patients may edit in place through PUT /api/appointments/:id
+ * Everything else is changed by a dedicated endpoint that enforces its own rules.
+ */
+const EDITABLE_APPOINTMENT_FIELDS = ['reason', 'notes'];
+
+/**
+ * Booking details a rescheduled appointment keeps from the one it replaces
+ * Confirmation state, queue tickets, triage, intake answers and bundle membership belong to the
+ * original slot and start afresh. Series occurrences stay in their series.
+ */
+const RESCHEDULE_CARRIED_FIELDS = [
+    'user', 'district', 'subLocation', 'duration', 'reason', 'category', 'urgency', 'notes', 'symptoms',
+    'doctor', 'doctorId', 'facility', 'facilityName', 'facilityType', 'providerAddress', 'providerContact',
+    'languagePreference', 'transportAssistance', 'series', 'seriesOccurrence', 'createdBy'
+];
+
+/**
+ * Appointment fields owned by another endpoint, and how to change them instead
+ */
+const MANAGED_APPOINTMENT_FIELDS = {
+    transportAssistance: 'Request transport with PUT /api/transport/requests/:id. District health workers approve or decline it.',
+    intake: 'Submit the pre-visit questionnaire with PUT /api/appointments/:id/intake.',
+    interpreter: 'Interpreters are reserved automatically from your preferred language when the appointment is booked or rescheduled.',
+    category: 'The category sets the appointment length and pre-visit questionnaire. Cancel this appointment and book a new one to change it.',
+    urgency: 'Urgency is set at booking and by facility triage. Please contact the facility if your condition has changed.'
+};
+
+/**
+ * Error titles for facility opening-time restrictions
+ */
+const FACILITY_RESTRICTION_ERRORS = {
+    PUBLIC_HOLIDAY: 'Public holiday',
+    FACILITY_CLOSED: 'Facility closed',
+    OUTSIDE_FACILITY_HOURS: 'Outside facility hours'
+};
+
 /**
  * Create a new appointment with KZN district validation
  * @route POST /api/appointments
@@ -65,35 +119,45 @@ export const createAppointment = async (req, res) => {
             });
         }
 
-        const { date, time, reason, category, doctor, doctorId, notes, urgency, district, facilityType, facilityName, providerAddress, providerContact } = req.body;
+        const { patientId, date, time, reason, category, doctor, doctorId, notes, urgency, district, facilityId, facilityType, facilityName, providerAddress, providerContact, transportAssistance, intake } = req.body;
 
         console.log("Received KZN appointment request:", {
             user: req.user.userId,
+            patient: patientId || req.user.userId,
             district,
             date, time, reason, category, doctor, facilityType, urgency
         });
 
-        // Check if user profile is complete and has KZN location data
-        const user = await User.findById(req.user.userId);
+        // Guardians and health workers book for patients; the booking account is kept in createdBy
+        const { patient: user, isSelf, error: patientError } = await resolvePatient(req, patientId);
+        if (patientError) {
+            return res.status(patientError.status).json(patientError.body);
+        }
+
+        // Check if the patient's profile is complete and has KZN location data
         if (!user.isProfileComplete) {
             return res.status(400).json({
                 error: "Profile incomplete",
                 code: "PROFILE_INCOMPLETE",
-                message: "Please complete your KZN healthcare profile before booking an appointment"
+                message: isSelf
+                    ? "Please complete your KZN healthcare profile before booking an appointment"
+                    : `Please complete ${user.firstName}'s healthcare profile before booking an appointment`
             });
         }
 
-        // Validate user district access
+        // Validate patient district access
         if (!user.canAccessDistrict(district)) {
             return res.status(403).json({
                 error: "District access denied",
                 code: "DISTRICT_ACCESS_DENIED",
-                message: "You can only book appointments in your registered KZN health district"
+                message: isSelf
+                    ? "You can only book appointments in your registered KZN health district"
+                    : `Appointments for ${user.firstName} can only be booked in their registered KZN health district`
             });
         }
 
         // Validate date format
-        const appointmentDate = parseISO(date);
+        const appointmentDate = parseClinicDate(date);
         if (!isValid(appointmentDate)) {
             return res.status(400).json({
                 error: "Invalid date format",
@@ -120,34 +184,83 @@ export const createAppointment = async (req, res) => {
             });
         }
 
-        // Check for conflicting appointments (same user, same date/time)
-        const existingAppointment = await Appointment.findOne({
-            user: req.user.userId,
-            date: appointmentDate,
-            time: time,
-            status: { $in: ['pending', 'confirmed'] }
-        });
+        // Pre-visit questionnaire answers are optional at booking and can be given later
+        const intakeCheck = intake ? checkIntakeAnswers(category, intake.answers) : null;
+        if (intakeCheck?.error) {
+            return res.status(intakeCheck.error.status).json(intakeCheck.error.body);
+        }
+
+        const schedule = await ProviderSchedule.resolveForDoctor(doctorId);
+        const appointmentDuration = schedule.getSlotDuration(category);
+
+        // The doctor must take bookings at the facility being booked
+        const booking = await resolveBookingDoctor({ doctorId, facilityId, facilityName, schedule });
+        if (booking.error) {
+            return res.status(booking.error.status).json(booking.error.body);
+        }
+        const { doctor: bookedDoctor, affiliation } = booking;
+
+        // Check for conflicting appointments (same patient, overlapping time)
+        const existingAppointment = await Appointment.checkPatientConflict(user._id, appointmentDate, time, appointmentDuration);
 
         if (existingAppointment) {
             return res.status(409).json({
                 error: "Appointment conflict",
                 code: "APPOINTMENT_CONFLICT",
-                message: "You already have an appointment scheduled at this date and time"
+                message: isSelf
+                    ? "You already have an appointment scheduled at this date and time"
+                    : `${user.firstName} already has an appointment scheduled at this date and time`
+            });
+        }
+
+        // Check the facility is open for the whole appointment and not on a public holiday
+        const facility = await resolveBookingFacility({ facilityId: affiliation.facility, schedule, facilityName, district });
+        if (!facility) {
+            return res.status(404).json({
+                error: "Facility not found",
+                code: "FACILITY_NOT_FOUND",
+                message: "The selected healthcare facility does not exist"
+            });
+        }
+
+        const facilityRestriction = getFacilityRestriction(facility, appointmentDate, time, appointmentDuration);
+        if (facilityRestriction) {
+            return res.status(409).json(facilityRestriction);
+        }
+
+        // Check the requested slot falls within the provider's working schedule
+        if (!schedule.isWithinSchedule(appointmentDate, time, appointmentDuration)) {
+            return res.status(409).json({
+                error: "Outside provider schedule",
+                code: "OUTSIDE_PROVIDER_SCHEDULE",
+                message: "The selected healthcare provider is not working at this time. Please choose one of the available slots"
             });
         }
 
         // Check provider availability in the district
-        const providerConflict = await Appointment.checkConflict(doctorId, date, time, 30);
+        const providerConflict = await Appointment.checkConflict(doctorId, appointmentDate, time, appointmentDuration);
         if (providerConflict) {
             return res.status(409).json({
                 error: "Provider unavailable",
                 code: "PROVIDER_UNAVAILABLE",
-                message: "The selected healthcare provider is not available at this time"
+                message: "The selected healthcare provider is not available at this time. You can join the provider's waitlist to be offered the next freed slot.",
+                waitlistAvailable: true
+            });
+        }
+
+        // Freed slots held for a waitlisted patient cannot be booked by anyone else
+        const slotHold = await WaitlistEntry.findActiveHold(doctorId, appointmentDate, time, appointmentDuration, user._id);
+        if (slotHold) {
+            return res.status(409).json({
+                error: "Slot on hold",
+                code: "SLOT_HELD",
+                message: "This slot is being held for a waitlisted patient. Please choose another slot.",
+                heldUntil: slotHold.offer.expiresAt
             });
         }
 
         // Validate urgency level with facility type
-        if (urgency === 'emergency' && !facilityType.includes('hospital')) {
+        if (urgency === 'emergency' && !facility.facilityType.includes('hospital')) {
             return res.status(400).json({
                 error: "Invalid facility for emergency",
                 code: "INVALID_EMERGENCY_FACILITY",
@@ -157,27 +270,52 @@ export const createAppointment = async (req, res) => {
 
         // Create new appointment with KZN district data
         const appointment = new Appointment({
-            user: req.user.userId,
+            user: user._id,
             district: district,
             subLocation: user.locationData.subLocation,
             date: appointmentDate,
             time,
+            duration: appointmentDuration,
             reason,
             category,
-            doctor,
+            doctor: bookedDoctor.name,
             doctorId,
-            facilityName,
-            facilityType,
+            facility: facility._id,
+            facilityName: facility.name,
+            facilityType: facility.facilityType,
             providerAddress,
             providerContact,
             urgency,
             notes: notes || '',
             status: 'pending',
             languagePreference: user.preferredLanguage,
-            requiresInterpreter: user.preferredLanguage !== 'english',
-            createdBy: req.user.userId
+            createdBy: req.user.userId,
+            lastModifiedBy: req.user.userId
         });
 
+        // Transport requests wait for approval by a health worker or admin in the district
+        if (transportAssistance) {
+            appointment.requestTransport(transportAssistance, req.user.userId);
+        }
+
+        if (intakeCheck) {
+            appointment.recordIntake(intakeCheck.questionnaire, intakeCheck.result, req.user.userId);
+        }
+
+        // An interpreter is reserved when the doctor does not consult in the patient's language,
+        // and doctors at the facility who do are suggested instead
+        const interpreter = await appointment.arrangeInterpreter(bookedDoctor, facility);
+        const languageMatches = interpreter
+            ? await findLanguageMatchedDoctors({
+                doctor: bookedDoctor,
+                facility,
+                language: appointment.languagePreference,
+                date: appointmentDate,
+                time,
+                duration: appointmentDuration
+            })
+            : [];
+
         // Add initial status to history
         appointment.addStatusHistory('pending', req.user.userId, 'Appointment created');
 
@@ -197,24 +335,28 @@ export const createAppointment = async (req, res) => {
             message: "KZN healthcare appointment booked successfully!",
             appointment: {
                 id: appointment._id,
-                date: appointment.date,
-                time: appointment.time,
+                ...appointment.getScheduledTime(),
                 reason: appointment.reason,
                 category: appointment.category,
                 doctor: appointment.doctor,
                 doctorId: appointment.doctorId,
+                facilityId: appointment.facility,
                 facilityName: appointment.facilityName,
                 facilityType: appointment.facilityType,
                 district: appointment.district,
                 urgency: appointment.urgency,
                 status: appointment.status,
                 notes: appointment.notes,
+                transportAssistance: appointment.transportAssistance?.needed ? appointment.transportAssistance : null,
+                languageSupport: formatLanguageSupport(appointment, languageMatches),
+                intake: formatIntake(appointment.intake),
                 user: {
                     id: appointment.user._id,
                     name: `${appointment.user.firstName} ${appointment.user.lastName}`,
                     email: appointment.user.email,
                     district: appointment.user.locationData.healthDistrict
                 },
+                createdBy: appointment.createdBy,
                 createdAt: appointment.createdAt,
                 priorityScore: appointment.getPriorityScore()
             }
@@ -259,18 +401,24 @@ export const getAllAppointments = async (req, res) => {
     try {
         console.log("Fetching KZN appointments for user:", req.user.userId);
 
+        const { patientId } = req.query;
         let appointments;
-        const user = await User.findById(req.user.userId);
+
+        // Guardians list a dependant's appointments with ?patientId=
+        const { patient: user, error: patientError } = await resolvePatient(req, patientId);
+        if (patientError) {
+            return res.status(patientError.status).json(patientError.body);
+        }
 
         // Admin can see all appointments across KZN, regular users only see their district
-        if (req.user.roles.includes('admin')) {
+        if (req.user.roles.includes('admin') && !patientId) {
             appointments = await Appointment.find()
                 .populate('user', 'firstName lastName email phoneNumber locationData')
                 .sort({ date: 1, time: 1 });
             console.log("Admin accessing all KZN appointments");
         } else {
             appointments = await Appointment.find({
-                user: req.user.userId,
+                user: user._id,
                 district: user.locationData.healthDistrict
             })
                 .populate('user', 'firstName lastName email phoneNumber locationData')
@@ -282,8 +430,7 @@ export const getAllAppointments = async (req, res) => {
             district: user.locationData.healthDistrict,
             appointments: appointments.map(apt => ({
                 id: apt._id,
-                date: apt.date,
-                time: apt.time,
+                ...apt.getScheduledTime(),
                 reason: apt.reason,
                 category: apt.category,
                 doctor: apt.doctor,
@@ -340,20 +487,19 @@ export const getAppointmentById = async (req, res) => {
             });
         }
 
-        // Check ownership: users can only view their own appointments unless admin
-        if (!req.user.roles.includes('admin') && appointment.user._id.toString() !== req.user.userId) {
+        // Check ownership: patients and their guardians only, unless admin
+        if (!req.user.roles.includes('admin') && !(await User.canActFor(req.user.userId, appointment.user._id))) {
             return res.status(403).json({
                 error: "Access denied",
                 code: "FORBIDDEN",
-                message: "You can only view your own KZN healthcare appointments"
+                message: "You can only view your own or your dependants' KZN healthcare appointments"
             });
         }
 
         return res.status(200).json({
             appointment: {
                 id: appointment._id,
-                date: appointment.date,
-                time: appointment.time,
+                ...appointment.getScheduledTime(),
                 reason: appointment.reason,
                 category: appointment.category,
                 doctor: appointment.doctor,
@@ -364,6 +510,9 @@ export const getAppointmentById = async (req, res) => {
                 urgency: appointment.urgency,
                 status: appointment.status,
                 notes: appointment.notes,
+                rescheduledFrom: appointment.rescheduledFrom,
+                rescheduledTo: appointment.rescheduledTo,
+                rescheduleCount: appointment.rescheduleCount,
                 user: {
                     id: appointment.user._id,
                     name: `${appointment.user.firstName} ${appointment.user.lastName}`,
@@ -371,6 +520,7 @@ export const getAppointmentById = async (req, res) => {
                     phoneNumber: appointment.user.phoneNumber,
                     district: appointment.user.locationData.healthDistrict
                 },
+                createdBy: appointment.createdBy,
                 createdAt: appointment.createdAt,
                 updatedAt: appointment.updatedAt,
                 canBeCancelled: appointment.canBeCancelled(),
@@ -422,90 +572,81 @@ export const updateAppointment = async (req, res) => {
             });
         }
 
-        // Check ownership: users can only update their own appointments unless admin
-        if (!req.user.roles.includes('admin') && existingAppointment.user.toString() !== req.user.userId) {
+        // Check ownership: patients, their guardians and assisting health workers only, unless admin
+        if (!req.user.roles.includes('admin') && !(await User.canActFor(req.user.userId, existingAppointment.user))) {
             return res.status(403).json({
                 error: "Access denied",
                 code: "FORBIDDEN",
-                message: "You can only update your own KZN healthcare appointments"
+                message: "You can only update your own, your dependants' or your assisted patients' KZN healthcare appointments"
             });
         }
 
-        // Validate date if provided
-        if (updateData.date) {
-            const appointmentDate = parseISO(updateData.date);
-            if (!isValid(appointmentDate)) {
-                return res.status(400).json({
-                    error: "Invalid date format",
-                    code: "INVALID_DATE",
-                    message: "Please provide a valid date in ISO format"
-                });
-            }
-            if (appointmentDate < new Date()) {
-                return res.status(400).json({
-                    error: "Invalid appointment date",
-                    code: "PAST_DATE",
-                    message: "Appointment date cannot be in the past"
-                });
-            }
-            updateData.date = appointmentDate;
+        // Moving a booking creates a linked appointment instead of overwriting it in place
+        if (updateData.date || updateData.time || updateData.duration !== undefined) {
+            return res.status(400).json({
+                error: "Use the reschedule endpoint",
+                code: "RESCHEDULE_REQUIRED",
+                message: `To change the date or time, use POST /api/appointments/${id}/reschedule. Appointment length is set by the provider's schedule.`
+            });
         }
 
-        // Check for appointment conflicts (only if date/time is being updated)
-        if (updateData.date || updateData.time) {
-            const conflictQuery = {
-                _id: { $ne: id }, // Exclude current appointment
-                user: existingAppointment.user,
-                date: updateData.date || existingAppointment.date,
-                time: updateData.time || existingAppointment.time,
-                status: { $in: ['pending', 'confirmed'] }
-            };
-
-            const conflictingAppointment = await Appointment.findOne(conflictQuery);
-            if (conflictingAppointment) {
-                return res.status(409).json({
-                    error: "Appointment conflict",
-                    code: "APPOINTMENT_CONFLICT",
-                    message: "Another appointment already exists at this date and time"
-                });
-            }
+        // Status changes go through the transition endpoints so the state machine is enforced
+        if (updateData.status !== undefined || updateData.isConfirmed !== undefined) {
+            return res.status(400).json({
+                error: "Use a status transition endpoint",
+                code: "STATUS_TRANSITION_REQUIRED",
+                message: "Appointment status can only be changed through the cancel, reschedule, confirm, check-in, complete and no-show endpoints"
+            });
         }
 
-        // Update the appointment
-        const updatedAppointment = await Appointment.findByIdAndUpdate(
-            id,
-            {
-                ...updateData,
-                lastModifiedBy: req.user.userId
-            },
-            {
-                new: true,
-                runValidators: true
-            }
-        ).populate('user', 'firstName lastName email phoneNumber locationData');
+        // Fields with their own workflow, e.g. transport that health workers must approve
+        const managedField = Object.keys(updateData).find(field => MANAGED_APPOINTMENT_FIELDS[field]);
+        if (managedField) {
+            return res.status(400).json({
+                error: "Use the dedicated endpoint",
+                code: "FIELD_MANAGED_ELSEWHERE",
+                message: MANAGED_APPOINTMENT_FIELDS[managedField],
+                field: managedField
+            });
+        }
 
-        if (!updatedAppointment) {
-            return res.status(404).json({
-                error: "Appointment not found",
-                code: "APPOINTMENT_NOT_FOUND",
-                message: "The specified appointment does not exist in KZN healthcare system"
+        // Audit, booking and scheduling fields are never written through this endpoint
+        const unsupportedFields = Object.keys(updateData).filter(field => !EDITABLE_APPOINTMENT_FIELDS.includes(field));
+        if (unsupportedFields.length > 0) {
+            return res.status(400).json({
+                error: "Field cannot be updated",
+                code: "FIELD_NOT_UPDATABLE",
+                message: `Only ${EDITABLE_APPOINTMENT_FIELDS.join(', ')} can be changed here`,
+                fields: unsupportedFields
             });
         }
 
-        // Add status to history if status changed
-        if (updateData.status && updateData.status !== existingAppointment.status) {
-            updatedAppointment.addStatusHistory(updateData.status, req.user.userId, 'Appointment updated');
-            await updatedAppointment.save();
+        // Cancelled, completed and rescheduled appointments keep the details they were closed with
+        if (!ACTIVE_STATUSES.includes(existingAppointment.status)) {
+            return res.status(409).json({
+                error: "Appointment cannot be edited",
+                code: "APPOINTMENT_NOT_EDITABLE",
+                message: `This appointment is ${existingAppointment.status} and can no longer be changed`,
+                status: existingAppointment.status
+            });
         }
 
+        // Saved through the document so the schema's save hooks run
+        EDITABLE_APPOINTMENT_FIELDS
+            .filter(field => updateData[field] !== undefined)
+            .forEach(field => existingAppointment.set(field, updateData[field]));
+        existingAppointment.lastModifiedBy = req.user.userId;
+
+        await existingAppointment.save();
+        const updatedAppointment = await existingAppointment.populate('user', 'firstName lastName email phoneNumber locationData');
+
         console.log("KZN Appointment updated successfully:", id);
 
         return res.status(200).json({
             message: "KZN healthcare appointment updated successfully!",
             appointment: {
                 id: updatedAppointment._id,
-                date: updatedAppointment.date,
-                time: updatedAppointment.time,
+                ...updatedAppointment.getScheduledTime(),
                 reason: updatedAppointment.reason,
                 category: updatedAppointment.category,
                 doctor: updatedAppointment.doctor,
@@ -549,20 +690,21 @@ export const updateAppointment = async (req, res) => {
 };
 
 /**
- * Delete an appointment with KZN district validation
- * @route DELETE /api/appointments/:id
+ * Reschedule an appointment to a new slot
+ * Marks the original appointment as rescheduled and books a linked replacement
+ * @route POST /api/appointments/:id/reschedule
  * @access Private
  */
-export const deleteAppointment = async (req, res) => {
+export const rescheduleAppointment = async (req, res) => {
     try {
         const { id } = req.params;
+        const { date, time, reason } = req.body;
 
-        console.log(`Deleting KZN appointment ${id} for user:`, req.user.userId);
+        console.log(`Rescheduling KZN appointment ${id} for user:`, req.user.userId);
 
-        // Find the appointment first to check ownership
-        const existingAppointment = await Appointment.findById(id);
+        const originalAppointment = await Appointment.findById(id);
 
-        if (!existingAppointment) {
+        if (!originalAppointment) {
             return res.status(404).json({
                 error: "Appointment not found",
                 code: "APPOINTMENT_NOT_FOUND",
@@ -570,181 +712,1966 @@ export const deleteAppointment = async (req, res) => {
             });
         }
 
-        // Check ownership: users can only delete their own appointments unless admin
-        if (!req.user.roles.includes('admin') && existingAppointment.user.toString() !== req.user.userId) {
+        // Check ownership: patients and their guardians only, unless admin
+        if (!req.user.roles.includes('admin') && !(await User.canActFor(req.user.userId, originalAppointment.user))) {
             return res.status(403).json({
                 error: "Access denied",
                 code: "FORBIDDEN",
-                message: "You can only delete your own KZN healthcare appointments"
+                message: "You can only reschedule your own or your dependants' KZN healthcare appointments"
             });
         }
 
-        // Check if appointment can be cancelled
-        if (!existingAppointment.canBeCancelled()) {
+        if (!originalAppointment.canBeRescheduled()) {
             return res.status(400).json({
-                error: "Cannot delete appointment",
-                code: "APPOINTMENT_DELETE_RESTRICTED",
-                message: "This appointment cannot be deleted. Please contact the healthcare facility directly."
+                error: "Cannot reschedule appointment",
+                code: "APPOINTMENT_RESCHEDULE_RESTRICTED",
+                message: "This appointment can no longer be rescheduled. Please contact the healthcare facility directly."
             });
         }
 
-        const deletedAppointment = await Appointment.findByIdAndDelete(id);
+        // Walk-in tickets and emergency arrivals are for today's queue, not a booked slot
+        if (SAME_DAY_BOOKING_TYPES.includes(originalAppointment.bookingType)) {
+            return res.status(400).json({
+                error: "Cannot reschedule appointment",
+                code: "SAME_DAY_BOOKING_NOT_RESCHEDULABLE",
+                message: "Walk-in and emergency visits cannot be rescheduled. Please cancel and book an appointment instead."
+            });
+        }
 
-        if (!deletedAppointment) {
-            return res.status(404).json({
-                error: "Appointment not found",
-                code: "APPOINTMENT_NOT_FOUND",
-                message: "The specified appointment does not exist in KZN healthcare system"
+        // Moving one segment would break the back-to-back timing of the visit
+        if (originalAppointment.bundle) {
+            return res.status(400).json({
+                error: "Cannot reschedule appointment",
+                code: "BUNDLE_SEGMENT_NOT_RESCHEDULABLE",
+                message: "This appointment is part of a multi-segment visit. Please cancel the visit and book it again at a new time."
             });
         }
 
-        console.log("KZN Appointment deleted successfully:", id);
+        const newDate = parseClinicDate(date);
+        if (!isValid(newDate)) {
+            return res.status(400).json({
+                error: "Invalid date format",
+                code: "INVALID_DATE",
+                message: "Please provide a valid date in ISO format"
+            });
+        }
 
-        return res.status(200).json({
-            message: "KZN healthcare appointment deleted successfully!",
-            appointment: {
-                id: deletedAppointment._id,
-                date: deletedAppointment.date,
-                time: deletedAppointment.time,
-                reason: deletedAppointment.reason,
-                doctor: deletedAppointment.doctor,
-                facilityName: deletedAppointment.facilityName
-            }
-        });
+        if (newDate < new Date()) {
+            return res.status(400).json({
+                error: "Invalid appointment date",
+                code: "PAST_DATE",
+                message: "Appointment date cannot be in the past"
+            });
+        }
 
-    } catch (error) {
-        console.error("Error deleting KZN appointment:", error);
-        return res.status(500).json({
-            error: "KZN healthcare service unavailable",
-            code: "KZN_APPOINTMENT_DELETE_ERROR",
-            message: "Failed to delete KZN healthcare appointment. Please try again later."
+        const { doctorId, duration } = originalAppointment;
+        const schedule = await ProviderSchedule.resolveForDoctor(doctorId);
+        const facility = await resolveBookingFacility({
+            facilityId: originalAppointment.facility,
+            schedule,
+            facilityName: originalAppointment.facilityName,
+            district: originalAppointment.district
         });
-    }
-};
-
-/**
- * Get appointments by category with KZN district filtering
- * @route GET /api/appointments/category/:category
- * @access Private
- */
-export const getAppointmentsByCategory = async (req, res) => {
-    try {
-        const { category } = req.params;
-
-        console.log(`Fetching ${category} appointments in KZN for user:`, req.user.userId);
 
-        let query = { category };
-        const user = await User.findById(req.user.userId);
+        // The original booking's own slot does not block the move
+        const slotProblem = await getSlotProblem({
+            userId: originalAppointment.user,
+            doctorId,
+            date: newDate,
+            time,
+            duration,
+            facility,
+            schedule,
+            excludeId: originalAppointment._id
+        });
+        if (slotProblem) {
+            return res.status(409).json(slotProblem);
+        }
 
-        // Regular users can only see their own appointments in the category within their district
-        if (!req.user.roles.includes('admin')) {
-            query.user = req.user.userId;
-            query.district = user.locationData.healthDistrict;
+        // Book the replacement and close the original together, so a failure cannot leave both active
+        let rescheduledAppointment;
+        let newAppointment;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                // A fresh copy, so a retried transaction does not see the previous attempt's changes
+                rescheduledAppointment = await Appointment.findById(id).session(session);
+                newAppointment = await bookReplacement(rescheduledAppointment, {
+                    date: newDate,
+                    time,
+                    facility,
+                    changedBy: req.user.userId,
+                    reason,
+                    session
+                });
+            });
+        } finally {
+            await session.endSession();
         }
 
-        const appointments = await Appointment.find(query)
-            .populate('user', 'firstName lastName email phoneNumber locationData')
-            .sort({ date: 1, time: 1 });
+        await offerSlotToWaitlist(originalAppointment);
 
-        console.log(`Found ${appointments.length} ${category} appointments in KZN`);
+        await newAppointment.populate('user', 'firstName lastName email phoneNumber locationData');
 
-        return res.status(200).json({
-            category,
-            district: user.locationData.healthDistrict,
-            appointments: appointments.map(apt => ({
-                id: apt._id,
-                date: apt.date,
-                time: apt.time,
-                reason: apt.reason,
-                category: apt.category,
-                doctor: apt.doctor,
-                doctorId: apt.doctorId,
-                facilityName: apt.facilityName,
-                facilityType: apt.facilityType,
-                district: apt.district,
-                urgency: apt.urgency,
-                status: apt.status,
-                notes: apt.notes,
+        console.log("KZN Appointment rescheduled successfully:", {
+            originalAppointmentId: originalAppointment._id,
+            newAppointmentId: newAppointment._id
+        });
+
+        return res.status(201).json({
+            message: "KZN healthcare appointment rescheduled successfully!",
+            originalAppointment: {
+                id: rescheduledAppointment._id,
+                ...rescheduledAppointment.getScheduledTime(),
+                status: rescheduledAppointment.status,
+                rescheduledTo: rescheduledAppointment.rescheduledTo
+            },
+            appointment: {
+                id: newAppointment._id,
+                ...newAppointment.getScheduledTime(),
+                duration: newAppointment.duration,
+                reason: newAppointment.reason,
+                category: newAppointment.category,
+                doctor: newAppointment.doctor,
+                doctorId: newAppointment.doctorId,
+                facilityId: newAppointment.facility,
+                facilityName: newAppointment.facilityName,
+                facilityType: newAppointment.facilityType,
+                district: newAppointment.district,
+                urgency: newAppointment.urgency,
+                status: newAppointment.status,
+                notes: newAppointment.notes,
+                rescheduledFrom: newAppointment.rescheduledFrom,
+                rescheduleCount: newAppointment.rescheduleCount,
                 user: {
-                    id: apt.user._id,
-                    name: `${apt.user.firstName} ${apt.user.lastName}`,
-                    email: apt.user.email,
-                    district: apt.user.locationData.healthDistrict
+                    id: newAppointment.user._id,
+                    name: `${newAppointment.user.firstName} ${newAppointment.user.lastName}`,
+                    email: newAppointment.user.email,
+                    district: newAppointment.user.locationData.healthDistrict
                 },
-                createdAt: apt.createdAt,
-                updatedAt: apt.updatedAt
-            }))
+                createdAt: newAppointment.createdAt
+            }
         });
 
     } catch (error) {
-        console.error("Error fetching KZN appointments by category:", error);
+        console.error("Error rescheduling KZN appointment:", error);
+
+        // The appointment changed status while it was being moved
+        if (error.code === 'INVALID_STATUS_TRANSITION') {
+            return res.status(409).json({
+                error: "Cannot reschedule appointment",
+                code: error.code,
+                message: "This appointment changed while it was being rescheduled. Please check its status and try again."
+            });
+        }
+
+        if (isTransactionUnsupported(error)) {
+            return res.status(503).json({
+                error: "Rescheduling unavailable",
+                code: "TRANSACTIONS_UNAVAILABLE",
+                message: "Rescheduling needs MongoDB transactions, which this deployment does not support. Please cancel and book a new appointment instead."
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "APPOINTMENT_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
         return res.status(500).json({
             error: "KZN healthcare service unavailable",
-            code: "KZN_CATEGORY_FETCH_ERROR",
-            message: "Failed to retrieve KZN healthcare appointments by category. Please try again later."
+            code: "KZN_APPOINTMENT_RESCHEDULE_ERROR",
+            message: "Failed to reschedule KZN healthcare appointment. Please try again later."
         });
     }
 };
 
 /**
- * Get appointment availability with KZN district constraints
- * @route GET /api/appointments/availability
+ * Cancel an appointment, keeping the record and its status history
+ * @route POST /api/appointments/:id/cancel
  * @access Private
  */
-export const getAvailability = async (req, res) => {
+export const cancelAppointment = async (req, res) => {
     try {
-        const { district } = req.query;
-        const user = await User.findById(req.user.userId);
+        const { id } = req.params;
+        const { reason, notes } = req.body;
 
-        // Use requested district or user's district
-        const targetDistrict = district || user.locationData.healthDistrict;
+        console.log(`Cancelling KZN appointment ${id} for user:`, req.user.userId);
 
-        if (!KZN_DISTRICTS[targetDistrict]) {
-            return res.status(400).json({
-                error: "Invalid KZN district",
-                code: "INVALID_DISTRICT",
-                message: "Please provide a valid KZN health district"
+        const appointment = await Appointment.findById(id);
+
+        if (!appointment) {
+            return res.status(404).json({
+                error: "Appointment not found",
+                code: "APPOINTMENT_NOT_FOUND",
+                message: "The specified appointment does not exist in KZN healthcare system"
             });
         }
 
-        // Generate available dates for next 30 days with district-specific logic
-        const availableDates = [];
-        const today = new Date();
+        const isAdmin = req.user.roles.includes('admin');
+        const actingRole = await User.getActingRole(req.user.userId, appointment.user);
+        const isOwner = Boolean(actingRole);
 
-        for (let i = 1; i <= 30; i++) {
-            const date = new Date(today);
-            date.setDate(today.getDate() + i);
+        // Check ownership: patients, their guardians and assisting health workers only, unless admin
+        if (!isAdmin && !isOwner) {
+            return res.status(403).json({
+                error: "Access denied",
+                code: "FORBIDDEN",
+                message: "You can only cancel your own, your dependants' or your assisted patients' KZN healthcare appointments"
+            });
+        }
 
-            // District-specific availability rules
-            const isAvailable = isDateAvailableForDistrict(date, targetDistrict);
+        // Patients and those acting for them are bound by the facility cancellation window; admins may cancel any active booking
+        const canCancel = isOwner
+            ? appointment.canBeCancelled()
+            : appointment.canTransitionTo('cancelled');
 
-            if (isAvailable) {
-                availableDates.push(date.toISOString().split('T')[0]);
-            }
+        if (!canCancel) {
+            return res.status(400).json({
+                error: "Cannot cancel appointment",
+                code: "APPOINTMENT_CANCEL_RESTRICTED",
+                message: "This appointment cannot be cancelled. Please contact the healthcare facility directly."
+            });
         }
 
-        // Get district information
-        const districtInfo = KZN_DISTRICTS[targetDistrict];
+        appointment.cancel({
+            cancelledBy: req.user.userId,
+            cancelledByRole: actingRole || 'admin',
+            reason,
+            notes
+        });
 
-        res.status(200).json({
-            district: targetDistrict,
-            districtType: districtInfo.type,
-            availableDates,
-            message: `Available dates for ${targetDistrict} district retrieved successfully`
+        // Cancelled appointments no longer count towards provider conflicts, freeing the slot
+        await appointment.save();
+
+        await offerSlotToWaitlist(appointment);
+
+        console.log("KZN Appointment cancelled successfully:", { id, reason });
+
+        return res.status(200).json({
+            message: "KZN healthcare appointment cancelled successfully!",
+            appointment: {
+                id: appointment._id,
+                ...appointment.getScheduledTime(),
+                reason: appointment.reason,
+                doctor: appointment.doctor,
+                facilityName: appointment.facilityName,
+                status: appointment.status,
+                cancellation: appointment.cancellation
+            }
         });
 
     } catch (error) {
-        console.error("Error fetching KZN availability:", error);
+        console.error("Error cancelling KZN appointment:", error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "APPOINTMENT_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
         return res.status(500).json({
-            error: "KZN availability service unavailable",
-            code: "KZN_AVAILABILITY_ERROR",
-            message: "Failed to retrieve KZN healthcare availability. Please try again later."
+            error: "KZN healthcare service unavailable",
+            code: "KZN_APPOINTMENT_CANCEL_ERROR",
+            message: "Failed to cancel KZN healthcare appointment. Please try again later."
         });
     }
 };
 
 /**
- * Get appointments by district (Admin only)
+ * Permanently purge an appointment record once its retention period has passed (Admin only)
+ * @route DELETE /api/appointments/:id
+ * @access Private/Admin
+ */
+export const purgeAppointment = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!req.user.roles.includes('admin')) {
+            return res.status(403).json({
+                error: "Access denied",
+                code: "ADMIN_ACCESS_REQUIRED",
+                message: "Only administrators can purge KZN healthcare appointment records"
+            });
+        }
+
+        const appointment = await Appointment.findById(id);
+
+        if (!appointment) {
+            return res.status(404).json({
+                error: "Appointment not found",
+                code: "APPOINTMENT_NOT_FOUND",
+                message: "The specified appointment does not exist in KZN healthcare system"
+            });
+        }
+
+        const retainUntil = appointment.getRetentionExpiry();
+        if (retainUntil > new Date()) {
+            return res.status(409).json({
+                error: "Retention period active",
+                code: "RETENTION_PERIOD_ACTIVE",
+                message: `Appointment records must be kept for ${RECORD_RETENTION_YEARS} years and cannot be purged before ${toClinicDateString(retainUntil)}`,
+                retainUntil
+            });
+        }
+
+        await Appointment.deleteOne({ _id: appointment._id });
+
+        console.log("KZN Appointment record purged:", {
+            appointmentId: appointment._id,
+            appointmentDate: appointment.date,
+            status: appointment.status,
+            purgedBy: req.user.userId
+        });
+
+        return res.status(200).json({
+            message: "KZN healthcare appointment record purged successfully",
+            appointment: {
+                id: appointment._id,
+                date: toClinicDateString(appointment.date),
+                status: appointment.status,
+                retainUntil
+            }
+        });
+
+    } catch (error) {
+        console.error("Error purging KZN appointment:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "KZN_APPOINTMENT_PURGE_ERROR",
+            message: "Failed to purge KZN healthcare appointment record. Please try again later."
+        });
+    }
+};
+
+/**
+ * Check whether a provider account works at the appointment's facility or with its doctor
+ * @param {string} userId - Provider user id
+ * @param {Object} appointment - Appointment document
+ * @returns {Promise<boolean>} True if the provider is linked to the facility or doctor
+ */
+const isAppointmentProvider = async (userId, appointment) => {
+    const account = await User.findById(userId).select('providerProfile');
+    const { facility, doctorId } = account?.providerProfile || {};
+
+    return Boolean(
+        (facility && appointment.facility && facility.equals(appointment.facility)) ||
+        (doctorId && doctorId === appointment.doctorId)
+    );
+};
+
+/**
+ * Apply a provider-driven status transition to an appointment
+ * Providers may only change appointments with their own doctor profile or at their facility.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - Transition details
+ * @param {string} options.status - Target status
+ * @param {string} options.action - Action wording used in messages (e.g. "checked in")
+ * @param {Function} options.checkTiming - Returns an error message if the appointment time does not allow the transition
+ */
+const applyStatusTransition = async (req, res, { status, action, checkTiming = null }) => {
+    try {
+        const { id } = req.params;
+        const { notes } = req.body;
+
+        const appointment = await Appointment.findById(id);
+
+        if (!appointment) {
+            return res.status(404).json({
+                error: "Appointment not found",
+                code: "APPOINTMENT_NOT_FOUND",
+                message: "The specified appointment does not exist in KZN healthcare system"
+            });
+        }
+
+        if (!req.user.roles.includes('admin') && !(await isAppointmentProvider(req.user.userId, appointment))) {
+            return res.status(403).json({
+                error: "Access denied",
+                code: "FORBIDDEN",
+                message: "You can only update appointments with your own patients or at your facility"
+            });
+        }
+
+        if (!appointment.canTransitionTo(status)) {
+            return res.status(409).json({
+                error: "Invalid status transition",
+                code: "INVALID_STATUS_TRANSITION",
+                message: `A ${appointment.status} appointment cannot be ${action}`,
+                currentStatus: appointment.status
+            });
+        }
+
+        const timingError = checkTiming ? checkTiming(appointment) : null;
+        if (timingError) {
+            return res.status(400).json({
+                error: "Transition not yet allowed",
+                code: "TRANSITION_TOO_EARLY",
+                message: timingError
+            });
+        }
+
+        appointment.transitionTo(status, req.user.userId, notes || `Appointment ${action}`);
+        await appointment.save();
+
+        console.log(`KZN Appointment ${action}:`, id);
+
+        return res.status(200).json({
+            message: `KZN healthcare appointment ${action} successfully!`,
+            appointment: {
+                id: appointment._id,
+                ...appointment.getScheduledTime(),
+                doctor: appointment.doctor,
+                facilityName: appointment.facilityName,
+                status: appointment.status,
+                isConfirmed: appointment.isConfirmed,
+                statusHistory: appointment.statusHistory
+            }
+        });
+
+    } catch (error) {
+        console.error(`Error updating KZN appointment status to ${status}:`, error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "KZN_APPOINTMENT_STATUS_ERROR",
+            message: "Failed to update KZN healthcare appointment status. Please try again later."
+        });
+    }
+};
+
+/**
+ * Confirm a pending appointment
+ * @route POST /api/appointments/:id/confirm
+ * @access Private/Provider/Admin
+ */
+export const confirmAppointment = (req, res) => applyStatusTransition(req, res, {
+    status: 'confirmed',
+    action: 'confirmed'
+});
+
+/**
+ * Check a patient in on arrival at the facility
+ * @route POST /api/appointments/:id/check-in
+ * @access Private/Provider/Admin
+ */
+export const checkInAppointment = (req, res) => applyStatusTransition(req, res, {
+    status: 'checked-in',
+    action: 'checked in',
+    checkTiming: (appointment) => appointment.isToday
+        ? null
+        : 'Patients can only be checked in on the day of their appointment'
+});
+
+/**
+ * Mark an appointment as completed once the patient has been seen
+ * @route POST /api/appointments/:id/complete
+ * @access Private/Provider/Admin
+ */
+export const completeAppointment = (req, res) => applyStatusTransition(req, res, {
+    status: 'completed',
+    action: 'completed',
+    checkTiming: (appointment) => (appointment.isToday || appointment.isPast)
+        ? null
+        : 'An appointment cannot be completed before the day it is scheduled'
+});
+
+/**
+ * Mark an appointment as a no-show after its start time has passed
+ * @route POST /api/appointments/:id/no-show
+ * @access Private/Provider/Admin
+ */
+export const markNoShow = (req, res) => applyStatusTransition(req, res, {
+    status: 'no-show',
+    action: 'marked as a no-show',
+    checkTiming: (appointment) => appointment.isPast
+        ? null
+        : 'An appointment can only be marked as a no-show after its start time'
+});
+
+// ==================== PRE-VISIT INTAKE ====================
+
+/**
+ * Check questionnaire answers for a medical category
+ * @param {string} category - Appointment category
+ * @param {Object} answers - Answers keyed by question id
+ * @returns {Object} { questionnaire, result } or { error } with status and response body
+ */
+const checkIntakeAnswers = (category, answers) => {
+    const questionnaire = getQuestionnaire(category);
+    if (!questionnaire) {
+        return {
+            error: {
+                status: 404,
+                body: {
+                    error: "Questionnaire not found",
+                    code: "QUESTIONNAIRE_NOT_FOUND",
+                    message: `There is no pre-visit questionnaire for ${category}`
+                }
+            }
+        };
+    }
+
+    const result = validateIntakeAnswers(questionnaire, answers);
+    if (result.errors.length > 0) {
+        return {
+            error: {
+                status: 400,
+                body: {
+                    error: "Validation failed",
+                    code: "INTAKE_VALIDATION_ERROR",
+                    message: "Some questionnaire answers are missing or invalid",
+                    details: result.errors
+                }
+            }
+        };
+    }
+
+    return { questionnaire, result };
+};
+
+/**
+ * Find an appointment whose intake answers the requesting user may see
+ * Patients see their own; providers see those booked with the doctor their account is linked to.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { appointment } or { error } with status and response body
+ */
+const findAppointmentForIntake = async (req) => {
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+        return {
+            error: {
+                status: 404,
+                body: {
+                    error: "Appointment not found",
+                    code: "APPOINTMENT_NOT_FOUND",
+                    message: "The specified appointment does not exist in KZN healthcare system"
+                }
+            }
+        };
+    }
+
+    const isOwner = await User.canActFor(req.user.userId, appointment.user);
+    let isTreatingProvider = false;
+    if (!isOwner && req.user.roles.includes('provider')) {
+        const account = await User.findById(req.user.userId).select('providerProfile');
+        isTreatingProvider = Boolean(appointment.doctorId) && account?.providerProfile?.doctorId === appointment.doctorId;
+    }
+
+    if (!isOwner && !isTreatingProvider && !req.user.roles.includes('admin')) {
+        return {
+            error: {
+                status: 403,
+                body: {
+                    error: "Access denied",
+                    code: "FORBIDDEN",
+                    message: "You can only view questionnaires for your own KZN healthcare appointments"
+                }
+            }
+        };
+    }
+
+    return { appointment, isOwner };
+};
+
+/**
+ * Get pre-visit questionnaires, for one category or all of them
+ * @route GET /api/appointments/questionnaires
+ * @access Private
+ */
+export const getIntakeQuestionnaires = (req, res) => {
+    const { category } = req.query;
+
+    if (category) {
+        const questionnaire = getQuestionnaire(category);
+        if (!questionnaire) {
+            return res.status(404).json({
+                error: "Questionnaire not found",
+                code: "QUESTIONNAIRE_NOT_FOUND",
+                message: `There is no pre-visit questionnaire for ${category}`
+            });
+        }
+        return res.status(200).json({ questionnaire });
+    }
+
+    return res.status(200).json({
+        questionnaires: Object.keys(INTAKE_QUESTIONNAIRES).map(getQuestionnaire)
+    });
+};
+
+/**
+ * Get the questionnaire for an appointment with any answers already given
+ * @route GET /api/appointments/:id/intake
+ * @access Private (appointment owner, treating provider, admin)
+ */
+export const getAppointmentIntake = async (req, res) => {
+    try {
+        const { appointment, error } = await findAppointmentForIntake(req);
+        if (error) return res.status(error.status).json(error.body);
+
+        return res.status(200).json({
+            appointmentId: appointment._id,
+            category: appointment.category,
+            questionnaire: getQuestionnaire(appointment.category),
+            intake: formatIntake(appointment.intake)
+        });
+
+    } catch (error) {
+        console.error("Error fetching appointment intake:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "INTAKE_FETCH_ERROR",
+            message: "Failed to retrieve the questionnaire. Please try again later."
+        });
+    }
+};
+
+/**
+ * Answer the pre-visit questionnaire for an appointment, replacing any earlier answers
+ * @route PUT /api/appointments/:id/intake
+ * @access Private (appointment owner, admin)
+ */
+export const submitAppointmentIntake = async (req, res) => {
+    try {
+        const { appointment, isOwner, error } = await findAppointmentForIntake(req);
+        if (error) return res.status(error.status).json(error.body);
+
+        if (!isOwner && !req.user.roles.includes('admin')) {
+            return res.status(403).json({
+                error: "Access denied",
+                code: "FORBIDDEN",
+                message: "Only the patient or their guardian can answer the pre-visit questionnaire"
+            });
+        }
+
+        if (!ACTIVE_STATUSES.includes(appointment.status)) {
+            return res.status(409).json({
+                error: "Appointment not active",
+                code: "APPOINTMENT_NOT_ACTIVE",
+                message: `The questionnaire cannot be answered for a ${appointment.status} appointment`
+            });
+        }
+
+        const { questionnaire, result, error: intakeError } = checkIntakeAnswers(appointment.category, req.body.answers);
+        if (intakeError) return res.status(intakeError.status).json(intakeError.body);
+
+        appointment.recordIntake(questionnaire, result, req.user.userId);
+        appointment.lastModifiedBy = req.user.userId;
+        await appointment.save();
+
+        console.log("Pre-visit questionnaire answered:", {
+            appointmentId: appointment._id,
+            questionnaire: questionnaire.id,
+            flags: result.flags.length
+        });
+
+        return res.status(200).json({
+            message: "Thank you. Your answers have been shared with your healthcare provider.",
+            intake: formatIntake(appointment.intake)
+        });
+
+    } catch (error) {
+        console.error("Error saving appointment intake:", error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "INTAKE_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "INTAKE_SAVE_ERROR",
+            message: "Failed to save your answers. Please try again later."
+        });
+    }
+};
+
+// ==================== RECURRING SERIES ====================
+
+/**
+ * Format a series occurrence for API responses
+ * @param {Object} appointment - Appointment document
+ * @returns {Object} Response-safe occurrence
+ */
+const formatOccurrence = (appointment) => ({
+    id: appointment._id,
+    occurrence: appointment.seriesOccurrence,
+    ...appointment.getScheduledTime(),
+    duration: appointment.duration,
+    status: appointment.status,
+    interpreter: appointment.interpreter?.status || null,
+    rescheduledFrom: appointment.rescheduledFrom,
+    rescheduledTo: appointment.rescheduledTo
+});
+
+/**
+ * Format a series for API responses
+ * @param {Object} series - Appointment series document
+ * @param {Array} occurrences - Appointments in the series
+ * @returns {Object} Response-safe series
+ */
+const formatSeries = (series, occurrences) => ({
+    id: series._id,
+    purpose: series.purpose,
+    doctor: series.doctor,
+    doctorId: series.doctorId,
+    facilityId: series.facility,
+    facilityName: series.facilityName,
+    district: series.district,
+    category: series.category,
+    startDate: toClinicDateString(series.startDate),
+    time: series.time,
+    timeZone: CLINIC_TIME_ZONE,
+    recurrence: series.recurrence,
+    status: series.status,
+    occurrences: occurrences.map(formatOccurrence)
+});
+
+/**
+ * Find a series the requesting user may manage
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Series, or null once an error response has been sent
+ */
+const findSeriesForUser = async (req, res) => {
+    const series = await AppointmentSeries.findById(req.params.seriesId);
+
+    if (!series) {
+        res.status(404).json({
+            error: "Appointment series not found",
+            code: "SERIES_NOT_FOUND",
+            message: "The specified appointment series does not exist in KZN healthcare system"
+        });
+        return null;
+    }
+
+    // Patients, their guardians and assisting health workers only, unless admin
+    if (!req.user.roles.includes('admin') && !(await User.canActFor(req.user.userId, series.user))) {
+        res.status(403).json({
+            error: "Access denied",
+            code: "FORBIDDEN",
+            message: "You can only manage your own, your dependants' or your assisted patients' KZN healthcare appointment series"
+        });
+        return null;
+    }
+
+    return series;
+};
+
+/**
+ * Get the active, upcoming occurrences of a series from a given occurrence onwards
+ * @param {Object} series - Appointment series document
+ * @param {string} fromAppointmentId - First occurrence to include (defaults to the next upcoming one)
+ * @returns {Promise<Array|null>} Occurrences in order, or null if the starting appointment is not in the series
+ */
+const getRemainingOccurrences = async (series, fromAppointmentId) => {
+    const query = {
+        series: series._id,
+        status: { $in: ACTIVE_STATUSES },
+        date: { $gte: startOfClinicDay() }
+    };
+
+    if (fromAppointmentId) {
+        const fromAppointment = await Appointment.findOne({ _id: fromAppointmentId, series: series._id });
+        if (!fromAppointment) return null;
+        query.seriesOccurrence = { $gte: fromAppointment.seriesOccurrence };
+    }
+
+    return Appointment.find(query).sort({ seriesOccurrence: 1 });
+};
+
+/**
+ * Book a recurring appointment series for chronic care follow-ups
+ * Every occurrence is checked first, then the series and all of its occurrences are booked in one
+ * transaction so the series is booked in full or not at all.
+ * @route POST /api/appointments/series
+ * @access Private
+ */
+export const createAppointmentSeries = async (req, res) => {
+    try {
+        const {
+            patientId, startDate, time, recurrence, purpose, reason, category, doctor, doctorId, notes, urgency,
+            district, facilityId, facilityType, facilityName, providerAddress, providerContact
+        } = req.body;
+
+        // Guardians and health workers book for patients; the booking account is kept in createdBy
+        const { patient: user, isSelf, error: patientError } = await resolvePatient(req, patientId);
+        if (patientError) {
+            return res.status(patientError.status).json(patientError.body);
+        }
+
+        if (!user.isProfileComplete) {
+            return res.status(400).json({
+                error: "Profile incomplete",
+                code: "PROFILE_INCOMPLETE",
+                message: isSelf
+                    ? "Please complete your KZN healthcare profile before booking an appointment"
+                    : `Please complete ${user.firstName}'s healthcare profile before booking an appointment`
+            });
+        }
+
+        if (!user.canAccessDistrict(district)) {
+            return res.status(403).json({
+                error: "District access denied",
+                code: "DISTRICT_ACCESS_DENIED",
+                message: isSelf
+                    ? "You can only book appointments in your registered KZN health district"
+                    : `Appointments for ${user.firstName} can only be booked in their registered KZN health district`
+            });
+        }
+
+        if (!user.hasChronicCare) {
+            return res.status(403).json({
+                error: "Recurring appointments unavailable",
+                code: "SERIES_NOT_ELIGIBLE",
+                message: "Recurring appointments are for patients with active chronic medication or conditions. Please update your medical profile or book a single appointment."
+            });
+        }
+
+        const firstDate = parseClinicDate(startDate);
+        if (!isValid(firstDate) || firstDate < startOfClinicDay()) {
+            return res.status(400).json({
+                error: "Invalid appointment date",
+                code: "INVALID_DATE",
+                message: "Please provide a valid start date that is not in the past"
+            });
+        }
+
+        if (!KZN_DISTRICTS[district]) {
+            return res.status(400).json({
+                error: "Invalid KZN district",
+                code: "INVALID_DISTRICT",
+                message: "Please select a valid KZN health district"
+            });
+        }
+
+        const schedule = await ProviderSchedule.resolveForDoctor(doctorId);
+        const duration = schedule.getSlotDuration(category);
+
+        const booking = await resolveBookingDoctor({ doctorId, facilityId, facilityName, schedule });
+        if (booking.error) {
+            return res.status(booking.error.status).json(booking.error.body);
+        }
+
+        const facility = await resolveBookingFacility({ facilityId: booking.affiliation.facility, schedule, facilityName, district });
+        if (!facility) {
+            return res.status(404).json({
+                error: "Facility not found",
+                code: "FACILITY_NOT_FOUND",
+                message: "The selected healthcare facility does not exist"
+            });
+        }
+
+        const series = new AppointmentSeries({
+            user: user._id,
+            purpose,
+            doctor: booking.doctor.name,
+            doctorId,
+            facility: facility._id,
+            facilityName: facility.name,
+            district,
+            category,
+            startDate: firstDate,
+            time,
+            recurrence,
+            createdBy: req.user.userId
+        });
+        await series.validate();
+
+        if (!series.isWithinBookingHorizon()) {
+            return res.status(400).json({
+                error: "Series too long",
+                code: "SERIES_TOO_LONG",
+                message: `The last occurrence must fall within ${MAX_SERIES_SPAN_MONTHS} months. Reduce the number of occurrences or the interval.`
+            });
+        }
+
+        // Check every occurrence before booking any of them
+        const occurrenceDates = series.getOccurrenceDates();
+        const conflicts = [];
+
+        for (const [index, occurrenceDate] of occurrenceDates.entries()) {
+            const problem = await getSlotProblem({
+                userId: user._id,
+                doctorId,
+                date: occurrenceDate,
+                time,
+                duration,
+                facility,
+                schedule
+            });
+            if (problem) {
+                conflicts.push({
+                    occurrence: index + 1,
+                    date: toClinicDateString(occurrenceDate),
+                    time,
+                    code: problem.code,
+                    message: problem.message
+                });
+            }
+        }
+
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                error: "Series conflict",
+                code: "SERIES_CONFLICT",
+                message: `${conflicts.length} of ${occurrenceDates.length} occurrences cannot be booked. Choose another time or start date.`,
+                conflicts
+            });
+        }
+
+        let bookedSeries;
+        let occurrences;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                // A fresh copy of the checked series, so a retried transaction inserts it again
+                bookedSeries = new AppointmentSeries(series.toObject());
+                await bookedSeries.save({ session });
+
+                occurrences = [];
+                for (const [index, occurrenceDate] of occurrenceDates.entries()) {
+                    const appointment = new Appointment({
+                        user: user._id,
+                        district,
+                        subLocation: user.locationData.subLocation,
+                        date: occurrenceDate,
+                        time,
+                        duration,
+                        reason,
+                        category,
+                        doctor: booking.doctor.name,
+                        doctorId,
+                        facility: facility._id,
+                        facilityName: facility.name,
+                        facilityType: facility.facilityType,
+                        providerAddress,
+                        providerContact,
+                        urgency,
+                        notes: notes || '',
+                        status: 'pending',
+                        languagePreference: user.preferredLanguage,
+                        series: bookedSeries._id,
+                        seriesOccurrence: index + 1,
+                        createdBy: req.user.userId,
+                        lastModifiedBy: req.user.userId
+                    });
+                    await appointment.arrangeInterpreter(booking.doctor, facility, session);
+                    appointment.addStatusHistory(
+                        'pending',
+                        req.user.userId,
+                        `Recurring ${purpose} appointment ${index + 1} of ${occurrenceDates.length}`
+                    );
+
+                    occurrences.push(await appointment.save({ session }));
+                }
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        console.log("KZN appointment series created successfully:", {
+            seriesId: bookedSeries._id,
+            occurrences: occurrences.length,
+            doctorId
+        });
+
+        return res.status(201).json({
+            message: `Recurring appointment series booked successfully: ${occurrences.length} appointments`,
+            series: formatSeries(bookedSeries, occurrences)
+        });
+
+    } catch (error) {
+        console.error("KZN appointment series booking error:", error);
+
+        if (isTransactionUnsupported(error)) {
+            return res.status(503).json({
+                error: "Series booking unavailable",
+                code: "TRANSACTIONS_UNAVAILABLE",
+                message: "Recurring bookings need MongoDB transactions, which this deployment does not support. Please book each appointment separately."
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "SERIES_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "KZN_SERIES_BOOKING_ERROR",
+            message: "Failed to book appointment series. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get a recurring series with all of its occurrences
+ * @route GET /api/appointments/series/:seriesId
+ * @access Private
+ */
+export const getAppointmentSeries = async (req, res) => {
+    try {
+        const series = await findSeriesForUser(req, res);
+        if (!series) return;
+
+        const occurrences = await Appointment.find({ series: series._id }).sort({ seriesOccurrence: 1, createdAt: 1 });
+
+        return res.status(200).json({
+            series: formatSeries(series, occurrences)
+        });
+
+    } catch (error) {
+        console.error("Error fetching KZN appointment series:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "KZN_SERIES_FETCH_ERROR",
+            message: "Failed to retrieve appointment series. Please try again later."
+        });
+    }
+};
+
+/**
+ * Edit the rest of a series from a given occurrence onwards
+ * A new time reschedules each remaining occurrence (all or none); reason and notes are updated in place.
+ * Single occurrences are edited with the normal reschedule and cancel endpoints.
+ * @route PUT /api/appointments/series/:seriesId
+ * @access Private
+ */
+export const updateAppointmentSeries = async (req, res) => {
+    try {
+        const { fromAppointmentId, time, reason, notes } = req.body;
+
+        const series = await findSeriesForUser(req, res);
+        if (!series) return;
+
+        const occurrences = await getRemainingOccurrences(series, fromAppointmentId);
+        if (!occurrences) {
+            return res.status(400).json({
+                error: "Invalid series occurrence",
+                code: "INVALID_SERIES_OCCURRENCE",
+                message: "The starting appointment does not belong to this series"
+            });
+        }
+
+        const isAdmin = req.user.roles.includes('admin');
+        const timeChanged = time && time !== series.time;
+
+        // Patients are bound by the facility cancellation window for each occurrence they move
+        const skipped = [];
+        const editable = occurrences.filter(appointment => {
+            if (!timeChanged || isAdmin || appointment.canBeRescheduled()) return true;
+            skipped.push({
+                occurrence: appointment.seriesOccurrence,
+                id: appointment._id,
+                code: "APPOINTMENT_RESCHEDULE_RESTRICTED"
+            });
+            return false;
+        });
+
+        if (editable.length === 0) {
+            return res.status(400).json({
+                error: "Nothing to update",
+                code: "SERIES_NOTHING_TO_UPDATE",
+                message: "There are no upcoming occurrences in this series that can be changed",
+                skipped
+            });
+        }
+
+        let updated = editable;
+
+        if (timeChanged) {
+            const schedule = await ProviderSchedule.resolveForDoctor(series.doctorId);
+            const facility = await resolveBookingFacility({
+                facilityId: series.facility,
+                schedule,
+                facilityName: series.facilityName,
+                district: series.district
+            });
+
+            const conflicts = [];
+            for (const appointment of editable) {
+                const problem = await getSlotProblem({
+                    userId: appointment.user,
+                    doctorId: appointment.doctorId,
+                    date: appointment.date,
+                    time,
+                    duration: appointment.duration,
+                    facility,
+                    schedule,
+                    excludeId: appointment._id
+                });
+                if (problem) {
+                    conflicts.push({
+                        occurrence: appointment.seriesOccurrence,
+                        date: toClinicDateString(appointment.date),
+                        time,
+                        code: problem.code,
+                        message: problem.message
+                    });
+                }
+            }
+
+            if (conflicts.length > 0) {
+                return res.status(409).json({
+                    error: "Series conflict",
+                    code: "SERIES_CONFLICT",
+                    message: `${conflicts.length} of ${editable.length} occurrences cannot be moved to ${time}. No occurrences were changed.`,
+                    conflicts
+                });
+            }
+
+            // Move every occurrence or none of them
+            const session = await mongoose.startSession();
+            try {
+                await session.withTransaction(async () => {
+                    updated = [];
+                    for (const { _id } of editable) {
+                        // Fresh copies, so a retried transaction does not see the previous attempt's changes
+                        const appointment = await Appointment.findById(_id).session(session);
+                        updated.push(await bookReplacement(appointment, {
+                            date: appointment.date,
+                            time,
+                            facility,
+                            changedBy: req.user.userId,
+                            reason: 'Series time changed',
+                            session
+                        }));
+                    }
+                });
+            } finally {
+                await session.endSession();
+            }
+
+            for (const appointment of editable) {
+                await offerSlotToWaitlist(appointment);
+            }
+
+            if (!fromAppointmentId) series.time = time;
+        }
+
+        if (reason !== undefined || notes !== undefined) {
+            for (const appointment of updated) {
+                if (reason !== undefined) appointment.reason = reason;
+                if (notes !== undefined) appointment.notes = notes;
+                appointment.lastModifiedBy = req.user.userId;
+                await appointment.save();
+            }
+        }
+
+        series.lastModifiedBy = req.user.userId;
+        await series.save();
+
+        console.log("KZN appointment series updated:", { seriesId: series._id, updated: updated.length });
+
+        return res.status(200).json({
+            message: `${updated.length} upcoming appointments in the series updated successfully`,
+            updated: updated.map(formatOccurrence),
+            skipped
+        });
+
+    } catch (error) {
+        console.error("Error updating KZN appointment series:", error);
+
+        if (isTransactionUnsupported(error)) {
+            return res.status(503).json({
+                error: "Series time change unavailable",
+                code: "TRANSACTIONS_UNAVAILABLE",
+                message: "Moving a whole series needs MongoDB transactions, which this deployment does not support. Please reschedule each appointment separately."
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "SERIES_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "KZN_SERIES_UPDATE_ERROR",
+            message: "Failed to update appointment series. Please try again later."
+        });
+    }
+};
+
+/**
+ * Cancel the rest of a series from a given occurrence onwards
+ * Without a starting occurrence every upcoming occurrence is cancelled and the series is closed.
+ * @route POST /api/appointments/series/:seriesId/cancel
+ * @access Private
+ */
+export const cancelAppointmentSeries = async (req, res) => {
+    try {
+        const { fromAppointmentId, reason, notes } = req.body;
+
+        const series = await findSeriesForUser(req, res);
+        if (!series) return;
+
+        const occurrences = await getRemainingOccurrences(series, fromAppointmentId);
+        if (!occurrences) {
+            return res.status(400).json({
+                error: "Invalid series occurrence",
+                code: "INVALID_SERIES_OCCURRENCE",
+                message: "The starting appointment does not belong to this series"
+            });
+        }
+
+        const actingRole = await User.getActingRole(req.user.userId, series.user);
+        const isOwner = Boolean(actingRole);
+        const cancelled = [];
+        const skipped = [];
+
+        for (const appointment of occurrences) {
+            const canCancel = isOwner
+                ? appointment.canBeCancelled()
+                : appointment.canTransitionTo('cancelled');
+
+            if (!canCancel) {
+                skipped.push({
+                    occurrence: appointment.seriesOccurrence,
+                    id: appointment._id,
+                    code: "APPOINTMENT_CANCEL_RESTRICTED"
+                });
+                continue;
+            }
+
+            appointment.cancel({
+                cancelledBy: req.user.userId,
+                cancelledByRole: actingRole || 'admin',
+                reason,
+                notes
+            });
+            await appointment.save();
+            await offerSlotToWaitlist(appointment);
+            cancelled.push(appointment);
+        }
+
+        if (!fromAppointmentId && skipped.length === 0) {
+            series.status = 'cancelled';
+        }
+        series.lastModifiedBy = req.user.userId;
+        await series.save();
+
+        console.log("KZN appointment series cancelled:", { seriesId: series._id, cancelled: cancelled.length });
+
+        return res.status(200).json({
+            message: `${cancelled.length} upcoming appointments in the series cancelled successfully`,
+            seriesStatus: series.status,
+            cancelled: cancelled.map(formatOccurrence),
+            skipped
+        });
+
+    } catch (error) {
+        console.error("Error cancelling KZN appointment series:", error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "SERIES_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "KZN_SERIES_CANCEL_ERROR",
+            message: "Failed to cancel appointment series. Please try again later."
+        });
+    }
+};
+
+// ==================== MULTI-SEGMENT BUNDLES ====================
+
+/**
+ * Format a bundle for API responses
+ * @param {Object} bundle - Appointment bundle document
+ * @param {Array} segments - Appointments in the bundle
+ * @returns {Object} Response-safe bundle
+ */
+const formatBundle = (bundle, segments) => ({
+    id: bundle._id,
+    facilityId: bundle.facility,
+    facilityName: bundle.facilityName,
+    district: bundle.district,
+    date: toClinicDateString(bundle.date),
+    timeZone: CLINIC_TIME_ZONE,
+    startTime: bundle.startTime,
+    endTime: bundle.endTime,
+    status: bundle.status,
+    segments: segments.map(appointment => ({
+        id: appointment._id,
+        segment: appointment.bundleSegment,
+        doctor: appointment.doctor,
+        doctorId: appointment.doctorId,
+        category: appointment.category,
+        ...appointment.getScheduledTime(),
+        duration: appointment.duration,
+        status: appointment.status,
+        interpreter: appointment.interpreter?.status || null
+    }))
+});
+
+/**
+ * Find a bundle the requesting user may manage
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Bundle, or null once an error response has been sent
+ */
+const findBundleForUser = async (req, res) => {
+    const bundle = await AppointmentBundle.findById(req.params.bundleId);
+
+    if (!bundle) {
+        res.status(404).json({
+            error: "Appointment bundle not found",
+            code: "BUNDLE_NOT_FOUND",
+            message: "The specified appointment bundle does not exist in KZN healthcare system"
+        });
+        return null;
+    }
+
+    // Patients, their guardians and assisting health workers only, unless admin
+    if (!req.user.roles.includes('admin') && !(await User.canActFor(req.user.userId, bundle.user))) {
+        res.status(403).json({
+            error: "Access denied",
+            code: "FORBIDDEN",
+            message: "You can only manage your own, your dependants' or your assisted patients' KZN healthcare appointment bundles"
+        });
+        return null;
+    }
+
+    return bundle;
+};
+
+/**
+ * Check whether MongoDB rejected a transaction because it is not running as a replica set
+ * @param {Error} error - Error thrown by the driver
+ * @returns {boolean} True if transactions are unsupported by the server
+ */
+const isTransactionUnsupported = (error) =>
+    error.codeName === 'IllegalOperation' && /transaction/i.test(error.message);
+
+/**
+ * Response body for a deployment without transaction support
+ * @constant {Object} TRANSACTIONS_UNAVAILABLE
+ */
+const TRANSACTIONS_UNAVAILABLE = {
+    error: "Bundle booking unavailable",
+    code: "TRANSACTIONS_UNAVAILABLE",
+    message: "Multi-segment bookings need MongoDB transactions, which this deployment does not support. Please book each appointment separately."
+};
+
+/**
+ * Book a visit made up of back-to-back segments at one facility
+ * Each segment starts when the previous one ends and lasts the slot length of its provider
+ * or room for its category. Every segment is checked first, then all of them are booked in
+ * one transaction so the visit is booked in full or not at all.
+ * @route POST /api/appointments/bundles
+ * @access Private
+ */
+export const createAppointmentBundle = async (req, res) => {
+    try {
+        const {
+            patientId, date, time, segments, reason, notes, urgency,
+            district, facilityId, facilityType, facilityName, providerAddress, providerContact
+        } = req.body;
+
+        // Guardians and health workers book for patients; the booking account is kept in createdBy
+        const { patient: user, isSelf, error: patientError } = await resolvePatient(req, patientId);
+        if (patientError) {
+            return res.status(patientError.status).json(patientError.body);
+        }
+
+        if (!user.isProfileComplete) {
+            return res.status(400).json({
+                error: "Profile incomplete",
+                code: "PROFILE_INCOMPLETE",
+                message: isSelf
+                    ? "Please complete your KZN healthcare profile before booking an appointment"
+                    : `Please complete ${user.firstName}'s healthcare profile before booking an appointment`
+            });
+        }
+
+        if (!user.canAccessDistrict(district)) {
+            return res.status(403).json({
+                error: "District access denied",
+                code: "DISTRICT_ACCESS_DENIED",
+                message: isSelf
+                    ? "You can only book appointments in your registered KZN health district"
+                    : `Appointments for ${user.firstName} can only be booked in their registered KZN health district`
+            });
+        }
+
+        const visitDate = parseClinicDate(date);
+        if (!isValid(visitDate) || visitDate < startOfClinicDay()) {
+            return res.status(400).json({
+                error: "Invalid appointment date",
+                code: "INVALID_DATE",
+                message: "Please provide a valid visit date that is not in the past"
+            });
+        }
+
+        if (!KZN_DISTRICTS[district]) {
+            return res.status(400).json({
+                error: "Invalid KZN district",
+                code: "INVALID_DISTRICT",
+                message: "Please select a valid KZN health district"
+            });
+        }
+
+        let facility = await resolveBookingFacility({ facilityId, facilityName, district });
+        if (facilityId && !facility) {
+            return res.status(404).json({
+                error: "Facility not found",
+                code: "FACILITY_NOT_FOUND",
+                message: "The selected healthcare facility does not exist"
+            });
+        }
+
+        // Lay the segments out back to back from the requested start time
+        const plannedSegments = [];
+        let startMinutes = timeToMinutes(time);
+
+        for (const [index, segment] of segments.entries()) {
+            const schedule = await ProviderSchedule.resolveForDoctor(segment.doctorId);
+
+            // Every segment's doctor must take bookings at the visit's facility
+            const booking = await resolveBookingDoctor({ doctorId: segment.doctorId, facilityId: facility?._id, facilityName, schedule });
+            if (booking.error) {
+                return res.status(booking.error.status).json({
+                    ...booking.error.body,
+                    message: `Segment ${index + 1}: ${booking.error.body.message}`
+                });
+            }
+            if (!facility) {
+                facility = await HealthcareFacility.findById(booking.affiliation.facility);
+            }
+
+            if (facility && schedule.facility && !schedule.facility.equals(facility._id)) {
+                return res.status(400).json({
+                    error: "Provider at another facility",
+                    code: "BUNDLE_FACILITY_MISMATCH",
+                    message: `Segment ${index + 1} (${segment.doctor}) is scheduled at a different facility. All segments of a visit must be at the same facility.`
+                });
+            }
+
+            const duration = schedule.getSlotDuration(segment.category);
+            if (startMinutes + duration > 24 * 60) {
+                return res.status(400).json({
+                    error: "Visit too long",
+                    code: "BUNDLE_PAST_MIDNIGHT",
+                    message: "The segments do not all fit on the visit date. Choose an earlier start time."
+                });
+            }
+
+            plannedSegments.push({
+                ...segment,
+                doctor: booking.doctor.name,
+                doctorRecord: booking.doctor,
+                segment: index + 1,
+                time: minutesToTime(startMinutes),
+                duration,
+                schedule
+            });
+            startMinutes += duration;
+        }
+        const endTime = minutesToTime(startMinutes);
+
+        // Check every segment before booking any of them
+        const conflicts = [];
+        for (const planned of plannedSegments) {
+            const problem = await getSlotProblem({
+                userId: user._id,
+                doctorId: planned.doctorId,
+                date: visitDate,
+                time: planned.time,
+                duration: planned.duration,
+                facility,
+                schedule: planned.schedule
+            });
+            if (problem) {
+                conflicts.push({
+                    segment: planned.segment,
+                    doctorId: planned.doctorId,
+                    time: planned.time,
+                    code: problem.code,
+                    message: problem.message
+                });
+            }
+        }
+
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                error: "Bundle conflict",
+                code: "BUNDLE_CONFLICT",
+                message: `${conflicts.length} of ${plannedSegments.length} segments cannot be booked. Choose another start time or date.`,
+                conflicts
+            });
+        }
+
+        let bundle;
+        let bookedSegments;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                // Re-check every segment inside the transaction in case it was taken meanwhile.
+                // This narrows the window but does not prevent double-booking: the reads only see
+                // the transaction's snapshot and nothing locks the slot, so a concurrent bundle or
+                // single booking (which runs without a transaction) can still take it before commit.
+                const lateConflicts = [];
+                for (const planned of plannedSegments) {
+                    const problem = await getSlotProblem({
+                        userId: user._id,
+                        doctorId: planned.doctorId,
+                        date: visitDate,
+                        time: planned.time,
+                        duration: planned.duration,
+                        facility,
+                        schedule: planned.schedule,
+                        session
+                    });
+                    if (problem) {
+                        lateConflicts.push({
+                            segment: planned.segment,
+                            doctorId: planned.doctorId,
+                            time: planned.time,
+                            code: problem.code,
+                            message: problem.message
+                        });
+                    }
+                }
+
+                if (lateConflicts.length > 0) {
+                    const error = new Error(`${lateConflicts.length} segments became unavailable during booking`);
+                    error.code = 'BUNDLE_CONFLICT';
+                    error.conflicts = lateConflicts;
+                    throw error;
+                }
+
+                bundle = new AppointmentBundle({
+                    user: user._id,
+                    facility: facility?._id,
+                    facilityName: facility?.name || facilityName,
+                    district,
+                    date: visitDate,
+                    startTime: plannedSegments[0].time,
+                    endTime,
+                    segmentCount: plannedSegments.length,
+                    createdBy: req.user.userId
+                });
+                await bundle.save({ session });
+
+                bookedSegments = [];
+                for (const planned of plannedSegments) {
+                    const appointment = new Appointment({
+                        user: user._id,
+                        district,
+                        subLocation: user.locationData.subLocation,
+                        date: visitDate,
+                        time: planned.time,
+                        duration: planned.duration,
+                        reason: planned.reason || reason,
+                        category: planned.category,
+                        doctor: planned.doctor,
+                        doctorId: planned.doctorId,
+                        facility: facility?._id,
+                        facilityName: facility?.name || facilityName,
+                        facilityType: facility?.facilityType || facilityType,
+                        providerAddress,
+                        providerContact,
+                        urgency,
+                        notes: notes || '',
+                        status: 'pending',
+                        languagePreference: user.preferredLanguage,
+                        bundle: bundle._id,
+                        bundleSegment: planned.segment,
+                        createdBy: req.user.userId,
+                        lastModifiedBy: req.user.userId
+                    });
+                    await appointment.arrangeInterpreter(planned.doctorRecord, facility, session);
+                    appointment.addStatusHistory(
+                        'pending',
+                        req.user.userId,
+                        `Segment ${planned.segment} of ${plannedSegments.length} in a multi-segment visit`
+                    );
+
+                    bookedSegments.push(await appointment.save({ session }));
+                }
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        console.log("KZN appointment bundle created successfully:", {
+            bundleId: bundle._id,
+            segments: bookedSegments.length,
+            doctorIds: plannedSegments.map(planned => planned.doctorId)
+        });
+
+        return res.status(201).json({
+            message: `Visit booked successfully: ${bookedSegments.length} appointments from ${bundle.startTime} to ${bundle.endTime}`,
+            bundle: formatBundle(bundle, bookedSegments)
+        });
+
+    } catch (error) {
+        console.error("KZN appointment bundle booking error:", error);
+
+        if (error.code === 'BUNDLE_CONFLICT') {
+            return res.status(409).json({
+                error: "Bundle conflict",
+                code: "BUNDLE_CONFLICT",
+                message: "A segment became unavailable while your visit was being booked. Please choose another start time.",
+                conflicts: error.conflicts
+            });
+        }
+
+        if (isTransactionUnsupported(error)) {
+            return res.status(503).json(TRANSACTIONS_UNAVAILABLE);
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "BUNDLE_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "KZN_BUNDLE_BOOKING_ERROR",
+            message: "Failed to book multi-segment visit. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get a multi-segment visit with all of its segments
+ * @route GET /api/appointments/bundles/:bundleId
+ * @access Private
+ */
+export const getAppointmentBundle = async (req, res) => {
+    try {
+        const bundle = await findBundleForUser(req, res);
+        if (!bundle) return;
+
+        const segments = await Appointment.find({ bundle: bundle._id }).sort({ bundleSegment: 1, createdAt: 1 });
+
+        return res.status(200).json({
+            bundle: formatBundle(bundle, segments)
+        });
+
+    } catch (error) {
+        console.error("Error fetching KZN appointment bundle:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "KZN_BUNDLE_FETCH_ERROR",
+            message: "Failed to retrieve multi-segment visit. Please try again later."
+        });
+    }
+};
+
+/**
+ * Cancel every active segment of a multi-segment visit
+ * Segments are cancelled together in one transaction; if any segment can no longer be
+ * cancelled by the patient, nothing is cancelled.
+ * @route POST /api/appointments/bundles/:bundleId/cancel
+ * @access Private
+ */
+export const cancelAppointmentBundle = async (req, res) => {
+    try {
+        const { reason, notes } = req.body;
+
+        const bundle = await findBundleForUser(req, res);
+        if (!bundle) return;
+
+        if (bundle.status === 'cancelled') {
+            return res.status(409).json({
+                error: "Bundle already cancelled",
+                code: "BUNDLE_ALREADY_CANCELLED",
+                message: "This multi-segment visit has already been cancelled"
+            });
+        }
+
+        const actingRole = await User.getActingRole(req.user.userId, bundle.user);
+        const isOwner = Boolean(actingRole);
+        const segments = await Appointment.find({
+            bundle: bundle._id,
+            status: { $in: ACTIVE_STATUSES }
+        }).sort({ bundleSegment: 1 });
+
+        const restricted = segments.filter(appointment => isOwner
+            ? !appointment.canBeCancelled()
+            : !appointment.canTransitionTo('cancelled'));
+
+        if (restricted.length > 0) {
+            return res.status(409).json({
+                error: "Cancellation not allowed",
+                code: "BUNDLE_CANCEL_RESTRICTED",
+                message: "Some segments of this visit can no longer be cancelled online. Please contact the facility directly.",
+                segments: restricted.map(appointment => ({
+                    segment: appointment.bundleSegment,
+                    id: appointment._id,
+                    status: appointment.status
+                }))
+            });
+        }
+
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                for (const appointment of segments) {
+                    appointment.cancel({
+                        cancelledBy: req.user.userId,
+                        cancelledByRole: actingRole || 'admin',
+                        reason,
+                        notes
+                    });
+                    await appointment.save({ session });
+                }
+
+                bundle.status = 'cancelled';
+                bundle.lastModifiedBy = req.user.userId;
+                await bundle.save({ session });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        for (const appointment of segments) {
+            await offerSlotToWaitlist(appointment);
+        }
+
+        console.log("KZN appointment bundle cancelled:", { bundleId: bundle._id, cancelled: segments.length });
+
+        return res.status(200).json({
+            message: `Multi-segment visit cancelled successfully: ${segments.length} appointments`,
+            bundle: formatBundle(bundle, segments)
+        });
+
+    } catch (error) {
+        console.error("Error cancelling KZN appointment bundle:", error);
+
+        if (isTransactionUnsupported(error)) {
+            return res.status(503).json(TRANSACTIONS_UNAVAILABLE);
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "BUNDLE_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "KZN_BUNDLE_CANCEL_ERROR",
+            message: "Failed to cancel multi-segment visit. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get appointments by category with KZN district filtering
+ * @route GET /api/appointments/category/:category
+ * @access Private
+ */
+export const getAppointmentsByCategory = async (req, res) => {
+    try {
+        const { category } = req.params;
+
+        console.log(`Fetching ${category} appointments in KZN for user:`, req.user.userId);
+
+        let query = { category };
+        const user = await User.findById(req.user.userId);
+
+        // Regular users can only see their own appointments in the category within their district
+        if (!req.user.roles.includes('admin')) {
+            query.user = req.user.userId;
+            query.district = user.locationData.healthDistrict;
+        }
+
+        const appointments = await Appointment.find(query)
+            .populate('user', 'firstName lastName email phoneNumber locationData')
+            .sort({ date: 1, time: 1 });
+
+        console.log(`Found ${appointments.length} ${category} appointments in KZN`);
+
+        return res.status(200).json({
+            category,
+            district: user.locationData.healthDistrict,
+            appointments: appointments.map(apt => ({
+                id: apt._id,
+                ...apt.getScheduledTime(),
+                reason: apt.reason,
+                category: apt.category,
+                doctor: apt.doctor,
+                doctorId: apt.doctorId,
+                facilityName: apt.facilityName,
+                facilityType: apt.facilityType,
+                district: apt.district,
+                urgency: apt.urgency,
+                status: apt.status,
+                notes: apt.notes,
+                user: {
+                    id: apt.user._id,
+                    name: `${apt.user.firstName} ${apt.user.lastName}`,
+                    email: apt.user.email,
+                    district: apt.user.locationData.healthDistrict
+                },
+                createdAt: apt.createdAt,
+                updatedAt: apt.updatedAt
+            }))
+        });
+
+    } catch (error) {
+        console.error("Error fetching KZN appointments by category:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "KZN_CATEGORY_FETCH_ERROR",
+            message: "Failed to retrieve KZN healthcare appointments by category. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get appointment availability with KZN district constraints
+ * When a doctorId is supplied, dates and slots come from the provider's schedule
+ * @route GET /api/appointments/availability
+ * @access Private
+ */
+export const getAvailability = async (req, res) => {
+    try {
+        const { district, doctorId, facilityId, date, category } = req.query;
+        const user = await User.findById(req.user.userId);
+
+        // Use requested district or user's district
+        const targetDistrict = district || user.locationData.healthDistrict;
+
+        if (!KZN_DISTRICTS[targetDistrict]) {
+            return res.status(400).json({
+                error: "Invalid KZN district",
+                code: "INVALID_DISTRICT",
+                message: "Please provide a valid KZN health district"
+            });
+        }
+
+        if (date && !isValid(parseClinicDate(date))) {
+            return res.status(400).json({
+                error: "Invalid date format",
+                code: "INVALID_DATE",
+                message: "Please provide a valid date in ISO format"
+            });
+        }
+
+        const schedule = doctorId ? await ProviderSchedule.resolveForDoctor(doctorId) : null;
+        const facility = (facilityId || schedule)
+            ? await resolveBookingFacility({ facilityId, schedule })
+            : null;
+
+        // Generate available dates for next 30 days with provider or district-specific logic
+        const availableDates = [];
+        const closedDates = [];
+        const today = startOfClinicDay();
+
+        for (let i = 1; i <= 30; i++) {
+            const candidateDate = addToClinicDate(today, { days: i });
+
+            // Provider schedules take precedence over the district defaults
+            const isAvailable = schedule
+                ? schedule.getWorkingIntervals(candidateDate).length > 0
+                : isDateAvailableForDistrict(candidateDate, targetDistrict);
+
+            if (!isAvailable) continue;
+
+            // Public holidays and facility closing days are never bookable
+            const closure = getDateClosure(facility, candidateDate);
+            if (closure) {
+                closedDates.push({
+                    date: toClinicDateString(candidateDate),
+                    code: closure.code,
+                    reason: closure.message
+                });
+                continue;
+            }
+
+            availableDates.push(toClinicDateString(candidateDate));
+        }
+
+        // Get district information
+        const districtInfo = KZN_DISTRICTS[targetDistrict];
+
+        const response = {
+            district: targetDistrict,
+            districtType: districtInfo.type,
+            availableDates,
+            closedDates,
+            timeZone: CLINIC_TIME_ZONE,
+            message: `Available dates for ${targetDistrict} district retrieved successfully`
+        };
+
+        if (facility) {
+            response.facilityId = facility._id;
+            response.operatingHours = facility.operatingHours;
+        }
+
+        if (schedule) {
+            response.doctorId = doctorId;
+            response.slotDuration = schedule.getSlotDuration(category);
+            response.hasCustomSchedule = !schedule.isNew;
+
+            if (date) {
+                response.date = date;
+                const slots = await Appointment.getAvailableSlots(doctorId, parseClinicDate(date), null, category);
+                const holds = await WaitlistEntry.findActiveHoldsForDate(doctorId, parseClinicDate(date), req.user.userId);
+                const heldIntervals = holds.map(entry => ({
+                    start: timeToMinutes(entry.offer.time),
+                    end: timeToMinutes(entry.offer.time) + entry.offer.duration
+                }));
+
+                response.slots = slots.filter(slot => {
+                    const slotInterval = { start: timeToMinutes(slot.time), end: timeToMinutes(slot.time) + slot.duration };
+                    return !getFacilityRestriction(facility, parseClinicDate(date), slot.time, slot.duration)
+                        && !heldIntervals.some(held => intervalsOverlap(slotInterval, held));
+                });
+            }
+        }
+
+        res.status(200).json(response);
+
+    } catch (error) {
+        console.error("Error fetching KZN availability:", error);
+        return res.status(500).json({
+            error: "KZN availability service unavailable",
+            code: "KZN_AVAILABILITY_ERROR",
+            message: "Failed to retrieve KZN healthcare availability. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get appointments by district (Admin only)
  * @route GET /api/appointments/district/:district
  * @access Private/Admin
  */
@@ -777,8 +2704,7 @@ export const getAppointmentsByDistrict = async (req, res) => {
             district,
             appointments: appointments.map(apt => ({
                 id: apt._id,
-                date: apt.date,
-                time: apt.time,
+                ...apt.getScheduledTime(),
                 reason: apt.reason,
                 category: apt.category,
                 doctor: apt.doctor,
@@ -806,6 +2732,88 @@ export const getAppointmentsByDistrict = async (req, res) => {
     }
 };
 
+/**
+ * Get upcoming interpreter needs per language for a facility or district
+ * @route GET /api/appointments/interpreter-needs
+ * @access Private (health-worker, admin)
+ */
+export const getInterpreterNeeds = async (req, res) => {
+    try {
+        const { facilityId, date, days = 7 } = req.query;
+        let district = req.query.district || null;
+
+        let facility = null;
+        if (facilityId) {
+            facility = await HealthcareFacility.findById(facilityId).select('name district interpreterServices');
+            if (!facility) {
+                return res.status(404).json({
+                    error: "Facility not found",
+                    code: "FACILITY_NOT_FOUND",
+                    message: "The selected healthcare facility does not exist"
+                });
+            }
+            district = facility.district;
+        }
+
+        // Health workers only see needs in their registered district
+        if (!req.user.roles.includes('admin')) {
+            const staff = await User.findById(req.user.userId).select('locationData');
+            const ownDistrict = staff?.locationData?.healthDistrict;
+
+            if (!ownDistrict || (district && district !== ownDistrict)) {
+                return res.status(403).json({
+                    error: "District access denied",
+                    code: "DISTRICT_ACCESS_DENIED",
+                    message: "Health workers can only view interpreter needs in their registered KZN health district"
+                });
+            }
+            district = ownDistrict;
+        }
+
+        const from = date ? parseClinicDate(date) : new Date();
+        const needs = await Appointment.getInterpreterNeeds({ facilityId: facility?._id, district, from, days });
+
+        return res.status(200).json({
+            facility: facility ? { id: facility._id, name: facility.name } : null,
+            district: district || 'all',
+            from: toClinicDateString(from),
+            days,
+            totalAppointments: needs.reduce((total, need) => total + need.appointments.length, 0),
+            needs: needs.map(need => ({
+                language: need.language,
+                appointments: need.appointments.length,
+                reserved: need.reserved,
+                requested: need.requested,
+                ...(facility && { interpreters: facility.getInterpreterCount(need.language) }),
+                sessions: need.appointments.map(apt => ({
+                    id: apt._id,
+                    ...apt.getScheduledTime(),
+                    duration: apt.duration,
+                    bookingType: apt.bookingType,
+                    category: apt.category,
+                    doctor: apt.doctor || null,
+                    facilityId: apt.facility,
+                    facilityName: apt.facilityName,
+                    status: apt.status,
+                    interpreter: apt.interpreter?.status || 'requested',
+                    patient: apt.user ? {
+                        name: `${apt.user.firstName} ${apt.user.lastName}`,
+                        phoneNumber: apt.user.phoneNumber
+                    } : null
+                }))
+            }))
+        });
+
+    } catch (error) {
+        console.error("Error fetching interpreter needs:", error);
+        return res.status(500).json({
+            error: "KZN interpreter service unavailable",
+            code: "INTERPRETER_NEEDS_ERROR",
+            message: "Failed to retrieve interpreter needs. Please try again later."
+        });
+    }
+};
+
 /**
  * Get KZN healthcare statistics
  * @route GET /api/appointments/kzn-stats
@@ -841,25 +2849,120 @@ export const getKZNStats = async (req, res) => {
                     confirmedAppointments: {
                         $sum: { $cond: [{ $eq: ['$status', 'confirmed'] }, 1, 0] }
                     },
+                    rescheduledAppointments: {
+                        $sum: { $cond: [{ $eq: ['$status', 'rescheduled'] }, 1, 0] }
+                    },
+                    completedAppointments: {
+                        $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+                    },
+                    cancelledAppointments: {
+                        $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] }
+                    },
+                    noShowAppointments: {
+                        $sum: { $cond: [{ $eq: ['$status', 'no-show'] }, 1, 0] }
+                    },
                     emergencyAppointments: {
                         $sum: { $cond: [{ $eq: ['$urgency', 'emergency'] }, 1, 0] }
                     },
+                    walkInTickets: {
+                        $sum: { $cond: [{ $eq: ['$bookingType', 'walk-in'] }, 1, 0] }
+                    },
                     averageDuration: { $avg: '$duration' }
                 }
             }
         ]);
 
+        // Cancellation reasons recorded over the same period
+        const cancellationReasons = await Appointment.aggregate([
+            {
+                $match: {
+                    status: 'cancelled',
+                    'cancellation.cancelledAt': { $gte: thirtyDaysAgo }
+                }
+            },
+            {
+                $group: {
+                    _id: '$cancellation.reason',
+                    count: { $sum: 1 }
+                }
+            },
+            { $sort: { count: -1 } }
+        ]);
+
+        // Busiest doctors over the same period
+        const doctorStats = await Appointment.aggregate([
+            {
+                $match: {
+                    createdAt: { $gte: thirtyDaysAgo }
+                }
+            },
+            {
+                $group: {
+                    _id: '$doctorId',
+                    totalAppointments: { $sum: 1 },
+                    completedAppointments: {
+                        $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+                    },
+                    noShowAppointments: {
+                        $sum: { $cond: [{ $eq: ['$status', 'no-show'] }, 1, 0] }
+                    }
+                }
+            },
+            { $sort: { totalAppointments: -1 } },
+            { $limit: 10 },
+            {
+                $lookup: {
+                    from: Doctor.collection.name,
+                    localField: '_id',
+                    foreignField: 'doctorId',
+                    as: 'doctor'
+                }
+            },
+            { $unwind: { path: '$doctor', preserveNullAndEmptyArrays: true } },
+            {
+                $project: {
+                    _id: 0,
+                    doctorId: '$_id',
+                    name: '$doctor.name',
+                    specialty: '$doctor.specialty',
+                    facilities: { $size: { $ifNull: ['$doctor.affiliations', []] } },
+                    totalAppointments: 1,
+                    completedAppointments: 1,
+                    noShowAppointments: 1
+                }
+            }
+        ]);
+
         // Get user statistics by district
         const userStats = await User.getDistrictStats();
+        const totalDoctors = await Doctor.countDocuments({ isActive: true });
+
+        const sumOf = (field) => districtStats.reduce((sum, stat) => sum + stat[field], 0);
+        const totalAppointments = sumOf('totalAppointments');
+        const totalCancelled = sumOf('cancelledAppointments');
+        const totalCompleted = sumOf('completedAppointments');
+        const totalNoShows = sumOf('noShowAppointments');
+        const totalWalkInTickets = sumOf('walkInTickets');
 
         res.status(200).json({
             period: 'last_30_days',
             districtStats,
             userStats,
+            doctorStats,
+            cancellationReasons: cancellationReasons.map(item => ({
+                reason: item._id,
+                count: item.count
+            })),
             summary: {
                 totalDistricts: districtStats.length,
-                totalAppointments: districtStats.reduce((sum, stat) => sum + stat.totalAppointments, 0),
-                totalUsers: userStats.reduce((sum, stat) => sum + stat.totalUsers, 0)
+                totalAppointments,
+                totalCancelled,
+                totalNoShows,
+                totalWalkInTickets,
+                cancellationRate: totalAppointments ? Math.round((totalCancelled / totalAppointments) * 1000) / 10 : 0,
+                noShowRate: (totalCompleted + totalNoShows) ? Math.round((totalNoShows / (totalCompleted + totalNoShows)) * 1000) / 10 : 0,
+                totalUsers: userStats.reduce((sum, stat) => sum + stat.totalUsers, 0),
+                totalDoctors
             }
         });
 
@@ -873,6 +2976,352 @@ export const getKZNStats = async (req, res) => {
     }
 };
 
+/**
+ * Find the patient a booking or appointment list is for
+ * Without a patientId the logged-in user is the patient. Guardians name a dependant who has
+ * consented to them managing their appointments.
+ * @param {Object} req - Express request
+ * @param {string} [patientId] - Dependant user id
+ * @returns {Promise<Object>} { patient, isSelf } or { error: { status, body } }
+ */
+const resolvePatient = async (req, patientId) => {
+    const isSelf = !patientId || patientId === req.user.userId;
+    const patient = await User.findById(isSelf ? req.user.userId : patientId);
+
+    if (isSelf && !patient) {
+        return {
+            error: {
+                status: 404,
+                body: {
+                    error: "User not found",
+                    code: "USER_NOT_FOUND",
+                    message: "Your account could not be found"
+                }
+            }
+        };
+    }
+
+    // Unknown ids get the same answer as patients without consent, so accounts cannot be probed
+    if (!isSelf && (!patient || !(await User.canActFor(req.user.userId, patient._id)))) {
+        return {
+            error: {
+                status: 403,
+                body: {
+                    error: "Patient access denied",
+                    code: "PATIENT_ACCESS_DENIED",
+                    message: "You can only manage appointments for dependants, or patients in your district, who have consented to you doing so"
+                }
+            }
+        };
+    }
+
+    return { patient, isSelf };
+};
+
+/**
+ * Find the facility an appointment is booked at
+ * Uses the explicit facility id, then the provider's schedule facility, then the facility name in the district
+ * @param {Object} options - Facility lookup options
+ * @param {string} options.facilityId - Healthcare facility id
+ * @param {Object} options.schedule - Provider schedule document
+ * @param {string} options.facilityName - Facility name
+ * @param {string} options.district - KZN district
+ * @returns {Promise<Object|null>} Facility document, or null if it cannot be resolved
+ */
+export const resolveBookingFacility = async ({ facilityId, schedule, facilityName, district }) => {
+    if (facilityId) return HealthcareFacility.findById(facilityId);
+    if (schedule?.facility) return HealthcareFacility.findById(schedule.facility);
+    if (facilityName && district) return HealthcareFacility.findOne({ name: facilityName, district, isActive: true });
+    return null;
+};
+
+/**
+ * Look up the doctor being booked and the facility they are booked at
+ * Without an explicit facility the provider's schedule facility is used, then a facility
+ * matching the given name, then the doctor's only facility.
+ * @param {Object} options - Doctor lookup options
+ * @param {string} options.doctorId - Stable doctor identifier
+ * @param {string} options.facilityId - Requested healthcare facility id
+ * @param {string} options.facilityName - Requested facility name
+ * @param {Object} options.schedule - Provider schedule document
+ * @returns {Promise<Object>} { doctor, affiliation } or { error } with status and response body
+ */
+export const resolveBookingDoctor = async ({ doctorId, facilityId, facilityName, schedule }) => {
+    const doctor = await Doctor.findByDoctorId(doctorId);
+    if (!doctor || !doctor.isActive) {
+        return {
+            error: {
+                status: 404,
+                body: {
+                    error: "Doctor not found",
+                    code: "DOCTOR_NOT_FOUND",
+                    message: "The selected doctor does not exist or no longer takes bookings"
+                }
+            }
+        };
+    }
+
+    const available = doctor.affiliations.filter(affiliation => affiliation.isAvailable);
+    const affiliation = facilityId
+        ? doctor.getAffiliation(facilityId)
+        : (schedule?.facility && doctor.getAffiliation(schedule.facility)) ||
+          available.find(candidate => facilityName && candidate.facilityName === facilityName) ||
+          (available.length === 1 ? available[0] : null);
+
+    if (!affiliation || !affiliation.isAvailable) {
+        return {
+            error: {
+                status: 400,
+                body: {
+                    error: "Doctor not available at facility",
+                    code: facilityId ? "DOCTOR_NOT_AT_FACILITY" : "FACILITY_REQUIRED",
+                    message: facilityId
+                        ? `${doctor.name} does not take bookings at the selected facility`
+                        : `${doctor.name} works at several facilities. Please select the facility to book at.`
+                }
+            }
+        };
+    }
+
+    return { doctor, affiliation };
+};
+
+/**
+ * Get a whole-day closure (public holiday or closed weekday) for a date
+ * @param {Object|null} facility - Facility document, if known
+ * @param {Date} date - The date to check
+ * @returns {Object|null} Closure with code and message, or null if open
+ */
+const getDateClosure = (facility, date) => {
+    if (facility) return facility.getClosureForDate(date);
+
+    const holiday = getPublicHoliday(date);
+    return holiday
+        ? { code: 'PUBLIC_HOLIDAY', message: `Healthcare facilities are closed on ${holiday.name} (${holiday.date})`, holiday }
+        : null;
+};
+
+/**
+ * Check facility opening hours and public holidays for a booking
+ * @param {Object|null} facility - Facility document, if known
+ * @param {Date} date - Appointment date
+ * @param {string} time - Start time in HH:MM format
+ * @param {number} duration - Appointment length in minutes
+ * @returns {Object|null} Error response body, or null if the slot is bookable
+ */
+const getFacilityRestriction = (facility, date, time, duration) => {
+    const restriction = facility
+        ? facility.getBookingRestriction(date, time, duration)
+        : getDateClosure(null, date);
+
+    if (!restriction) return null;
+
+    const { code, message, ...details } = restriction;
+    return {
+        error: FACILITY_RESTRICTION_ERRORS[code],
+        code,
+        message,
+        ...details
+    };
+};
+
+/**
+ * Check a provider slot can be booked for a patient
+ * Checks the patient's own bookings, facility hours and holidays, the provider's schedule,
+ * other bookings and waitlist holds, in that order. Also used when a waitlist offer is accepted.
+ * @param {Object} options - Slot details
+ * @param {string} options.userId - Patient the slot is for
+ * @param {string} options.doctorId - Healthcare provider identifier
+ * @param {Date} options.date - Appointment date
+ * @param {string} options.time - Start time in HH:MM format
+ * @param {number} options.duration - Appointment length in minutes
+ * @param {Object|null} options.facility - Facility document, if known
+ * @param {Object} options.schedule - Provider schedule document
+ * @param {string} options.excludeId - Appointment being moved, which does not block itself
+ * @param {mongoose.ClientSession} options.session - Transaction session to read within
+ * @returns {Promise<Object|null>} Error response body, or null if the slot is bookable
+ */
+export const getSlotProblem = async ({ userId, doctorId, date, time, duration, facility, schedule, excludeId = null, session = null }) => {
+    if (await Appointment.checkPatientConflict(userId, date, time, duration, excludeId, session)) {
+        return {
+            error: "Appointment conflict",
+            code: "APPOINTMENT_CONFLICT",
+            message: "You already have an appointment scheduled at this date and time"
+        };
+    }
+
+    const facilityRestriction = getFacilityRestriction(facility, date, time, duration);
+    if (facilityRestriction) return facilityRestriction;
+
+    if (!schedule.isWithinSchedule(date, time, duration)) {
+        return {
+            error: "Outside provider schedule",
+            code: "OUTSIDE_PROVIDER_SCHEDULE",
+            message: "The selected healthcare provider is not working at this time. Please choose one of the available slots"
+        };
+    }
+
+    if (await Appointment.checkConflict(doctorId, date, time, duration, excludeId, session)) {
+        return {
+            error: "Provider unavailable",
+            code: "PROVIDER_UNAVAILABLE",
+            message: "The selected healthcare provider is not available at this time"
+        };
+    }
+
+    const slotHold = await WaitlistEntry.findActiveHold(doctorId, date, time, duration, userId, session);
+    if (slotHold) {
+        return {
+            error: "Slot on hold",
+            code: "SLOT_HELD",
+            message: "This slot is being held for a waitlisted patient. Please choose another slot.",
+            heldUntil: slotHold.offer.expiresAt
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Book a replacement for an appointment and mark the original as rescheduled
+ * The replacement carries over RESCHEDULE_CARRIED_FIELDS from the original and stays attributed
+ * to whoever booked it; the person rescheduling is recorded as lastModifiedBy.
+ * @param {Object} originalAppointment - Appointment being moved
+ * @param {Object} options - Replacement details
+ * @param {Date} options.date - New appointment date
+ * @param {string} options.time - New start time
+ * @param {Object|null} options.facility - Facility document, if known
+ * @param {string} options.changedBy - User making the change
+ * @param {string} options.reason - Optional reason recorded in the status history
+ * @param {mongoose.ClientSession} options.session - Transaction to write within, so the original is
+ * never left active alongside its replacement; the caller offers the freed slot to the waitlist
+ * once the transaction commits
+ * @returns {Promise<Object>} The saved replacement appointment
+ */
+const bookReplacement = async (originalAppointment, { date, time, facility, changedBy, reason = '', session }) => {
+    const rescheduleNote = reason ? `: ${reason}` : '';
+
+    const original = originalAppointment.toObject({ virtuals: false });
+    const carriedOver = Object.fromEntries(RESCHEDULE_CARRIED_FIELDS
+        .filter(field => original[field] !== undefined)
+        .map(field => [field, original[field]]));
+
+    const newAppointment = new Appointment({
+        ...carriedOver,
+        facility: carriedOver.facility || facility?._id,
+        date,
+        time,
+        status: 'pending',
+        rescheduledFrom: originalAppointment._id,
+        rescheduleCount: originalAppointment.rescheduleCount + 1,
+        calendarUid: originalAppointment.getCalendarUid(),
+        lastModifiedBy: changedBy
+    });
+
+    // Transport was arranged for the old date, so the request is reviewed again
+    if (newAppointment.transportAssistance?.needed && newAppointment.transportAssistance.status) {
+        newAppointment.transportAssistance.status = 'pending';
+        newAppointment.transportAssistance.approved = false;
+        newAppointment.transportAssistance.reviewedBy = undefined;
+        newAppointment.transportAssistance.reviewedAt = undefined;
+        newAppointment.transportAssistance.reviewNotes = undefined;
+    }
+
+    // The interpreter was reserved for the old slot
+    if (newAppointment.languagePreference !== 'english') {
+        await newAppointment.arrangeInterpreter(await Doctor.findByDoctorId(newAppointment.doctorId), facility, session);
+    }
+
+    newAppointment.addStatusHistory(
+        'pending',
+        changedBy,
+        `Rescheduled from ${toClinicDateString(originalAppointment.date)} ${originalAppointment.time}${rescheduleNote}`
+    );
+
+    await newAppointment.save({ session });
+
+    // Close off the original booking and link it to its replacement
+    originalAppointment.transitionTo(
+        'rescheduled',
+        changedBy,
+        `Rescheduled to ${toClinicDateString(date)} ${time}${rescheduleNote}`
+    );
+    originalAppointment.rescheduledTo = newAppointment._id;
+
+    await originalAppointment.save({ session });
+
+    return newAppointment;
+};
+
+/**
+ * Find other doctors at the facility who consult in the patient's language and are free for a slot
+ * @param {Object} options - Slot details
+ * @param {Object} options.doctor - Doctor being booked
+ * @param {Object} options.facility - Facility document
+ * @param {string} options.language - Patient language
+ * @param {Date} options.date - Appointment date
+ * @param {string} options.time - Start time in HH:MM format
+ * @param {number} options.duration - Appointment length in minutes
+ * @returns {Promise<Array>} Up to MAX_LANGUAGE_MATCHES doctors of the same specialty
+ */
+const findLanguageMatchedDoctors = async ({ doctor, facility, language, date, time, duration }) => {
+    const candidates = await Doctor.findByFacility(facility._id, {
+        specialty: doctor.specialty,
+        languages: language,
+        doctorId: { $ne: doctor.doctorId }
+    });
+
+    const matches = [];
+    for (const candidate of candidates) {
+        const schedule = await ProviderSchedule.resolveForDoctor(candidate.doctorId);
+        if (!schedule.isWithinSchedule(date, time, duration)) continue;
+        if (await Appointment.checkConflict(candidate.doctorId, date, time, duration)) continue;
+
+        matches.push({
+            doctorId: candidate.doctorId,
+            name: candidate.name,
+            specialty: candidate.specialty,
+            languages: candidate.languages
+        });
+        if (matches.length >= MAX_LANGUAGE_MATCHES) break;
+    }
+
+    return matches;
+};
+
+/**
+ * Describe interpreter arrangements for a booking response
+ * @param {Object} appointment - Appointment document
+ * @param {Array} languageMatches - Doctors free at the same time who consult in the patient's language
+ * @returns {Object} Language, interpreter status and suggested doctors
+ */
+const formatLanguageSupport = (appointment, languageMatches = []) => ({
+    language: appointment.languagePreference,
+    requiresInterpreter: appointment.requiresInterpreter,
+    interpreter: appointment.interpreter?.status || null,
+    languageMatchedDoctors: languageMatches
+});
+
+/**
+ * Offer a freed appointment slot to the provider's waitlist
+ * Failures are logged rather than failing the cancellation or reschedule that freed the slot
+ * @param {Object} appointment - Appointment whose slot was freed
+ * @returns {Promise<Object|null>} Waitlist entry now holding the slot, or null
+ */
+const offerSlotToWaitlist = async (appointment) => {
+    try {
+        return await WaitlistEntry.offerFreedSlot({
+            doctorId: appointment.doctorId,
+            date: appointment.date,
+            time: appointment.time,
+            duration: appointment.duration
+        });
+    } catch (error) {
+        console.error("Error offering freed slot to waitlist:", error);
+        return null;
+    }
+};
+
 /**
  * Check if a date is available for a specific KZN district
  * @param {Date} date - The date to check
@@ -880,7 +3329,7 @@ export const getKZNStats = async (req, res) => {
  * @returns {boolean} - Whether the date is available
  */
 const isDateAvailableForDistrict = (date, district) => {
-    const dayOfWeek = date.getDay();
+    const dayOfWeek = getClinicWeekday(date);
 
     // Base availability (exclude weekends)
     if (dayOfWeek === 0 || dayOfWeek === 6) {
@@ -0,0 +1,498 @@
+// firstcare-backend/src/controllers/assistedBookingController.js
+
+/**
+ * Assisted Booking Controller for KZN Healthcare Appointment Booking System
+ *
+ * @file src/controllers/assistedBookingController.js
+ * @description Community health workers finding, registering and booking for patients in their district
+ *
+ * Features:
+ * - Search for patients in the worker's district by name, phone number or date of birth
+ * - Register patients with minimal details; no email address, password or phone is needed
+ * - Record or withdraw the patient's consent to health workers booking for them
+ * - Bookings go through POST /api/appointments with a patientId, with the worker in createdBy
+ * - List the appointments the worker booked, with the patient's contact details, for follow-up
+ *
+ * Security Features:
+ * - Health workers only see and act for patients in the district they are registered in
+ * - Search results show a masked phone number until the patient has consented
+ * - Booking for a patient needs their recorded consent; withdrawing it stops further bookings
+ *
+ * @version 1.0.0
+ * @module AssistedBookingController
+ * @author Healthcare System - KZN Implementation
+ */
+
+import User from '../models/user.js';
+import Appointment from '../models/Appointment.js';
+
+/**
+ * Maximum number of patients returned by a search
+ * @constant {number} SEARCH_LIMIT
+ */
+const SEARCH_LIMIT = 20;
+
+/**
+ * Patient fields health workers work with
+ * @constant {string} PATIENT_FIELDS
+ */
+const PATIENT_FIELDS = 'firstName lastName dateOfBirth gender phoneNumber preferredLanguage ' +
+    'locationData isProfileComplete isDependant assistedRegistration assistedBookingConsent';
+
+/**
+ * Load the requesting health worker and check they have a district
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { worker } or { error: { status, body } }
+ */
+const loadWorker = async (req) => {
+    const worker = await User.findById(req.user.userId).select('firstName lastName roles locationData preferredLanguage');
+
+    if (!worker) {
+        return {
+            error: {
+                status: 404,
+                body: {
+                    error: "User not found",
+                    code: "USER_NOT_FOUND",
+                    message: "Your account could not be found"
+                }
+            }
+        };
+    }
+
+    if (!worker.locationData?.healthDistrict) {
+        return {
+            error: {
+                status: 403,
+                body: {
+                    error: "District required",
+                    code: "WORKER_DISTRICT_REQUIRED",
+                    message: "Add your health district to your profile before working with patients"
+                }
+            }
+        };
+    }
+
+    return { worker };
+};
+
+/**
+ * Find a patient in a district the health worker can access
+ * Patients outside the district get the same answer as unknown ids.
+ * @param {Object} worker - Health worker user document
+ * @param {string} patientId - Patient user id
+ * @returns {Promise<Object>} { patient } or { error: { status, body } }
+ */
+const findPatientForWorker = async (worker, patientId) => {
+    const patient = await User.findOne({ _id: patientId, isActive: true, isDependant: { $ne: true } })
+        .select(PATIENT_FIELDS);
+
+    if (!patient || !worker.canAccessDistrict(patient.locationData?.healthDistrict)) {
+        return {
+            error: {
+                status: 404,
+                body: {
+                    error: "Patient not found",
+                    code: "PATIENT_NOT_FOUND",
+                    message: "No patient with this ID is registered in your district"
+                }
+            }
+        };
+    }
+
+    return { patient };
+};
+
+/**
+ * Hide all but the last three digits of a phone number
+ * @param {string} phoneNumber - Phone number
+ * @returns {string|null} Masked phone number
+ */
+const maskPhoneNumber = (phoneNumber) => (
+    phoneNumber ? `${'*'.repeat(phoneNumber.length - 3)}${phoneNumber.slice(-3)}` : null
+);
+
+/**
+ * Both stored forms of a South African phone number
+ * @param {string} phoneNumber - Number as +27... or 0...
+ * @returns {Array<string>} Local and international forms
+ */
+const phoneNumberForms = (phoneNumber) => {
+    const local = phoneNumber.replace(/^\+27/, '0');
+    return [local, local.replace(/^0/, '+27')];
+};
+
+/**
+ * Format a patient for a health worker
+ * Contact details are only shown once the patient has consented to assisted booking.
+ * @param {Object} patient - Patient user document
+ * @returns {Object} Minimal patient details with consent status
+ */
+const formatPatient = (patient) => {
+    const consented = patient.hasAssistedBookingConsent();
+
+    return {
+        id: patient._id,
+        firstName: patient.firstName,
+        lastName: patient.lastName,
+        dateOfBirth: patient.dateOfBirth,
+        age: patient.age,
+        gender: patient.gender,
+        preferredLanguage: patient.preferredLanguage,
+        phoneNumber: consented ? patient.phoneNumber || null : maskPhoneNumber(patient.phoneNumber),
+        subLocation: patient.locationData?.subLocation,
+        isProfileComplete: patient.isProfileComplete,
+        registeredByHealthWorker: Boolean(patient.assistedRegistration?.registeredBy),
+        consent: {
+            given: consented,
+            method: consented ? patient.assistedBookingConsent.method : null,
+            recordedAt: consented ? patient.assistedBookingConsent.recordedAt : null
+        }
+    };
+};
+
+/**
+ * Handle Mongoose validation errors for assisted registrations
+ * @param {Object} res - Express response
+ * @param {Error} error - Validation error
+ * @returns {Object} 400 response
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+    error: "Validation failed",
+    code: "PATIENT_VALIDATION_ERROR",
+    details: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+});
+
+/**
+ * Search for patients in the health worker's district
+ * @route GET /api/assisted/patients
+ * @access Private (health-worker)
+ */
+export const searchPatients = async (req, res) => {
+    try {
+        const { worker, error: workerError } = await loadWorker(req);
+        if (workerError) {
+            return res.status(workerError.status).json(workerError.body);
+        }
+
+        const { q, phoneNumber, dateOfBirth } = req.query;
+        const filter = {
+            'locationData.healthDistrict': worker.locationData.healthDistrict,
+            roles: 'patient',
+            isActive: true,
+            isDependant: { $ne: true },
+            _id: { $ne: worker._id }
+        };
+
+        // Every name term must match the start of the first or last name
+        if (q) {
+            filter.$and = q.split(/\s+/).filter(Boolean).map(term => ({
+                $or: [
+                    { firstName: { $regex: `^${term}`, $options: 'i' } },
+                    { lastName: { $regex: `^${term}`, $options: 'i' } }
+                ]
+            }));
+        }
+        if (phoneNumber) filter.phoneNumber = { $in: phoneNumberForms(phoneNumber) };
+        if (dateOfBirth) filter.dateOfBirth = new Date(dateOfBirth);
+
+        const patients = await User.find(filter)
+            .select(PATIENT_FIELDS)
+            .sort({ lastName: 1, firstName: 1 })
+            .limit(SEARCH_LIMIT);
+
+        return res.status(200).json({
+            district: worker.locationData.healthDistrict,
+            patients: patients.map(formatPatient),
+            total: patients.length,
+            limited: patients.length === SEARCH_LIMIT
+        });
+
+    } catch (error) {
+        console.error("Error searching KZN patients for health worker:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "PATIENT_SEARCH_ERROR",
+            message: "Failed to search for patients. Please try again later."
+        });
+    }
+};
+
+/**
+ * Register a patient in the health worker's district with minimal details
+ * @route POST /api/assisted/patients
+ * @access Private (health-worker)
+ */
+export const registerPatient = async (req, res) => {
+    try {
+        const { worker, error: workerError } = await loadWorker(req);
+        if (workerError) {
+            return res.status(workerError.status).json(workerError.body);
+        }
+
+        const { firstName, lastName, dateOfBirth, gender, phoneNumber, preferredLanguage, subLocation, consent } = req.body;
+
+        if (consent.confirmed !== true) {
+            return res.status(400).json({
+                error: "Consent required",
+                code: "ASSISTED_CONSENT_REQUIRED",
+                message: "The patient must agree to being registered and to health workers booking for them"
+            });
+        }
+
+        const district = worker.locationData.healthDistrict;
+        const birthDate = new Date(dateOfBirth);
+        const existing = (await User.find({
+            'locationData.healthDistrict': district,
+            dateOfBirth: birthDate,
+            isActive: true,
+            isDependant: { $ne: true }
+        }).select(PATIENT_FIELDS)).find(patient =>
+            patient.firstName.toLowerCase() === firstName.toLowerCase() &&
+            patient.lastName.toLowerCase() === lastName.toLowerCase()
+        );
+        if (existing) {
+            return res.status(409).json({
+                error: "Patient already registered",
+                code: "PATIENT_EXISTS",
+                message: `${existing.firstName} ${existing.lastName} is already registered in ${district}`,
+                patient: formatPatient(existing)
+            });
+        }
+
+        const now = new Date();
+        const patient = new User({
+            firstName,
+            lastName,
+            dateOfBirth: birthDate,
+            gender,
+            phoneNumber,
+            preferredLanguage: preferredLanguage || worker.preferredLanguage,
+            locationData: {
+                healthDistrict: district,
+                subLocation,
+                preferredFacilityType: 'public-clinic',
+                districtType: worker.locationData.districtType
+            },
+            roles: ['patient'],
+            isEmailVerified: false,
+            assistedRegistration: {
+                registeredBy: worker._id,
+                registeredAt: now
+            },
+            assistedBookingConsent: {
+                given: true,
+                method: consent.method,
+                recordedBy: worker._id,
+                recordedAt: now
+            }
+        });
+
+        await patient.save();
+
+        console.log("KZN patient registered by health worker:", {
+            patientId: patient._id,
+            healthWorkerId: worker._id,
+            district
+        });
+
+        return res.status(201).json({
+            message: `${patient.firstName} ${patient.lastName} has been registered in ${district}`,
+            patient: formatPatient(patient)
+        });
+
+    } catch (error) {
+        console.error("Error registering KZN patient for health worker:", error);
+
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "PATIENT_REGISTRATION_ERROR",
+            message: "Failed to register the patient. Please try again later."
+        });
+    }
+};
+
+/**
+ * Record a patient's consent to health workers booking for them
+ * @route POST /api/assisted/patients/:id/consent
+ * @access Private (health-worker)
+ */
+export const recordPatientConsent = async (req, res) => {
+    try {
+        const { worker, error: workerError } = await loadWorker(req);
+        if (workerError) {
+            return res.status(workerError.status).json(workerError.body);
+        }
+
+        const { patient, error: patientError } = await findPatientForWorker(worker, req.params.id);
+        if (patientError) {
+            return res.status(patientError.status).json(patientError.body);
+        }
+
+        if (req.body.confirmed !== true) {
+            return res.status(400).json({
+                error: "Consent required",
+                code: "ASSISTED_CONSENT_REQUIRED",
+                message: "Confirm that the patient agreed to health workers booking for them"
+            });
+        }
+
+        patient.assistedBookingConsent = {
+            given: true,
+            method: req.body.method,
+            recordedBy: worker._id,
+            recordedAt: new Date()
+        };
+        await patient.save();
+
+        console.log("KZN assisted booking consent recorded:", {
+            patientId: patient._id,
+            healthWorkerId: worker._id,
+            method: req.body.method
+        });
+
+        return res.status(200).json({
+            message: `${patient.firstName}'s consent has been recorded`,
+            patient: formatPatient(patient)
+        });
+
+    } catch (error) {
+        console.error("Error recording KZN assisted booking consent:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "ASSISTED_CONSENT_ERROR",
+            message: "Failed to record the patient's consent. Please try again later."
+        });
+    }
+};
+
+/**
+ * Withdraw a patient's consent to health workers booking for them
+ * Appointments already booked are kept; the patient can cancel them at the facility.
+ * @route DELETE /api/assisted/patients/:id/consent
+ * @access Private (health-worker)
+ */
+export const withdrawPatientConsent = async (req, res) => {
+    try {
+        const { worker, error: workerError } = await loadWorker(req);
+        if (workerError) {
+            return res.status(workerError.status).json(workerError.body);
+        }
+
+        const { patient, error: patientError } = await findPatientForWorker(worker, req.params.id);
+        if (patientError) {
+            return res.status(patientError.status).json(patientError.body);
+        }
+
+        if (!patient.hasAssistedBookingConsent()) {
+            return res.status(409).json({
+                error: "No consent recorded",
+                code: "ASSISTED_CONSENT_NOT_GIVEN",
+                message: `${patient.firstName} has not consented to assisted booking`
+            });
+        }
+
+        patient.assistedBookingConsent.withdrawnAt = new Date();
+        patient.assistedBookingConsent.withdrawnBy = worker._id;
+        await patient.save();
+
+        console.log("KZN assisted booking consent withdrawn:", {
+            patientId: patient._id,
+            healthWorkerId: worker._id
+        });
+
+        return res.status(200).json({
+            message: `Health workers can no longer book for ${patient.firstName}`,
+            patient: formatPatient(patient)
+        });
+
+    } catch (error) {
+        console.error("Error withdrawing KZN assisted booking consent:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "ASSISTED_CONSENT_ERROR",
+            message: "Failed to withdraw the patient's consent. Please try again later."
+        });
+    }
+};
+
+/**
+ * List the appointments the health worker booked for patients, for follow-up
+ * @route GET /api/assisted/appointments
+ * @access Private (health-worker)
+ */
+export const getBookedAppointments = async (req, res) => {
+    try {
+        const { worker, error: workerError } = await loadWorker(req);
+        if (workerError) {
+            return res.status(workerError.status).json(workerError.body);
+        }
+
+        const { status, from, to, page = 1, limit = 20 } = req.query;
+        const filter = {
+            createdBy: worker._id,
+            user: { $ne: worker._id }
+        };
+
+        // Same scope as canAccessDistrict: admins see every district, health workers their own
+        if (!worker.roles.includes('admin')) {
+            filter.district = worker.locationData.healthDistrict;
+        }
+        if (status) filter.status = status;
+        if (from || to) {
+            filter.date = {};
+            if (from) filter.date.$gte = new Date(from);
+            if (to) filter.date.$lte = new Date(to);
+        }
+
+        const [appointments, total] = await Promise.all([
+            Appointment.find(filter)
+                .populate('user', 'firstName lastName phoneNumber preferredLanguage locationData.subLocation')
+                .sort({ date: -1, time: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Appointment.countDocuments(filter)
+        ]);
+
+        return res.status(200).json({
+            appointments: appointments.map(appointment => ({
+                id: appointment._id,
+                ...appointment.getScheduledTime(),
+                status: appointment.status,
+                category: appointment.category,
+                doctor: appointment.doctor,
+                facilityName: appointment.facilityName,
+                district: appointment.district,
+                isToday: appointment.isToday,
+                isPast: appointment.isPast,
+                canBeCancelled: appointment.canBeCancelled(),
+                patient: appointment.user ? {
+                    id: appointment.user._id,
+                    firstName: appointment.user.firstName,
+                    lastName: appointment.user.lastName,
+                    phoneNumber: appointment.user.phoneNumber || null,
+                    preferredLanguage: appointment.user.preferredLanguage,
+                    subLocation: appointment.user.locationData?.subLocation
+                } : null
+            })),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalAppointments: total,
+                limit
+            }
+        });
+
+    } catch (error) {
+        console.error("Error fetching KZN health worker bookings:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "ASSISTED_APPOINTMENTS_FETCH_ERROR",
+            message: "Failed to retrieve the appointments you booked. Please try again later."
+        });
+    }
+};
@@ -0,0 +1,222 @@
+// firstcare-backend/src/controllers/calendarController.js
+
+/**
+ * Calendar Export Controller for KZN Healthcare Appointment Booking System
+ *
+ * @file src/controllers/calendarController.js
+ * @description iCalendar (.ics) downloads and per-patient calendar subscription feeds
+ *
+ * Features:
+ * - Single appointment download for adding a booking to a phone calendar
+ * - Secret-link iCalendar feed of the patient's upcoming appointments
+ * - Rescheduled bookings update the existing calendar event; cancellations mark it cancelled
+ * - Times written in Africa/Johannesburg with the facility address and cancellation rules
+ *
+ * Security Features:
+ * - Downloads limited to the patient, their guardians and admins
+ * - Feed links use an unguessable token that the patient can replace to revoke old links
+ * - Feeds leave out the appointment reason and other clinical details
+ *
+ * @version 1.0.0
+ * @module CalendarController
+ * @author Healthcare System - KZN Implementation
+ */
+
+import Appointment from '../models/Appointment.js';
+import User from '../models/user.js';
+import { buildCalendar } from '../utils/calendarUtils.js';
+import { startOfClinicDay } from '../utils/timeZoneUtils.js';
+
+/**
+ * Maximum appointments included in a calendar feed
+ * @constant {number} FEED_APPOINTMENT_LIMIT
+ */
+const FEED_APPOINTMENT_LIMIT = 200;
+
+/**
+ * Build the subscription links for a feed token
+ * @param {string} token - Calendar feed token
+ * @returns {Object} HTTPS and webcal:// feed URLs
+ */
+const buildFeedLinks = (token) => {
+    const feedUrl = `${process.env.SERVER_URL || 'http://localhost:5000'}/api/calendar/feeds/${token}.ics`;
+    return {
+        feedUrl,
+        webcalUrl: feedUrl.replace(/^https?:\/\//, 'webcal://')
+    };
+};
+
+/**
+ * Send an iCalendar response
+ * @param {Object} res - Express response
+ * @param {string} calendar - iCalendar text
+ * @param {string} filename - File name offered to the browser
+ * @param {string} disposition - attachment for downloads, inline for feeds
+ */
+const sendCalendar = (res, calendar, filename, disposition = 'attachment') => {
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `${disposition}; filename="${filename}"`,
+        'Cache-Control': 'private, max-age=0, must-revalidate'
+    });
+    return res.status(200).send(calendar);
+};
+
+/**
+ * Download one appointment as an iCalendar file
+ * @route GET /api/appointments/:id/ics
+ * @access Private (appointment owner or their guardian, admin)
+ */
+export const getAppointmentCalendarFile = async (req, res) => {
+    try {
+        const appointment = await Appointment.findById(req.params.id);
+        if (!appointment) {
+            return res.status(404).json({
+                error: "Appointment not found",
+                code: "APPOINTMENT_NOT_FOUND",
+                message: "The specified appointment does not exist in KZN healthcare system"
+            });
+        }
+
+        if (!req.user.roles.includes('admin') && !(await User.canActFor(req.user.userId, appointment.user))) {
+            return res.status(403).json({
+                error: "Access denied",
+                code: "FORBIDDEN",
+                message: "You can only export your own or your dependants' KZN healthcare appointments"
+            });
+        }
+
+        if (appointment.status === 'rescheduled') {
+            return res.status(409).json({
+                error: "Appointment rescheduled",
+                code: "APPOINTMENT_RESCHEDULED",
+                message: "This booking was moved. Download the new appointment instead.",
+                rescheduledTo: appointment.rescheduledTo
+            });
+        }
+
+        const calendar = buildCalendar([appointment], { name: appointment.facilityName });
+        return sendCalendar(res, calendar, `appointment-${appointment._id}.ics`);
+
+    } catch (error) {
+        console.error("Error exporting KZN appointment to calendar:", error);
+        return res.status(500).json({
+            error: "KZN calendar service unavailable",
+            code: "CALENDAR_EXPORT_ERROR",
+            message: "Failed to export the appointment. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get the patient's calendar feed link, creating one on first use
+ * @route GET /api/calendar/feed
+ * @access Private
+ */
+export const getCalendarFeedLink = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('+calendarFeed.token');
+        if (!user) {
+            return res.status(404).json({
+                error: "User not found",
+                code: "USER_NOT_FOUND",
+                message: "Your account could not be found"
+            });
+        }
+
+        const created = !user.calendarFeed?.token;
+        if (created) {
+            user.issueCalendarFeedToken();
+            await user.save();
+        }
+
+        return res.status(created ? 201 : 200).json({
+            ...buildFeedLinks(user.calendarFeed.token),
+            createdAt: user.calendarFeed.createdAt,
+            message: "Subscribe to this link in your phone's calendar app. Keep it private: anyone with the link can see your appointment times."
+        });
+
+    } catch (error) {
+        console.error("Error fetching calendar feed link:", error);
+        return res.status(500).json({
+            error: "KZN calendar service unavailable",
+            code: "CALENDAR_FEED_LINK_ERROR",
+            message: "Failed to get your calendar link. Please try again later."
+        });
+    }
+};
+
+/**
+ * Replace the patient's calendar feed link, revoking the old one
+ * @route POST /api/calendar/feed/reset
+ * @access Private
+ */
+export const resetCalendarFeedLink = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({
+                error: "User not found",
+                code: "USER_NOT_FOUND",
+                message: "Your account could not be found"
+            });
+        }
+
+        const token = user.issueCalendarFeedToken();
+        await user.save();
+
+        console.log("Calendar feed link reset:", { userId: user._id });
+
+        return res.status(200).json({
+            ...buildFeedLinks(token),
+            createdAt: user.calendarFeed.createdAt,
+            message: "Your calendar link has been replaced. Calendars subscribed to the old link will stop updating."
+        });
+
+    } catch (error) {
+        console.error("Error resetting calendar feed link:", error);
+        return res.status(500).json({
+            error: "KZN calendar service unavailable",
+            code: "CALENDAR_FEED_RESET_ERROR",
+            message: "Failed to replace your calendar link. Please try again later."
+        });
+    }
+};
+
+/**
+ * Serve a patient's calendar feed
+ * Lists appointments from today onwards, including cancelled ones so subscribed calendars
+ * mark them cancelled. Rescheduled bookings are left out; their replacement updates the event.
+ * @route GET /api/calendar/feeds/:token.ics
+ * @access Public (secret feed token)
+ */
+export const getCalendarFeed = async (req, res) => {
+    try {
+        const user = await User.findOne({ 'calendarFeed.token': req.params.token, isActive: true }).select('_id');
+        if (!user) {
+            return res.status(404).json({
+                error: "Calendar feed not found",
+                code: "CALENDAR_FEED_NOT_FOUND",
+                message: "This calendar link is not valid. It may have been replaced."
+            });
+        }
+
+        const appointments = await Appointment.find({
+            user: user._id,
+            status: { $ne: 'rescheduled' },
+            date: { $gte: startOfClinicDay() }
+        })
+            .sort({ date: 1, time: 1 })
+            .limit(FEED_APPOINTMENT_LIMIT);
+
+        return sendCalendar(res, buildCalendar(appointments), 'firstcare-appointments.ics', 'inline');
+
+    } catch (error) {
+        console.error("Error building calendar feed:", error);
+        return res.status(500).json({
+            error: "KZN calendar service unavailable",
+            code: "CALENDAR_FEED_ERROR",
+            message: "Failed to build the calendar feed. Please try again later."
+        });
+    }
+};
@@ -0,0 +1,234 @@
+// firstcare-backend/src/controllers/confirmationSlipController.js
+
+/**
+ * Confirmation Slip Controller for KZN Healthcare Appointment Booking System
+ *
+ * @file src/controllers/confirmationSlipController.js
+ * @description Printable PDF confirmation slips and QR code check-in at reception
+ *
+ * Features:
+ * - A5 PDF slip with facility, provider, clinic date and time, what to bring and the cancellation window
+ * - Signed QR check-in code valid until the end of the appointment day
+ * - Reception staff scan the code to check the patient in; pending bookings are confirmed on arrival
+ *
+ * Security Features:
+ * - Slips for the patient and their guardians, admins, health workers in the patient's district and the facility's providers
+ * - Check-in codes are signed and expire, and only staff at the booked facility can scan them
+ * - Slips leave out the appointment reason and other clinical details
+ *
+ * @version 1.0.0
+ * @module ConfirmationSlipController
+ * @author Healthcare System - KZN Implementation
+ */
+
+import jwt from 'jsonwebtoken';
+import Appointment, { ACTIVE_STATUSES } from '../models/Appointment.js';
+import User from '../models/user.js';
+import { generateCheckInToken, verifyCheckInToken } from '../utils/jwtUtils.js';
+import { renderConfirmationSlip } from '../utils/confirmationSlip.js';
+import { addToClinicDate } from '../utils/timeZoneUtils.js';
+
+/**
+ * Check whether a provider account works at the appointment's facility or with its doctor
+ * @param {string} userId - Provider user id
+ * @param {Object} appointment - Appointment document
+ * @returns {Promise<boolean>} True if the provider is linked to the facility or doctor
+ */
+const isFacilityProvider = async (userId, appointment) => {
+    const account = await User.findById(userId).select('providerProfile');
+    const { facility, doctorId } = account?.providerProfile || {};
+
+    return Boolean(
+        (facility && appointment.facility && facility.equals(appointment.facility)) ||
+        (doctorId && doctorId === appointment.doctorId)
+    );
+};
+
+/**
+ * Check whether the requesting user may print an appointment's slip
+ * @param {Object} req - Express request
+ * @param {Object} appointment - Appointment document
+ * @returns {Promise<boolean>} True for the patient or their guardian, admins, district health workers and facility providers
+ */
+const canPrintSlip = async (req, appointment) => {
+    const { userId, roles } = req.user;
+
+    if (roles.includes('admin') || await User.canActFor(userId, appointment.user)) return true;
+
+    if (roles.includes('health-worker')) {
+        const staff = await User.findById(userId).select('locationData');
+        if (staff?.locationData?.healthDistrict === appointment.district) return true;
+    }
+
+    return roles.includes('provider') && isFacilityProvider(userId, appointment);
+};
+
+/**
+ * Download a printable PDF confirmation slip for an appointment
+ * @route GET /api/appointments/:id/confirmation-slip
+ * @access Private (appointment owner or their guardian, admin, district health-worker, facility provider)
+ */
+export const getConfirmationSlip = async (req, res) => {
+    try {
+        const appointment = await Appointment.findById(req.params.id)
+            .populate('user', 'firstName lastName');
+
+        if (!appointment) {
+            return res.status(404).json({
+                error: "Appointment not found",
+                code: "APPOINTMENT_NOT_FOUND",
+                message: "The specified appointment does not exist in KZN healthcare system"
+            });
+        }
+
+        // Compare against the patient id while the user is populated
+        const patient = appointment.user;
+        appointment.depopulate('user');
+
+        if (!(await canPrintSlip(req, appointment))) {
+            return res.status(403).json({
+                error: "Access denied",
+                code: "FORBIDDEN",
+                message: "You can only print confirmation slips for your own appointments or patients at your facility"
+            });
+        }
+
+        if (!ACTIVE_STATUSES.includes(appointment.status) || appointment.isPast) {
+            return res.status(409).json({
+                error: "Appointment not active",
+                code: "APPOINTMENT_NOT_ACTIVE",
+                message: "Confirmation slips can only be printed for upcoming appointments",
+                currentStatus: appointment.status,
+                rescheduledTo: appointment.rescheduledTo || undefined
+            });
+        }
+
+        // The code works until midnight at the end of the appointment day
+        const checkInExpiresAt = addToClinicDate(appointment.date, { days: 1 });
+        const checkInToken = generateCheckInToken(appointment._id, checkInExpiresAt);
+
+        const pdf = await renderConfirmationSlip(appointment, { patient, checkInToken, checkInExpiresAt });
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="appointment-${appointment._id}.pdf"`,
+            'Content-Length': pdf.length,
+            'Cache-Control': 'private, no-store'
+        });
+        return res.status(200).send(pdf);
+
+    } catch (error) {
+        console.error("Error rendering KZN appointment confirmation slip:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "CONFIRMATION_SLIP_ERROR",
+            message: "Failed to create the confirmation slip. Please try again later."
+        });
+    }
+};
+
+/**
+ * Check a patient in by scanning the QR code on their confirmation slip
+ * Pending bookings are confirmed and checked in together, as the patient has arrived.
+ * @route POST /api/appointments/check-in
+ * @access Private (provider at the booked facility, admin)
+ */
+export const checkInWithSlip = async (req, res) => {
+    try {
+        let appointmentId;
+        try {
+            ({ appointmentId } = verifyCheckInToken(req.body.token));
+        } catch (tokenError) {
+            const expired = tokenError instanceof jwt.TokenExpiredError;
+            return res.status(400).json({
+                error: expired ? "Check-in code expired" : "Invalid check-in code",
+                code: expired ? "CHECK_IN_CODE_EXPIRED" : "INVALID_CHECK_IN_CODE",
+                message: expired
+                    ? "This confirmation slip was for an earlier day"
+                    : "The scanned code is not a valid FirstCare confirmation slip"
+            });
+        }
+
+        const appointment = await Appointment.findById(appointmentId)
+            .populate('user', 'firstName lastName phoneNumber');
+
+        if (!appointment) {
+            return res.status(404).json({
+                error: "Appointment not found",
+                code: "APPOINTMENT_NOT_FOUND",
+                message: "The specified appointment does not exist in KZN healthcare system"
+            });
+        }
+
+        const patient = appointment.user;
+        appointment.depopulate('user');
+
+        if (!req.user.roles.includes('admin') && !(await isFacilityProvider(req.user.userId, appointment))) {
+            return res.status(403).json({
+                error: "Wrong facility",
+                code: "WRONG_FACILITY",
+                message: `This appointment is at ${appointment.facilityName}`
+            });
+        }
+
+        const alreadyCheckedIn = appointment.status === 'checked-in';
+
+        if (!alreadyCheckedIn) {
+            if (!appointment.isToday) {
+                return res.status(400).json({
+                    error: "Transition not yet allowed",
+                    code: "TRANSITION_TOO_EARLY",
+                    message: "Patients can only be checked in on the day of their appointment"
+                });
+            }
+
+            if (appointment.status === 'pending') {
+                appointment.transitionTo('confirmed', req.user.userId, 'Confirmed on arrival with confirmation slip');
+            }
+
+            if (!appointment.canTransitionTo('checked-in')) {
+                return res.status(409).json({
+                    error: "Invalid status transition",
+                    code: "INVALID_STATUS_TRANSITION",
+                    message: `A ${appointment.status} appointment cannot be checked in`,
+                    currentStatus: appointment.status,
+                    rescheduledTo: appointment.rescheduledTo || undefined
+                });
+            }
+
+            appointment.transitionTo('checked-in', req.user.userId, 'Checked in with confirmation slip');
+            await appointment.save();
+
+            console.log("KZN Appointment checked in with slip:", appointment._id);
+        }
+
+        return res.status(200).json({
+            message: alreadyCheckedIn
+                ? "Patient is already checked in"
+                : "KZN healthcare appointment checked in successfully!",
+            alreadyCheckedIn,
+            appointment: {
+                id: appointment._id,
+                ...appointment.getScheduledTime(),
+                doctor: appointment.doctor,
+                facilityName: appointment.facilityName,
+                category: appointment.category,
+                status: appointment.status,
+                isConfirmed: appointment.isConfirmed,
+                patient: {
+                    firstName: patient.firstName,
+                    lastName: patient.lastName,
+                    phoneNumber: patient.phoneNumber
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error("Error checking in KZN appointment with slip:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "KZN_APPOINTMENT_STATUS_ERROR",
+            message: "Failed to check the patient in. Please try again later."
+        });
+    }
+};
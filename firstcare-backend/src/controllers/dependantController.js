@@ -0,0 +1,583 @@
+// firstcare-backend/src/controllers/dependantController.js
+
+/**
+ * Dependant Controller for KZN Healthcare Appointment Booking System
+ *
+ * @file src/controllers/dependantController.js
+ * @description Family accounts: guardians registering and managing dependants
+ *
+ * Features:
+ * - Guardians register children and elderly parents as dependants with their own medical profiles
+ * - Dependants have no login; their appointments are booked with POST /api/appointments and a patientId
+ * - Parents and legal guardians of minors act under parental responsibility until the child turns 18
+ * - Adult dependants' consent is recorded with how it was given and what it covers
+ * - Guardians can stop managing a dependant; the link is kept as a record of past access
+ *
+ * Security Features:
+ * - Every action checks the guardian's link and the consent scope it needs
+ * - Medical details only returned or changed with medical-profile consent
+ * - Date of birth cannot be changed by guardians, so parental responsibility cannot be extended
+ *
+ * @version 1.0.0
+ * @module DependantController
+ * @author Healthcare System - KZN Implementation
+ */
+
+import User, { GUARDIAN_SCOPES } from '../models/user.js';
+
+/**
+ * Relationships that carry parental responsibility for a minor
+ * @constant {Array<string>} PARENTAL_RELATIONSHIPS
+ */
+const PARENTAL_RELATIONSHIPS = ['parent', 'legal-guardian'];
+
+/**
+ * Location fields a dependant inherits from the guardian when none are given
+ * @constant {Array<string>} INHERITED_LOCATION_FIELDS
+ */
+const INHERITED_LOCATION_FIELDS = ['healthDistrict', 'subLocation', 'preferredFacilityType', 'districtType'];
+
+/**
+ * Format the guardian's access to a dependant
+ * @param {Object} dependant - Dependant user document
+ * @param {string} guardianId - Guardian user id
+ * @returns {Object|null} Relationship, consent and whether it is currently valid
+ */
+const formatAccess = (dependant, guardianId) => {
+    const link = dependant.guardians.find(guardian => guardian.user.equals(guardianId) && !guardian.revokedAt);
+    if (!link) return null;
+
+    const active = Boolean(dependant.getGuardianLink(guardianId));
+    return {
+        relationship: link.relationship,
+        canMakeMedicalDecisions: link.canMakeMedicalDecisions,
+        consentBasis: link.consent.basis,
+        consentMethod: link.consent.method,
+        consentScope: link.consent.scope,
+        consentGivenAt: link.consent.givenAt,
+        active,
+        // Parental responsibility ends at 18; the dependant's own consent is then needed
+        consentRequired: !active
+    };
+};
+
+/**
+ * Format a dependant for their guardian
+ * @param {Object} dependant - Dependant user document
+ * @param {string} guardianId - Guardian user id
+ * @returns {Object} Dependant profile, with medical details only under medical-profile consent
+ */
+const formatDependant = (dependant, guardianId) => {
+    const access = formatAccess(dependant, guardianId);
+    const medicalConsent = dependant.hasGuardianConsent(guardianId, 'medical-profile');
+
+    return {
+        id: dependant._id,
+        firstName: dependant.firstName,
+        lastName: dependant.lastName,
+        dateOfBirth: dependant.dateOfBirth,
+        age: dependant.age,
+        isMinor: dependant.isMinor,
+        isElderly: dependant.isElderly,
+        gender: dependant.gender,
+        preferredLanguage: dependant.preferredLanguage,
+        phoneNumber: dependant.phoneNumber || null,
+        locationData: dependant.locationData,
+        isProfileComplete: dependant.isProfileComplete,
+        access,
+        medicalHistory: medicalConsent ? dependant.medicalHistory || {} : undefined,
+        allergies: medicalConsent ? dependant.allergies || [] : undefined,
+        healthcarePreferences: medicalConsent ? dependant.healthcarePreferences || {} : undefined,
+        createdAt: dependant.createdAt
+    };
+};
+
+/**
+ * Find a dependant the requesting guardian is linked to
+ * @param {Object} req - Express request
+ * @param {Object} [options]
+ * @param {string|null} [options.scope='appointments'] - Consent scope needed, or null to allow lapsed consent
+ * @returns {Promise<Object>} { dependant } or { error: { status, body } }
+ */
+const findDependantForGuardian = async (req, { scope = 'appointments' } = {}) => {
+    const dependant = await User.findOne({
+        _id: req.params.id,
+        isDependant: true,
+        isActive: true,
+        guardians: { $elemMatch: { user: req.user.userId, revokedAt: null } }
+    });
+
+    if (!dependant) {
+        return {
+            error: {
+                status: 404,
+                body: {
+                    error: "Dependant not found",
+                    code: "DEPENDANT_NOT_FOUND",
+                    message: "No dependant with this ID is linked to your account"
+                }
+            }
+        };
+    }
+
+    if (scope && !dependant.hasGuardianConsent(req.user.userId, scope)) {
+        return {
+            error: {
+                status: 403,
+                body: {
+                    error: "Consent required",
+                    code: "GUARDIAN_CONSENT_REQUIRED",
+                    message: dependant.getGuardianLink(req.user.userId)
+                        ? `Your consent from ${dependant.firstName} does not cover ${scope === 'medical-profile' ? 'their medical profile' : 'their appointments'}`
+                        : `${dependant.firstName} is now an adult. Record their consent before managing their care.`,
+                    requiredScope: scope
+                }
+            }
+        };
+    }
+
+    return { dependant };
+};
+
+/**
+ * Check a guardian's consent details for a new or renewed link
+ * Minors are managed under parental responsibility; adults must have agreed, verbally or in writing.
+ * @param {Object} dependant - Dependant user document (date of birth set)
+ * @param {Object} details - Request details
+ * @param {string} details.relationship - Relationship to the dependant
+ * @param {Object} [details.consent] - Adult consent: confirmed, method, scope
+ * @returns {Object} { consent } or { error: { status, body } }
+ */
+const buildConsent = (dependant, { relationship, consent = {} }) => {
+    if (dependant.isMinor) {
+        if (!PARENTAL_RELATIONSHIPS.includes(relationship)) {
+            return {
+                error: {
+                    status: 403,
+                    body: {
+                        error: "Parental responsibility required",
+                        code: "PARENTAL_RESPONSIBILITY_REQUIRED",
+                        message: "Only a parent or legal guardian can manage a child's healthcare"
+                    }
+                }
+            };
+        }
+
+        return {
+            consent: {
+                basis: 'parental-responsibility',
+                method: 'declared',
+                scope: [...GUARDIAN_SCOPES]
+            }
+        };
+    }
+
+    if (consent.confirmed !== true || !['verbal', 'written'].includes(consent.method)) {
+        return {
+            error: {
+                status: 400,
+                body: {
+                    error: "Consent required",
+                    code: "DEPENDANT_CONSENT_REQUIRED",
+                    message: "Adults must agree to you managing their healthcare. Confirm their consent and whether it was given verbally or in writing."
+                }
+            }
+        };
+    }
+
+    return {
+        consent: {
+            basis: 'patient-consent',
+            method: consent.method,
+            scope: consent.scope?.length ? [...new Set(consent.scope)] : ['appointments']
+        }
+    };
+};
+
+/**
+ * Handle Mongoose validation errors for dependant profiles
+ * @param {Object} res - Express response
+ * @param {Error} error - Validation error
+ * @returns {Object} 400 response
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+    error: "Validation failed",
+    code: "DEPENDANT_VALIDATION_ERROR",
+    details: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+});
+
+/**
+ * List the guardian's dependants
+ * @route GET /api/dependants
+ * @access Private
+ */
+export const getMyDependants = async (req, res) => {
+    try {
+        const dependants = await User.findDependantsOf(req.user.userId);
+
+        return res.status(200).json({
+            dependants: dependants.map(dependant => formatDependant(dependant, req.user.userId)),
+            total: dependants.length
+        });
+
+    } catch (error) {
+        console.error("Error fetching dependants:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "DEPENDANT_FETCH_ERROR",
+            message: "Failed to retrieve your dependants. Please try again later."
+        });
+    }
+};
+
+/**
+ * Register a dependant managed by the guardian
+ * @route POST /api/dependants
+ * @access Private
+ */
+export const registerDependant = async (req, res) => {
+    try {
+        const {
+            firstName, lastName, dateOfBirth, gender, preferredLanguage, phoneNumber,
+            locationData, relationship, canMakeMedicalDecisions, consent
+        } = req.body;
+
+        const guardian = await User.findById(req.user.userId);
+        if (!guardian || guardian.isDependant) {
+            return res.status(404).json({
+                error: "User not found",
+                code: "USER_NOT_FOUND",
+                message: "Your account could not be found"
+            });
+        }
+
+        const birthDate = new Date(dateOfBirth);
+        const existing = (await User.findDependantsOf(guardian._id)).find(dependant =>
+            dependant.dateOfBirth?.getTime() === birthDate.getTime() &&
+            dependant.firstName.toLowerCase() === firstName.toLowerCase()
+        );
+        if (existing) {
+            return res.status(409).json({
+                error: "Dependant already registered",
+                code: "DEPENDANT_EXISTS",
+                message: `${existing.firstName} ${existing.lastName} is already one of your dependants`,
+                dependantId: existing._id
+            });
+        }
+
+        // Dependants live with or near their guardian unless another area is given
+        const location = { ...locationData };
+        for (const field of INHERITED_LOCATION_FIELDS) {
+            if (location[field] === undefined && guardian.locationData?.[field] !== undefined) {
+                location[field] = guardian.locationData[field];
+            }
+        }
+
+        const dependant = new User({
+            firstName,
+            lastName,
+            dateOfBirth: birthDate,
+            gender,
+            preferredLanguage: preferredLanguage || guardian.preferredLanguage,
+            phoneNumber,
+            locationData: location,
+            roles: ['patient'],
+            isDependant: true,
+            isEmailVerified: false
+        });
+
+        const consentCheck = buildConsent(dependant, { relationship, consent });
+        if (consentCheck.error) {
+            return res.status(consentCheck.error.status).json(consentCheck.error.body);
+        }
+
+        const decisionMaker = consentCheck.consent.basis === 'parental-responsibility' || canMakeMedicalDecisions === true;
+
+        dependant.guardians.push({
+            user: guardian._id,
+            relationship,
+            canMakeMedicalDecisions: decisionMaker,
+            consent: { ...consentCheck.consent, recordedBy: guardian._id }
+        });
+
+        // Facilities reach the guardian about the dependant
+        dependant.emergencyContact = {
+            name: guardian.fullName,
+            relationship,
+            phoneNumber: guardian.phoneNumber,
+            canMakeMedicalDecisions: decisionMaker
+        };
+
+        await dependant.save();
+
+        console.log("Dependant registered:", {
+            dependantId: dependant._id,
+            guardianId: guardian._id,
+            consentBasis: consentCheck.consent.basis
+        });
+
+        return res.status(201).json({
+            message: `${dependant.firstName} has been added to your family account`,
+            dependant: formatDependant(dependant, guardian._id)
+        });
+
+    } catch (error) {
+        console.error("Error registering dependant:", error);
+
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "DEPENDANT_REGISTRATION_ERROR",
+            message: "Failed to add the dependant. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get a dependant's profile
+ * @route GET /api/dependants/:id
+ * @access Private (guardian with current consent)
+ */
+export const getDependant = async (req, res) => {
+    try {
+        const { dependant, error } = await findDependantForGuardian(req);
+        if (error) {
+            return res.status(error.status).json(error.body);
+        }
+
+        return res.status(200).json({
+            dependant: formatDependant(dependant, req.user.userId)
+        });
+
+    } catch (error) {
+        console.error("Error fetching dependant:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "DEPENDANT_FETCH_ERROR",
+            message: "Failed to retrieve the dependant. Please try again later."
+        });
+    }
+};
+
+/**
+ * Update a dependant's personal and location details
+ * @route PUT /api/dependants/:id
+ * @access Private (guardian with current consent)
+ */
+export const updateDependant = async (req, res) => {
+    try {
+        const { dependant, error } = await findDependantForGuardian(req);
+        if (error) {
+            return res.status(error.status).json(error.body);
+        }
+
+        const { firstName, lastName, gender, preferredLanguage, phoneNumber, locationData } = req.body;
+
+        if (firstName !== undefined) dependant.firstName = firstName;
+        if (lastName !== undefined) dependant.lastName = lastName;
+        if (gender !== undefined) dependant.gender = gender;
+        if (preferredLanguage !== undefined) dependant.preferredLanguage = preferredLanguage;
+        if (phoneNumber !== undefined) dependant.phoneNumber = phoneNumber || undefined;
+
+        if (locationData) {
+            for (const [field, value] of Object.entries(locationData)) {
+                dependant.set(`locationData.${field}`, value);
+            }
+            dependant.locationData.lastLocationUpdate = new Date();
+        }
+
+        await dependant.save();
+
+        return res.status(200).json({
+            message: `${dependant.firstName}'s details have been updated`,
+            dependant: formatDependant(dependant, req.user.userId)
+        });
+
+    } catch (error) {
+        console.error("Error updating dependant:", error);
+
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "DEPENDANT_UPDATE_ERROR",
+            message: "Failed to update the dependant. Please try again later."
+        });
+    }
+};
+
+/**
+ * Update a dependant's medical history, allergies and medical aid details
+ * @route PUT /api/dependants/:id/medical
+ * @access Private (guardian with medical-profile consent)
+ */
+export const updateDependantMedicalProfile = async (req, res) => {
+    try {
+        const { dependant, error } = await findDependantForGuardian(req, { scope: 'medical-profile' });
+        if (error) {
+            return res.status(error.status).json(error.body);
+        }
+
+        const { medicalHistory, allergies, healthcarePreferences } = req.body;
+
+        if (medicalHistory) {
+            for (const field of ['bloodType', 'conditions', 'chronicMedications', 'surgeries']) {
+                if (medicalHistory[field] !== undefined) {
+                    dependant.set(`medicalHistory.${field}`, medicalHistory[field]);
+                }
+            }
+        }
+
+        if (Array.isArray(allergies)) {
+            dependant.allergies = allergies;
+        }
+
+        if (healthcarePreferences) {
+            for (const field of ['hasMedicalAid', 'medicalAidScheme', 'medicalAidNumber', 'emergencyAccessConsent', 'dataSharingConsent']) {
+                if (healthcarePreferences[field] !== undefined) {
+                    dependant.set(`healthcarePreferences.${field}`, healthcarePreferences[field]);
+                }
+            }
+        }
+
+        await dependant.save();
+
+        console.log("Dependant medical profile updated:", { dependantId: dependant._id, guardianId: req.user.userId });
+
+        return res.status(200).json({
+            message: `${dependant.firstName}'s medical profile has been updated`,
+            dependant: formatDependant(dependant, req.user.userId)
+        });
+
+    } catch (error) {
+        console.error("Error updating dependant medical profile:", error);
+
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "DEPENDANT_MEDICAL_UPDATE_ERROR",
+            message: "Failed to update the medical profile. Please try again later."
+        });
+    }
+};
+
+/**
+ * Record an adult dependant's consent to the guardian managing their care
+ * Used when a child turns 18 and to change what the consent covers.
+ * @route PUT /api/dependants/:id/consent
+ * @access Private (linked guardian)
+ */
+export const recordDependantConsent = async (req, res) => {
+    try {
+        const { dependant, error } = await findDependantForGuardian(req, { scope: null });
+        if (error) {
+            return res.status(error.status).json(error.body);
+        }
+
+        if (dependant.isMinor) {
+            return res.status(400).json({
+                error: "Consent not needed",
+                code: "CONSENT_NOT_NEEDED",
+                message: `${dependant.firstName} is a minor and is managed under parental responsibility`
+            });
+        }
+
+        const link = dependant.guardians.find(guardian => guardian.user.equals(req.user.userId) && !guardian.revokedAt);
+        const consentCheck = buildConsent(dependant, { relationship: link.relationship, consent: req.body });
+        if (consentCheck.error) {
+            return res.status(consentCheck.error.status).json(consentCheck.error.body);
+        }
+
+        link.consent = { ...consentCheck.consent, givenAt: new Date(), recordedBy: req.user.userId };
+        if (req.body.canMakeMedicalDecisions !== undefined) {
+            link.canMakeMedicalDecisions = req.body.canMakeMedicalDecisions;
+
+            // The guardian who registered the dependant is their emergency contact
+            if (dependant.guardians[0].user.equals(req.user.userId) && dependant.emergencyContact) {
+                dependant.emergencyContact.canMakeMedicalDecisions = req.body.canMakeMedicalDecisions;
+            }
+        }
+
+        await dependant.save();
+
+        console.log("Dependant consent recorded:", {
+            dependantId: dependant._id,
+            guardianId: req.user.userId,
+            scope: link.consent.scope
+        });
+
+        return res.status(200).json({
+            message: `${dependant.firstName}'s consent has been recorded`,
+            dependant: formatDependant(dependant, req.user.userId)
+        });
+
+    } catch (error) {
+        console.error("Error recording dependant consent:", error);
+
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "DEPENDANT_CONSENT_ERROR",
+            message: "Failed to record consent. Please try again later."
+        });
+    }
+};
+
+/**
+ * Stop managing a dependant
+ * The guardian link is revoked rather than deleted. A dependant with no remaining guardians
+ * is deactivated, as nobody can sign in for them.
+ * @route DELETE /api/dependants/:id
+ * @access Private (linked guardian)
+ */
+export const removeDependant = async (req, res) => {
+    try {
+        const { dependant, error } = await findDependantForGuardian(req, { scope: null });
+        if (error) {
+            return res.status(error.status).json(error.body);
+        }
+
+        const link = dependant.guardians.find(guardian => guardian.user.equals(req.user.userId) && !guardian.revokedAt);
+        link.revokedAt = new Date();
+        link.revokedBy = req.user.userId;
+        link.revokedReason = req.body?.reason || '';
+
+        const remainingGuardians = dependant.guardians.filter(guardian => !guardian.revokedAt);
+        if (remainingGuardians.length === 0) {
+            dependant.isActive = false;
+        }
+
+        await dependant.save();
+
+        console.log("Dependant removed from family account:", {
+            dependantId: dependant._id,
+            guardianId: req.user.userId,
+            deactivated: !dependant.isActive
+        });
+
+        return res.status(200).json({
+            message: `${dependant.firstName} has been removed from your family account`,
+            dependantId: dependant._id,
+            remainingGuardians: remainingGuardians.length
+        });
+
+    } catch (error) {
+        console.error("Error removing dependant:", error);
+        return res.status(500).json({
+            error: "KZN healthcare service unavailable",
+            code: "DEPENDANT_REMOVAL_ERROR",
+            message: "Failed to remove the dependant. Please try again later."
+        });
+    }
+};
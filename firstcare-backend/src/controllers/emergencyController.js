@@ -0,0 +1,332 @@
+// firstcare-backend/src/controllers/emergencyController.js
+
+/**
+ * Emergency Triage Controller for KZN Healthcare Appointment Booking System
+ *
+ * @file src/controllers/emergencyController.js
+ * @description Triage of reported symptoms and routing to the nearest open facility with an emergency unit
+ *
+ * Features:
+ * - Triage category (South African Triage Scale colours) from symptom description, severity and onset
+ * - Nearest open facilities with emergency capability, widening the search for rural districts
+ * - Optional prioritised emergency booking at the nearest open hospital, with transport
+ *   assistance pre-filled from the triage category and the patient's location
+ *
+ * Security Features:
+ * - Authenticated access only
+ * - Emergency bookings are not limited to the patient's registered district, so patients
+ *   near a district boundary are routed to the closest hospital
+ * - One active emergency booking per patient per day
+ *
+ * @version 1.0.0
+ * @module EmergencyController
+ * @author Healthcare System - KZN Implementation
+ */
+
+import Appointment, { ACTIVE_STATUSES } from '../models/Appointment.js';
+import HealthcareFacility from '../models/HealthcareFacility.js';
+import User from '../models/user.js';
+import { calculateDistance, formatDistance } from '../utils/geoUtils.js';
+import { triageSymptoms, describeOnset } from '../utils/triageUtils.js';
+import { startOfClinicDay, toClinicDateString, toClinicTimeString } from '../utils/timeZoneUtils.js';
+
+/**
+ * Search radii tried in turn until an open emergency facility is found
+ * @constant {Array<number>} EMERGENCY_SEARCH_RADII_METERS
+ */
+const EMERGENCY_SEARCH_RADII_METERS = [25000, 75000, 200000];
+
+/**
+ * Facilities returned with a triage result
+ * @constant {number} MAX_EMERGENCY_FACILITIES
+ */
+const MAX_EMERGENCY_FACILITIES = 5;
+
+/**
+ * Time set aside for an emergency arrival in minutes
+ * @constant {number} EMERGENCY_BOOKING_MINUTES
+ */
+const EMERGENCY_BOOKING_MINUTES = 60;
+
+/**
+ * South African emergency numbers
+ * @constant {Array<Object>} EMERGENCY_NUMBERS
+ */
+const EMERGENCY_NUMBERS = [
+    { service: 'Public ambulance', number: '10177' },
+    { service: 'Emergency from a cellphone', number: '112' }
+];
+
+/**
+ * Check whether a facility can receive emergency bookings
+ * Emergency appointments can only be booked at hospitals.
+ * @param {Object} facility - Healthcare facility
+ * @returns {boolean} True for public and private hospitals
+ */
+const isHospital = (facility) => facility.facilityType.includes('hospital');
+
+/**
+ * Format an emergency facility for API responses
+ * @param {Object} facility - Healthcare facility document
+ * @param {Object} location - Patient location { lat, lng }
+ * @param {Date} now - Search time
+ * @returns {Object} Facility with distance and whether it is open now
+ */
+const formatEmergencyFacility = (facility, location, now) => {
+    const [lng, lat] = facility.location.coordinates;
+    const distanceKm = calculateDistance(location.lat, location.lng, lat, lng);
+    const closure = facility.getBookingRestriction(now, toClinicTimeString(now), 0);
+
+    return {
+        id: facility._id,
+        name: facility.name,
+        facilityType: facility.facilityType,
+        district: facility.district,
+        subLocation: facility.subLocation,
+        address: facility.address,
+        coordinates: { lat, lng },
+        distance: formatDistance(distanceKm * 1000),
+        distanceKm: parseFloat(distanceKm.toFixed(2)),
+        openNow: !closure,
+        closedReason: closure?.message || null,
+        acceptsEmergencyBookings: isHospital(facility),
+        contact: {
+            phone: facility.contact?.phone || null,
+            emergencyContact: facility.contact?.emergencyContact || null
+        }
+    };
+};
+
+/**
+ * Find the nearest facilities with emergency capability
+ * The radius widens until at least one open facility is found; open facilities are listed first.
+ * @param {Object} location - Patient location { lat, lng }
+ * @param {Date} now - Search time
+ * @returns {Promise<Object>} { facilities, searchRadius }
+ */
+const findEmergencyFacilities = async (location, now) => {
+    let facilities = [];
+    let searchRadius = EMERGENCY_SEARCH_RADII_METERS[0];
+
+    for (const radius of EMERGENCY_SEARCH_RADII_METERS) {
+        searchRadius = radius;
+        const nearby = await HealthcareFacility.findNearby(
+            [location.lng, location.lat],
+            radius,
+            { isVerified: true, categories: 'emergency' }
+        ).select('subLocation categories operatingHours openOnPublicHolidays');
+
+        facilities = nearby.map(facility => formatEmergencyFacility(facility, location, now));
+        if (facilities.some(facility => facility.openNow)) break;
+    }
+
+    facilities.sort((a, b) => (b.openNow - a.openNow) || (a.distanceKm - b.distanceKm));
+
+    return {
+        facilities: facilities.slice(0, MAX_EMERGENCY_FACILITIES),
+        searchRadius
+    };
+};
+
+/**
+ * Format an emergency booking for API responses
+ * @param {Object} appointment - Emergency appointment document
+ * @returns {Object} Booking details
+ */
+const formatEmergencyBooking = (appointment) => ({
+    id: appointment._id,
+    bookingType: appointment.bookingType,
+    date: toClinicDateString(appointment.date),
+    time: appointment.time,
+    status: appointment.status,
+    urgency: appointment.urgency,
+    category: appointment.category,
+    reason: appointment.reason,
+    facilityId: appointment.facility,
+    facilityName: appointment.facilityName,
+    facilityType: appointment.facilityType,
+    providerAddress: appointment.providerAddress,
+    providerContact: appointment.providerContact,
+    triage: appointment.triage,
+    symptoms: appointment.symptoms,
+    transportAssistance: appointment.transportAssistance,
+    priorityScore: appointment.getPriorityScore()
+});
+
+/**
+ * Triage symptoms, find the nearest open emergency facilities and optionally book an emergency arrival
+ * @route POST /api/emergency/triage
+ * @access Private
+ */
+export const triageEmergency = async (req, res) => {
+    try {
+        const { symptoms, location, createAppointment = false, facilityId, transportNeeded, notes } = req.body;
+        const now = new Date();
+
+        const triage = triageSymptoms(symptoms, now);
+        const { facilities, searchRadius } = await findEmergencyFacilities(location, now);
+
+        const result = {
+            triage,
+            facilities,
+            searchLocation: location,
+            searchRadius,
+            emergencyNumbers: EMERGENCY_NUMBERS
+        };
+
+        console.log("Emergency triage:", {
+            user: req.user.userId,
+            category: triage.category,
+            facilitiesFound: facilities.length,
+            createAppointment
+        });
+
+        if (!createAppointment) {
+            return res.status(200).json(result);
+        }
+
+        if (triage.category === 'green') {
+            return res.status(409).json({
+                error: "Not an emergency",
+                code: "TRIAGE_NOT_EMERGENCY",
+                message: "Your symptoms do not need emergency care. Please book a regular appointment or visit your local clinic.",
+                ...result
+            });
+        }
+
+        // Book at the chosen facility, or the nearest open hospital
+        const target = facilityId
+            ? facilities.find(facility => facility.id.toString() === facilityId)
+            : facilities.find(facility => facility.openNow && facility.acceptsEmergencyBookings);
+
+        if (!target) {
+            return res.status(facilityId ? 409 : 404).json({
+                error: facilityId ? "Facility not suitable" : "No emergency facility available",
+                code: facilityId ? "FACILITY_NOT_SUITABLE" : "NO_EMERGENCY_FACILITY",
+                message: facilityId
+                    ? "The selected facility is not one of the nearest emergency facilities"
+                    : "No open hospital with an emergency unit was found near you. Call an ambulance on 10177.",
+                ...result
+            });
+        }
+
+        if (!target.openNow || !target.acceptsEmergencyBookings) {
+            return res.status(409).json({
+                error: "Facility not suitable",
+                code: "FACILITY_NOT_SUITABLE",
+                message: target.openNow
+                    ? "Emergency arrivals can only be booked at hospitals"
+                    : `${target.name} is closed now. ${target.closedReason}`,
+                ...result
+            });
+        }
+
+        // One emergency arrival per patient per day
+        const existing = await Appointment.findOne({
+            user: req.user.userId,
+            bookingType: 'emergency',
+            status: { $in: ACTIVE_STATUSES },
+            date: startOfClinicDay(now)
+        });
+        if (existing) {
+            return res.status(409).json({
+                error: "Emergency already booked",
+                code: "EMERGENCY_ALREADY_BOOKED",
+                message: `You are already expected at ${existing.facilityName} today`,
+                appointment: formatEmergencyBooking(existing),
+                ...result
+            });
+        }
+
+        const [user, facility] = await Promise.all([
+            User.findById(req.user.userId),
+            HealthcareFacility.findById(target.id)
+        ]);
+
+        const needsTransport = transportNeeded ?? triage.transportType === 'ambulance';
+        const reason = `Emergency triage (${triage.label}): ${symptoms.map(symptom => symptom.description).join('; ')}`;
+
+        const appointment = new Appointment({
+            user: user._id,
+            bookingType: 'emergency',
+            district: facility.district,
+            subLocation: user.locationData?.subLocation || facility.subLocation,
+            date: now,
+            time: toClinicTimeString(now),
+            duration: EMERGENCY_BOOKING_MINUTES,
+            reason: reason.slice(0, 1000),
+            category: 'Emergency Care',
+            urgency: triage.urgency,
+            facility: facility._id,
+            facilityName: facility.name,
+            facilityType: facility.facilityType,
+            providerAddress: facility.address,
+            providerContact: facility.contact?.emergencyContact || facility.contact?.phone,
+            notes: notes || '',
+            symptoms: symptoms.map(symptom => ({
+                description: symptom.description,
+                severity: symptom.severity || 'moderate',
+                duration: symptom.duration || describeOnset(symptom.onsetDate, now),
+                onsetDate: symptom.onsetDate
+            })),
+            triage: {
+                category: triage.category,
+                targetMinutes: triage.targetMinutes,
+                assessedAt: triage.assessedAt
+            },
+            status: 'confirmed',
+            languagePreference: user.preferredLanguage,
+            createdBy: user._id,
+            lastModifiedBy: user._id
+        });
+        appointment.addStatusHistory('confirmed', user._id, `Emergency arrival booked from triage (${triage.category})`);
+        await appointment.arrangeInterpreter(null, facility);
+
+        // Transport is collected from where the patient is now and still needs district approval
+        if (needsTransport) {
+            appointment.requestTransport({
+                type: triage.transportType,
+                pickup: {
+                    address: `${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}`,
+                    subLocation: user.locationData?.subLocation,
+                    lat: location.lat,
+                    lng: location.lng
+                },
+                notes: `Emergency (${triage.label}), ${target.distance} from ${facility.name}`
+            }, user._id);
+        }
+
+        await appointment.save();
+
+        console.log("Emergency arrival booked:", {
+            appointmentId: appointment._id,
+            facility: facility._id,
+            category: triage.category,
+            transport: appointment.transportAssistance.type
+        });
+
+        return res.status(201).json({
+            message: `${facility.name} is expecting you. ${triage.advice}`,
+            appointment: formatEmergencyBooking(appointment),
+            ...result
+        });
+
+    } catch (error) {
+        console.error("Emergency triage error:", error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "EMERGENCY_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN emergency service unavailable",
+            code: "EMERGENCY_TRIAGE_ERROR",
+            message: "Failed to complete emergency triage. If this is an emergency, call 10177 now."
+        });
+    }
+};
@@ -0,0 +1,57 @@
+// firstcare-backend/src/controllers/eventController.js
+
+/**
+ * Real-time Event Controller for KZN Healthcare Appointment Booking System
+ *
+ * @file src/controllers/eventController.js
+ * @description Server-Sent Events stream of appointment, availability, waitlist and queue changes
+ *
+ * Features:
+ * - Status changes of the user's own appointments and walk-in tickets
+ * - Slot availability changes for the provider and date the user is viewing
+ * - Waitlist offers as soon as a freed slot is held for the user
+ * - Walk-in queue updates for the facility the user is watching
+ *
+ * Security Features:
+ * - Authenticated with the same JWT cookies as every other endpoint (verifyToken)
+ * - Streams close when the access token expires, so a refreshed token is required to continue
+ * - Personal events only go to the streams of the user they concern
+ *
+ * @version 1.0.0
+ * @module EventController
+ * @author Healthcare System - KZN Implementation
+ */
+
+import { openStream } from '../utils/eventHub.js';
+import { parseClinicDate, toClinicDateString } from '../utils/timeZoneUtils.js';
+
+/**
+ * Open a real-time event stream
+ * @route GET /api/events
+ * @access Private
+ */
+export const streamEvents = (req, res) => {
+    try {
+        const { doctorId, date, facilityId } = req.query;
+
+        const watch = {
+            ...(doctorId && { doctorId, date: toClinicDateString(parseClinicDate(date)) }),
+            ...(facilityId && { facilityId })
+        };
+
+        const client = openStream(req, res, watch);
+
+        console.log(`Event stream ${client.id} opened for user ${req.user.userId}:`, watch);
+
+    } catch (error) {
+        console.error("Error opening event stream:", error);
+
+        if (res.headersSent) return res.end();
+
+        return res.status(500).json({
+            error: "KZN event service unavailable",
+            code: "EVENT_STREAM_ERROR",
+            message: "Failed to open the real-time event stream. Please try again later."
+        });
+    }
+};
@@ -8,6 +8,8 @@
  */
 
 import HealthcareFacility from '../models/HealthcareFacility.js';
+import Doctor from '../models/Doctor.js';
+import Review from '../models/Review.js';
 import { KZN_DISTRICTS } from '../config/googleConfig.js';
 
 /**
@@ -20,6 +22,17 @@ import { KZN_DISTRICTS } from '../config/googleConfig.js';
  * @property {string} service - Specific medical service
  */
 
+/**
+ * Review summary for facilities without published reviews
+ * @constant {Object} EMPTY_REVIEW_SUMMARY
+ */
+const EMPTY_REVIEW_SUMMARY = {
+    averageRating: null,
+    reviewCount: 0,
+    ratingBreakdown: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+    recentComments: []
+};
+
 /**
  * Advanced healthcare facility search with filtering
  * @route GET /api/healthcare/facilities
@@ -28,7 +41,7 @@ import { KZN_DISTRICTS } from '../config/googleConfig.js';
  * @param {number} limit - Results per page
  * @returns {Object} Paginated search results
  * @returns {boolean} success - Operation status
- * @returns {Array} facilities - List of healthcare facilities
+ * @returns {Array} facilities - List of healthcare facilities, each with a reviewSummary of verified patient reviews
  * @returns {Object} pagination - Pagination information
  * @returns {Object} filters - Available filter options
  * @returns {Object} searchSummary - Search summary
@@ -70,7 +83,7 @@ export const searchHealthcareFacilities = async (req, res) => {
         if (facilityType) query.facilityType = facilityType;
         if (affordabilityTier) query.affordabilityTier = affordabilityTier;
         if (service) query.services = { $in: [new RegExp(service, 'i')] };
-        if (specialty) query['doctors.specialty'] = specialty;
+        if (specialty) query._id = { $in: await Doctor.findFacilityIds({ specialty }) };
 
         // Text search across multiple fields
         if (search) {
@@ -78,7 +91,7 @@ export const searchHealthcareFacilities = async (req, res) => {
                 { name: { $regex: search, $options: 'i' } },
                 { address: { $regex: search, $options: 'i' } },
                 { subLocation: { $regex: search, $options: 'i' } },
-                { 'doctors.name': { $regex: search, $options: 'i' } },
+                { _id: { $in: await Doctor.findFacilityIds({ name: { $regex: search, $options: 'i' } }) } },
                 { services: { $in: [new RegExp(search, 'i')] } }
             ];
         }
@@ -94,13 +107,17 @@ export const searchHealthcareFacilities = async (req, res) => {
             .select('-googleData -__v'); // Exclude large/unnecessary fields
 
         const totalFacilities = await HealthcareFacility.countDocuments(query);
+        const reviewSummaries = await Review.getFacilitySummaries(facilities.map(facility => facility._id));
 
         // Get available filters for frontend
         const availableFilters = await getAvailableFilters(query);
 
         res.status(200).json({
             success: true,
-            facilities,
+            facilities: facilities.map(facility => ({
+                ...facility.toObject(),
+                reviewSummary: reviewSummaries.get(facility._id.toString()) || EMPTY_REVIEW_SUMMARY
+            })),
             pagination: {
                 currentPage: parseInt(page),
                 totalPages: Math.ceil(totalFacilities / limit),
@@ -135,6 +152,17 @@ export const searchHealthcareFacilities = async (req, res) => {
  * @returns {Object} Available filter options
  */
 async function getAvailableFilters(query) {
+    const matchingFacilityIds = await HealthcareFacility.distinct('_id', { ...query, isActive: true, isVerified: true });
+
+    const specialties = await Doctor.aggregate([
+        { $match: { isActive: true } },
+        { $unwind: '$affiliations' },
+        { $match: { 'affiliations.facility': { $in: matchingFacilityIds }, 'affiliations.isAvailable': true } },
+        { $group: { _id: '$specialty', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 20 }
+    ]);
+
     const filters = await HealthcareFacility.aggregate([
         { $match: { ...query, isActive: true, isVerified: true } },
         {
@@ -147,12 +175,6 @@ async function getAvailableFilters(query) {
                     { $group: { _id: '$facilityType', count: { $sum: 1 } } },
                     { $sort: { count: -1 } }
                 ],
-                specialties: [
-                    { $unwind: '$doctors' },
-                    { $group: { _id: '$doctors.specialty', count: { $sum: 1 } } },
-                    { $sort: { count: -1 } },
-                    { $limit: 20 }
-                ],
                 affordabilityTiers: [
                     { $group: { _id: '$affordabilityTier', count: { $sum: 1 } } },
                     { $sort: { count: -1 } }
@@ -170,7 +192,7 @@ async function getAvailableFilters(query) {
     return {
         districts: filters[0]?.districts || [],
         facilityTypes: filters[0]?.facilityTypes || [],
-        specialties: filters[0]?.specialties || [],
+        specialties,
         affordabilityTiers: filters[0]?.affordabilityTiers || [],
         services: filters[0]?.services || []
     };
@@ -219,11 +241,18 @@ export const getFacilityDetails = async (req, res) => {
             _id: { $ne: facility._id }
         })
             .limit(5)
-            .select('name address rating facilityType doctors');
+            .select('name address rating facilityType totalDoctors');
+
+        const doctors = await Doctor.findByFacility(facility._id);
+        const reviewSummaries = await Review.getFacilitySummaries([facility._id]);
 
         res.status(200).json({
             success: true,
-            facility: facility.toObject(),
+            facility: {
+                ...facility.toObject(),
+                reviewSummary: reviewSummaries.get(facility._id.toString()) || EMPTY_REVIEW_SUMMARY,
+                doctors: doctors.map(doctor => doctor.toListing(doctor.getAffiliation(facility._id)))
+            },
             recommendations: {
                 similarFacilities,
                 message: `Other ${facility.facilityType.replace('-', ' ')}s in ${facility.district}`
@@ -243,6 +272,7 @@ export const getFacilityDetails = async (req, res) => {
 
 /**
  * Search for doctors with advanced filtering
+ * Doctors who consult in the `language` given (the patient's preferred language) are listed first.
  * @route GET /api/healthcare/doctors
  * @param {Object} filters - Doctor search filters
  * @returns {Object} Paginated doctor results
@@ -257,65 +287,85 @@ export const searchDoctors = async (req, res) => {
             district,
             facilityType,
             languages,
+            language,
             maxFee,
             page = 1,
             limit = 20
         } = req.query;
 
-        // Build aggregation pipeline for doctor search
-        const pipeline = [
-            { $match: { isActive: true, isVerified: true } },
-            { $unwind: '$doctors' },
-            { $match: { 'doctors.isAvailable': true } }
-        ];
-
-        // Apply filters
-        const matchStage = {};
-        if (specialty) matchStage['doctors.specialty'] = specialty;
-        if (district) matchStage.district = district;
-        if (facilityType) matchStage.facilityType = facilityType;
+        // Doctors taking bookings, one result per facility they work at
+        const doctorMatch = { isActive: true };
+        if (specialty) doctorMatch.specialty = specialty;
         if (languages) {
             const langArray = Array.isArray(languages) ? languages : [languages];
-            matchStage['doctors.languages'] = { $in: langArray.map(lang => new RegExp(lang, 'i')) };
+            doctorMatch.languages = { $in: langArray.map(lang => new RegExp(lang, 'i')) };
         }
+
+        const affiliationMatch = { 'affiliations.isAvailable': true };
         if (maxFee) {
-            matchStage['doctors.consultationFee'] = { $lte: parseFloat(maxFee) };
+            affiliationMatch['affiliations.consultationFee'] = { $lte: parseFloat(maxFee) };
         }
 
-        if (Object.keys(matchStage).length > 0) {
-            pipeline.push({ $match: matchStage });
-        }
+        const facilityMatch = { 'facility.isActive': true, 'facility.isVerified': true };
+        if (district) facilityMatch['facility.district'] = district;
+        if (facilityType) facilityMatch['facility.facilityType'] = facilityType;
+
+        const matchPipeline = [
+            { $match: doctorMatch },
+            { $unwind: '$affiliations' },
+            { $match: affiliationMatch },
+            {
+                $lookup: {
+                    from: HealthcareFacility.collection.name,
+                    localField: 'affiliations.facility',
+                    foreignField: '_id',
+                    as: 'facility'
+                }
+            },
+            { $unwind: '$facility' },
+            { $match: facilityMatch }
+        ];
 
         // Add pagination and projection
         const skip = (page - 1) * limit;
 
-        pipeline.push(
+        const doctors = await Doctor.aggregate([
+            ...matchPipeline,
+            { $addFields: { speaksLanguage: language ? { $in: [language, '$languages'] } : null } },
+            { $sort: { speaksLanguage: -1, name: 1, 'facility.name': 1 } },
+            { $skip: skip },
+            { $limit: parseInt(limit) },
             {
                 $project: {
-                    doctor: '$doctors',
-                    facilityName: '$name',
-                    facilityType: 1,
-                    district: 1,
-                    address: 1,
-                    contact: 1,
-                    rating: 1,
-                    location: 1,
-                    services: 1
+                    _id: '$facility._id',
+                    doctor: {
+                        doctorId: '$doctorId',
+                        name: '$name',
+                        specialty: '$specialty',
+                        qualifications: '$qualifications',
+                        licenseNumber: '$licenseNumber',
+                        languages: '$languages',
+                        speaksLanguage: '$speaksLanguage',
+                        rating: '$rating',
+                        ratingsTotal: '$ratingsTotal',
+                        consultationFee: '$affiliations.consultationFee',
+                        availability: '$affiliations.availability',
+                        isAvailable: '$affiliations.isAvailable'
+                    },
+                    facilityName: '$facility.name',
+                    facilityType: '$facility.facilityType',
+                    district: '$facility.district',
+                    address: '$facility.address',
+                    contact: '$facility.contact',
+                    rating: '$facility.rating',
+                    location: '$facility.location',
+                    services: '$facility.services'
                 }
-            },
-            { $skip: skip },
-            { $limit: parseInt(limit) }
-        );
-
-        const doctors = await HealthcareFacility.aggregate(pipeline);
+            }
+        ]);
 
         // Get total count for pagination
-        const countPipeline = [
-            ...pipeline.slice(0, -4), // Remove skip, limit, project stages
-            { $count: 'total' }
-        ];
-
-        const totalResult = await HealthcareFacility.aggregate(countPipeline);
+        const totalResult = await Doctor.aggregate([...matchPipeline, { $count: 'total' }]);
         const totalDoctors = totalResult[0]?.total || 0;
 
         res.status(200).json({
@@ -342,6 +392,246 @@ export const searchDoctors = async (req, res) => {
     }
 };
 
+/**
+ * Build doctor affiliations from request data, copying facility details onto each
+ * @param {Array<Object>} affiliations - Requested affiliations ({ facilityId, consultationFee, availability, isAvailable, isPrimary })
+ * @returns {Promise<Object>} { affiliations } or { missingFacilities } if a facility does not exist
+ */
+async function buildAffiliations(affiliations = []) {
+    const facilityIds = affiliations.map(affiliation => affiliation.facilityId);
+    const facilities = await HealthcareFacility.find({ _id: { $in: facilityIds } })
+        .select('name district facilityType');
+    const facilitiesById = new Map(facilities.map(facility => [facility._id.toString(), facility]));
+
+    const missingFacilities = facilityIds.filter(id => !facilitiesById.has(String(id)));
+    if (missingFacilities.length > 0) return { missingFacilities };
+
+    return {
+        affiliations: affiliations.map((affiliation, index) => {
+            const facility = facilitiesById.get(String(affiliation.facilityId));
+            return {
+                facility: facility._id,
+                facilityName: facility.name,
+                district: facility.district,
+                facilityType: facility.facilityType,
+                consultationFee: affiliation.consultationFee ?? 0,
+                availability: affiliation.availability,
+                isAvailable: affiliation.isAvailable !== false,
+                isPrimary: affiliation.isPrimary ?? index === 0
+            };
+        })
+    };
+}
+
+/**
+ * Format a doctor with all affiliations for API responses
+ * @param {Object} doctor - Doctor document
+ * @returns {Object} Doctor details
+ */
+const formatDoctor = (doctor) => ({
+    doctorId: doctor.doctorId,
+    name: doctor.name,
+    specialty: doctor.specialty,
+    qualifications: doctor.qualifications,
+    licenseNumber: doctor.licenseNumber,
+    languages: doctor.languages,
+    rating: doctor.rating,
+    ratingsTotal: doctor.ratingsTotal,
+    isActive: doctor.isActive,
+    affiliations: doctor.affiliations.map(affiliation => ({
+        facilityId: affiliation.facility,
+        facilityName: affiliation.facilityName,
+        district: affiliation.district,
+        facilityType: affiliation.facilityType,
+        consultationFee: affiliation.consultationFee,
+        availability: affiliation.availability,
+        isAvailable: affiliation.isAvailable,
+        isPrimary: affiliation.isPrimary
+    }))
+});
+
+/**
+ * Respond to a doctor save error
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while saving
+ * @param {string} code - Error code for unexpected failures
+ * @returns {Object} Response
+ */
+const sendDoctorSaveError = (res, error, code) => {
+    if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+            success: false,
+            error: 'Validation failed',
+            code: 'VALIDATION_ERROR',
+            message: 'Doctor data validation failed',
+            details: errors
+        });
+    }
+
+    if (error.code === 11000) {
+        return res.status(409).json({
+            success: false,
+            error: 'Duplicate license number',
+            code: 'DUPLICATE_LICENSE_NUMBER',
+            message: 'Another doctor is already registered with this license number'
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        error: 'Failed to save doctor',
+        code,
+        message: 'An error occurred while saving the doctor'
+    });
+};
+
+/**
+ * Get a doctor with every facility they work at
+ * @route GET /api/healthcare/doctors/:doctorId
+ * @param {string} doctorId - Stable doctor identifier
+ * @returns {Object} Doctor details
+ * @returns {boolean} success - Operation status
+ * @returns {Object} doctor - Doctor with affiliations
+ */
+export const getDoctorDetails = async (req, res) => {
+    try {
+        const doctor = await Doctor.findByDoctorId(req.params.doctorId);
+
+        if (!doctor || !doctor.isActive) {
+            return res.status(404).json({
+                success: false,
+                error: 'Doctor not found',
+                code: 'DOCTOR_NOT_FOUND',
+                message: 'The requested doctor was not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            doctor: formatDoctor(doctor)
+        });
+
+    } catch (error) {
+        console.error('Doctor details error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch doctor details',
+            code: 'DOCTOR_DETAILS_ERROR',
+            message: 'An error occurred while fetching doctor details'
+        });
+    }
+};
+
+/**
+ * Register a doctor and the facilities they work at (admin function)
+ * @route POST /api/healthcare/doctors
+ * @param {Object} doctorData - Name, specialty, license number, languages and affiliations
+ * @returns {Object} Created doctor
+ * @returns {boolean} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} doctor - Created doctor with its stable doctorId
+ */
+export const createDoctor = async (req, res) => {
+    try {
+        const { name, specialty, qualifications, licenseNumber, languages, affiliations } = req.body;
+
+        const built = await buildAffiliations(affiliations);
+        if (built.missingFacilities) {
+            return res.status(404).json({
+                success: false,
+                error: 'Facility not found',
+                code: 'FACILITY_NOT_FOUND',
+                message: 'One or more affiliated facilities do not exist',
+                missingFacilities: built.missingFacilities
+            });
+        }
+
+        const doctor = new Doctor({
+            name,
+            specialty,
+            qualifications,
+            licenseNumber,
+            languages,
+            affiliations: built.affiliations
+        });
+        await doctor.save();
+
+        await HealthcareFacility.refreshDoctorCounts(doctor.affiliations.map(affiliation => affiliation.facility));
+
+        res.status(201).json({
+            success: true,
+            message: 'Doctor registered successfully',
+            doctor: formatDoctor(doctor)
+        });
+
+    } catch (error) {
+        console.error('Create doctor error:', error);
+        return sendDoctorSaveError(res, error, 'DOCTOR_CREATION_ERROR');
+    }
+};
+
+/**
+ * Update a doctor's details or replace their facility affiliations (admin function)
+ * @route PUT /api/healthcare/doctors/:doctorId
+ * @param {string} doctorId - Stable doctor identifier
+ * @param {Object} updateData - Fields to change; affiliations replace the existing list
+ * @returns {Object} Updated doctor
+ * @returns {boolean} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} doctor - Updated doctor
+ */
+export const updateDoctor = async (req, res) => {
+    try {
+        const doctor = await Doctor.findByDoctorId(req.params.doctorId);
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                error: 'Doctor not found',
+                code: 'DOCTOR_NOT_FOUND'
+            });
+        }
+
+        const previousFacilities = doctor.affiliations.map(affiliation => affiliation.facility);
+
+        ['name', 'specialty', 'qualifications', 'licenseNumber', 'languages', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) doctor[field] = req.body[field];
+        });
+
+        if (req.body.affiliations !== undefined) {
+            const built = await buildAffiliations(req.body.affiliations);
+            if (built.missingFacilities) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Facility not found',
+                    code: 'FACILITY_NOT_FOUND',
+                    message: 'One or more affiliated facilities do not exist',
+                    missingFacilities: built.missingFacilities
+                });
+            }
+            doctor.affiliations = built.affiliations;
+        }
+
+        await doctor.save();
+
+        await HealthcareFacility.refreshDoctorCounts([
+            ...previousFacilities,
+            ...doctor.affiliations.map(affiliation => affiliation.facility)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Doctor updated successfully',
+            doctor: formatDoctor(doctor)
+        });
+
+    } catch (error) {
+        console.error('Update doctor error:', error);
+        return sendDoctorSaveError(res, error, 'DOCTOR_UPDATE_ERROR');
+    }
+};
+
 /**
  * Add a new healthcare facility (admin function)
  * @route POST /api/healthcare/facilities
@@ -354,7 +644,7 @@ export const searchDoctors = async (req, res) => {
  */
 export const createHealthcareFacility = async (req, res) => {
     try {
-        const facilityData = req.body;
+        const { doctors: doctorListings = [], ...facilityData } = req.body;
 
         // Validate required fields
         const requiredFields = ['name', 'district', 'subLocation', 'address', 'facilityType'];
@@ -384,6 +674,15 @@ export const createHealthcareFacility = async (req, res) => {
         const facility = new HealthcareFacility(facilityData);
         await facility.save();
 
+        // Doctors listed with the facility become (or join) Doctor records
+        for (const listing of doctorListings) {
+            await Doctor.affiliateFromListing(facility, listing);
+        }
+        if (doctorListings.length > 0) {
+            await HealthcareFacility.refreshDoctorCounts([facility._id]);
+            facility.totalDoctors = await Doctor.countDocuments({ 'affiliations.facility': facility._id, isActive: true });
+        }
+
         res.status(201).json({
             success: true,
             message: 'Healthcare facility created successfully',
@@ -433,8 +732,9 @@ export const updateHealthcareFacility = async (req, res) => {
         const { id } = req.params;
         const updateData = req.body;
 
-        // Prevent updating certain fields
-        const restrictedFields = ['_id', 'createdAt', 'updatedAt'];
+        // Prevent updating certain fields (doctors are managed through /api/healthcare/doctors;
+        // ratings are recomputed from verified patient reviews)
+        const restrictedFields = ['_id', 'createdAt', 'updatedAt', 'doctors', 'totalDoctors', 'rating', 'userRatingsTotal'];
         restrictedFields.forEach(field => delete updateData[field]);
 
         const facility = await HealthcareFacility.findByIdAndUpdate(
@@ -519,20 +819,6 @@ export const getHealthcareStatistics = async (req, res) => {
                             }
                         }
                     ],
-                    totalDoctors: [
-                        { $group: { _id: null, total: { $sum: '$totalDoctors' } } }
-                    ],
-                    doctorsBySpecialty: [
-                        { $unwind: '$doctors' },
-                        {
-                            $group: {
-                                _id: '$doctors.specialty',
-                                count: { $sum: 1 }
-                            }
-                        },
-                        { $sort: { count: -1 } },
-                        { $limit: 10 }
-                    ],
                     averageRatings: [
                         {
                             $group: {
@@ -548,16 +834,43 @@ export const getHealthcareStatistics = async (req, res) => {
             }
         ]);
 
+        // Doctors are counted once however many facilities they work at
+        const doctorStats = await Doctor.aggregate([
+            { $match: { isActive: true } },
+            {
+                $facet: {
+                    totalDoctors: [
+                        { $count: 'count' }
+                    ],
+                    multiFacilityDoctors: [
+                        { $match: { 'affiliations.1': { $exists: true } } },
+                        { $count: 'count' }
+                    ],
+                    doctorsBySpecialty: [
+                        {
+                            $group: {
+                                _id: '$specialty',
+                                count: { $sum: 1 }
+                            }
+                        },
+                        { $sort: { count: -1 } },
+                        { $limit: 10 }
+                    ]
+                }
+            }
+        ]);
+
         const result = {
             success: true,
             statistics: {
                 totalFacilities: stats[0]?.totalFacilities[0]?.count || 0,
-                totalDoctors: stats[0]?.totalDoctors[0]?.total || 0,
+                totalDoctors: doctorStats[0]?.totalDoctors[0]?.count || 0,
+                multiFacilityDoctors: doctorStats[0]?.multiFacilityDoctors[0]?.count || 0,
                 averageRating: stats[0]?.averageRatings[0]?.avgRating?.toFixed(1) || 0,
                 ratedFacilities: stats[0]?.averageRatings[0]?.ratedFacilities || 0,
                 byDistrict: stats[0]?.facilitiesByDistrict || [],
                 byFacilityType: stats[0]?.facilitiesByType || [],
-                topSpecialties: stats[0]?.doctorsBySpecialty || []
+                topSpecialties: doctorStats[0]?.doctorsBySpecialty || []
             },
             lastUpdated: new Date().toISOString()
         };
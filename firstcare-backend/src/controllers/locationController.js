@@ -2,11 +2,11 @@
  * Location Controller for KZN Healthcare System
  * 
  * @file src/controllers/locationController.js
- * @description Comprehensive location-based services with Google Maps integration
+ * @description Comprehensive location-based services with optional Google Maps integration
  * 
  * Features:
- * - District detection from geographic coordinates
- * - Google Maps reverse geocoding integration
+ * - District detection from geographic coordinates against offline KZN district boundaries
+ * - Optional reverse geocoding through a pluggable provider (Google Maps) for addresses
  * - KZN-specific district mapping and validation
  * - Comprehensive error handling and logging
  * 
@@ -14,8 +14,9 @@
  * @module LocationController
  */
 
-import { googleMapsClient, GOOGLE_API_KEY } from '../config/googleConfig.js';
+import { getGeocoder } from '../config/geocodingProviders.js';
 import { validateCoordinates, isWithinKZNBounds, calculateDistance, formatDistance } from '../utils/geoUtils.js';
+import { findDistrictAt } from '../utils/districtBoundaries.js';
 
 /**
  * KZN District Mapping Configuration
@@ -34,37 +35,14 @@ const DISTRICT_MAPPING = {
 };
 
 /**
- * Fallback district detection for when Google Maps fails
+ * Find the display name of a district code
  */
-const getFallbackDistrict = (coordinates) => {
-    const { lat, lng } = coordinates;
-
-    // Rough geographic bounds for KZN districts
-    const districtBounds = {
-        'ethekwini': { minLat: -30.5, maxLat: -29.5, minLng: 30.5, maxLng: 31.5 },
-        'umgungundlovu': { minLat: -30.0, maxLat: -29.0, minLng: 29.5, maxLng: 30.5 },
-        'ilembe': { minLat: -29.8, maxLat: -28.8, minLng: 31.0, maxLng: 32.0 },
-        'king-cetshwayo': { minLat: -29.0, maxLat: -27.5, minLng: 31.0, maxLng: 32.5 },
-        'zululand': { minLat: -28.5, maxLat: -27.0, minLng: 30.5, maxLng: 32.0 }
-    };
-
-    for (const [district, bounds] of Object.entries(districtBounds)) {
-        if (lat >= bounds.minLat && lat <= bounds.maxLat &&
-            lng >= bounds.minLng && lng <= bounds.maxLng) {
-            return {
-                district: district,
-                displayName: Object.keys(DISTRICT_MAPPING).find(key => DISTRICT_MAPPING[key] === district),
-                confidence: 'low',
-                source: 'fallback'
-            };
-        }
-    }
-
-    return null;
-};
+const getDistrictName = (district) => Object.keys(DISTRICT_MAPPING).find(key => DISTRICT_MAPPING[key] === district);
 
 /**
  * Detect user's KZN district from geographic coordinates
+ * The district comes from the offline boundary polygons. The geocoding provider, when one is
+ * configured, adds the street address and settles points close to a district boundary.
  */
 export const detectDistrict = async (req, res) => {
     try {
@@ -125,121 +103,64 @@ export const detectDistrict = async (req, res) => {
 
         console.log(`Processing coordinates: ${coordinates.lat}, ${coordinates.lng}`);
 
-        let districtData = null;
+        // Inside the bounding box but outside the province, e.g. Lesotho or the Eastern Cape
+        const located = findDistrictAt(coordinates.lat, coordinates.lng);
+        if (!located) {
+            console.warn('Location outside KZN district boundaries:', coordinates);
+            return res.status(400).json({
+                success: false,
+                error: 'Location outside KwaZulu-Natal',
+                code: 'NOT_IN_KZN',
+                message: 'This service is currently available only in KwaZulu-Natal province'
+            });
+        }
+
+        let districtData = {
+            district: located.district,
+            displayName: located.displayName,
+            supported: located.supported,
+            confidence: located.nearBoundary ? 'medium' : 'high',
+            source: 'district_boundaries'
+        };
+        let formattedAddress = `${located.displayName}, KwaZulu-Natal, South Africa`;
         let usedFallback = false;
-        let formattedAddress = 'Location in KwaZulu-Natal, South Africa';
 
+        const geocoder = getGeocoder();
         try {
-            // Perform reverse geocoding with Google Maps API
-            const response = await googleMapsClient.reverseGeocode({
-                params: {
-                    latlng: coordinates,
-                    key: GOOGLE_API_KEY,
-                    result_type: ['administrative_area_level_1', 'administrative_area_level_2'],
-                    language: 'en'
-                },
-                timeout: 10000
-            });
-
-            console.log('Google Maps API response received');
-
-            // Check if Google Maps returned any results
-            if (!response.data.results || response.data.results.length === 0) {
-                console.warn('No Google Maps results for coordinates, using fallback:', coordinates);
-                districtData = getFallbackDistrict(coordinates);
-                usedFallback = true;
-
-                if (!districtData) {
-                    return res.status(404).json({
-                        success: false,
-                        error: 'Location not found',
-                        code: 'LOCATION_NOT_FOUND',
-                        message: 'No address found for the provided coordinates'
-                    });
-                }
-            } else {
-                const firstResult = response.data.results[0];
-                const addressComponents = firstResult.address_components;
-                formattedAddress = firstResult.formatted_address;
+            const address = await geocoder.reverseGeocode(coordinates);
 
+            if (address) {
+                formattedAddress = address.formattedAddress || formattedAddress;
                 console.log('📍 Formatted address:', formattedAddress);
 
-                // Extract and validate KwaZulu-Natal province
-                const provinceComponent = addressComponents.find(component =>
-                    component.types.includes('administrative_area_level_1')
-                );
-
-                if (!provinceComponent) {
-                    console.warn('No province component found in address');
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Province not determined',
-                        code: 'PROVINCE_NOT_FOUND',
-                        message: 'Could not determine province for the provided location'
-                    });
-                }
-
-                const provinceName = provinceComponent.long_name;
-                console.log('Detected province:', provinceName);
-
-                // Verify location is within KwaZulu-Natal
-                if (!provinceName.toLowerCase().includes('kwazulu-natal') &&
-                    !provinceName.toLowerCase().includes('kwa zulu natal')) {
-                    console.warn('Location outside KZN:', provinceName);
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Location outside KwaZulu-Natal',
-                        code: 'NOT_IN_KZN',
-                        message: 'This service is currently available only in KwaZulu-Natal province',
-                        detectedProvince: provinceName
-                    });
-                }
-
-                // Extract district information from address components
-                const districtComponent = addressComponents.find(component =>
-                    component.types.includes('administrative_area_level_2')
-                );
-
-                if (!districtComponent) {
-                    console.warn('No district component found in address, using fallback');
-                    districtData = getFallbackDistrict(coordinates);
-                    usedFallback = true;
-                } else {
-                    const districtName = districtComponent.long_name;
-                    console.log('Detected district:', districtName);
-
-                    // Map Google Maps district name to internal district code
-                    const district = DISTRICT_MAPPING[districtName];
-
-                    if (!district) {
-                        console.warn('Unsupported district detected:', districtName);
-                        return res.status(400).json({
-                            success: false,
-                            error: 'Unsupported KZN district',
-                            code: 'UNSUPPORTED_DISTRICT',
-                            message: 'The detected district is not currently supported',
-                            districtName,
-                            supportedDistricts: Object.keys(DISTRICT_MAPPING)
-                        });
-                    }
-
+                // The generalised outlines can put points near a boundary in the neighbouring district
+                if (located.neighbouringDistricts.includes(address.district)) {
                     districtData = {
-                        district: district,
-                        displayName: districtName,
+                        district: address.district,
+                        displayName: getDistrictName(address.district),
+                        supported: true,
                         confidence: 'high',
-                        source: 'google_maps'
+                        source: geocoder.name
                     };
+                } else if (address.district === located.district) {
+                    districtData.confidence = 'high';
                 }
             }
         } catch (error) {
-            console.warn('Google Maps API failed, using fallback:', error.message);
-            districtData = getFallbackDistrict(coordinates);
+            console.warn(`Geocoding provider ${geocoder.name} failed, using district boundaries only:`, error.message);
             usedFallback = true;
+        }
 
-            if (!districtData) {
-                // Re-throw if no fallback available
-                throw error;
-            }
+        if (!districtData.supported) {
+            console.warn('Unsupported district detected:', districtData.displayName);
+            return res.status(400).json({
+                success: false,
+                error: 'Unsupported KZN district',
+                code: 'UNSUPPORTED_DISTRICT',
+                message: 'The detected district is not currently supported',
+                districtName: districtData.displayName,
+                supportedDistricts: Object.keys(DISTRICT_MAPPING)
+            });
         }
 
         // Construct success response
@@ -266,28 +187,6 @@ export const detectDistrict = async (req, res) => {
             coordinates: req.query
         });
 
-        // Handle Google Maps API specific errors
-        if (error.response?.data?.error_message) {
-            console.error('Google Maps API error:', error.response.data.error_message);
-            return res.status(400).json({
-                success: false,
-                error: 'Google Maps API error',
-                code: 'GOOGLE_API_ERROR',
-                message: error.response.data.error_message
-            });
-        }
-
-        // Handle network timeouts
-        if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-            console.error('Google Maps API timeout');
-            return res.status(408).json({
-                success: false,
-                error: 'Location service timeout',
-                code: 'SERVICE_TIMEOUT',
-                message: 'The location service took too long to respond. Please try again.'
-            });
-        }
-
         // Handle generic internal server errors
         res.status(500).json({
             success: false,
@@ -435,12 +334,15 @@ export const getNearbyFacilities = async (req, res) => {
 
         if (type) filters.facilityType = type;
         if (affordability) filters.affordabilityTier = affordability;
-        if (specialty) filters['doctors.specialty'] = specialty;
 
         console.log(`Searching for facilities within ${searchRadius}m of ${coordinates.lat}, ${coordinates.lng}`);
 
-        // Import HealthcareFacility model
+        // Import HealthcareFacility and Doctor models
         const HealthcareFacility = (await import('../models/HealthcareFacility.js')).default;
+        const Doctor = (await import('../models/Doctor.js')).default;
+
+        // Only facilities where a doctor of the specialty takes bookings
+        if (specialty) filters._id = { $in: await Doctor.findFacilityIds({ specialty }) };
 
         // Find nearby facilities
         const facilities = await HealthcareFacility.findNearby(
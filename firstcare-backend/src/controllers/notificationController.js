@@ -0,0 +1,115 @@
+// firstcare-backend/src/controllers/notificationController.js
+
+/**
+ * Notification Controller for KZN Healthcare Appointment Booking System
+ *
+ * @file src/controllers/notificationController.js
+ * @description Patient inbox for booking confirmations, reminders and waitlist offers
+ *
+ * Features:
+ * - List the user's notifications with delivery status
+ * - Mark in-app notifications as read
+ *
+ * Security Features:
+ * - Users only see their own notifications
+ *
+ * @version 1.0.0
+ * @module NotificationController
+ * @author Healthcare System - KZN Implementation
+ */
+
+import Notification from '../models/Notification.js';
+
+/**
+ * Format a notification for API responses
+ * @param {Object} notification - Notification document
+ * @returns {Object} Response-safe notification
+ */
+const formatNotification = (notification) => ({
+    id: notification._id,
+    type: notification.type,
+    channel: notification.channel,
+    language: notification.language,
+    subject: notification.subject,
+    text: notification.text,
+    status: notification.status,
+    attempts: notification.attempts,
+    sentAt: notification.sentAt,
+    readAt: notification.readAt,
+    appointment: notification.appointment,
+    waitlistEntry: notification.waitlistEntry,
+    createdAt: notification.createdAt
+});
+
+/**
+ * Get the authenticated user's notifications
+ * @route GET /api/notifications
+ * @access Private
+ */
+export const getMyNotifications = async (req, res) => {
+    try {
+        const { channel, unread, limit = 50 } = req.query;
+        const query = { user: req.user.userId, status: { $ne: 'skipped' } };
+
+        if (channel) query.channel = channel;
+        if (unread === 'true') query.readAt = { $exists: false };
+
+        const notifications = await Notification.find(query)
+            .sort({ createdAt: -1 })
+            .limit(Math.min(Number(limit) || 50, 100));
+
+        return res.status(200).json({
+            notifications: notifications.map(formatNotification),
+            unreadCount: await Notification.countDocuments({
+                user: req.user.userId,
+                status: 'sent',
+                readAt: { $exists: false }
+            })
+        });
+
+    } catch (error) {
+        console.error("Error fetching notifications:", error);
+        return res.status(500).json({
+            error: "KZN notification service unavailable",
+            code: "NOTIFICATION_FETCH_ERROR",
+            message: "Failed to retrieve notifications. Please try again later."
+        });
+    }
+};
+
+/**
+ * Mark a notification as read
+ * @route POST /api/notifications/:id/read
+ * @access Private
+ */
+export const markNotificationRead = async (req, res) => {
+    try {
+        const notification = await Notification.findOne({ _id: req.params.id, user: req.user.userId });
+
+        if (!notification) {
+            return res.status(404).json({
+                error: "Notification not found",
+                code: "NOTIFICATION_NOT_FOUND",
+                message: "The specified notification does not exist"
+            });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        return res.status(200).json({
+            message: "Notification marked as read",
+            notification: formatNotification(notification)
+        });
+
+    } catch (error) {
+        console.error("Error updating notification:", error);
+        return res.status(500).json({
+            error: "KZN notification service unavailable",
+            code: "NOTIFICATION_UPDATE_ERROR",
+            message: "Failed to update notification. Please try again later."
+        });
+    }
+};
@@ -0,0 +1,327 @@
+// firstcare-backend/src/controllers/providerController.js
+
+/**
+ * Provider Portal Controller for KZN Healthcare Appointment Booking System
+ *
+ * @file src/controllers/providerController.js
+ * @description Day sheet and patient queue for provider accounts linked to a facility doctor
+ *
+ * Features:
+ * - Administrators link provider accounts to a doctor listed at a facility
+ * - Day sheet of a doctor's appointments ordered by time, then clinical priority
+ * - Queue of checked-in patients ordered by priority score
+ * - Allergy and chronic-care summaries for each patient
+ *
+ * Security Features:
+ * - Providers only see the sheet of the doctor their account is linked to
+ * - Medical summaries respect the patient's data sharing and emergency access consent
+ * - Admin role required to link accounts
+ *
+ * @version 1.0.0
+ * @module ProviderController
+ * @author Healthcare System - KZN Implementation
+ */
+
+import Appointment from '../models/Appointment.js';
+import Doctor from '../models/Doctor.js';
+import ProviderSchedule from '../models/ProviderSchedule.js';
+import User from '../models/user.js';
+import { addToClinicDate, parseClinicDate, startOfClinicDay, toClinicDateString, CLINIC_TIME_ZONE } from '../utils/timeZoneUtils.js';
+import { formatIntake } from '../utils/intakeUtils.js';
+
+/**
+ * Patient fields loaded for the day sheet
+ * @constant {string} PATIENT_FIELDS
+ */
+const PATIENT_FIELDS = 'firstName lastName phoneNumber dateOfBirth gender preferredLanguage allergies medicalHistory healthcarePreferences';
+
+/**
+ * Statuses left off the day sheet because the slot no longer takes place
+ * @constant {Array<string>} EXCLUDED_STATUSES
+ */
+const EXCLUDED_STATUSES = ['cancelled', 'rescheduled'];
+
+/**
+ * Format a linked doctor for API responses
+ * @param {Object} doctor - Doctor document
+ * @param {Object} affiliation - The doctor's affiliation with the linked facility
+ * @returns {Object} Response-safe doctor profile
+ */
+const formatDoctorProfile = (doctor, affiliation) => ({
+    doctorId: doctor.doctorId,
+    name: doctor.name,
+    specialty: doctor.specialty,
+    languages: doctor.languages,
+    licenseNumber: doctor.licenseNumber,
+    facility: {
+        id: affiliation.facility,
+        name: affiliation.facilityName,
+        facilityType: affiliation.facilityType,
+        district: affiliation.district
+    }
+});
+
+/**
+ * Format an appointment as a day sheet row
+ * @param {Object} appointment - Appointment document with the patient populated
+ * @returns {Object} Day sheet entry
+ */
+const formatDaySheetEntry = (appointment) => {
+    const patient = appointment.user;
+    const medicalSummary = patient?.getClinicalSummary
+        ? patient.getClinicalSummary({ emergency: appointment.urgency === 'emergency' })
+        : null;
+    const checkIn = [...appointment.statusHistory].reverse().find(entry => entry.status === 'checked-in');
+
+    return {
+        id: appointment._id,
+        ...appointment.getScheduledTime(),
+        duration: appointment.duration,
+        status: appointment.status,
+        urgency: appointment.urgency,
+        category: appointment.category,
+        reason: appointment.reason,
+        languagePreference: appointment.languagePreference,
+        interpreter: appointment.requiresInterpreter ? (appointment.interpreter?.status || 'requested') : null,
+        symptoms: appointment.symptoms,
+        intake: formatIntake(appointment.intake),
+        priorityScore: appointment.getPriorityScore(),
+        checkedInAt: checkIn?.timestamp || null,
+        patient: patient ? {
+            id: patient._id,
+            firstName: patient.firstName,
+            lastName: patient.lastName,
+            phoneNumber: patient.phoneNumber,
+            age: patient.age,
+            gender: patient.gender,
+            preferredLanguage: patient.preferredLanguage
+        } : null,
+        medicalSummary,
+        consentWithheld: Boolean(patient) && medicalSummary === null
+    };
+};
+
+/**
+ * Resolve the doctor whose day sheet is requested
+ * Providers get the doctor their account is linked to; admins must name one with ?doctorId=.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { doctorId } or { error: { status, body } }
+ */
+const resolveRequestedDoctor = async (req) => {
+    if (req.user.roles.includes('admin') && req.query.doctorId) {
+        return { doctorId: req.query.doctorId };
+    }
+
+    const account = await User.findById(req.user.userId).select('providerProfile');
+    const doctorId = account?.providerProfile?.doctorId;
+
+    if (!doctorId) {
+        return {
+            error: {
+                status: 404,
+                body: {
+                    error: "Provider account not linked",
+                    code: "PROVIDER_NOT_LINKED",
+                    message: "Your account is not linked to a doctor yet. Ask an administrator to link it."
+                }
+            }
+        };
+    }
+
+    return { doctorId };
+};
+
+// ==================== ACCOUNT LINKING ====================
+
+/**
+ * Link a provider account to a doctor listed at a facility
+ * @route PUT /api/provider/accounts/:userId/link
+ * @access Private/Admin
+ */
+export const linkProviderAccount = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { facilityId, doctorId } = req.body;
+
+        const account = await User.findById(userId);
+        if (!account) {
+            return res.status(404).json({
+                error: "User not found",
+                code: "USER_NOT_FOUND",
+                message: "No user exists with the given ID"
+            });
+        }
+
+        if (!account.roles.includes('provider')) {
+            return res.status(400).json({
+                error: "Not a provider account",
+                code: "NOT_A_PROVIDER",
+                message: "Only accounts with the provider role can be linked to a doctor"
+            });
+        }
+
+        const doctor = await Doctor.findByDoctorId(doctorId);
+        const affiliation = doctor?.getAffiliation(facilityId);
+        if (!affiliation) {
+            return res.status(404).json({
+                error: "Doctor not found",
+                code: "DOCTOR_NOT_FOUND",
+                message: "No doctor with the given ID works at this facility"
+            });
+        }
+
+        const existingLink = await User.findOne({
+            _id: { $ne: account._id },
+            'providerProfile.doctorId': doctorId
+        }).select('_id');
+        if (existingLink) {
+            return res.status(409).json({
+                error: "Doctor already linked",
+                code: "DOCTOR_ALREADY_LINKED",
+                message: "Another provider account is already linked to this doctor"
+            });
+        }
+
+        account.providerProfile = {
+            facility: affiliation.facility,
+            doctorId,
+            linkedAt: new Date(),
+            linkedBy: req.user.userId
+        };
+        await account.save();
+
+        // The linked account may manage the doctor's working hours from now on
+        await ProviderSchedule.updateOne(
+            { doctorId },
+            { $addToSet: { managedBy: account._id } }
+        );
+
+        console.log(`Provider account ${account._id} linked to doctor ${doctorId}`);
+
+        return res.status(200).json({
+            message: "Provider account linked successfully",
+            account: {
+                id: account._id,
+                email: account.email,
+                linkedAt: account.providerProfile.linkedAt
+            },
+            doctor: formatDoctorProfile(doctor, affiliation)
+        });
+
+    } catch (error) {
+        console.error("Error linking provider account:", error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "PROVIDER_LINK_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN provider service unavailable",
+            code: "PROVIDER_LINK_ERROR",
+            message: "Failed to link provider account. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get the doctor the current provider account is linked to
+ * @route GET /api/provider/me
+ * @access Private/Provider
+ */
+export const getProviderProfile = async (req, res) => {
+    try {
+        const account = await User.findById(req.user.userId).select('providerProfile');
+        const { facility: facilityId, doctorId, linkedAt } = account?.providerProfile || {};
+
+        const doctor = doctorId ? await Doctor.findByDoctorId(doctorId) : null;
+        const affiliation = doctor?.getAffiliation(facilityId);
+        if (!affiliation) {
+            return res.status(404).json({
+                error: "Provider account not linked",
+                code: "PROVIDER_NOT_LINKED",
+                message: "Your account is not linked to a doctor yet. Ask an administrator to link it."
+            });
+        }
+
+        return res.status(200).json({
+            doctor: formatDoctorProfile(doctor, affiliation),
+            linkedAt
+        });
+
+    } catch (error) {
+        console.error("Error fetching provider profile:", error);
+        return res.status(500).json({
+            error: "KZN provider service unavailable",
+            code: "PROVIDER_PROFILE_ERROR",
+            message: "Failed to retrieve provider profile. Please try again later."
+        });
+    }
+};
+
+// ==================== DAY SHEET ====================
+
+/**
+ * Get a doctor's appointments for one clinic day
+ * Appointments are listed by start time, with higher priority first when times match.
+ * Checked-in patients are also returned as a queue ordered by priority score.
+ * @route GET /api/provider/appointments
+ * @access Private/Provider/Admin
+ */
+export const getProviderDaySheet = async (req, res) => {
+    try {
+        const { doctorId, error } = await resolveRequestedDoctor(req);
+        if (error) return res.status(error.status).json(error.body);
+
+        const dayStart = req.query.date ? parseClinicDate(req.query.date) : startOfClinicDay();
+        const dayEnd = addToClinicDate(dayStart, { days: 1 });
+
+        const appointments = await Appointment.find({
+            doctorId,
+            date: { $gte: dayStart, $lt: dayEnd },
+            status: { $nin: EXCLUDED_STATUSES }
+        }).populate('user', PATIENT_FIELDS);
+
+        const entries = appointments
+            .map(formatDaySheetEntry)
+            .sort((a, b) => new Date(a.startAt) - new Date(b.startAt) || b.priorityScore - a.priorityScore);
+
+        const queue = entries
+            .filter(entry => entry.status === 'checked-in')
+            .sort((a, b) => b.priorityScore - a.priorityScore || new Date(a.checkedInAt) - new Date(b.checkedInAt))
+            .map((entry, index) => ({ position: index + 1, appointmentId: entry.id, priorityScore: entry.priorityScore }));
+
+        const byStatus = entries.reduce((counts, entry) => {
+            counts[entry.status] = (counts[entry.status] || 0) + 1;
+            return counts;
+        }, {});
+
+        return res.status(200).json({
+            doctorId,
+            date: toClinicDateString(dayStart),
+            timeZone: CLINIC_TIME_ZONE,
+            appointments: entries,
+            queue,
+            summary: {
+                total: entries.length,
+                byStatus,
+                emergencies: entries.filter(entry => entry.urgency === 'emergency').length,
+                withAllergies: entries.filter(entry => entry.medicalSummary?.allergies.length > 0).length,
+                intakeAnswered: entries.filter(entry => entry.intake).length,
+                intakeFlagged: entries.filter(entry => entry.intake?.flags.length > 0).length
+            }
+        });
+
+    } catch (error) {
+        console.error("Error fetching provider day sheet:", error);
+        return res.status(500).json({
+            error: "KZN provider service unavailable",
+            code: "DAY_SHEET_FETCH_ERROR",
+            message: "Failed to retrieve the day sheet. Please try again later."
+        });
+    }
+};
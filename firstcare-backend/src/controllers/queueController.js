@@ -0,0 +1,670 @@
+// firstcare-backend/src/controllers/queueController.js
+
+/**
+ * Walk-in Queue Controller for KZN Healthcare Appointment Booking System
+ *
+ * @file src/controllers/queueController.js
+ * @description Same-day walk-in tickets for public and Unjani clinics running a queue instead of fixed times
+ *
+ * Features:
+ * - Patients take a same-day ticket while the clinic is open
+ * - Live queue position and estimated wait based on current throughput
+ * - Staff call the next patient in triage order (emergency, urgent, routine, then ticket number)
+ * - Staff re-triage waiting patients
+ * - Tickets are stored as walk-in appointments, so they count in district statistics
+ *   and are completed or marked as no-shows through the appointment endpoints
+ *
+ * Security Features:
+ * - Patients only see and leave their own tickets
+ * - Patient details in the queue list are only shown to clinic staff
+ * - District access validation when taking a ticket
+ * - Admin role required to change a facility's queue settings
+ *
+ * @version 1.0.0
+ * @module QueueController
+ * @author Healthcare System - KZN Implementation
+ */
+
+import Appointment from '../models/Appointment.js';
+import HealthcareFacility, { QUEUE_FACILITY_TYPES } from '../models/HealthcareFacility.js';
+import Doctor from '../models/Doctor.js';
+import User from '../models/user.js';
+import { CLINIC_TIME_ZONE, startOfClinicDay, toClinicDateString, toClinicTimeString } from '../utils/timeZoneUtils.js';
+
+/**
+ * Roles that run the queue at a facility
+ * @constant {Array<string>} QUEUE_STAFF_ROLES
+ */
+const QUEUE_STAFF_ROLES = ['provider', 'health-worker', 'admin'];
+
+/**
+ * Attempts at issuing a ticket number before giving up on concurrent issues
+ * @constant {number} MAX_TICKET_ATTEMPTS
+ */
+const MAX_TICKET_ATTEMPTS = 3;
+
+/**
+ * Check whether the requesting user is clinic staff
+ * @param {Object} req - Express request
+ * @returns {boolean} True for providers, health workers and admins
+ */
+const isQueueStaff = (req) => QUEUE_STAFF_ROLES.some(role => req.user.roles.includes(role));
+
+/**
+ * Format a walk-in ticket for API responses
+ * @param {Object} ticket - Walk-in appointment document
+ * @param {Object} queue - Queue state from Appointment.getWalkInQueue
+ * @returns {Object} Ticket with its live position and estimated wait while waiting
+ */
+const formatTicket = (ticket, queue) => {
+    const place = queue?.waiting.find(entry => entry.ticket._id.equals(ticket._id));
+
+    return {
+        id: ticket._id,
+        ticketNumber: ticket.queueTicket.number,
+        state: ticket.queueState,
+        status: ticket.status,
+        urgency: ticket.urgency,
+        category: ticket.category,
+        reason: ticket.reason,
+        facilityId: ticket.facility,
+        facilityName: ticket.facilityName,
+        date: toClinicDateString(ticket.date),
+        issuedAt: ticket.queueTicket.issuedAt,
+        position: place?.position ?? null,
+        estimatedWaitMinutes: place?.estimatedWaitMinutes ?? null,
+        calledAt: ticket.queueTicket.calledAt || null,
+        doctor: ticket.doctor || null,
+        doctorId: ticket.doctorId || null
+    };
+};
+
+/**
+ * Add patient details to a ticket for the staff queue list
+ * @param {Object} ticket - Walk-in appointment document with the patient populated
+ * @param {Object} queue - Queue state from Appointment.getWalkInQueue
+ * @returns {Object} Ticket with patient name, contact and priority score
+ */
+const formatStaffTicket = (ticket, queue) => ({
+    ...formatTicket(ticket, queue),
+    patient: ticket.user ? {
+        id: ticket.user._id,
+        firstName: ticket.user.firstName,
+        lastName: ticket.user.lastName,
+        phoneNumber: ticket.user.phoneNumber,
+        preferredLanguage: ticket.user.preferredLanguage
+    } : null,
+    priorityScore: ticket.getPriorityScore()
+});
+
+/**
+ * Look up an active facility by id
+ * @param {string} facilityId - Healthcare facility id
+ * @returns {Promise<Object>} { facility } or { error: { status, body } }
+ */
+const findQueueFacility = async (facilityId) => {
+    const facility = await HealthcareFacility.findOne({ _id: facilityId, isActive: true });
+    if (!facility) {
+        return {
+            error: {
+                status: 404,
+                body: {
+                    error: "Facility not found",
+                    code: "FACILITY_NOT_FOUND",
+                    message: "The selected healthcare facility does not exist"
+                }
+            }
+        };
+    }
+
+    return { facility };
+};
+
+/**
+ * Look up a walk-in ticket the requesting user may act on
+ * Patients may only act on their own tickets; staff may act on any ticket.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { ticket } or { error: { status, body } }
+ */
+const findTicketForUser = async (req) => {
+    const ticket = await Appointment.findOne({ _id: req.params.id, bookingType: 'walk-in' });
+    if (!ticket) {
+        return {
+            error: {
+                status: 404,
+                body: {
+                    error: "Ticket not found",
+                    code: "TICKET_NOT_FOUND",
+                    message: "The specified walk-in ticket does not exist"
+                }
+            }
+        };
+    }
+
+    if (!ticket.user.equals(req.user.userId) && !isQueueStaff(req)) {
+        return {
+            error: {
+                status: 403,
+                body: {
+                    error: "Access denied",
+                    code: "ACCESS_DENIED",
+                    message: "You can only view your own walk-in tickets"
+                }
+            }
+        };
+    }
+
+    return { ticket };
+};
+
+/**
+ * Resolve the doctor seeing a called patient
+ * Uses the requested doctor, or the doctor a provider account is linked to at this facility.
+ * @param {Object} req - Express request
+ * @param {Object} facility - Facility running the queue
+ * @returns {Promise<Object>} { doctor } (null when none is assigned) or { error: { status, body } }
+ */
+const resolveCallingDoctor = async (req, facility) => {
+    let { doctorId } = req.body;
+
+    if (!doctorId && req.user.roles.includes('provider')) {
+        const account = await User.findById(req.user.userId).select('providerProfile');
+        if (account?.providerProfile?.facility?.equals(facility._id)) {
+            doctorId = account.providerProfile.doctorId;
+        }
+    }
+
+    if (!doctorId) return { doctor: null };
+
+    const doctor = await Doctor.findByDoctorId(doctorId);
+    if (!doctor?.isActive || !doctor.getAffiliation(facility._id)) {
+        return {
+            error: {
+                status: 400,
+                body: {
+                    error: "Doctor not available at facility",
+                    code: "DOCTOR_NOT_AT_FACILITY",
+                    message: "The selected doctor does not work at this facility"
+                }
+            }
+        };
+    }
+
+    return { doctor };
+};
+
+// ==================== QUEUE STATE ====================
+
+/**
+ * Get today's walk-in queue at a facility
+ * Everyone sees the queue length and the wait for a new ticket, plus their own ticket.
+ * Staff also get the waiting list in triage order and the patients currently called.
+ * @route GET /api/queue/facilities/:facilityId
+ * @access Private
+ */
+export const getFacilityQueue = async (req, res) => {
+    try {
+        const { facility, error } = await findQueueFacility(req.params.facilityId);
+        if (error) return res.status(error.status).json(error.body);
+
+        const queue = await Appointment.getWalkInQueue(facility);
+        const myTicket = queue.tickets.find(ticket => ticket.user.equals(req.user.userId) && ticket.queueState !== 'left');
+
+        const response = {
+            facility: {
+                id: facility._id,
+                name: facility.name,
+                facilityType: facility.facilityType,
+                district: facility.district
+            },
+            queueMode: facility.queueMode,
+            date: queue.date,
+            timeZone: CLINIC_TIME_ZONE,
+            counts: queue.counts,
+            minutesPerPatient: queue.minutesPerPatient,
+            throughputSource: queue.throughputSource,
+            estimatedWaitForNewTicket: queue.estimatedWaitForNewTicket,
+            myTicket: myTicket ? formatTicket(myTicket, queue) : null
+        };
+
+        if (isQueueStaff(req)) {
+            await Appointment.populate(queue.tickets, { path: 'user', select: 'firstName lastName phoneNumber preferredLanguage' });
+            response.waiting = queue.waiting.map(({ ticket }) => formatStaffTicket(ticket, queue));
+            response.called = queue.called.map(ticket => formatStaffTicket(ticket, queue));
+        }
+
+        return res.status(200).json(response);
+
+    } catch (error) {
+        console.error("Error fetching walk-in queue:", error);
+        return res.status(500).json({
+            error: "KZN queue service unavailable",
+            code: "QUEUE_FETCH_ERROR",
+            message: "Failed to retrieve the walk-in queue. Please try again later."
+        });
+    }
+};
+
+/**
+ * Update a facility's walk-in queue settings
+ * @route PUT /api/queue/facilities/:facilityId/settings
+ * @access Private/Admin
+ */
+export const updateQueueSettings = async (req, res) => {
+    try {
+        const { facility, error } = await findQueueFacility(req.params.facilityId);
+        if (error) return res.status(error.status).json(error.body);
+
+        const { enabled, averageServiceMinutes, dailyTicketLimit } = req.body;
+
+        if (enabled && !QUEUE_FACILITY_TYPES.includes(facility.facilityType)) {
+            return res.status(400).json({
+                error: "Queue mode not supported",
+                code: "QUEUE_MODE_UNSUPPORTED",
+                message: `Walk-in queues are only available at: ${QUEUE_FACILITY_TYPES.join(', ')}`
+            });
+        }
+
+        if (enabled !== undefined) facility.queueMode.enabled = enabled;
+        if (averageServiceMinutes !== undefined) facility.queueMode.averageServiceMinutes = averageServiceMinutes;
+        if (dailyTicketLimit !== undefined) facility.queueMode.dailyTicketLimit = dailyTicketLimit ?? undefined;
+
+        await facility.save();
+
+        console.log(`Walk-in queue settings updated for facility ${facility._id}:`, facility.queueMode);
+
+        return res.status(200).json({
+            message: "Walk-in queue settings updated successfully",
+            facilityId: facility._id,
+            queueMode: facility.queueMode
+        });
+
+    } catch (error) {
+        console.error("Error updating walk-in queue settings:", error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "QUEUE_SETTINGS_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN queue service unavailable",
+            code: "QUEUE_SETTINGS_ERROR",
+            message: "Failed to update walk-in queue settings. Please try again later."
+        });
+    }
+};
+
+// ==================== PATIENT TICKETS ====================
+
+/**
+ * Take a same-day walk-in ticket at a facility
+ * @route POST /api/queue/facilities/:facilityId/tickets
+ * @access Private
+ */
+export const takeQueueTicket = async (req, res) => {
+    try {
+        const { facility, error } = await findQueueFacility(req.params.facilityId);
+        if (error) return res.status(error.status).json(error.body);
+
+        if (!facility.queueMode?.enabled) {
+            return res.status(409).json({
+                error: "Walk-in queue not available",
+                code: "QUEUE_MODE_DISABLED",
+                message: `${facility.name} does not run a walk-in queue. Please book an appointment instead.`
+            });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (!user.isProfileComplete) {
+            return res.status(400).json({
+                error: "Profile incomplete",
+                code: "PROFILE_INCOMPLETE",
+                message: "Please complete your KZN healthcare profile before joining a queue"
+            });
+        }
+
+        if (!user.canAccessDistrict(facility.district)) {
+            return res.status(403).json({
+                error: "District access denied",
+                code: "DISTRICT_ACCESS_DENIED",
+                message: "You can only join walk-in queues in your registered KZN health district"
+            });
+        }
+
+        // Tickets are only issued while the clinic is open
+        const now = new Date();
+        const time = toClinicTimeString(now);
+        const restriction = facility.getBookingRestriction(now, time, 0);
+        if (restriction) {
+            const { code, message, ...details } = restriction;
+            return res.status(409).json({
+                error: "Queue closed",
+                code,
+                message,
+                ...details
+            });
+        }
+
+        const existingTicket = await Appointment.findOne({
+            user: user._id,
+            facility: facility._id,
+            bookingType: 'walk-in',
+            date: startOfClinicDay(now),
+            status: { $in: ['confirmed', 'checked-in'] }
+        });
+        if (existingTicket) {
+            return res.status(409).json({
+                error: "Ticket already issued",
+                code: "TICKET_ALREADY_ISSUED",
+                message: "You already have a ticket in this queue today",
+                ticketId: existingTicket._id
+            });
+        }
+
+        const { reason, category, urgency, notes } = req.body;
+
+        let ticket = null;
+        for (let attempt = 1; !ticket; attempt++) {
+            const queue = await Appointment.getWalkInQueue(facility, now);
+
+            const { dailyTicketLimit } = facility.queueMode;
+            if (dailyTicketLimit && queue.counts.issued >= dailyTicketLimit) {
+                return res.status(409).json({
+                    error: "Queue full",
+                    code: "QUEUE_FULL",
+                    message: `${facility.name} has issued all ${dailyTicketLimit} walk-in tickets for today`
+                });
+            }
+
+            const lastNumber = queue.tickets.reduce((highest, issued) => Math.max(highest, issued.queueTicket.number), 0);
+            const candidate = new Appointment({
+                user: user._id,
+                bookingType: 'walk-in',
+                district: facility.district,
+                subLocation: user.locationData.subLocation,
+                date: now,
+                time,
+                duration: facility.queueMode.averageServiceMinutes,
+                reason,
+                category,
+                urgency: urgency || 'routine',
+                facility: facility._id,
+                facilityName: facility.name,
+                facilityType: facility.facilityType,
+                providerAddress: facility.address,
+                providerContact: facility.contact?.phone,
+                notes: notes || '',
+                status: 'confirmed',
+                languagePreference: user.preferredLanguage,
+                queueTicket: {
+                    number: lastNumber + 1,
+                    issuedAt: now
+                },
+                createdBy: user._id,
+                lastModifiedBy: user._id
+            });
+            candidate.addStatusHistory('confirmed', user._id, `Walk-in ticket ${lastNumber + 1} issued`);
+
+            // The doctor is not known until the patient is called, so any non-English speaker needs one
+            await candidate.arrangeInterpreter(null, facility);
+
+            try {
+                await candidate.save();
+                ticket = candidate;
+            } catch (saveError) {
+                // Another patient took the same number; retry with the next one
+                if (saveError.code !== 11000 || attempt >= MAX_TICKET_ATTEMPTS) throw saveError;
+            }
+        }
+
+        // Keep the estimate given to the patient so it can be compared with the actual wait
+        const queue = await Appointment.getWalkInQueue(facility);
+        const issued = formatTicket(ticket, queue);
+        ticket.queueTicket.estimatedWaitMinutes = issued.estimatedWaitMinutes ?? undefined;
+        await ticket.save();
+
+        console.log("Walk-in ticket issued:", {
+            ticketId: ticket._id,
+            facility: facility._id,
+            number: ticket.queueTicket.number,
+            urgency: ticket.urgency
+        });
+
+        return res.status(201).json({
+            message: `Walk-in ticket ${ticket.queueTicket.number} issued at ${facility.name}`,
+            ticket: issued
+        });
+
+    } catch (error) {
+        console.error("Error issuing walk-in ticket:", error);
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                error: "Queue busy",
+                code: "TICKET_NUMBER_CONFLICT",
+                message: "Many patients are joining the queue right now. Please try again."
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "TICKET_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN queue service unavailable",
+            code: "TICKET_ISSUE_ERROR",
+            message: "Failed to issue a walk-in ticket. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get a walk-in ticket with its live position and estimated wait
+ * @route GET /api/queue/tickets/:id
+ * @access Private (owner or staff)
+ */
+export const getQueueTicket = async (req, res) => {
+    try {
+        const { ticket, error } = await findTicketForUser(req);
+        if (error) return res.status(error.status).json(error.body);
+
+        const facility = await HealthcareFacility.findById(ticket.facility);
+        const queue = facility ? await Appointment.getWalkInQueue(facility) : null;
+
+        return res.status(200).json({
+            ticket: formatTicket(ticket, queue),
+            queue: queue ? {
+                waiting: queue.counts.waiting,
+                minutesPerPatient: queue.minutesPerPatient,
+                throughputSource: queue.throughputSource
+            } : null
+        });
+
+    } catch (error) {
+        console.error("Error fetching walk-in ticket:", error);
+        return res.status(500).json({
+            error: "KZN queue service unavailable",
+            code: "TICKET_FETCH_ERROR",
+            message: "Failed to retrieve the walk-in ticket. Please try again later."
+        });
+    }
+};
+
+/**
+ * Leave the queue, cancelling a waiting ticket
+ * @route POST /api/queue/tickets/:id/leave
+ * @access Private (owner or staff)
+ */
+export const leaveQueue = async (req, res) => {
+    try {
+        const { ticket, error } = await findTicketForUser(req);
+        if (error) return res.status(error.status).json(error.body);
+
+        if (ticket.queueState !== 'waiting') {
+            return res.status(409).json({
+                error: "Ticket not waiting",
+                code: "TICKET_NOT_WAITING",
+                message: "Only tickets still waiting in the queue can be cancelled",
+                state: ticket.queueState
+            });
+        }
+
+        const isOwner = ticket.user.equals(req.user.userId);
+        ticket.cancel({
+            cancelledBy: req.user.userId,
+            cancelledByRole: isOwner ? 'patient' : QUEUE_STAFF_ROLES.find(role => req.user.roles.includes(role)),
+            reason: 'patient-request',
+            notes: req.body.notes || 'Left the walk-in queue'
+        });
+        await ticket.save();
+
+        console.log("Walk-in ticket cancelled:", ticket._id);
+
+        return res.status(200).json({
+            message: "You have left the walk-in queue",
+            ticket: formatTicket(ticket, null)
+        });
+
+    } catch (error) {
+        console.error("Error leaving walk-in queue:", error);
+        return res.status(500).json({
+            error: "KZN queue service unavailable",
+            code: "TICKET_CANCEL_ERROR",
+            message: "Failed to leave the walk-in queue. Please try again later."
+        });
+    }
+};
+
+// ==================== STAFF ACTIONS ====================
+
+/**
+ * Call the next patient in triage order
+ * The called ticket is checked in and, when a doctor is named or the caller is a linked
+ * provider, assigned to that doctor so it appears on their day sheet.
+ * @route POST /api/queue/facilities/:facilityId/call-next
+ * @access Private/Provider/Health-worker/Admin
+ */
+export const callNextTicket = async (req, res) => {
+    try {
+        const { facility, error } = await findQueueFacility(req.params.facilityId);
+        if (error) return res.status(error.status).json(error.body);
+
+        const { doctor, error: doctorError } = await resolveCallingDoctor(req, facility);
+        if (doctorError) return res.status(doctorError.status).json(doctorError.body);
+
+        const now = new Date();
+        const queue = await Appointment.getWalkInQueue(facility, now);
+
+        // Claim the first ticket nobody else has called in the meantime
+        let called = null;
+        for (const { ticket } of queue.waiting) {
+            called = await Appointment.findOneAndUpdate(
+                { _id: ticket._id, status: 'confirmed', 'queueTicket.calledAt': null },
+                { $set: { 'queueTicket.calledAt': now, 'queueTicket.calledBy': req.user.userId } },
+                { new: true }
+            );
+            if (called) break;
+        }
+
+        if (!called) {
+            return res.status(404).json({
+                error: "Queue empty",
+                code: "QUEUE_EMPTY",
+                message: "No patients are waiting in the walk-in queue"
+            });
+        }
+
+        if (doctor) {
+            called.doctor = doctor.name;
+            called.doctorId = doctor.doctorId;
+        }
+        called.transitionTo(
+            'checked-in',
+            req.user.userId,
+            req.body.notes || `Walk-in ticket ${called.queueTicket.number} called${doctor ? ` for ${doctor.name}` : ''}`
+        );
+        await called.save();
+        await called.populate('user', 'firstName lastName phoneNumber preferredLanguage');
+
+        console.log("Walk-in ticket called:", {
+            ticketId: called._id,
+            facility: facility._id,
+            number: called.queueTicket.number,
+            urgency: called.urgency
+        });
+
+        return res.status(200).json({
+            message: `Ticket ${called.queueTicket.number} called`,
+            ticket: formatStaffTicket(called, null),
+            remaining: queue.counts.waiting - 1
+        });
+
+    } catch (error) {
+        console.error("Error calling next walk-in ticket:", error);
+        return res.status(500).json({
+            error: "KZN queue service unavailable",
+            code: "QUEUE_CALL_ERROR",
+            message: "Failed to call the next patient. Please try again later."
+        });
+    }
+};
+
+/**
+ * Change the urgency of a waiting walk-in ticket
+ * @route PATCH /api/queue/tickets/:id/triage
+ * @access Private/Provider/Health-worker/Admin
+ */
+export const updateTicketTriage = async (req, res) => {
+    try {
+        const { ticket, error } = await findTicketForUser(req);
+        if (error) return res.status(error.status).json(error.body);
+
+        if (ticket.queueState !== 'waiting') {
+            return res.status(409).json({
+                error: "Ticket not waiting",
+                code: "TICKET_NOT_WAITING",
+                message: "Only tickets still waiting in the queue can be re-triaged",
+                state: ticket.queueState
+            });
+        }
+
+        const { urgency, notes } = req.body;
+        const previousUrgency = ticket.urgency;
+
+        ticket.urgency = urgency;
+        ticket.lastModifiedBy = req.user.userId;
+        ticket.addStatusHistory(
+            ticket.status,
+            req.user.userId,
+            notes || `Triage changed from ${previousUrgency} to ${urgency}`
+        );
+        await ticket.save();
+
+        const facility = await HealthcareFacility.findById(ticket.facility);
+        const queue = facility ? await Appointment.getWalkInQueue(facility) : null;
+
+        return res.status(200).json({
+            message: "Walk-in ticket re-triaged successfully",
+            previousUrgency,
+            ticket: formatTicket(ticket, queue)
+        });
+
+    } catch (error) {
+        console.error("Error re-triaging walk-in ticket:", error);
+        return res.status(500).json({
+            error: "KZN queue service unavailable",
+            code: "TICKET_TRIAGE_ERROR",
+            message: "Failed to update the ticket triage. Please try again later."
+        });
+    }
+};
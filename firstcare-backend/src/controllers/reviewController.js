@@ -0,0 +1,397 @@
+// firstcare-backend/src/controllers/reviewController.js
+
+/**
+ * Patient Review Controller for KZN Healthcare Appointment Booking System
+ *
+ * @file src/controllers/reviewController.js
+ * @description Post-visit ratings and reviews, moderation and public facility reviews
+ *
+ * Features:
+ * - Patients rate the facility and doctor of a completed appointment and may leave a comment
+ * - Only completed visits can be reviewed, once each, within the review window
+ * - Admins publish or reject comments before they are shown or counted
+ * - Facility and doctor ratings recomputed whenever a review is published or rejected
+ * - Public listing of published reviews for a facility
+ *
+ * Security Features:
+ * - Patients only review their own visits
+ * - Public listings never include the patient's identity
+ * - Role-based access control for moderation
+ *
+ * @version 1.0.0
+ * @module ReviewController
+ * @author Healthcare System - KZN Implementation
+ */
+
+import { differenceInCalendarDays } from 'date-fns';
+import Appointment from '../models/Appointment.js';
+import HealthcareFacility from '../models/HealthcareFacility.js';
+import Review, { REVIEW_WINDOW_DAYS } from '../models/Review.js';
+
+/**
+ * Get when an appointment was marked completed
+ * @param {Object} appointment - Completed appointment
+ * @returns {Date} Time of the completed status change, or the appointment date for older records
+ */
+const getCompletedAt = (appointment) => {
+    const completed = [...appointment.statusHistory].reverse().find(entry => entry.status === 'completed');
+    return completed?.timestamp || appointment.date;
+};
+
+/**
+ * Format a review for the patient who wrote it and for moderators
+ * @param {Object} review - Review document
+ * @returns {Object} Review with moderation details
+ */
+const formatReview = (review) => ({
+    id: review._id,
+    appointmentId: review.appointment,
+    facilityId: review.facility,
+    facilityName: review.facilityName,
+    doctorId: review.doctorId || null,
+    doctorName: review.doctorName || null,
+    district: review.district,
+    category: review.category,
+    visitDate: review.visitDate,
+    facilityRating: review.facilityRating,
+    doctorRating: review.doctorRating ?? null,
+    comment: review.comment || null,
+    status: review.status,
+    moderatedAt: review.moderatedAt || null,
+    moderationNotes: review.moderationNotes || null,
+    publishedAt: review.publishedAt || null,
+    createdAt: review.createdAt
+});
+
+/**
+ * Check that an appointment is a completed visit the patient can still review
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { appointment } or { error: { status, body } }
+ */
+const findVisitForReview = async (req) => {
+    const appointment = await Appointment.findById(req.body.appointmentId);
+    if (!appointment) {
+        return {
+            error: {
+                status: 404,
+                body: {
+                    error: "Appointment not found",
+                    code: "APPOINTMENT_NOT_FOUND",
+                    message: "The specified appointment does not exist in KZN healthcare system"
+                }
+            }
+        };
+    }
+
+    if (!appointment.user.equals(req.user.userId)) {
+        return {
+            error: {
+                status: 403,
+                body: {
+                    error: "Access denied",
+                    code: "FORBIDDEN",
+                    message: "You can only review your own visits"
+                }
+            }
+        };
+    }
+
+    if (appointment.status !== 'completed' || !appointment.facility) {
+        return {
+            error: {
+                status: 409,
+                body: {
+                    error: "Visit not completed",
+                    code: "VISIT_NOT_COMPLETED",
+                    message: "Only completed visits can be reviewed"
+                }
+            }
+        };
+    }
+
+    if (differenceInCalendarDays(new Date(), getCompletedAt(appointment)) > REVIEW_WINDOW_DAYS) {
+        return {
+            error: {
+                status: 409,
+                body: {
+                    error: "Review window closed",
+                    code: "REVIEW_WINDOW_CLOSED",
+                    message: `Visits can only be reviewed within ${REVIEW_WINDOW_DAYS} days`
+                }
+            }
+        };
+    }
+
+    return { appointment };
+};
+
+/**
+ * Publish or reject a review and recompute the ratings it counts towards
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} decision - published or rejected
+ */
+const moderateReview = async (req, res, decision) => {
+    try {
+        const review = await Review.findById(req.params.id);
+        if (!review) {
+            return res.status(404).json({
+                error: "Review not found",
+                code: "REVIEW_NOT_FOUND",
+                message: "The specified review does not exist"
+            });
+        }
+
+        if (decision === 'rejected' && !req.body.notes) {
+            return res.status(400).json({
+                error: "Reason required",
+                code: "REJECTION_REASON_REQUIRED",
+                message: "Please give a reason for rejecting the review"
+            });
+        }
+
+        const previousStatus = review.status;
+        review.moderate(decision, req.user.userId, req.body.notes);
+        await review.save();
+
+        if (previousStatus === 'published' || decision === 'published') {
+            await Review.refreshRatingsFor(review);
+        }
+
+        console.log(`Review ${decision}:`, {
+            reviewId: review._id,
+            facility: review.facility,
+            previousStatus,
+            moderatedBy: req.user.userId
+        });
+
+        return res.status(200).json({
+            message: `Review ${decision}`,
+            review: formatReview(review)
+        });
+
+    } catch (error) {
+        console.error(`Error moderating review (${decision}):`, error);
+        return res.status(500).json({
+            error: "KZN review service unavailable",
+            code: "REVIEW_MODERATION_ERROR",
+            message: "Failed to record the moderation decision. Please try again later."
+        });
+    }
+};
+
+/**
+ * Review a completed visit
+ * @route POST /api/reviews
+ * @access Private (patient who attended the visit)
+ */
+export const submitReview = async (req, res) => {
+    try {
+        const { appointment, error } = await findVisitForReview(req);
+        if (error) return res.status(error.status).json(error.body);
+
+        const { facilityRating, doctorRating, comment } = req.body;
+
+        if (doctorRating != null && !appointment.doctorId) {
+            return res.status(400).json({
+                error: "Doctor unknown",
+                code: "DOCTOR_NOT_RECORDED",
+                message: "No doctor was recorded for this visit, so only the facility can be rated"
+            });
+        }
+
+        const review = new Review({
+            appointment: appointment._id,
+            user: req.user.userId,
+            facility: appointment.facility,
+            facilityName: appointment.facilityName,
+            doctorId: appointment.doctorId,
+            doctorName: appointment.doctor,
+            district: appointment.district,
+            category: appointment.category,
+            visitDate: appointment.date,
+            facilityRating,
+            doctorRating,
+            comment
+        });
+
+        // Ratings without a comment have nothing to moderate
+        if (!review.comment) {
+            review.status = 'published';
+            review.publishedAt = new Date();
+        }
+
+        await review.save();
+
+        if (review.status === 'published') {
+            await Review.refreshRatingsFor(review);
+        }
+
+        console.log("Review submitted:", {
+            reviewId: review._id,
+            appointmentId: appointment._id,
+            facility: appointment.facility,
+            status: review.status
+        });
+
+        return res.status(201).json({
+            message: review.status === 'published'
+                ? "Thank you for rating your visit."
+                : "Thank you for your review. It will be published once it has been checked.",
+            review: formatReview(review)
+        });
+
+    } catch (error) {
+        console.error("Error submitting review:", error);
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                error: "Visit already reviewed",
+                code: "REVIEW_EXISTS",
+                message: "You have already reviewed this visit"
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "REVIEW_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN review service unavailable",
+            code: "REVIEW_SUBMIT_ERROR",
+            message: "Failed to submit your review. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get the requesting patient's reviews
+ * @route GET /api/reviews/mine
+ * @access Private
+ */
+export const getMyReviews = async (req, res) => {
+    try {
+        const reviews = await Review.find({ user: req.user.userId }).sort({ createdAt: -1 });
+
+        return res.status(200).json({
+            count: reviews.length,
+            reviewWindowDays: REVIEW_WINDOW_DAYS,
+            reviews: reviews.map(formatReview)
+        });
+
+    } catch (error) {
+        console.error("Error fetching patient reviews:", error);
+        return res.status(500).json({
+            error: "KZN review service unavailable",
+            code: "REVIEW_FETCH_ERROR",
+            message: "Failed to retrieve your reviews. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get published reviews of a facility
+ * @route GET /api/reviews/facilities/:facilityId
+ * @access Public
+ */
+export const getFacilityReviews = async (req, res) => {
+    try {
+        const { page = 1, limit = 10 } = req.query;
+
+        const facility = await HealthcareFacility.findById(req.params.facilityId).select('name rating userRatingsTotal');
+        if (!facility) {
+            return res.status(404).json({
+                error: "Facility not found",
+                code: "FACILITY_NOT_FOUND",
+                message: "The requested healthcare facility was not found"
+            });
+        }
+
+        const query = { facility: facility._id, status: 'published' };
+        const [reviews, total, summaries] = await Promise.all([
+            Review.find(query)
+                .sort({ publishedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Review.countDocuments(query),
+            Review.getFacilitySummaries([facility._id])
+        ]);
+
+        return res.status(200).json({
+            facility: {
+                id: facility._id,
+                name: facility.name,
+                rating: facility.rating,
+                userRatingsTotal: facility.userRatingsTotal
+            },
+            summary: summaries.get(facility._id.toString()) || null,
+            reviews: reviews.map(review => review.toPublicReview()),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalReviews: total,
+                limit
+            }
+        });
+
+    } catch (error) {
+        console.error("Error fetching facility reviews:", error);
+        return res.status(500).json({
+            error: "KZN review service unavailable",
+            code: "FACILITY_REVIEWS_ERROR",
+            message: "Failed to retrieve facility reviews. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get reviews waiting for (or after) moderation
+ * @route GET /api/reviews/moderation
+ * @access Private (admin)
+ */
+export const getModerationQueue = async (req, res) => {
+    try {
+        const { status = 'pending', district } = req.query;
+
+        const query = { status };
+        if (district) query.district = district;
+
+        const reviews = await Review.find(query)
+            .sort({ createdAt: status === 'pending' ? 1 : -1 })
+            .limit(100);
+
+        return res.status(200).json({
+            status,
+            district: district || 'all',
+            count: reviews.length,
+            reviews: reviews.map(formatReview)
+        });
+
+    } catch (error) {
+        console.error("Error fetching review moderation queue:", error);
+        return res.status(500).json({
+            error: "KZN review service unavailable",
+            code: "REVIEW_QUEUE_ERROR",
+            message: "Failed to retrieve reviews for moderation. Please try again later."
+        });
+    }
+};
+
+/**
+ * Publish a review
+ * @route POST /api/reviews/:id/publish
+ * @access Private (admin)
+ */
+export const publishReview = (req, res) => moderateReview(req, res, 'published');
+
+/**
+ * Reject a review
+ * @route POST /api/reviews/:id/reject
+ * @access Private (admin)
+ */
+export const rejectReview = (req, res) => moderateReview(req, res, 'rejected');
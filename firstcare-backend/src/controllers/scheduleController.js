@@ -0,0 +1,257 @@
+// firstcare-backend/src/controllers/scheduleController.js
+
+/**
+ * Provider Schedule Controller for KZN Healthcare Appointment Booking System
+ *
+ * @file src/controllers/scheduleController.js
+ * @description Lets providers manage weekly working blocks, slot lengths, breaks and exceptions
+ *
+ * Features:
+ * - View a provider's effective schedule (default schedule when none configured)
+ * - Replace weekly blocks, breaks and slot lengths
+ * - Add and remove date-specific exceptions (leave, public holidays, extra sessions)
+ *
+ * Security Features:
+ * - Provider/admin roles required for changes
+ * - Only listed schedule managers or admins may edit an existing schedule
+ * - Audit of last modifier
+ *
+ * @version 1.0.0
+ * @module ScheduleController
+ * @author Healthcare System - KZN Implementation
+ */
+
+import ProviderSchedule from '../models/ProviderSchedule.js';
+import { parseClinicDate } from '../utils/timeZoneUtils.js';
+
+/**
+ * Check whether the requesting user may edit a schedule
+ * @param {Object} schedule - Provider schedule document
+ * @param {Object} requestUser - Authenticated user from verifyToken
+ * @returns {boolean} True if the user can manage the schedule
+ */
+const canManageSchedule = (schedule, requestUser) => {
+    if (requestUser.roles.includes('admin')) return true;
+    if (schedule.isNew) return true;
+    return schedule.managedBy.some(managerId => managerId.toString() === requestUser.userId);
+};
+
+/**
+ * Format a schedule for API responses
+ * @param {Object} schedule - Provider schedule document
+ * @returns {Object} Response-safe schedule
+ */
+const formatSchedule = (schedule) => ({
+    id: schedule.isNew ? null : schedule._id,
+    doctorId: schedule.doctorId,
+    doctorName: schedule.doctorName,
+    facility: schedule.facility,
+    weeklyBlocks: schedule.weeklyBlocks,
+    breaks: schedule.breaks,
+    defaultSlotDuration: schedule.defaultSlotDuration,
+    slotDurations: schedule.slotDurations,
+    exceptions: schedule.exceptions,
+    isDefault: schedule.isNew,
+    updatedAt: schedule.updatedAt
+});
+
+/**
+ * Get the effective schedule for a provider
+ * @route GET /api/schedules/:doctorId
+ * @access Private
+ */
+export const getProviderSchedule = async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        const schedule = await ProviderSchedule.resolveForDoctor(doctorId);
+
+        return res.status(200).json({
+            schedule: formatSchedule(schedule)
+        });
+
+    } catch (error) {
+        console.error("Error fetching provider schedule:", error);
+        return res.status(500).json({
+            error: "KZN scheduling service unavailable",
+            code: "SCHEDULE_FETCH_ERROR",
+            message: "Failed to retrieve provider schedule. Please try again later."
+        });
+    }
+};
+
+/**
+ * Create or replace a provider's weekly schedule
+ * @route PUT /api/schedules/:doctorId
+ * @access Private/Provider/Admin
+ */
+export const upsertProviderSchedule = async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        const { doctorName, facility, weeklyBlocks, breaks, defaultSlotDuration, slotDurations } = req.body;
+
+        const schedule = await ProviderSchedule.resolveForDoctor(doctorId);
+
+        if (!canManageSchedule(schedule, req.user)) {
+            return res.status(403).json({
+                error: "Access denied",
+                code: "SCHEDULE_ACCESS_DENIED",
+                message: "You can only manage schedules you are responsible for"
+            });
+        }
+
+        if (doctorName !== undefined) schedule.doctorName = doctorName;
+        if (facility !== undefined) schedule.facility = facility;
+        schedule.weeklyBlocks = weeklyBlocks;
+        if (breaks !== undefined) schedule.breaks = breaks;
+        if (defaultSlotDuration !== undefined) schedule.defaultSlotDuration = defaultSlotDuration;
+        if (slotDurations !== undefined) schedule.slotDurations = slotDurations;
+
+        const isNewSchedule = schedule.isNew;
+        if (isNewSchedule && !req.user.roles.includes('admin')) {
+            schedule.managedBy.push(req.user.userId);
+        }
+        schedule.lastModifiedBy = req.user.userId;
+
+        await schedule.save();
+
+        console.log(`Provider schedule ${isNewSchedule ? 'created' : 'updated'}:`, doctorId);
+
+        return res.status(isNewSchedule ? 201 : 200).json({
+            message: `Provider schedule ${isNewSchedule ? 'created' : 'updated'} successfully`,
+            schedule: formatSchedule(schedule)
+        });
+
+    } catch (error) {
+        console.error("Error saving provider schedule:", error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "SCHEDULE_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN scheduling service unavailable",
+            code: "SCHEDULE_UPDATE_ERROR",
+            message: "Failed to save provider schedule. Please try again later."
+        });
+    }
+};
+
+/**
+ * Add a date-specific exception (leave, public holiday or extra session)
+ * @route POST /api/schedules/:doctorId/exceptions
+ * @access Private/Provider/Admin
+ */
+export const addScheduleException = async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        const { date, type, start, end, reason } = req.body;
+
+        const schedule = await ProviderSchedule.resolveForDoctor(doctorId);
+
+        if (!canManageSchedule(schedule, req.user)) {
+            return res.status(403).json({
+                error: "Access denied",
+                code: "SCHEDULE_ACCESS_DENIED",
+                message: "You can only manage schedules you are responsible for"
+            });
+        }
+
+        if (schedule.isNew && !req.user.roles.includes('admin')) {
+            schedule.managedBy.push(req.user.userId);
+        }
+
+        schedule.exceptions.push({
+            date: parseClinicDate(date),
+            type,
+            start,
+            end,
+            reason: reason || '',
+            createdBy: req.user.userId
+        });
+        schedule.lastModifiedBy = req.user.userId;
+
+        await schedule.save();
+
+        const exception = schedule.exceptions[schedule.exceptions.length - 1];
+
+        console.log(`Schedule exception (${type}) added for provider:`, doctorId);
+
+        return res.status(201).json({
+            message: "Schedule exception added successfully",
+            exception,
+            schedule: formatSchedule(schedule)
+        });
+
+    } catch (error) {
+        console.error("Error adding schedule exception:", error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "SCHEDULE_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN scheduling service unavailable",
+            code: "SCHEDULE_UPDATE_ERROR",
+            message: "Failed to add schedule exception. Please try again later."
+        });
+    }
+};
+
+/**
+ * Remove a date-specific exception
+ * @route DELETE /api/schedules/:doctorId/exceptions/:exceptionId
+ * @access Private/Provider/Admin
+ */
+export const removeScheduleException = async (req, res) => {
+    try {
+        const { doctorId, exceptionId } = req.params;
+
+        const schedule = await ProviderSchedule.findOne({ doctorId, isActive: true });
+        const exception = schedule?.exceptions.id(exceptionId);
+
+        if (!exception) {
+            return res.status(404).json({
+                error: "Schedule exception not found",
+                code: "SCHEDULE_EXCEPTION_NOT_FOUND",
+                message: "The specified schedule exception does not exist"
+            });
+        }
+
+        if (!canManageSchedule(schedule, req.user)) {
+            return res.status(403).json({
+                error: "Access denied",
+                code: "SCHEDULE_ACCESS_DENIED",
+                message: "You can only manage schedules you are responsible for"
+            });
+        }
+
+        exception.deleteOne();
+        schedule.lastModifiedBy = req.user.userId;
+        await schedule.save();
+
+        console.log("Schedule exception removed:", exceptionId);
+
+        return res.status(200).json({
+            message: "Schedule exception removed successfully",
+            schedule: formatSchedule(schedule)
+        });
+
+    } catch (error) {
+        console.error("Error removing schedule exception:", error);
+        return res.status(500).json({
+            error: "KZN scheduling service unavailable",
+            code: "SCHEDULE_UPDATE_ERROR",
+            message: "Failed to remove schedule exception. Please try again later."
+        });
+    }
+};
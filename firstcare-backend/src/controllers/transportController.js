@@ -0,0 +1,388 @@
+// firstcare-backend/src/controllers/transportController.js
+
+/**
+ * Patient Transport Controller for KZN Healthcare Appointment Booking System
+ *
+ * @file src/controllers/transportController.js
+ * @description Transport assistance requests, district approval queue and transport manifests
+ *
+ * Features:
+ * - Patients request patient transport or an ambulance with pickup location and mobility needs
+ * - Health workers and admins approve or decline requests, soonest appointments first
+ * - Approved trips grouped by date and pickup sub-location into transport manifests,
+ *   so vehicles in rural districts such as umkhanyakude and zululand can collect
+ *   patients from the same area together
+ *
+ * Security Features:
+ * - Patients only request transport for their own appointments
+ * - Health workers only see and decide requests in their registered district
+ * - Role-based access control for the approval queue and manifests
+ *
+ * @version 1.0.0
+ * @module TransportController
+ * @author Healthcare System - KZN Implementation
+ */
+
+import Appointment, { ACTIVE_STATUSES } from '../models/Appointment.js';
+import User from '../models/user.js';
+import { parseClinicDate, toClinicDateString, startOfClinicDay, addToClinicDate } from '../utils/timeZoneUtils.js';
+
+/**
+ * Roles that review transport requests
+ * @constant {Array<string>} TRANSPORT_STAFF_ROLES
+ */
+const TRANSPORT_STAFF_ROLES = ['health-worker', 'admin'];
+
+/**
+ * Check whether the requesting user reviews transport requests
+ * @param {Object} req - Express request
+ * @returns {boolean} True for health workers and admins
+ */
+const isTransportStaff = (req) => TRANSPORT_STAFF_ROLES.some(role => req.user.roles.includes(role));
+
+/**
+ * Work out which district a staff member may manage
+ * Admins may manage any district; health workers only their registered district.
+ * @param {Object} req - Express request
+ * @param {string} requestedDistrict - District asked for, if any
+ * @returns {Promise<Object>} { district } (null for every district) or { error: { status, body } }
+ */
+const resolveStaffDistrict = async (req, requestedDistrict) => {
+    if (req.user.roles.includes('admin')) {
+        return { district: requestedDistrict || null };
+    }
+
+    const staff = await User.findById(req.user.userId).select('locationData');
+    const ownDistrict = staff?.locationData?.healthDistrict;
+
+    if (!ownDistrict || (requestedDistrict && requestedDistrict !== ownDistrict)) {
+        return {
+            error: {
+                status: 403,
+                body: {
+                    error: "District access denied",
+                    code: "DISTRICT_ACCESS_DENIED",
+                    message: "Health workers can only manage transport in their registered KZN health district"
+                }
+            }
+        };
+    }
+
+    return { district: ownDistrict };
+};
+
+/**
+ * Format a transport request for API responses
+ * @param {Object} appointment - Appointment with transport assistance (patient populated for staff views)
+ * @returns {Object} Request with appointment, pickup and review details
+ */
+const formatTransportRequest = (appointment) => {
+    const transport = appointment.transportAssistance;
+    const patient = appointment.user?.firstName ? appointment.user : null;
+
+    return {
+        appointmentId: appointment._id,
+        date: toClinicDateString(appointment.date),
+        time: appointment.time,
+        bookingType: appointment.bookingType,
+        appointmentStatus: appointment.status,
+        urgency: appointment.urgency,
+        category: appointment.category,
+        district: appointment.district,
+        facilityId: appointment.facility,
+        facilityName: appointment.facilityName,
+        facilityAddress: appointment.providerAddress,
+        transport: {
+            type: transport.type,
+            status: transport.status || 'pending',
+            pickup: transport.pickup,
+            mobilityNeeds: transport.mobilityNeeds,
+            notes: transport.notes,
+            requestedAt: transport.requestedAt,
+            reviewedAt: transport.reviewedAt || null,
+            reviewNotes: transport.reviewNotes || null
+        },
+        patient: patient ? {
+            id: patient._id,
+            firstName: patient.firstName,
+            lastName: patient.lastName,
+            phoneNumber: patient.phoneNumber,
+            preferredLanguage: patient.preferredLanguage
+        } : null
+    };
+};
+
+/**
+ * Format a manifest of approved trips from one sub-location on one day
+ * @param {Object} manifest - Manifest from Appointment.getTransportManifests
+ * @returns {Object} Manifest with vehicle, passenger and mobility totals
+ */
+const formatManifest = (manifest) => {
+    const vehicles = { ambulance: 0, 'patient-transport': 0 };
+    const mobilityNeeds = {};
+    let passengers = 0;
+
+    for (const trip of manifest.trips) {
+        const { type, mobilityNeeds: needs = [] } = trip.transportAssistance;
+        vehicles[type] = (vehicles[type] || 0) + 1;
+        passengers += needs.includes('companion') ? 2 : 1;
+        needs.forEach(need => { mobilityNeeds[need] = (mobilityNeeds[need] || 0) + 1; });
+    }
+
+    return {
+        date: manifest.date,
+        district: manifest.district,
+        subLocation: manifest.subLocation,
+        tripCount: manifest.trips.length,
+        passengers,
+        vehicles,
+        mobilityNeeds,
+        trips: manifest.trips.map(formatTransportRequest)
+    };
+};
+
+/**
+ * Look up an appointment whose transport request a staff member is deciding
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { appointment } or { error: { status, body } }
+ */
+const findRequestForReview = async (req) => {
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment || !appointment.transportAssistance?.needed) {
+        return {
+            error: {
+                status: 404,
+                body: {
+                    error: "Transport request not found",
+                    code: "TRANSPORT_REQUEST_NOT_FOUND",
+                    message: "No transport was requested for this appointment"
+                }
+            }
+        };
+    }
+
+    const { error } = await resolveStaffDistrict(req, appointment.district);
+    if (error) return { error };
+
+    if (!ACTIVE_STATUSES.includes(appointment.status)) {
+        return {
+            error: {
+                status: 409,
+                body: {
+                    error: "Appointment not active",
+                    code: "APPOINTMENT_NOT_ACTIVE",
+                    message: `Transport cannot be arranged for a ${appointment.status} appointment`
+                }
+            }
+        };
+    }
+
+    return { appointment };
+};
+
+/**
+ * Approve or decline a transport request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} decision - approved or declined
+ */
+const reviewTransportRequest = async (req, res, decision) => {
+    try {
+        const { appointment, error } = await findRequestForReview(req);
+        if (error) return res.status(error.status).json(error.body);
+
+        if (decision === 'declined' && !req.body.notes) {
+            return res.status(400).json({
+                error: "Reason required",
+                code: "DECLINE_REASON_REQUIRED",
+                message: "Please tell the patient why transport was declined"
+            });
+        }
+
+        appointment.reviewTransport(decision, req.user.userId, req.body.notes);
+        appointment.lastModifiedBy = req.user.userId;
+        await appointment.save();
+
+        console.log(`Transport request ${decision}:`, {
+            appointmentId: appointment._id,
+            district: appointment.district,
+            reviewedBy: req.user.userId
+        });
+
+        return res.status(200).json({
+            message: `Transport request ${decision}`,
+            request: formatTransportRequest(appointment)
+        });
+
+    } catch (error) {
+        console.error(`Error reviewing transport request (${decision}):`, error);
+        return res.status(500).json({
+            error: "KZN transport service unavailable",
+            code: "TRANSPORT_REVIEW_ERROR",
+            message: "Failed to record the transport decision. Please try again later."
+        });
+    }
+};
+
+/**
+ * Request transport for an appointment, or change an existing request
+ * @route PUT /api/transport/requests/:id
+ * @access Private (appointment owner, health-worker, admin)
+ */
+export const requestTransport = async (req, res) => {
+    try {
+        const appointment = await Appointment.findById(req.params.id);
+        if (!appointment) {
+            return res.status(404).json({
+                error: "Appointment not found",
+                code: "APPOINTMENT_NOT_FOUND",
+                message: "The specified appointment does not exist in KZN healthcare system"
+            });
+        }
+
+        if (!appointment.user.equals(req.user.userId)) {
+            if (!isTransportStaff(req)) {
+                return res.status(403).json({
+                    error: "Access denied",
+                    code: "FORBIDDEN",
+                    message: "You can only request transport for your own appointments"
+                });
+            }
+
+            const { error } = await resolveStaffDistrict(req, appointment.district);
+            if (error) return res.status(error.status).json(error.body);
+        }
+
+        if (!ACTIVE_STATUSES.includes(appointment.status) || appointment.isPast) {
+            return res.status(409).json({
+                error: "Appointment not active",
+                code: "APPOINTMENT_NOT_ACTIVE",
+                message: "Transport can only be requested for upcoming appointments"
+            });
+        }
+
+        const { type, pickup, mobilityNeeds, notes } = req.body;
+        const previousStatus = appointment.transportAssistance?.status;
+
+        appointment.requestTransport({ type, pickup, mobilityNeeds, notes }, req.user.userId);
+        appointment.lastModifiedBy = req.user.userId;
+        await appointment.save();
+
+        console.log("Transport requested:", {
+            appointmentId: appointment._id,
+            type,
+            district: appointment.district,
+            previousStatus: previousStatus || null
+        });
+
+        return res.status(200).json({
+            message: previousStatus === 'approved'
+                ? "Transport request updated. It will be reviewed again."
+                : "Transport requested. A health worker in your district will review it.",
+            request: formatTransportRequest(appointment)
+        });
+
+    } catch (error) {
+        console.error("Error requesting transport:", error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "TRANSPORT_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN transport service unavailable",
+            code: "TRANSPORT_REQUEST_ERROR",
+            message: "Failed to request transport. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get the transport approval queue for a district
+ * @route GET /api/transport/requests
+ * @access Private (health-worker, admin)
+ */
+export const getTransportRequests = async (req, res) => {
+    try {
+        const { status = 'pending', date, days } = req.query;
+
+        const { district, error } = await resolveStaffDistrict(req, req.query.district);
+        if (error) return res.status(error.status).json(error.body);
+
+        const from = date ? parseClinicDate(date) : new Date();
+        const requests = await Appointment.findTransportRequests({
+            status,
+            district,
+            from,
+            to: days ? addToClinicDate(startOfClinicDay(from), { days }) : null
+        });
+
+        return res.status(200).json({
+            status,
+            district: district || 'all',
+            from: toClinicDateString(from),
+            count: requests.length,
+            requests: requests.map(formatTransportRequest)
+        });
+
+    } catch (error) {
+        console.error("Error fetching transport requests:", error);
+        return res.status(500).json({
+            error: "KZN transport service unavailable",
+            code: "TRANSPORT_QUEUE_ERROR",
+            message: "Failed to retrieve transport requests. Please try again later."
+        });
+    }
+};
+
+/**
+ * Approve a transport request
+ * @route POST /api/transport/requests/:id/approve
+ * @access Private (health-worker, admin in the appointment's district)
+ */
+export const approveTransportRequest = (req, res) => reviewTransportRequest(req, res, 'approved');
+
+/**
+ * Decline a transport request
+ * @route POST /api/transport/requests/:id/decline
+ * @access Private (health-worker, admin in the appointment's district)
+ */
+export const declineTransportRequest = (req, res) => reviewTransportRequest(req, res, 'declined');
+
+/**
+ * Get transport manifests of approved trips grouped by date and pickup sub-location
+ * @route GET /api/transport/manifests
+ * @access Private (health-worker, admin)
+ */
+export const getTransportManifests = async (req, res) => {
+    try {
+        const { date, days = 1 } = req.query;
+
+        const { district, error } = await resolveStaffDistrict(req, req.query.district);
+        if (error) return res.status(error.status).json(error.body);
+
+        const from = date ? parseClinicDate(date) : new Date();
+        const manifests = await Appointment.getTransportManifests({ district, from, days });
+
+        return res.status(200).json({
+            district: district || 'all',
+            from: toClinicDateString(from),
+            days,
+            totalTrips: manifests.reduce((total, manifest) => total + manifest.trips.length, 0),
+            manifests: manifests.map(formatManifest)
+        });
+
+    } catch (error) {
+        console.error("Error building transport manifests:", error);
+        return res.status(500).json({
+            error: "KZN transport service unavailable",
+            code: "TRANSPORT_MANIFEST_ERROR",
+            message: "Failed to build transport manifests. Please try again later."
+        });
+    }
+};
@@ -0,0 +1,556 @@
+// firstcare-backend/src/controllers/waitlistController.js
+
+/**
+ * Waitlist Controller for KZN Healthcare Appointment Booking System
+ *
+ * @file src/controllers/waitlistController.js
+ * @description Lets patients wait for a fully booked provider and take up freed slots
+ *
+ * Features:
+ * - Join a provider's waitlist for a date range and urgency
+ * - Accept a held slot offer, booking the appointment
+ * - Decline an offer so it moves to the next patient
+ * - Leave the waitlist
+ * - Provider view of the waitlist in priority order
+ *
+ * Security Features:
+ * - User ownership validation
+ * - District access controls
+ * - Provider/admin roles for the provider view
+ *
+ * @version 1.0.0
+ * @module WaitlistController
+ * @author Healthcare System - KZN Implementation
+ */
+
+import WaitlistEntry, { OPEN_WAITLIST_STATUSES, OFFER_HOLD_MINUTES } from '../models/WaitlistEntry.js';
+import Appointment from '../models/Appointment.js';
+import ProviderSchedule from '../models/ProviderSchedule.js';
+import Doctor from '../models/Doctor.js';
+import User from '../models/user.js';
+import { resolveBookingDoctor, resolveBookingFacility, getSlotProblem } from './appointmentController.js';
+import { toClinicDateString, startOfClinicDay, parseClinicDate } from '../utils/timeZoneUtils.js';
+
+/**
+ * Format a waitlist entry for API responses
+ * @param {Object} entry - Waitlist entry document
+ * @returns {Object} Response-safe waitlist entry
+ */
+const formatEntry = (entry) => ({
+    id: entry._id,
+    doctor: entry.doctor,
+    doctorId: entry.doctorId,
+    facilityId: entry.facility,
+    facilityName: entry.facilityName,
+    facilityType: entry.facilityType,
+    district: entry.district,
+    category: entry.category,
+    urgency: entry.urgency,
+    dateFrom: toClinicDateString(entry.dateFrom),
+    dateTo: toClinicDateString(entry.dateTo),
+    status: entry.status,
+    offer: entry.status === 'offered' && entry.offer
+        ? {
+            date: toClinicDateString(entry.offer.date),
+            time: entry.offer.time,
+            duration: entry.offer.duration,
+            offeredAt: entry.offer.offeredAt,
+            expiresAt: entry.offer.expiresAt
+        }
+        : null,
+    offersMissed: entry.offersMissed,
+    bookedAppointment: entry.bookedAppointment,
+    createdAt: entry.createdAt
+});
+
+/**
+ * Release an offer whose hold has run out and pass the slot to the next patient
+ * @param {Object} entry - Waitlist entry document
+ * @returns {Promise<boolean>} True if the offer had expired and was released
+ */
+const releaseIfExpired = async (entry) => {
+    if (entry.status !== 'offered' || entry.hasActiveOffer) return false;
+
+    const slot = entry.releaseOffer({ missed: true });
+    await entry.save();
+    await WaitlistEntry.offerFreedSlot({ doctorId: entry.doctorId, ...slot });
+    return true;
+};
+
+/**
+ * Find a waitlist entry owned by the requesting user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Entry, or null once an error response has been sent
+ */
+const findOwnEntry = async (req, res) => {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+        res.status(404).json({
+            error: "Waitlist entry not found",
+            code: "WAITLIST_ENTRY_NOT_FOUND",
+            message: "The specified waitlist entry does not exist"
+        });
+        return null;
+    }
+
+    if (!req.user.roles.includes('admin') && entry.user.toString() !== req.user.userId) {
+        res.status(403).json({
+            error: "Access denied",
+            code: "FORBIDDEN",
+            message: "You can only manage your own waitlist entries"
+        });
+        return null;
+    }
+
+    return entry;
+};
+
+/**
+ * Join a provider's waitlist
+ * The doctor, facility and its type are looked up from their records rather than taken from the request.
+ * @route POST /api/waitlist
+ * @access Private
+ */
+export const joinWaitlist = async (req, res) => {
+    try {
+        const {
+            doctorId, dateFrom, dateTo, reason, category, urgency, district,
+            facilityId, facilityName, providerAddress, providerContact
+        } = req.body;
+
+        const user = await User.findById(req.user.userId);
+        if (!user.isProfileComplete) {
+            return res.status(400).json({
+                error: "Profile incomplete",
+                code: "PROFILE_INCOMPLETE",
+                message: "Please complete your KZN healthcare profile before joining a waitlist"
+            });
+        }
+
+        if (!user.canAccessDistrict(district)) {
+            return res.status(403).json({
+                error: "District access denied",
+                code: "DISTRICT_ACCESS_DENIED",
+                message: "You can only join waitlists in your registered KZN health district"
+            });
+        }
+
+        // The doctor must take bookings at the facility, as for a direct booking
+        const schedule = await ProviderSchedule.resolveForDoctor(doctorId);
+        const booking = await resolveBookingDoctor({ doctorId, facilityId, facilityName, schedule });
+        if (booking.error) {
+            return res.status(booking.error.status).json(booking.error.body);
+        }
+
+        const facility = await resolveBookingFacility({ facilityId: booking.affiliation.facility, schedule, facilityName, district });
+        if (!facility) {
+            return res.status(404).json({
+                error: "Facility not found",
+                code: "FACILITY_NOT_FOUND",
+                message: "The selected healthcare facility does not exist"
+            });
+        }
+
+        if (facility.district !== district) {
+            return res.status(400).json({
+                error: "Facility outside district",
+                code: "FACILITY_DISTRICT_MISMATCH",
+                message: "The selected healthcare facility is not in this KZN health district"
+            });
+        }
+
+        if (urgency === 'emergency' && !facility.facilityType.includes('hospital')) {
+            return res.status(400).json({
+                error: "Invalid facility for emergency",
+                code: "INVALID_EMERGENCY_FACILITY",
+                message: "Emergency care should be booked at hospital facilities"
+            });
+        }
+
+        const existingEntry = await WaitlistEntry.findOne({
+            user: req.user.userId,
+            doctorId,
+            status: { $in: OPEN_WAITLIST_STATUSES }
+        });
+
+        if (existingEntry) {
+            return res.status(409).json({
+                error: "Already on waitlist",
+                code: "WAITLIST_DUPLICATE",
+                message: "You are already on the waitlist for this healthcare provider",
+                entry: formatEntry(existingEntry)
+            });
+        }
+
+        const entry = new WaitlistEntry({
+            user: req.user.userId,
+            doctor: booking.doctor.name,
+            doctorId,
+            facility: facility._id,
+            facilityName: facility.name,
+            facilityType: facility.facilityType,
+            providerAddress: facility.address || providerAddress,
+            providerContact: facility.contact?.phone || providerContact,
+            district,
+            reason,
+            category,
+            urgency,
+            dateFrom: parseClinicDate(dateFrom),
+            dateTo: parseClinicDate(dateTo),
+            createdBy: req.user.userId
+        });
+
+        await entry.save();
+
+        console.log("Patient joined waitlist:", { entryId: entry._id, doctorId, urgency: entry.urgency });
+
+        return res.status(201).json({
+            message: `You have been added to the waitlist. When a slot frees up you will have ${OFFER_HOLD_MINUTES} minutes to accept it.`,
+            entry: formatEntry(entry)
+        });
+
+    } catch (error) {
+        console.error("Error joining waitlist:", error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "WAITLIST_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN waitlist service unavailable",
+            code: "WAITLIST_JOIN_ERROR",
+            message: "Failed to join the waitlist. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get the authenticated user's waitlist entries
+ * @route GET /api/waitlist
+ * @access Private
+ */
+export const getMyWaitlist = async (req, res) => {
+    try {
+        const { status } = req.query;
+        const query = { user: req.user.userId };
+        if (status) query.status = status;
+
+        const entries = await WaitlistEntry.find(query).sort({ createdAt: -1 });
+
+        // Offers are released by the periodic sweep, but never show one that has run out
+        for (const entry of entries) {
+            await releaseIfExpired(entry);
+        }
+
+        return res.status(200).json({
+            entries: entries.map(formatEntry),
+            pendingOffers: entries.filter(entry => entry.status === 'offered').length
+        });
+
+    } catch (error) {
+        console.error("Error fetching waitlist entries:", error);
+        return res.status(500).json({
+            error: "KZN waitlist service unavailable",
+            code: "WAITLIST_FETCH_ERROR",
+            message: "Failed to retrieve waitlist entries. Please try again later."
+        });
+    }
+};
+
+/**
+ * Get a provider's open waitlist in offer order
+ * @route GET /api/waitlist/doctor/:doctorId
+ * @access Private/Provider/Admin
+ */
+export const getProviderWaitlist = async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+
+        const entries = await WaitlistEntry.find({
+            doctorId,
+            status: { $in: OPEN_WAITLIST_STATUSES },
+            dateTo: { $gte: startOfClinicDay() }
+        })
+            .populate('user', 'firstName lastName phoneNumber')
+            .sort({ createdAt: 1 });
+
+        const ranked = entries
+            .map(entry => ({ entry, priorityScore: entry.getPriorityScore(entry.dateFrom) }))
+            .sort((a, b) => b.priorityScore - a.priorityScore || a.entry.createdAt - b.entry.createdAt);
+
+        return res.status(200).json({
+            doctorId,
+            total: ranked.length,
+            entries: ranked.map(({ entry, priorityScore }) => ({
+                ...formatEntry(entry),
+                patient: entry.user
+                    ? {
+                        id: entry.user._id,
+                        name: `${entry.user.firstName} ${entry.user.lastName}`,
+                        phoneNumber: entry.user.phoneNumber
+                    }
+                    : null,
+                priorityScore
+            }))
+        });
+
+    } catch (error) {
+        console.error("Error fetching provider waitlist:", error);
+        return res.status(500).json({
+            error: "KZN waitlist service unavailable",
+            code: "WAITLIST_FETCH_ERROR",
+            message: "Failed to retrieve provider waitlist. Please try again later."
+        });
+    }
+};
+
+/**
+ * Accept a held slot offer and book the appointment
+ * The slot is checked against facility hours, the provider's schedule and other bookings first.
+ * @route POST /api/waitlist/:id/accept
+ * @access Private
+ */
+export const acceptWaitlistOffer = async (req, res) => {
+    try {
+        const entry = await findOwnEntry(req, res);
+        if (!entry) return;
+
+        if (entry.status !== 'offered') {
+            return res.status(409).json({
+                error: "No slot on offer",
+                code: "NO_ACTIVE_OFFER",
+                message: "There is no slot on offer for this waitlist entry",
+                status: entry.status
+            });
+        }
+
+        if (await releaseIfExpired(entry)) {
+            return res.status(410).json({
+                error: "Offer expired",
+                code: "OFFER_EXPIRED",
+                message: "The hold on this slot has expired and it has been offered to the next patient. You remain on the waitlist."
+            });
+        }
+
+        const { date, time, duration } = entry.offer;
+
+        // A hold can run past midnight into the slot's own day, which is too late to book online
+        if (startOfClinicDay(date) <= new Date()) {
+            entry.releaseOffer();
+            await entry.save();
+
+            return res.status(400).json({
+                error: "Invalid appointment date",
+                code: "PAST_APPOINTMENT_DATE",
+                message: "This slot is now too close to book online. Please contact the facility directly."
+            });
+        }
+
+        const schedule = await ProviderSchedule.resolveForDoctor(entry.doctorId);
+        const facility = await resolveBookingFacility({
+            facilityId: entry.facility,
+            schedule,
+            facilityName: entry.facilityName,
+            district: entry.district
+        });
+
+        // The slot is held for this patient, but the facility, schedule or other bookings may have changed
+        const slotProblem = await getSlotProblem({
+            userId: entry.user,
+            doctorId: entry.doctorId,
+            date,
+            time,
+            duration,
+            facility,
+            schedule
+        });
+
+        if (slotProblem?.code === 'APPOINTMENT_CONFLICT') {
+            return res.status(409).json(slotProblem);
+        }
+
+        if (slotProblem) {
+            entry.releaseOffer();
+            await entry.save();
+
+            return res.status(409).json({
+                ...slotProblem,
+                message: "This slot is no longer available. You remain on the waitlist."
+            });
+        }
+
+        const user = await User.findById(entry.user);
+        const doctor = await Doctor.findByDoctorId(entry.doctorId);
+
+        const appointment = new Appointment({
+            user: entry.user,
+            district: entry.district,
+            subLocation: user.locationData.subLocation,
+            date,
+            time,
+            duration,
+            reason: entry.reason,
+            category: entry.category,
+            doctor: doctor?.name || entry.doctor,
+            doctorId: entry.doctorId,
+            facility: facility?._id || entry.facility,
+            facilityName: facility?.name || entry.facilityName,
+            facilityType: facility?.facilityType || entry.facilityType,
+            providerAddress: entry.providerAddress,
+            providerContact: entry.providerContact,
+            urgency: entry.urgency,
+            status: 'pending',
+            languagePreference: user.preferredLanguage,
+            createdBy: req.user.userId,
+            lastModifiedBy: req.user.userId
+        });
+        await appointment.arrangeInterpreter(doctor, facility);
+        appointment.addStatusHistory('pending', req.user.userId, 'Booked from waitlist offer');
+
+        await appointment.save();
+
+        entry.status = 'booked';
+        entry.bookedAppointment = appointment._id;
+        await entry.save();
+
+        console.log("Waitlist offer accepted:", { entryId: entry._id, appointmentId: appointment._id });
+
+        return res.status(201).json({
+            message: "KZN healthcare appointment booked from the waitlist successfully!",
+            entry: formatEntry(entry),
+            appointment: {
+                id: appointment._id,
+                ...appointment.getScheduledTime(),
+                duration: appointment.duration,
+                reason: appointment.reason,
+                category: appointment.category,
+                doctor: appointment.doctor,
+                doctorId: appointment.doctorId,
+                facilityId: appointment.facility,
+                facilityName: appointment.facilityName,
+                facilityType: appointment.facilityType,
+                district: appointment.district,
+                urgency: appointment.urgency,
+                status: appointment.status,
+                createdAt: appointment.createdAt,
+                priorityScore: appointment.getPriorityScore()
+            }
+        });
+
+    } catch (error) {
+        console.error("Error accepting waitlist offer:", error);
+
+        if (error.code === 'PAST_APPOINTMENT_DATE') {
+            return res.status(400).json({
+                error: "Invalid appointment date",
+                code: error.code,
+                message: error.message
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                error: "Validation failed",
+                code: "APPOINTMENT_VALIDATION_ERROR",
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            error: "KZN waitlist service unavailable",
+            code: "WAITLIST_ACCEPT_ERROR",
+            message: "Failed to accept the waitlist offer. Please try again later."
+        });
+    }
+};
+
+/**
+ * Decline a held slot offer so it moves to the next patient
+ * @route POST /api/waitlist/:id/decline
+ * @access Private
+ */
+export const declineWaitlistOffer = async (req, res) => {
+    try {
+        const entry = await findOwnEntry(req, res);
+        if (!entry) return;
+
+        if (entry.status !== 'offered') {
+            return res.status(409).json({
+                error: "No slot on offer",
+                code: "NO_ACTIVE_OFFER",
+                message: "There is no slot on offer for this waitlist entry",
+                status: entry.status
+            });
+        }
+
+        const slot = entry.releaseOffer();
+        await entry.save();
+        await WaitlistEntry.offerFreedSlot({ doctorId: entry.doctorId, ...slot });
+
+        console.log("Waitlist offer declined:", entry._id);
+
+        return res.status(200).json({
+            message: "Offer declined. You remain on the waitlist for other slots.",
+            entry: formatEntry(entry)
+        });
+
+    } catch (error) {
+        console.error("Error declining waitlist offer:", error);
+        return res.status(500).json({
+            error: "KZN waitlist service unavailable",
+            code: "WAITLIST_DECLINE_ERROR",
+            message: "Failed to decline the waitlist offer. Please try again later."
+        });
+    }
+};
+
+/**
+ * Leave the waitlist, passing any held slot to the next patient
+ * @route DELETE /api/waitlist/:id
+ * @access Private
+ */
+export const leaveWaitlist = async (req, res) => {
+    try {
+        const entry = await findOwnEntry(req, res);
+        if (!entry) return;
+
+        if (!OPEN_WAITLIST_STATUSES.includes(entry.status)) {
+            return res.status(409).json({
+                error: "Waitlist entry closed",
+                code: "WAITLIST_ENTRY_CLOSED",
+                message: `This waitlist entry is already ${entry.status}`
+            });
+        }
+
+        const heldSlot = entry.status === 'offered' ? entry.releaseOffer() : null;
+        entry.status = 'cancelled';
+        await entry.save();
+
+        if (heldSlot) {
+            await WaitlistEntry.offerFreedSlot({ doctorId: entry.doctorId, ...heldSlot });
+        }
+
+        console.log("Patient left waitlist:", entry._id);
+
+        return res.status(200).json({
+            message: "You have been removed from the waitlist",
+            entry: formatEntry(entry)
+        });
+
+    } catch (error) {
+        console.error("Error leaving waitlist:", error);
+        return res.status(500).json({
+            error: "KZN waitlist service unavailable",
+            code: "WAITLIST_LEAVE_ERROR",
+            message: "Failed to leave the waitlist. Please try again later."
+        });
+    }
+};
@@ -0,0 +1,58 @@
+/**
+ * Background Job Registration
+ * Registers every background job run by the API server
+ *
+ * @module jobs
+ * @version 1.0.0
+ * @description Waitlist offer expiry, notification queueing and notification delivery.
+ * Intervals can be tuned with the *_INTERVAL_MINUTES environment variables.
+ */
+
+import { registerJob, startJobs, stopJobs, runJob, getJobStatus } from './jobRunner.js';
+import { queueNotifications } from './notificationJobs.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import Notification from '../models/Notification.js';
+
+const minutes = (value, fallback) => (Number(value) || fallback) * 60 * 1000;
+
+/**
+ * Waitlist Offer Sweep
+ * Releases slot offers whose hold has run out and passes them to the next patient
+ */
+registerJob('waitlist-sweep', minutes(process.env.WAITLIST_SWEEP_INTERVAL_MINUTES, 5), async () => {
+    const { releasedOffers, expiredEntries } = await WaitlistEntry.expireStaleOffers();
+    if (releasedOffers || expiredEntries) {
+        console.log(`Waitlist sweep: ${releasedOffers} expired offers passed on, ${expiredEntries} entries expired`);
+    }
+});
+
+/**
+ * Notification Queue
+ * Queues booking confirmations, 24-hour reminders and waitlist offers
+ */
+registerJob('notification-queue', minutes(process.env.NOTIFICATION_QUEUE_INTERVAL_MINUTES, 1), async () => {
+    const { confirmations, reminders, waitlistOffers } = await queueNotifications();
+    if (confirmations || reminders || waitlistOffers) {
+        console.log(`Notifications queued: ${confirmations} confirmations, ${reminders} reminders, ${waitlistOffers} waitlist offers`);
+    }
+});
+
+/**
+ * Notification Delivery
+ * Sends due notifications and schedules retries for failed attempts
+ */
+registerJob('notification-delivery', minutes(process.env.NOTIFICATION_DELIVERY_INTERVAL_MINUTES, 1), async () => {
+    const { sent, skipped, failed } = await Notification.deliverDue();
+    if (sent || skipped || failed) {
+        console.log(`Notifications delivered: ${sent} sent, ${skipped} skipped, ${failed} failed attempts`);
+    }
+});
+
+export { startJobs, stopJobs, runJob, getJobStatus };
+
+export default {
+    startJobs,
+    stopJobs,
+    runJob,
+    getJobStatus
+};
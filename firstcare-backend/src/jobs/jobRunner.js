@@ -0,0 +1,99 @@
+/**
+ * Background Job Runner
+ * Runs registered jobs on fixed intervals inside the API process
+ *
+ * @module jobs/jobRunner
+ * @version 1.0.0
+ * @description Minimal interval scheduler. A job never overlaps with its own previous run,
+ * and runs are skipped while MongoDB is disconnected.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Registered jobs keyed by name
+ * @type {Map<string, Object>}
+ */
+const jobs = new Map();
+
+/**
+ * Register a background job
+ * @param {string} name - Unique job name
+ * @param {number} intervalMs - Time between runs in milliseconds
+ * @param {Function} handler - Async function doing the work; may return a summary for logging
+ */
+export const registerJob = (name, intervalMs, handler) => {
+    if (jobs.has(name)) {
+        throw new Error(`Background job already registered: ${name}`);
+    }
+    jobs.set(name, { name, intervalMs, handler, timer: null, running: false, lastRunAt: null, lastError: null });
+};
+
+/**
+ * Run a job once, unless it is already running or the database is unavailable
+ * @param {string} name - Job name
+ * @returns {Promise<*>} The handler's result, or undefined if the run was skipped
+ */
+export const runJob = async (name) => {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new Error(`Unknown background job: ${name}`);
+    }
+
+    if (job.running || mongoose.connection.readyState !== 1) return undefined;
+
+    job.running = true;
+    try {
+        const result = await job.handler();
+        job.lastError = null;
+        return result;
+    } catch (error) {
+        job.lastError = error.message;
+        console.error(`Background job ${name} failed:`, error);
+        return undefined;
+    } finally {
+        job.running = false;
+        job.lastRunAt = new Date();
+    }
+};
+
+/**
+ * Start all registered jobs
+ */
+export const startJobs = () => {
+    for (const job of jobs.values()) {
+        if (job.timer) continue;
+        job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    }
+    console.log(`Background jobs started: ${[...jobs.keys()].join(', ')}`);
+};
+
+/**
+ * Stop all registered jobs
+ */
+export const stopJobs = () => {
+    for (const job of jobs.values()) {
+        clearInterval(job.timer);
+        job.timer = null;
+    }
+};
+
+/**
+ * Get the state of every registered job
+ * @returns {Array<Object>} Job name, interval, running flag, last run time and last error
+ */
+export const getJobStatus = () => [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+    name,
+    intervalMs,
+    running,
+    lastRunAt,
+    lastError
+}));
+
+export default {
+    registerJob,
+    runJob,
+    startJobs,
+    stopJobs,
+    getJobStatus
+};
@@ -0,0 +1,197 @@
+/**
+ * Notification Jobs
+ * Finds appointments and waitlist offers that need a patient notification and queues them
+ *
+ * @module jobs/notificationJobs
+ * @version 1.0.0
+ * @description Booking confirmations for new bookings, 24-hour reminders for confirmed
+ * appointments and waitlist slot offers. Each event is queued once; delivery and retries
+ * are handled by Notification.deliverDue().
+ */
+
+import { subHours } from 'date-fns';
+import Appointment, { ACTIVE_STATUSES, SAME_DAY_BOOKING_TYPES } from '../models/Appointment.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import Notification from '../models/Notification.js';
+import { toClinicDateString, formatClinicDateTime, startOfClinicDay, addToClinicDate } from '../utils/timeZoneUtils.js';
+
+/**
+ * How far back to look for new bookings that still need a confirmation
+ * @constant {number} CONFIRMATION_LOOKBACK_HOURS
+ */
+const CONFIRMATION_LOOKBACK_HOURS = 24;
+
+/**
+ * Patient fields needed to address and render a notification
+ * @constant {string} RECIPIENT_FIELDS
+ */
+const RECIPIENT_FIELDS = 'firstName email phoneNumber preferredLanguage healthcarePreferences isDependant';
+
+/**
+ * Get who is notified about an appointment
+ * Dependants have no contact details of their own, so the guardian who booked is notified.
+ * Patients a health worker booked for without a phone or email are followed up by the worker.
+ * @param {Object} appointment - Appointment with user and createdBy populated
+ * @returns {Object|null} User document to notify
+ */
+const getAppointmentRecipient = ({ user, createdBy }) => {
+    if (!user) return null;
+    if (user.isDependant) return createdBy;
+    return (user.phoneNumber || user.email) ? user : createdBy;
+};
+
+/**
+ * Template values for an appointment
+ * @param {Object} appointment - Appointment document
+ * @returns {Object} Template parameters
+ */
+const getAppointmentParams = (appointment) => ({
+    patientName: appointment.user.firstName,
+    doctor: appointment.doctor,
+    facilityName: appointment.facilityName,
+    providerAddress: appointment.providerAddress,
+    date: toClinicDateString(appointment.date),
+    time: appointment.time
+});
+
+/**
+ * Drop items whose event has already been queued
+ * @param {Array} items - Candidate documents
+ * @param {Function} getKey - Builds the dedupe key for an item
+ * @returns {Promise<Array>} Items without a queued notification
+ */
+const withoutQueued = async (items, getKey) => {
+    if (items.length === 0) return [];
+
+    const queued = new Set(await Notification.distinct('dedupeKey', {
+        dedupeKey: { $in: items.map(getKey) }
+    }));
+    return items.filter(item => !queued.has(getKey(item)));
+};
+
+/**
+ * Queue booking confirmations for recent bookings
+ * @returns {Promise<number>} Notifications queued
+ */
+export const queueBookingConfirmations = async () => {
+    const getKey = (appointment) => `booking-confirmation:${appointment._id}`;
+
+    // Walk-in patients follow their ticket in the queue and emergency arrivals have no doctor
+    // or slot to confirm
+    const appointments = await Appointment.find({
+        confirmationSent: false,
+        bookingType: { $nin: SAME_DAY_BOOKING_TYPES },
+        status: { $in: ACTIVE_STATUSES },
+        createdAt: { $gte: subHours(new Date(), CONFIRMATION_LOOKBACK_HOURS) }
+    })
+        .populate('user', RECIPIENT_FIELDS)
+        .populate('createdBy', RECIPIENT_FIELDS);
+
+    let queued = 0;
+    for (const appointment of await withoutQueued(appointments, getKey)) {
+        const recipient = getAppointmentRecipient(appointment);
+        if (!recipient) continue;
+
+        const notification = await Notification.queue({
+            type: 'booking-confirmation',
+            user: recipient,
+            appointment: appointment._id,
+            dedupeKey: getKey(appointment),
+            params: getAppointmentParams(appointment)
+        });
+        if (notification) queued += 1;
+    }
+    return queued;
+};
+
+/**
+ * Queue 24-hour reminders for confirmed appointments
+ * Patients who switched reminders off get a skipped record so they are not checked again.
+ * @returns {Promise<number>} Notifications queued
+ */
+export const queueAppointmentReminders = async () => {
+    const getKey = (appointment) => `appointment-reminder:${appointment._id}`;
+
+    const appointments = await Appointment.find({
+        status: 'confirmed',
+        reminderSent: false,
+        date: {
+            $gte: startOfClinicDay(),
+            $lt: addToClinicDate(new Date(), { days: 2 })
+        }
+    })
+        .populate('user', RECIPIENT_FIELDS)
+        .populate('createdBy', RECIPIENT_FIELDS);
+
+    const due = appointments.filter(appointment => appointment.shouldSendReminder());
+
+    let queued = 0;
+    for (const appointment of await withoutQueued(due, getKey)) {
+        const recipient = getAppointmentRecipient(appointment);
+        if (!recipient) continue;
+
+        const remindersEnabled = recipient.healthcarePreferences?.appointmentReminders !== false;
+        const notification = await Notification.queue({
+            type: 'appointment-reminder',
+            user: recipient,
+            appointment: appointment._id,
+            dedupeKey: getKey(appointment),
+            params: getAppointmentParams(appointment),
+            skipReason: remindersEnabled ? null : 'Appointment reminders switched off by patient'
+        });
+        if (notification) queued += 1;
+    }
+    return queued;
+};
+
+/**
+ * Queue notifications for slots currently held for waitlisted patients
+ * @returns {Promise<number>} Notifications queued
+ */
+export const queueWaitlistOffers = async () => {
+    const getKey = (entry) => `waitlist-offer:${entry._id}:${entry.offer.offeredAt.getTime()}`;
+
+    const entries = await WaitlistEntry.find({
+        status: 'offered',
+        'offer.expiresAt': { $gt: new Date() }
+    }).populate('user', RECIPIENT_FIELDS);
+
+    let queued = 0;
+    for (const entry of await withoutQueued(entries, getKey)) {
+        if (!entry.user) continue;
+
+        const notification = await Notification.queue({
+            type: 'waitlist-offer',
+            user: entry.user,
+            waitlistEntry: entry._id,
+            dedupeKey: getKey(entry),
+            params: {
+                doctor: entry.doctor,
+                facilityName: entry.facilityName,
+                providerAddress: entry.providerAddress,
+                date: toClinicDateString(entry.offer.date),
+                time: entry.offer.time,
+                expiresAt: formatClinicDateTime(entry.offer.expiresAt)
+            }
+        });
+        if (notification) queued += 1;
+    }
+    return queued;
+};
+
+/**
+ * Queue every notification type
+ * @returns {Promise<Object>} Counts queued per type
+ */
+export const queueNotifications = async () => ({
+    confirmations: await queueBookingConfirmations(),
+    reminders: await queueAppointmentReminders(),
+    waitlistOffers: await queueWaitlistOffers()
+});
+
+export default {
+    queueBookingConfirmations,
+    queueAppointmentReminders,
+    queueWaitlistOffers,
+    queueNotifications
+};
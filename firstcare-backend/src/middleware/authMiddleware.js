@@ -110,7 +110,8 @@ export const verifyToken = async (req, res, next) => {
     req.user = {
       userId: decoded.userId,
       email: decoded.email,
-      roles: decoded.roles
+      roles: decoded.roles,
+      tokenExpiresAt: decoded.exp ? decoded.exp * 1000 : null
     };
 
     next();
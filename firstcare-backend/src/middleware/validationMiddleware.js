@@ -27,6 +27,9 @@
  */
 
 import { body, param, query, validationResult } from 'express-validator';
+import { WEEKDAYS, TIME_PATTERN } from '../utils/scheduleUtils.js';
+import { startOfClinicDay, parseClinicDate, addToClinicDate } from '../utils/timeZoneUtils.js';
+import { DOCTOR_SPECIALTIES, DOCTOR_LANGUAGES } from '../models/Doctor.js';
 
 /**
  * KZN Health Districts
@@ -73,6 +76,32 @@ const MEDICAL_CATEGORIES = [
     'Emergency Care'
 ];
 
+/**
+ * Cancellation Reasons
+ */
+const CANCELLATION_REASONS = [
+    'patient-request',
+    'patient-unwell',
+    'transport-unavailable',
+    'provider-unavailable',
+    'facility-closed',
+    'duplicate-booking',
+    'booked-in-error',
+    'other'
+];
+
+/**
+ * Mobility Needs for Patient Transport
+ */
+const MOBILITY_NEEDS = [
+    'wheelchair',
+    'stretcher',
+    'walking-aid',
+    'oxygen',
+    'visually-impaired',
+    'companion'
+];
+
 /**
  * Validation error handler
  */
@@ -97,10 +126,76 @@ export const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+/**
+ * Validation rules for a patient transport request
+ * @param {string} prefix - Path of the request in the body ('' at the top level)
+ * @returns {Array} express-validator chains
+ */
+const transportRequestRules = (prefix = '') => {
+    const field = (path) => (prefix
+        ? body(`${prefix}.${path}`).if(body(prefix).exists())
+        : body(path));
+
+    return [
+        field('type')
+            .isIn(['ambulance', 'patient-transport'])
+            .withMessage('Transport type must be ambulance or patient-transport'),
+
+        field('pickup.address')
+            .notEmpty()
+            .withMessage('Pickup address is required')
+            .isLength({ min: 5, max: 300 })
+            .withMessage('Pickup address must be between 5 and 300 characters')
+            .trim()
+            .escape(),
+
+        field('pickup.subLocation')
+            .optional()
+            .isLength({ min: 2, max: 200 })
+            .withMessage('Pickup sub-location must be between 2 and 200 characters')
+            .trim()
+            .escape(),
+
+        field('pickup.lat')
+            .optional()
+            .isFloat({ min: -90, max: 90 })
+            .withMessage('Pickup latitude must be between -90 and 90')
+            .toFloat(),
+
+        field('pickup.lng')
+            .optional()
+            .isFloat({ min: -180, max: 180 })
+            .withMessage('Pickup longitude must be between -180 and 180')
+            .toFloat(),
+
+        field('mobilityNeeds')
+            .optional()
+            .isArray()
+            .withMessage('Mobility needs must be an array'),
+
+        field('mobilityNeeds.*')
+            .isIn(MOBILITY_NEEDS)
+            .withMessage(`Mobility need must be one of: ${MOBILITY_NEEDS.join(', ')}`),
+
+        field('notes')
+            .optional()
+            .isLength({ max: 500 })
+            .withMessage('Transport notes cannot exceed 500 characters')
+            .trim()
+            .escape()
+    ];
+};
+
 /**
  * Appointment Creation Validation Rules
  */
 export const validateAppointment = [
+    // Patient booked for (optional); defaults to the logged-in user
+    body('patientId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid patient ID format'),
+
     // Date validation
     body('date')
         .notEmpty()
@@ -108,17 +203,15 @@ export const validateAppointment = [
         .isISO8601()
         .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)')
         .custom((value) => {
-            const appointmentDate = new Date(value);
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+            const appointmentDate = parseClinicDate(value);
+            const today = startOfClinicDay();
 
             if (appointmentDate < today) {
                 throw new Error('Appointment date cannot be in the past');
             }
 
             // Max booking 90 days in advance
-            const maxDate = new Date();
-            maxDate.setDate(today.getDate() + 90);
+            const maxDate = addToClinicDate(today, { days: 90 });
 
             if (appointmentDate > maxDate) {
                 throw new Error('Appointments can only be booked up to 90 days in advance');
@@ -132,22 +225,8 @@ export const validateAppointment = [
         .notEmpty()
         .withMessage('Appointment time is required')
         .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
-        .withMessage('Time must be in HH:MM format (24-hour)')
-        .custom((value) => {
-            const [hours, minutes] = value.split(':').map(Number);
-
-            // Business hours: 8 AM to 5 PM
-            if (hours < 8 || hours >= 17) {
-                throw new Error('Appointments must be between 08:00 and 17:00');
-            }
-
-            // Only allow specific time slots (every 30 minutes)
-            if (minutes !== 0 && minutes !== 30) {
-                throw new Error('Appointments must start at :00 or :30 past the hour');
-            }
-
-            return true;
-        }),
+        .withMessage('Time must be in HH:MM format (24-hour)'),
+        // Working hours and slot boundaries are enforced against the provider's schedule
 
     // Reason validation
     body('reason')
@@ -188,6 +267,12 @@ export const validateAppointment = [
         .isIn(KZN_DISTRICTS)
         .withMessage(`District must be a valid KZN health district: ${KZN_DISTRICTS.join(', ')}`),
 
+    // Facility reference validation (used for opening hours checks)
+    body('facilityId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid facility ID format'),
+
     // Facility type validation
     body('facilityType')
         .notEmpty()
@@ -234,6 +319,15 @@ export const validateAppointment = [
         .trim()
         .escape(),
 
+    // Transport request validation (optional)
+    ...transportRequestRules('transportAssistance'),
+
+    // Pre-visit questionnaire answers (optional); checked against the category's questionnaire
+    body('intake.answers')
+        .if(body('intake').exists())
+        .isObject()
+        .withMessage('Questionnaire answers must be an object keyed by question'),
+
     // Handle validation errors
     handleValidationErrors
 ];
@@ -248,9 +342,8 @@ export const validateAppointmentUpdate = [
         .isISO8601()
         .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)')
         .custom((value) => {
-            const appointmentDate = new Date(value);
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+            const appointmentDate = parseClinicDate(value);
+            const today = startOfClinicDay();
 
             if (appointmentDate < today) {
                 throw new Error('Appointment date cannot be in the past');
@@ -263,20 +356,8 @@ export const validateAppointmentUpdate = [
     body('time')
         .optional()
         .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
-        .withMessage('Time must be in HH:MM format (24-hour)')
-        .custom((value) => {
-            const [hours, minutes] = value.split(':').map(Number);
-
-            if (hours < 8 || hours >= 17) {
-                throw new Error('Appointments must be between 08:00 and 17:00');
-            }
-
-            if (minutes !== 0 && minutes !== 30) {
-                throw new Error('Appointments must start at :00 or :30 past the hour');
-            }
-
-            return true;
-        }),
+        .withMessage('Time must be in HH:MM format (24-hour)'),
+        // Working hours and slot boundaries are enforced against the provider's schedule
 
     // Reason validation (optional for updates)
     body('reason')
@@ -311,177 +392,1652 @@ export const validateAppointmentUpdate = [
 ];
 
 /**
- * User Profile Validation Rules
+ * Appointment Reschedule Validation Rules
  */
-export const validateUserProfile = [
-    // First name validation
-    body('firstName')
+export const validateReschedule = [
+    body('date')
         .notEmpty()
-        .withMessage('First name is required')
-        .isLength({ min: 2, max: 50 })
-        .withMessage('First name must be between 2 and 50 characters')
-        .isAlpha('en-US', { ignore: ' -' })
-        .withMessage('First name can only contain letters, spaces, and hyphens')
-        .trim()
-        .escape(),
+        .withMessage('New appointment date is required')
+        .isISO8601()
+        .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)'),
 
-    // Last name validation
-    body('lastName')
+    body('time')
         .notEmpty()
-        .withMessage('Last name is required')
-        .isLength({ min: 2, max: 50 })
-        .withMessage('Last name must be between 2 and 50 characters')
-        .isAlpha('en-US', { ignore: ' -' })
-        .withMessage('Last name can only contain letters, spaces, and hyphens')
+        .withMessage('New appointment time is required')
+        .matches(TIME_PATTERN)
+        .withMessage('Time must be in HH:MM format (24-hour)'),
+
+    body('reason')
+        .optional()
+        .isLength({ max: 300 })
+        .withMessage('Reschedule reason cannot exceed 300 characters')
         .trim()
         .escape(),
 
-    // Phone number validation
-    body('phoneNumber')
-        .notEmpty()
-        .withMessage('Phone number is required')
-        .matches(/^(\+\d{1,3}[- ]?)?\d{10}$/)
-        .withMessage('Please enter a valid phone number (e.g., +27341234567 or 0341234567)'),
+    handleValidationErrors
+];
 
-    // Address validation
-    body('address')
-        .notEmpty()
-        .withMessage('Address is required')
-        .isLength({ min: 5, max: 500 })
-        .withMessage('Address must be between 5 and 500 characters')
-        .trim()
-        .escape(),
+/**
+ * Recurring Appointment Series Validation Rules
+ */
+export const validateAppointmentSeries = [
+    // Patient booked for (optional); defaults to the logged-in user
+    body('patientId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid patient ID format'),
 
-    // Date of birth validation
-    body('dateOfBirth')
+    body('startDate')
         .notEmpty()
-        .withMessage('Date of birth is required')
+        .withMessage('Series start date is required')
         .isISO8601()
-        .withMessage('Date of birth must be in ISO 8601 format (YYYY-MM-DD)')
-        .custom((value) => {
-            const dob = new Date(value);
-            const today = new Date();
-
-            if (dob >= today) {
-                throw new Error('Date of birth must be in the past');
-            }
-
-            // Check if user is at least 1 year old
-            const minDate = new Date();
-            minDate.setFullYear(today.getFullYear() - 1);
-
-            if (dob > minDate) {
-                throw new Error('User must be at least 1 year old');
-            }
+        .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)'),
 
-            // Check if user is not older than 120 years
-            const maxDate = new Date();
-            maxDate.setFullYear(today.getFullYear() - 120);
+    body('time')
+        .notEmpty()
+        .withMessage('Appointment time is required')
+        .matches(TIME_PATTERN)
+        .withMessage('Time must be in HH:MM format (24-hour)'),
 
-            if (dob < maxDate) {
-                throw new Error('Please enter a valid date of birth');
-            }
+    body('purpose')
+        .isIn(['medication-collection', 'follow-up'])
+        .withMessage('Series purpose must be medication-collection or follow-up'),
 
-            return true;
-        }),
+    body('recurrence.frequency')
+        .isIn(['weekly', 'monthly'])
+        .withMessage('Recurrence frequency must be weekly or monthly'),
 
+    body('recurrence.interval')
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Recurrence interval must be a whole number between 1 and 12')
+        .toInt(),
 
+    body('recurrence.occurrences')
+        .isInt({ min: 2, max: 12 })
+        .withMessage('Number of occurrences must be between 2 and 12')
+        .toInt(),
 
-    // KZN District validation
-    body('healthDistrict')
+    body('reason')
         .notEmpty()
-        .withMessage('KZN health district is required')
-        .isIn(KZN_DISTRICTS)
-        .withMessage(`Please select a valid KZN health district: ${KZN_DISTRICTS.join(', ')}`),
+        .withMessage('Appointment reason is required')
+        .isLength({ min: 10, max: 1000 })
+        .withMessage('Reason must be between 10 and 1000 characters')
+        .trim()
+        .escape(),
 
-    // Sub-location validation
-    body('subLocation')
+    body('category')
+        .isIn(MEDICAL_CATEGORIES)
+        .withMessage(`Category must be one of: ${MEDICAL_CATEGORIES.join(', ')}`),
+
+    body('doctor')
         .notEmpty()
-        .withMessage('Please select your specific area within the district')
+        .withMessage('Doctor name is required')
         .isLength({ min: 2, max: 100 })
-        .withMessage('Location must be between 2 and 100 characters')
+        .withMessage('Doctor name must be between 2 and 100 characters')
         .trim()
         .escape(),
 
-    // Preferred facility type validation
-    body('preferredFacilityType')
+    body('doctorId')
         .notEmpty()
-        .withMessage('Preferred facility type is required')
-        .isIn(FACILITY_TYPES)
-        .withMessage(`Please select a valid facility type: ${FACILITY_TYPES.join(', ')}`),
+        .withMessage('Doctor ID is required')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Doctor ID must be between 2 and 50 characters'),
 
-    // Medical history validation
-    body('medicalHistory')
+    body('district')
+        .isIn(KZN_DISTRICTS)
+        .withMessage(`District must be a valid KZN health district: ${KZN_DISTRICTS.join(', ')}`),
+
+    body('facilityId')
         .optional()
-        .isLength({ max: 2000 })
-        .withMessage('Medical history cannot exceed 2000 characters')
+        .isMongoId()
+        .withMessage('Invalid facility ID format'),
+
+    body('facilityType')
+        .isIn(FACILITY_TYPES)
+        .withMessage(`Facility type must be one of: ${FACILITY_TYPES.join(', ')}`),
+
+    body('facilityName')
+        .notEmpty()
+        .withMessage('Facility name is required')
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Facility name must be between 2 and 200 characters')
         .trim()
         .escape(),
 
-    // Allergies validation
-    body('allergies')
-        .optional()
-        .isLength({ max: 1000 })
-        .withMessage('Allergies information cannot exceed 1000 characters')
+    body('providerAddress')
+        .notEmpty()
+        .withMessage('Provider address is required')
+        .isLength({ min: 5, max: 500 })
+        .withMessage('Address must be between 5 and 500 characters')
         .trim()
         .escape(),
 
-    // Emergency contact validation
-    body('emergencyContact')
-        .optional()
+    body('providerContact')
+        .notEmpty()
+        .withMessage('Provider contact is required')
         .matches(/^(\+\d{1,3}[- ]?)?\d{10}$/)
-        .withMessage('Please enter a valid emergency contact number'),
+        .withMessage('Please provide a valid phone number'),
 
-    // Preferred language validation
-    body('preferredLanguage')
+    // Recurring visits are planned care, never emergencies
+    body('urgency')
         .optional()
-        .isIn(['english', 'zulu', 'afrikaans', 'xhosa', 'sotho'])
-        .withMessage('Please select a valid language'),
+        .isIn(['routine', 'urgent'])
+        .withMessage('Recurring appointments must be routine or urgent'),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 2000 })
+        .withMessage('Notes cannot exceed 2000 characters')
+        .trim()
+        .escape(),
 
-    // Handle validation errors
     handleValidationErrors
 ];
 
 /**
- * ID Parameter Validation
+ * Multi-Segment Bundle Validation Rules
  */
-export const validateId = [
-    param('id')
+export const validateAppointmentBundle = [
+    // Patient booked for (optional); defaults to the logged-in user
+    body('patientId')
+        .optional()
         .isMongoId()
-        .withMessage('Invalid ID format'),
+        .withMessage('Invalid patient ID format'),
 
-    handleValidationErrors
-];
+    body('date')
+        .notEmpty()
+        .withMessage('Visit date is required')
+        .isISO8601()
+        .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)'),
 
-/**
- * District Parameter Validation
- */
-export const validateDistrict = [
-    param('district')
-        .isIn(KZN_DISTRICTS)
-        .withMessage(`District must be a valid KZN health district: ${KZN_DISTRICTS.join(', ')}`),
+    body('time')
+        .notEmpty()
+        .withMessage('Visit start time is required')
+        .matches(TIME_PATTERN)
+        .withMessage('Time must be in HH:MM format (24-hour)'),
 
-    handleValidationErrors
-];
+    body('segments')
+        .isArray({ min: 2, max: 5 })
+        .withMessage('A multi-segment visit needs between 2 and 5 segments'),
 
-/**
- * Query Parameter Validation for Appointments
- */
-export const validateAppointmentQuery = [
-    query('status')
-        .optional()
-        .isIn(['pending', 'confirmed', 'cancelled', 'completed', 'no-show', 'rescheduled'])
-        .withMessage('Invalid status filter'),
+    body('segments.*.doctor')
+        .notEmpty()
+        .withMessage('Each segment needs a provider or room name')
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Provider or room name must be between 2 and 100 characters')
+        .trim()
+        .escape(),
 
-    query('date')
-        .optional()
-        .isISO8601()
-        .withMessage('Date filter must be in ISO 8601 format'),
+    body('segments.*.doctorId')
+        .notEmpty()
+        .withMessage('Each segment needs a provider or room ID')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Provider or room ID must be between 2 and 50 characters'),
 
-    query('district')
+    body('segments.*.category')
+        .isIn(MEDICAL_CATEGORIES)
+        .withMessage(`Segment category must be one of: ${MEDICAL_CATEGORIES.join(', ')}`),
+
+    body('segments.*.reason')
         .optional()
+        .isLength({ min: 10, max: 1000 })
+        .withMessage('Segment reason must be between 10 and 1000 characters')
+        .trim()
+        .escape(),
+
+    body('reason')
+        .notEmpty()
+        .withMessage('Appointment reason is required')
+        .isLength({ min: 10, max: 1000 })
+        .withMessage('Reason must be between 10 and 1000 characters')
+        .trim()
+        .escape(),
+
+    body('district')
         .isIn(KZN_DISTRICTS)
-        .withMessage(`District filter must be a valid KZN health district`),
+        .withMessage(`District must be a valid KZN health district: ${KZN_DISTRICTS.join(', ')}`),
+
+    body('facilityId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid facility ID format'),
+
+    body('facilityType')
+        .isIn(FACILITY_TYPES)
+        .withMessage(`Facility type must be one of: ${FACILITY_TYPES.join(', ')}`),
+
+    body('facilityName')
+        .notEmpty()
+        .withMessage('Facility name is required')
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Facility name must be between 2 and 200 characters')
+        .trim()
+        .escape(),
+
+    body('providerAddress')
+        .notEmpty()
+        .withMessage('Provider address is required')
+        .isLength({ min: 5, max: 500 })
+        .withMessage('Address must be between 5 and 500 characters')
+        .trim()
+        .escape(),
+
+    body('providerContact')
+        .notEmpty()
+        .withMessage('Provider contact is required')
+        .matches(/^(\+\d{1,3}[- ]?)?\d{10}$/)
+        .withMessage('Please provide a valid phone number'),
+
+    // Emergencies go straight to a hospital, not a planned multi-step visit
+    body('urgency')
+        .optional()
+        .isIn(['routine', 'urgent'])
+        .withMessage('Multi-segment visits must be routine or urgent'),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 2000 })
+        .withMessage('Notes cannot exceed 2000 characters')
+        .trim()
+        .escape(),
+
+    handleValidationErrors
+];
+
+/**
+ * Recurring Series Update Validation Rules
+ */
+export const validateSeriesUpdate = [
+    body('fromAppointmentId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid appointment ID format'),
+
+    body('time')
+        .optional()
+        .matches(TIME_PATTERN)
+        .withMessage('Time must be in HH:MM format (24-hour)'),
+
+    body('reason')
+        .optional()
+        .isLength({ min: 10, max: 1000 })
+        .withMessage('Reason must be between 10 and 1000 characters')
+        .trim()
+        .escape(),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 2000 })
+        .withMessage('Notes cannot exceed 2000 characters')
+        .trim()
+        .escape(),
+
+    body()
+        .custom((value) => {
+            if (value.time === undefined && value.reason === undefined && value.notes === undefined) {
+                throw new Error('Provide a new time, reason or notes for the series');
+            }
+            return true;
+        }),
+
+    handleValidationErrors
+];
+
+/**
+ * Appointment Cancellation Validation Rules
+ */
+export const validateCancellation = [
+    body('reason')
+        .notEmpty()
+        .withMessage('Cancellation reason is required')
+        .isIn(CANCELLATION_REASONS)
+        .withMessage(`Cancellation reason must be one of: ${CANCELLATION_REASONS.join(', ')}`),
+
+    body('notes')
+        .if(body('reason').equals('other'))
+        .notEmpty()
+        .withMessage('Please describe the reason when cancelling for "other"'),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Cancellation notes cannot exceed 500 characters')
+        .trim()
+        .escape(),
+
+    handleValidationErrors
+];
+
+/**
+ * Recurring Series Cancellation Validation Rules
+ */
+export const validateSeriesCancellation = [
+    body('fromAppointmentId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid appointment ID format'),
+
+    ...validateCancellation
+];
+
+/**
+ * Appointment Status Transition Validation Rules
+ */
+export const validateStatusTransition = [
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Status change notes cannot exceed 500 characters')
+        .trim()
+        .escape(),
+
+    handleValidationErrors
+];
+
+/**
+ * Provider Schedule Validation Rules
+ */
+export const validateProviderSchedule = [
+    body('doctorName')
+        .optional()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Doctor name must be between 2 and 100 characters')
+        .trim()
+        .escape(),
+
+    body('facility')
+        .optional()
+        .isMongoId()
+        .withMessage('Facility must be a valid facility ID'),
+
+    body('weeklyBlocks')
+        .isArray()
+        .withMessage('Weekly blocks must be an array'),
+
+    body('weeklyBlocks.*.dayOfWeek')
+        .isIn(WEEKDAYS)
+        .withMessage(`Day of week must be one of: ${WEEKDAYS.join(', ')}`),
+
+    body(['weeklyBlocks.*.start', 'weeklyBlocks.*.end', 'breaks.*.start', 'breaks.*.end'])
+        .matches(TIME_PATTERN)
+        .withMessage('Schedule times must be in HH:MM format (24-hour)'),
+
+    body('breaks')
+        .optional()
+        .isArray()
+        .withMessage('Breaks must be an array'),
+
+    body('breaks.*.dayOfWeek')
+        .optional()
+        .isIn(WEEKDAYS)
+        .withMessage(`Day of week must be one of: ${WEEKDAYS.join(', ')}`),
+
+    body('defaultSlotDuration')
+        .optional()
+        .isInt({ min: 15, max: 240 })
+        .withMessage('Default slot length must be between 15 and 240 minutes'),
+
+    body('slotDurations')
+        .optional()
+        .isArray()
+        .withMessage('Slot durations must be an array'),
+
+    body('slotDurations.*.category')
+        .isIn(MEDICAL_CATEGORIES)
+        .withMessage(`Category must be one of: ${MEDICAL_CATEGORIES.join(', ')}`),
+
+    body('slotDurations.*.minutes')
+        .isInt({ min: 15, max: 240 })
+        .withMessage('Slot length must be between 15 and 240 minutes'),
+
+    handleValidationErrors
+];
+
+/**
+ * Provider Schedule Exception Validation Rules
+ */
+export const validateScheduleException = [
+    body('date')
+        .notEmpty()
+        .withMessage('Exception date is required')
+        .isISO8601()
+        .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)'),
+
+    body('type')
+        .isIn(['leave', 'public-holiday', 'extra-session'])
+        .withMessage('Exception type must be leave, public-holiday, or extra-session'),
+
+    body(['start', 'end'])
+        .optional()
+        .matches(TIME_PATTERN)
+        .withMessage('Exception times must be in HH:MM format (24-hour)'),
+
+    body('start')
+        .if(body('type').equals('extra-session'))
+        .notEmpty()
+        .withMessage('Extra sessions require a start and end time'),
+
+    body('end')
+        .if(body('type').equals('extra-session'))
+        .notEmpty()
+        .withMessage('Extra sessions require a start and end time'),
+
+    body('reason')
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters')
+        .trim()
+        .escape(),
+
+    handleValidationErrors
+];
+
+/**
+ * Waitlist Entry Validation Rules
+ */
+export const validateWaitlistEntry = [
+    body('doctorId')
+        .notEmpty()
+        .withMessage('Doctor ID is required')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Doctor ID must be between 2 and 50 characters'),
+
+    // Doctor name, facility type and contact details are taken from the doctor and facility records
+    body('doctor')
+        .optional()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Doctor name must be between 2 and 100 characters')
+        .trim()
+        .escape(),
+
+    body('dateFrom')
+        .notEmpty()
+        .withMessage('Waitlist start date is required')
+        .isISO8601()
+        .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)')
+        .custom((value) => {
+            // Appointments are booked from tomorrow, so today's freed slots are never offered
+            if (parseClinicDate(value) <= startOfClinicDay()) {
+                throw new Error('Waitlist start date must be after today');
+            }
+            return true;
+        }),
+
+    body('dateTo')
+        .notEmpty()
+        .withMessage('Waitlist end date is required')
+        .isISO8601()
+        .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)')
+        .custom((value, { req }) => {
+            if (parseClinicDate(value) < parseClinicDate(req.body.dateFrom)) {
+                throw new Error('Waitlist end date must be on or after the start date');
+            }
+            return true;
+        }),
+
+    body('reason')
+        .notEmpty()
+        .withMessage('Appointment reason is required')
+        .isLength({ min: 10, max: 1000 })
+        .withMessage('Reason must be between 10 and 1000 characters')
+        .trim()
+        .escape(),
+
+    body('category')
+        .notEmpty()
+        .withMessage('Medical category is required')
+        .isIn(MEDICAL_CATEGORIES)
+        .withMessage(`Category must be one of: ${MEDICAL_CATEGORIES.join(', ')}`),
+
+    body('urgency')
+        .optional()
+        .isIn(['routine', 'urgent', 'emergency'])
+        .withMessage('Urgency must be routine, urgent, or emergency'),
+
+    body('district')
+        .notEmpty()
+        .withMessage('KZN health district is required')
+        .isIn(KZN_DISTRICTS)
+        .withMessage(`District must be a valid KZN health district: ${KZN_DISTRICTS.join(', ')}`),
+
+    body('facilityId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid facility ID format'),
+
+    body('facilityType')
+        .optional()
+        .isIn(FACILITY_TYPES)
+        .withMessage(`Facility type must be one of: ${FACILITY_TYPES.join(', ')}`),
+
+    body('facilityName')
+        .optional()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Facility name must be between 2 and 200 characters')
+        .trim()
+        .escape(),
+
+    body('providerAddress')
+        .optional()
+        .isLength({ min: 5, max: 500 })
+        .withMessage('Address must be between 5 and 500 characters')
+        .trim()
+        .escape(),
+
+    body('providerContact')
+        .optional()
+        .matches(/^(\+\d{1,3}[- ]?)?\d{10}$/)
+        .withMessage('Please provide a valid phone number'),
+
+    handleValidationErrors
+];
+
+/**
+ * User Profile Validation Rules
+ */
+export const validateUserProfile = [
+    // First name validation
+    body('firstName')
+        .notEmpty()
+        .withMessage('First name is required')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('First name must be between 2 and 50 characters')
+        .isAlpha('en-US', { ignore: ' -' })
+        .withMessage('First name can only contain letters, spaces, and hyphens')
+        .trim()
+        .escape(),
+
+    // Last name validation
+    body('lastName')
+        .notEmpty()
+        .withMessage('Last name is required')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Last name must be between 2 and 50 characters')
+        .isAlpha('en-US', { ignore: ' -' })
+        .withMessage('Last name can only contain letters, spaces, and hyphens')
+        .trim()
+        .escape(),
+
+    // Phone number validation
+    body('phoneNumber')
+        .notEmpty()
+        .withMessage('Phone number is required')
+        .matches(/^(\+\d{1,3}[- ]?)?\d{10}$/)
+        .withMessage('Please enter a valid phone number (e.g., +27341234567 or 0341234567)'),
+
+    // Address validation
+    body('address')
+        .notEmpty()
+        .withMessage('Address is required')
+        .isLength({ min: 5, max: 500 })
+        .withMessage('Address must be between 5 and 500 characters')
+        .trim()
+        .escape(),
+
+    // Date of birth validation
+    body('dateOfBirth')
+        .notEmpty()
+        .withMessage('Date of birth is required')
+        .isISO8601()
+        .withMessage('Date of birth must be in ISO 8601 format (YYYY-MM-DD)')
+        .custom((value) => {
+            const dob = new Date(value);
+            const today = new Date();
+
+            if (dob >= today) {
+                throw new Error('Date of birth must be in the past');
+            }
+
+            // Check if user is at least 1 year old
+            const minDate = new Date();
+            minDate.setFullYear(today.getFullYear() - 1);
+
+            if (dob > minDate) {
+                throw new Error('User must be at least 1 year old');
+            }
+
+            // Check if user is not older than 120 years
+            const maxDate = new Date();
+            maxDate.setFullYear(today.getFullYear() - 120);
+
+            if (dob < maxDate) {
+                throw new Error('Please enter a valid date of birth');
+            }
+
+            return true;
+        }),
+
+
+
+    // KZN District validation
+    body('healthDistrict')
+        .notEmpty()
+        .withMessage('KZN health district is required')
+        .isIn(KZN_DISTRICTS)
+        .withMessage(`Please select a valid KZN health district: ${KZN_DISTRICTS.join(', ')}`),
+
+    // Sub-location validation
+    body('subLocation')
+        .notEmpty()
+        .withMessage('Please select your specific area within the district')
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Location must be between 2 and 100 characters')
+        .trim()
+        .escape(),
+
+    // Preferred facility type validation
+    body('preferredFacilityType')
+        .notEmpty()
+        .withMessage('Preferred facility type is required')
+        .isIn(FACILITY_TYPES)
+        .withMessage(`Please select a valid facility type: ${FACILITY_TYPES.join(', ')}`),
+
+    // Medical history validation
+    body('medicalHistory')
+        .optional()
+        .isLength({ max: 2000 })
+        .withMessage('Medical history cannot exceed 2000 characters')
+        .trim()
+        .escape(),
+
+    // Allergies validation
+    body('allergies')
+        .optional()
+        .isLength({ max: 1000 })
+        .withMessage('Allergies information cannot exceed 1000 characters')
+        .trim()
+        .escape(),
+
+    // Emergency contact validation
+    body('emergencyContact')
+        .optional()
+        .matches(/^(\+\d{1,3}[- ]?)?\d{10}$/)
+        .withMessage('Please enter a valid emergency contact number'),
+
+    // Preferred language validation
+    body('preferredLanguage')
+        .optional()
+        .isIn(['english', 'zulu', 'afrikaans', 'xhosa', 'sotho'])
+        .withMessage('Please select a valid language'),
+
+    // Handle validation errors
+    handleValidationErrors
+];
+
+/**
+ * Validation rules shared by doctor registration and updates
+ * @param {boolean} isUpdate - Whether every field is optional
+ * @returns {Array} express-validator chains
+ */
+const doctorFieldRules = (isUpdate) => {
+    const field = (chain) => (isUpdate ? chain.optional() : chain);
+
+    return [
+        field(body('name'))
+            .isLength({ min: 2, max: 100 })
+            .withMessage('Doctor name must be between 2 and 100 characters')
+            .trim()
+            .escape(),
+
+        field(body('specialty'))
+            .isIn(DOCTOR_SPECIALTIES)
+            .withMessage(`Specialty must be one of: ${DOCTOR_SPECIALTIES.join(', ')}`),
+
+        body('licenseNumber')
+            .optional()
+            .matches(/^[A-Za-z]{2,4}\s?\d{4,10}$/)
+            .withMessage('License number must be an HPCSA registration number, e.g. MP0123456'),
+
+        body('qualifications')
+            .optional()
+            .isArray()
+            .withMessage('Qualifications must be an array'),
+
+        body('languages')
+            .optional()
+            .isArray()
+            .withMessage('Languages must be an array'),
+
+        body('languages.*')
+            .isIn(DOCTOR_LANGUAGES)
+            .withMessage(`Language must be one of: ${DOCTOR_LANGUAGES.join(', ')}`),
+
+        field(body('affiliations'))
+            .isArray({ min: 1 })
+            .withMessage('A doctor must work at one or more facilities'),
+
+        body('affiliations.*.facilityId')
+            .isMongoId()
+            .withMessage('Affiliated facility must be a valid facility ID'),
+
+        body('affiliations.*.consultationFee')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Consultation fee cannot be negative'),
+
+        body(['affiliations.*.isAvailable', 'affiliations.*.isPrimary'])
+            .optional()
+            .isBoolean()
+            .withMessage('Affiliation flags must be true or false')
+    ];
+};
+
+/**
+ * Doctor Registration Validation Rules
+ */
+export const validateDoctor = [
+    ...doctorFieldRules(false),
+    handleValidationErrors
+];
+
+/**
+ * Doctor Update Validation Rules
+ */
+export const validateDoctorUpdate = [
+    param('doctorId')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Doctor ID must be between 2 and 50 characters'),
+
+    ...doctorFieldRules(true),
+
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false'),
+
+    handleValidationErrors
+];
+
+/**
+ * Provider Account Link Validation Rules
+ */
+export const validateProviderLink = [
+    param('userId')
+        .isMongoId()
+        .withMessage('Invalid user ID format'),
+
+    body('facilityId')
+        .notEmpty()
+        .withMessage('Facility ID is required')
+        .isMongoId()
+        .withMessage('Invalid facility ID format'),
+
+    body('doctorId')
+        .notEmpty()
+        .withMessage('Doctor ID is required')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Doctor ID must be between 2 and 50 characters'),
+
+    handleValidationErrors
+];
+
+/**
+ * Provider Day Sheet Query Validation Rules
+ */
+export const validateDaySheetQuery = [
+    query('date')
+        .optional()
+        .isISO8601()
+        .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)'),
+
+    query('doctorId')
+        .optional()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Doctor ID must be between 2 and 50 characters'),
+
+    handleValidationErrors
+];
+
+/**
+ * Walk-in Ticket Validation Rules
+ */
+export const validateQueueTicket = [
+    param('facilityId')
+        .isMongoId()
+        .withMessage('Invalid facility ID format'),
+
+    body('reason')
+        .notEmpty()
+        .withMessage('Reason for the visit is required')
+        .isLength({ min: 10, max: 1000 })
+        .withMessage('Reason must be between 10 and 1000 characters')
+        .trim()
+        .escape(),
+
+    body('category')
+        .notEmpty()
+        .withMessage('Medical category is required')
+        .isIn(MEDICAL_CATEGORIES)
+        .withMessage(`Category must be one of: ${MEDICAL_CATEGORIES.join(', ')}`),
+
+    body('urgency')
+        .optional()
+        .isIn(['routine', 'urgent', 'emergency'])
+        .withMessage('Urgency must be routine, urgent, or emergency'),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 2000 })
+        .withMessage('Notes cannot exceed 2000 characters')
+        .trim()
+        .escape(),
+
+    handleValidationErrors
+];
+
+/**
+ * Walk-in Queue Settings Validation Rules
+ */
+export const validateQueueSettings = [
+    param('facilityId')
+        .isMongoId()
+        .withMessage('Invalid facility ID format'),
+
+    body('enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('enabled must be true or false'),
+
+    body('averageServiceMinutes')
+        .optional()
+        .isInt({ min: 15, max: 120 })
+        .withMessage('Average service time must be between 15 and 120 minutes')
+        .toInt(),
+
+    body('dailyTicketLimit')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 1000 })
+        .withMessage('Daily ticket limit must be between 1 and 1000')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+/**
+ * Call Next Walk-in Patient Validation Rules
+ */
+export const validateQueueCall = [
+    param('facilityId')
+        .isMongoId()
+        .withMessage('Invalid facility ID format'),
+
+    body('doctorId')
+        .optional()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Doctor ID must be between 2 and 50 characters'),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+        .trim()
+        .escape(),
+
+    handleValidationErrors
+];
+
+/**
+ * Walk-in Ticket Triage Validation Rules
+ */
+export const validateTicketTriage = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid ticket ID format'),
+
+    body('urgency')
+        .notEmpty()
+        .withMessage('Urgency is required')
+        .isIn(['routine', 'urgent', 'emergency'])
+        .withMessage('Urgency must be routine, urgent, or emergency'),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+        .trim()
+        .escape(),
+
+    handleValidationErrors
+];
+
+/**
+ * Event Stream Query Validation Rules
+ */
+export const validateEventStreamQuery = [
+    query('doctorId')
+        .optional()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Doctor ID must be between 2 and 50 characters'),
+
+    query('date')
+        .if(query('doctorId').exists())
+        .notEmpty()
+        .withMessage('Date is required when following a provider\'s availability')
+        .isISO8601()
+        .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)'),
+
+    query('facilityId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid facility ID format'),
+
+    handleValidationErrors
+];
+
+/**
+ * Transport Request Validation Rules
+ */
+export const validateTransportRequest = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid appointment ID format'),
+
+    ...transportRequestRules(),
+
+    handleValidationErrors
+];
+
+/**
+ * Transport Review Validation Rules
+ */
+export const validateTransportReview = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid appointment ID format'),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Review notes cannot exceed 500 characters')
+        .trim()
+        .escape(),
+
+    handleValidationErrors
+];
+
+/**
+ * Transport Queue and Manifest Query Validation Rules
+ */
+export const validateTransportQuery = [
+    query('district')
+        .optional()
+        .isIn(KZN_DISTRICTS)
+        .withMessage(`District must be a valid KZN health district: ${KZN_DISTRICTS.join(', ')}`),
+
+    query('date')
+        .optional()
+        .isISO8601()
+        .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)'),
+
+    query('days')
+        .optional()
+        .isInt({ min: 1, max: 14 })
+        .withMessage('Days must be between 1 and 14')
+        .toInt(),
+
+    query('status')
+        .optional()
+        .isIn(['pending', 'approved', 'declined'])
+        .withMessage('Status must be pending, approved, or declined'),
+
+    handleValidationErrors
+];
+
+/**
+ * Pre-visit Questionnaire Query Validation Rules
+ */
+export const validateQuestionnaireQuery = [
+    query('category')
+        .optional()
+        .isIn(MEDICAL_CATEGORIES)
+        .withMessage(`Category must be one of: ${MEDICAL_CATEGORIES.join(', ')}`),
+
+    handleValidationErrors
+];
+
+/**
+ * Pre-visit Questionnaire Answers Validation Rules
+ * Answers are checked against the questionnaire for the appointment's category in the controller.
+ */
+export const validateIntakeSubmission = [
+    body('answers')
+        .isObject()
+        .withMessage('Questionnaire answers must be an object keyed by question'),
+
+    handleValidationErrors
+];
+
+/**
+ * Interpreter Needs Query Validation Rules
+ */
+export const validateInterpreterNeedsQuery = [
+    query('facilityId')
+        .optional()
+        .isMongoId()
+        .withMessage('Facility ID must be a valid identifier'),
+
+    query('district')
+        .optional()
+        .isIn(KZN_DISTRICTS)
+        .withMessage(`District must be a valid KZN health district: ${KZN_DISTRICTS.join(', ')}`),
+
+    query('date')
+        .optional()
+        .isISO8601()
+        .withMessage('Date must be in ISO 8601 format (YYYY-MM-DD)'),
+
+    query('days')
+        .optional()
+        .isInt({ min: 1, max: 31 })
+        .withMessage('Days must be between 1 and 31')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+/**
+ * Confirmation Slip Check-in Validation Rules
+ */
+export const validateSlipCheckIn = [
+    body('token')
+        .isString()
+        .withMessage('Scanned check-in code is required')
+        .isLength({ min: 20, max: 2000 })
+        .withMessage('Scanned check-in code is not valid')
+        .trim(),
+
+    handleValidationErrors
+];
+
+/**
+ * Calendar Feed Token Validation Rules
+ */
+export const validateCalendarFeedToken = [
+    param('token')
+        .matches(/^[a-f0-9]{48}$/)
+        .withMessage('Invalid calendar feed link'),
+
+    handleValidationErrors
+];
+
+/**
+ * Post-visit Review Validation Rules
+ */
+export const validateReview = [
+    body('appointmentId')
+        .isMongoId()
+        .withMessage('Invalid appointment ID format'),
+
+    body('facilityRating')
+        .isInt({ min: 1, max: 5 })
+        .withMessage('Facility rating must be a whole number from 1 to 5')
+        .toInt(),
+
+    body('doctorRating')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 5 })
+        .withMessage('Doctor rating must be a whole number from 1 to 5')
+        .toInt(),
+
+    body('comment')
+        .optional()
+        .isLength({ max: 1000 })
+        .withMessage('Review comment cannot exceed 1000 characters')
+        .trim()
+        .escape(),
+
+    handleValidationErrors
+];
+
+/**
+ * Review Moderation Validation Rules
+ */
+export const validateReviewModeration = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid review ID format'),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Moderation notes cannot exceed 500 characters')
+        .trim()
+        .escape(),
+
+    handleValidationErrors
+];
+
+/**
+ * Review Moderation Queue Query Validation Rules
+ */
+export const validateReviewQuery = [
+    query('status')
+        .optional()
+        .isIn(['pending', 'published', 'rejected'])
+        .withMessage('Status must be pending, published, or rejected'),
+
+    query('district')
+        .optional()
+        .isIn(KZN_DISTRICTS)
+        .withMessage(`District must be a valid KZN health district: ${KZN_DISTRICTS.join(', ')}`),
+
+    handleValidationErrors
+];
+
+/**
+ * Public Facility Reviews Validation Rules
+ */
+export const validateFacilityReviewsQuery = [
+    param('facilityId')
+        .isMongoId()
+        .withMessage('Invalid facility ID format'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive whole number')
+        .toInt(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules shared by dependant registration and updates
+ * @param {boolean} isUpdate - Whether every field is optional
+ * @returns {Array} express-validator chains
+ */
+const dependantFieldRules = (isUpdate) => {
+    const field = (chain) => (isUpdate ? chain.optional() : chain);
+
+    return [
+        field(body('firstName'))
+            .isLength({ min: 2, max: 50 })
+            .withMessage('First name must be between 2 and 50 characters')
+            .trim()
+            .escape(),
+
+        field(body('lastName'))
+            .isLength({ min: 2, max: 50 })
+            .withMessage('Last name must be between 2 and 50 characters')
+            .trim()
+            .escape(),
+
+        body('gender')
+            .optional()
+            .isIn(['male', 'female', 'other', 'prefer-not-to-say'])
+            .withMessage('Gender must be male, female, other, or prefer-not-to-say'),
+
+        body('preferredLanguage')
+            .optional()
+            .isIn(['english', 'zulu', 'afrikaans', 'xhosa', 'sotho'])
+            .withMessage('Preferred language must be english, zulu, afrikaans, xhosa, or sotho'),
+
+        body('phoneNumber')
+            .optional({ values: 'falsy' })
+            .matches(/^(\+27|0)[1-9][0-9]{8}$/)
+            .withMessage('Please enter a valid South African phone number (e.g., +27821234567 or 0821234567)'),
+
+        body('locationData.healthDistrict')
+            .optional()
+            .isIn(KZN_DISTRICTS)
+            .withMessage(`Health district must be one of: ${KZN_DISTRICTS.join(', ')}`),
+
+        body('locationData.subLocation')
+            .optional()
+            .isLength({ min: 2, max: 100 })
+            .withMessage('Sub-location must be between 2 and 100 characters')
+            .trim()
+            .escape(),
+
+        body('locationData.preferredFacilityType')
+            .optional()
+            .isIn(FACILITY_TYPES)
+            .withMessage(`Facility type must be one of: ${FACILITY_TYPES.join(', ')}`)
+    ];
+};
+
+/**
+ * Adult dependant consent rules
+ * @param {string} prefix - Body path of the consent object ('' for the body itself)
+ * @returns {Array} express-validator chains
+ */
+const dependantConsentRules = (prefix = '') => {
+    const path = (name) => (prefix ? `${prefix}.${name}` : name);
+
+    return [
+        body(path('confirmed'))
+            .optional()
+            .isBoolean()
+            .withMessage('Consent confirmation must be true or false')
+            .toBoolean(),
+
+        body(path('method'))
+            .optional()
+            .isIn(['verbal', 'written'])
+            .withMessage('Consent must have been given verbally or in writing'),
+
+        body(path('scope'))
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('Consent scope must be a non-empty array'),
+
+        body(`${path('scope')}.*`)
+            .isIn(['appointments', 'medical-profile'])
+            .withMessage('Consent scope can include appointments and medical-profile'),
+
+        body('canMakeMedicalDecisions')
+            .optional()
+            .isBoolean()
+            .withMessage('canMakeMedicalDecisions must be true or false')
+            .toBoolean()
+    ];
+};
+
+/**
+ * Assisted booking consent rules
+ * @param {string} prefix - Body path of the consent object ('' for the body itself)
+ * @returns {Array} express-validator chains
+ */
+const assistedConsentRules = (prefix = '') => {
+    const path = (name) => (prefix ? `${prefix}.${name}` : name);
+
+    return [
+        body(path('confirmed'))
+            .isBoolean()
+            .withMessage('Consent confirmation must be true or false')
+            .toBoolean(),
+
+        body(path('method'))
+            .isIn(['verbal', 'written'])
+            .withMessage('Consent must have been given verbally or in writing')
+    ];
+};
+
+/**
+ * Dependant Registration Validation Rules
+ */
+export const validateDependant = [
+    ...dependantFieldRules(false),
+
+    body('dateOfBirth')
+        .isISO8601()
+        .withMessage('Date of birth must be in ISO 8601 format (YYYY-MM-DD)')
+        .custom((value) => {
+            const dob = new Date(value);
+            if (dob >= new Date()) {
+                throw new Error('Date of birth must be in the past');
+            }
+
+            const maxAgeDate = new Date();
+            maxAgeDate.setFullYear(maxAgeDate.getFullYear() - 120);
+            if (dob < maxAgeDate) {
+                throw new Error('Please enter a valid date of birth');
+            }
+
+            return true;
+        }),
+
+    body('relationship')
+        .isIn(['parent', 'legal-guardian', 'grandparent', 'child', 'spouse', 'sibling', 'caregiver', 'other'])
+        .withMessage('Relationship must be parent, legal-guardian, grandparent, child, spouse, sibling, caregiver, or other'),
+
+    body('consent')
+        .optional()
+        .isObject()
+        .withMessage('Consent must be an object'),
+
+    ...dependantConsentRules('consent'),
+
+    handleValidationErrors
+];
+
+/**
+ * Dependant Update Validation Rules
+ */
+export const validateDependantUpdate = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid dependant ID format'),
+
+    body('dateOfBirth')
+        .not()
+        .exists()
+        .withMessage('Date of birth can only be corrected by a KZN healthcare administrator'),
+
+    ...dependantFieldRules(true),
+
+    handleValidationErrors
+];
+
+/**
+ * Dependant Consent Validation Rules
+ */
+export const validateDependantConsent = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid dependant ID format'),
+
+    ...dependantConsentRules(),
+
+    handleValidationErrors
+];
+
+/**
+ * Dependant Removal Validation Rules
+ */
+export const validateDependantRemoval = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid dependant ID format'),
+
+    body('reason')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters')
+        .trim()
+        .escape(),
+
+    handleValidationErrors
+];
+
+/**
+ * Health Worker Patient Search Validation Rules
+ */
+export const validateAssistedPatientSearch = [
+    query('q')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Search must be between 2 and 100 characters')
+        .matches(/^[\p{L}' -]+$/u)
+        .withMessage('Search by name using letters, spaces, hyphens and apostrophes only')
+        .escape(),
+
+    query('phoneNumber')
+        .optional()
+        .matches(/^(\+27|0)[1-9][0-9]{8}$/)
+        .withMessage('Please enter a valid South African phone number (e.g., +27821234567 or 0821234567)'),
+
+    query('dateOfBirth')
+        .optional()
+        .isISO8601()
+        .withMessage('Date of birth must be in ISO 8601 format (YYYY-MM-DD)'),
+
+    query()
+        .custom((value, { req }) => {
+            if (!req.query.q && !req.query.phoneNumber && !req.query.dateOfBirth) {
+                throw new Error('Search by name, phone number or date of birth');
+            }
+            return true;
+        }),
+
+    handleValidationErrors
+];
+
+/**
+ * Health Worker Patient Registration Validation Rules
+ * Minimal details; the patient is registered in the health worker's district.
+ */
+export const validateAssistedPatient = [
+    body('firstName')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('First name must be between 2 and 50 characters')
+        .trim()
+        .escape(),
+
+    body('lastName')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Last name must be between 2 and 50 characters')
+        .trim()
+        .escape(),
+
+    body('gender')
+        .isIn(['male', 'female', 'other', 'prefer-not-to-say'])
+        .withMessage('Gender must be male, female, other, or prefer-not-to-say'),
+
+    body('preferredLanguage')
+        .optional()
+        .isIn(['english', 'zulu', 'afrikaans', 'xhosa', 'sotho'])
+        .withMessage('Preferred language must be english, zulu, afrikaans, xhosa, or sotho'),
+
+    body('phoneNumber')
+        .optional({ values: 'falsy' })
+        .matches(/^(\+27|0)[1-9][0-9]{8}$/)
+        .withMessage('Please enter a valid South African phone number (e.g., +27821234567 or 0821234567)'),
+
+    body('dateOfBirth')
+        .isISO8601()
+        .withMessage('Date of birth must be in ISO 8601 format (YYYY-MM-DD)')
+        .custom((value) => {
+            const dob = new Date(value);
+            if (dob >= new Date()) {
+                throw new Error('Date of birth must be in the past');
+            }
+
+            const maxAgeDate = new Date();
+            maxAgeDate.setFullYear(maxAgeDate.getFullYear() - 120);
+            if (dob < maxAgeDate) {
+                throw new Error('Please enter a valid date of birth');
+            }
+
+            return true;
+        }),
+
+    body('subLocation')
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Sub-location must be between 2 and 100 characters')
+        .trim()
+        .escape(),
+
+    body('consent')
+        .isObject()
+        .withMessage("The patient's consent is required"),
+
+    ...assistedConsentRules('consent'),
+
+    handleValidationErrors
+];
+
+/**
+ * Health Worker Consent Validation Rules
+ */
+export const validateAssistedConsent = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid patient ID format'),
+
+    ...assistedConsentRules(),
+
+    handleValidationErrors
+];
+
+/**
+ * Health Worker Booked Appointments Query Validation Rules
+ */
+export const validateAssistedAppointmentsQuery = [
+    query('status')
+        .optional()
+        .isIn(['pending', 'confirmed', 'checked-in', 'cancelled', 'completed', 'no-show', 'rescheduled'])
+        .withMessage('Invalid status filter'),
+
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('From date must be in ISO 8601 format'),
+
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('To date must be in ISO 8601 format'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive whole number')
+        .toInt(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+/**
+ * Emergency Triage Validation Rules
+ */
+export const validateEmergencyTriage = [
+    body('symptoms')
+        .isArray({ min: 1, max: 10 })
+        .withMessage('Between 1 and 10 symptoms are required'),
+
+    body('symptoms.*.description')
+        .notEmpty()
+        .withMessage('Symptom description is required')
+        .isLength({ max: 500 })
+        .withMessage('Symptom description cannot exceed 500 characters')
+        .trim()
+        .escape(),
+
+    body('symptoms.*.severity')
+        .optional()
+        .isIn(['mild', 'moderate', 'severe'])
+        .withMessage('Symptom severity must be: mild, moderate, or severe'),
+
+    body('symptoms.*.onsetDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Symptom onset date must be in ISO 8601 format')
+        .custom((value) => {
+            if (new Date(value) > new Date()) {
+                throw new Error('Symptom onset date cannot be in the future');
+            }
+            return true;
+        }),
+
+    body('symptoms.*.duration')
+        .optional()
+        .isLength({ max: 50 })
+        .withMessage('Duration description cannot exceed 50 characters')
+        .trim()
+        .escape(),
+
+    body('location.lat')
+        .notEmpty()
+        .withMessage('Latitude is required')
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be between -90 and 90')
+        .toFloat(),
+
+    body('location.lng')
+        .notEmpty()
+        .withMessage('Longitude is required')
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be between -180 and 180')
+        .toFloat(),
+
+    body('createAppointment')
+        .optional()
+        .isBoolean()
+        .withMessage('createAppointment must be true or false')
+        .toBoolean(),
+
+    body('facilityId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid facility ID format'),
+
+    body('transportNeeded')
+        .optional()
+        .isBoolean()
+        .withMessage('transportNeeded must be true or false')
+        .toBoolean(),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+        .trim()
+        .escape(),
+
+    handleValidationErrors
+];
+
+/**
+ * ID Parameter Validation
+ */
+export const validateId = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid ID format'),
+
+    handleValidationErrors
+];
+
+/**
+ * District Parameter Validation
+ */
+export const validateDistrict = [
+    param('district')
+        .isIn(KZN_DISTRICTS)
+        .withMessage(`District must be a valid KZN health district: ${KZN_DISTRICTS.join(', ')}`),
+
+    handleValidationErrors
+];
+
+/**
+ * Query Parameter Validation for Appointments
+ */
+export const validateAppointmentQuery = [
+    query('status')
+        .optional()
+        .isIn(['pending', 'confirmed', 'checked-in', 'cancelled', 'completed', 'no-show', 'rescheduled'])
+        .withMessage('Invalid status filter'),
+
+    query('date')
+        .optional()
+        .isISO8601()
+        .withMessage('Date filter must be in ISO 8601 format'),
+
+    query('district')
+        .optional()
+        .isIn(KZN_DISTRICTS)
+        .withMessage(`District filter must be a valid KZN health district`),
+
+    query('patientId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid patient ID format'),
+
+    handleValidationErrors
+];
+
+/**
+ * Availability Query Validation Rules
+ */
+export const validateAvailabilityQuery = [
+    query('district')
+        .optional()
+        .isIn(KZN_DISTRICTS)
+        .withMessage('District must be a valid KZN health district'),
+
+    query('facilityId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid facility ID format'),
+
+    query('date')
+        .optional()
+        .isISO8601()
+        .withMessage('Date must be in ISO 8601 format'),
 
     handleValidationErrors
 ];
@@ -675,12 +2231,53 @@ export const validateMedicalProfile = [
 export default {
     validateAppointment,
     validateAppointmentUpdate,
+    validateReschedule,
+    validateCancellation,
+    validateSeriesCancellation,
+    validateAppointmentSeries,
+    validateSeriesUpdate,
+    validateAppointmentBundle,
+    validateStatusTransition,
+    validateProviderSchedule,
+    validateScheduleException,
+    validateWaitlistEntry,
+    validateDoctor,
+    validateDoctorUpdate,
+    validateProviderLink,
+    validateDaySheetQuery,
+    validateQueueTicket,
+    validateQueueSettings,
+    validateQueueCall,
+    validateTicketTriage,
+    validateEventStreamQuery,
+    validateEmergencyTriage,
+    validateTransportRequest,
+    validateTransportReview,
+    validateTransportQuery,
+    validateInterpreterNeedsQuery,
+    validateQuestionnaireQuery,
+    validateIntakeSubmission,
+    validateCalendarFeedToken,
+    validateSlipCheckIn,
+    validateReview,
+    validateReviewModeration,
+    validateReviewQuery,
+    validateFacilityReviewsQuery,
+    validateDependant,
+    validateDependantUpdate,
+    validateDependantConsent,
+    validateDependantRemoval,
+    validateAssistedPatientSearch,
+    validateAssistedPatient,
+    validateAssistedConsent,
+    validateAssistedAppointmentsQuery,
     validateUserProfile,
     validateProfileCompletion,
     validateMedicalProfile,
     validateId,
     validateDistrict,
     validateAppointmentQuery,
+    validateAvailabilityQuery,
     sanitizeInput,
     handleValidationErrors
 };
\ No newline at end of file
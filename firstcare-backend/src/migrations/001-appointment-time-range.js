@@ -0,0 +1,61 @@
+/**
+ * Migration 001: Appointment Time Range
+ * Backfills startAt and endAt on appointments booked before the fields existed
+ *
+ * @module migrations/001-appointment-time-range
+ * @version 1.0.0
+ * @description Provider and patient overlap checks query startAt/endAt, so appointments
+ * without them would never be seen as conflicts. Values are derived from date, time and
+ * duration exactly as the Appointment pre-validate hook does.
+ */
+
+import Appointment from '../models/Appointment.js';
+import { getTimeRange } from '../utils/scheduleUtils.js';
+
+/**
+ * Appointments written per bulk update
+ * @constant {number} BATCH_SIZE
+ */
+const BATCH_SIZE = 500;
+
+export const id = '001-appointment-time-range';
+
+export const description = 'Backfill appointment startAt/endAt from date, time and duration';
+
+/**
+ * Apply the migration
+ * @returns {Promise<Object>} Number of appointments updated
+ */
+export const up = async () => {
+    const cursor = Appointment.find({ $or: [{ startAt: null }, { endAt: null }] })
+        .select('date time duration')
+        .lean()
+        .cursor();
+
+    let updated = 0;
+    let batch = [];
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+        await Appointment.bulkWrite(batch, { ordered: false });
+        updated += batch.length;
+        batch = [];
+    };
+
+    for await (const appointment of cursor) {
+        const { startAt, endAt } = getTimeRange(appointment.date, appointment.time, appointment.duration || 30);
+        batch.push({
+            updateOne: {
+                filter: { _id: appointment._id },
+                update: { $set: { startAt, endAt } }
+            }
+        });
+
+        if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    return { updated };
+};
+
+export default { id, description, up };
@@ -0,0 +1,116 @@
+/**
+ * Migration 002: Clinic Time Zone Dates
+ * Re-stores calendar dates as midnight Africa/Johannesburg and re-derives appointment instants
+ *
+ * @module migrations/002-clinic-time-zone-dates
+ * @version 1.0.0
+ * @description Dates used to be parsed as midnight in the server's own time zone: 00:00 UTC on
+ * a UTC server, or 22:00 UTC the previous evening on a server set to SAST. Both fall on the
+ * intended calendar day in Johannesburg, so that day is recovered with toClinicDateString and
+ * stored again as its Johannesburg midnight. Appointment startAt/endAt are then recomputed from
+ * the local date and time, replacing values backfilled with the server's offset.
+ */
+
+import Appointment from '../models/Appointment.js';
+import AppointmentSeries from '../models/AppointmentSeries.js';
+import AppointmentBundle from '../models/AppointmentBundle.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import ProviderSchedule from '../models/ProviderSchedule.js';
+import { getTimeRange } from '../utils/scheduleUtils.js';
+import { startOfClinicDay } from '../utils/timeZoneUtils.js';
+
+/**
+ * Documents written per bulk update
+ * @constant {number} BATCH_SIZE
+ */
+const BATCH_SIZE = 500;
+
+export const id = '002-clinic-time-zone-dates';
+
+export const description = 'Store calendar dates as midnight Africa/Johannesburg and recompute appointment instants';
+
+/**
+ * Rewrite every document of a model whose computed update differs from what is stored
+ * @param {mongoose.Model} Model - Model to migrate
+ * @param {string} fields - Fields to read
+ * @param {Function} buildUpdate - Returns a $set object for a lean document, or null to leave it
+ * @returns {Promise<number>} Documents updated
+ */
+const rewrite = async (Model, fields, buildUpdate) => {
+    const cursor = Model.find({}).select(fields).lean().cursor();
+
+    let updated = 0;
+    let batch = [];
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+        await Model.bulkWrite(batch, { ordered: false });
+        updated += batch.length;
+        batch = [];
+    };
+
+    for await (const doc of cursor) {
+        const update = buildUpdate(doc);
+        if (!update) continue;
+
+        batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: update } } });
+        if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    return updated;
+};
+
+const sameInstant = (a, b) => a && b && new Date(a).getTime() === new Date(b).getTime();
+
+/**
+ * Build a $set of clinic-midnight dates for the given paths, or null if nothing changes
+ * @param {Object} values - Stored dates keyed by path
+ * @returns {Object|null} Update for the paths that change
+ */
+const normaliseDates = (values) => {
+    const update = {};
+    for (const [path, value] of Object.entries(values)) {
+        if (!value) continue;
+        const normalised = startOfClinicDay(value);
+        if (!sameInstant(normalised, value)) update[path] = normalised;
+    }
+    return Object.keys(update).length > 0 ? update : null;
+};
+
+/**
+ * Apply the migration
+ * @returns {Promise<Object>} Documents updated per collection
+ */
+export const up = async () => ({
+    appointments: await rewrite(Appointment, 'date time duration startAt endAt', (appointment) => {
+        const date = startOfClinicDay(appointment.date);
+        const { startAt, endAt } = getTimeRange(date, appointment.time, appointment.duration || 30);
+
+        if (sameInstant(date, appointment.date) && sameInstant(startAt, appointment.startAt) && sameInstant(endAt, appointment.endAt)) {
+            return null;
+        }
+        return { date, startAt, endAt };
+    }),
+
+    appointmentSeries: await rewrite(AppointmentSeries, 'startDate', (series) =>
+        normaliseDates({ startDate: series.startDate })),
+
+    appointmentBundles: await rewrite(AppointmentBundle, 'date', (bundle) =>
+        normaliseDates({ date: bundle.date })),
+
+    waitlistEntries: await rewrite(WaitlistEntry, 'dateFrom dateTo offer.date', (entry) =>
+        normaliseDates({ dateFrom: entry.dateFrom, dateTo: entry.dateTo, 'offer.date': entry.offer?.date })),
+
+    providerSchedules: await rewrite(ProviderSchedule, 'exceptions', (schedule) => {
+        const exceptions = schedule.exceptions || [];
+        if (exceptions.every(exception => sameInstant(startOfClinicDay(exception.date), exception.date))) {
+            return null;
+        }
+        return {
+            exceptions: exceptions.map(exception => ({ ...exception, date: startOfClinicDay(exception.date) }))
+        };
+    })
+});
+
+export default { id, description, up };
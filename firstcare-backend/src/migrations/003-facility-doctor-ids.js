@@ -0,0 +1,69 @@
+/**
+ * Migration 003: Facility Doctor Ids
+ * Gives every doctor listed at a facility a stable doctorId
+ *
+ * @module migrations/003-facility-doctor-ids
+ * @version 1.0.0
+ * @description Doctors are embedded in facilities without their own _id, so provider accounts
+ * had nothing stable to link to. Doctors without a doctorId get a generated one; doctors that
+ * already have one keep it. The embedded arrays are no longer part of the facility schema (see
+ * migration 004), so they are read and written through the raw collection.
+ */
+
+import HealthcareFacility from '../models/HealthcareFacility.js';
+import { generateDoctorId } from '../models/Doctor.js';
+
+/**
+ * Facilities written per bulk update
+ * @constant {number} BATCH_SIZE
+ */
+const BATCH_SIZE = 500;
+
+export const id = '003-facility-doctor-ids';
+
+export const description = 'Assign a stable doctorId to every doctor listed at a facility';
+
+/**
+ * Apply the migration
+ * @returns {Promise<Object>} Facilities updated and doctor ids assigned
+ */
+export const up = async () => {
+    const facilities = HealthcareFacility.collection;
+    const cursor = facilities.find(
+        { doctors: { $elemMatch: { doctorId: null } } },
+        { projection: { doctors: 1 } }
+    );
+
+    let updated = 0;
+    let assigned = 0;
+    let batch = [];
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+        await facilities.bulkWrite(batch, { ordered: false });
+        updated += batch.length;
+        batch = [];
+    };
+
+    for await (const facility of cursor) {
+        const doctors = facility.doctors.map((doctor) => {
+            if (doctor.doctorId) return doctor;
+            assigned += 1;
+            return { ...doctor, doctorId: generateDoctorId() };
+        });
+
+        batch.push({
+            updateOne: {
+                filter: { _id: facility._id },
+                update: { $set: { doctors } }
+            }
+        });
+
+        if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    return { updated, assigned };
+};
+
+export default { id, description, up };
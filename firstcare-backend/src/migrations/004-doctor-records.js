@@ -0,0 +1,136 @@
+/**
+ * Migration 004: Doctor Records
+ * Moves doctors embedded in facilities into the doctors collection
+ *
+ * @module migrations/004-doctor-records
+ * @version 1.0.0
+ * @description Facilities created by populate-sample-facilities.js (and through the facility API)
+ * list their doctors in an embedded `doctors` array. Each listing becomes a Doctor record with an
+ * affiliation to the facility, keeping the doctorId assigned by migration 003. Listings for the
+ * same doctor at several facilities, recognised by license number, are merged into one record and
+ * every reference to the merged-away doctorId is moved to the surviving one. Appointments booked
+ * with a free-text doctorId are linked by doctor name at the same facility where that is unambiguous.
+ * The embedded arrays and their indexes are then removed.
+ */
+
+import Appointment from '../models/Appointment.js';
+import AppointmentSeries from '../models/AppointmentSeries.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import ProviderSchedule from '../models/ProviderSchedule.js';
+import HealthcareFacility from '../models/HealthcareFacility.js';
+import Doctor from '../models/Doctor.js';
+import User from '../models/user.js';
+
+export const id = '004-doctor-records';
+
+export const description = 'Move embedded facility doctors into Doctor records with facility affiliations';
+
+/**
+ * Move references from merged-away doctorIds to the doctor record that replaced them
+ * @param {Map<string, string>} remap - Old doctorId to surviving doctorId
+ * @returns {Promise<Object>} Documents updated per collection, and schedules left in place
+ */
+const remapDoctorIds = async (remap) => {
+    const counts = { appointments: 0, appointmentSeries: 0, waitlistEntries: 0, providerAccounts: 0, providerSchedules: 0, schedulesKept: [] };
+
+    for (const [fromId, toId] of remap) {
+        counts.appointments += (await Appointment.updateMany({ doctorId: fromId }, { $set: { doctorId: toId } })).modifiedCount;
+        counts.appointmentSeries += (await AppointmentSeries.updateMany({ doctorId: fromId }, { $set: { doctorId: toId } })).modifiedCount;
+        counts.waitlistEntries += (await WaitlistEntry.updateMany({ doctorId: fromId }, { $set: { doctorId: toId } })).modifiedCount;
+        counts.providerAccounts += (await User.updateMany(
+            { 'providerProfile.doctorId': fromId },
+            { $set: { 'providerProfile.doctorId': toId } }
+        )).modifiedCount;
+
+        // Schedules are unique per doctor; a doctor with a schedule under both ids keeps the surviving one
+        if (await ProviderSchedule.exists({ doctorId: toId })) {
+            if (await ProviderSchedule.exists({ doctorId: fromId })) counts.schedulesKept.push(fromId);
+        } else {
+            counts.providerSchedules += (await ProviderSchedule.updateOne({ doctorId: fromId }, { $set: { doctorId: toId } })).modifiedCount;
+        }
+    }
+
+    return counts;
+};
+
+/**
+ * Point appointments with a doctorId that matches no doctor at the doctor of the same name at the same facility
+ * @returns {Promise<number>} Appointments linked
+ */
+const linkFreeTextAppointments = async () => {
+    const knownIds = await Doctor.distinct('doctorId');
+    const unmatched = await Appointment.aggregate([
+        { $match: { doctorId: { $nin: knownIds }, facility: { $ne: null } } },
+        { $group: { _id: { doctorId: '$doctorId', doctor: '$doctor', facility: '$facility' } } }
+    ]);
+
+    let linked = 0;
+    for (const { _id: group } of unmatched) {
+        const candidates = await Doctor.find({ name: group.doctor, 'affiliations.facility': group.facility }).select('doctorId');
+        if (candidates.length !== 1) continue;
+
+        const result = await Appointment.updateMany(
+            { doctorId: group.doctorId, doctor: group.doctor, facility: group.facility },
+            { $set: { doctorId: candidates[0].doctorId } }
+        );
+        linked += result.modifiedCount;
+    }
+
+    return linked;
+};
+
+/**
+ * Apply the migration
+ * @returns {Promise<Object>} Doctors created, facilities migrated and references updated
+ */
+export const up = async () => {
+    const facilities = HealthcareFacility.collection;
+    const cursor = facilities.find(
+        { 'doctors.0': { $exists: true } },
+        { projection: { name: 1, district: 1, facilityType: 1, doctors: 1 } }
+    );
+
+    const remap = new Map();
+    const facilityIds = [];
+    let doctorsCreated = 0;
+    let listingsMerged = 0;
+
+    for await (const facility of cursor) {
+        for (const listing of facility.doctors) {
+            const { doctor, created } = await Doctor.affiliateFromListing(facility, listing);
+            if (created) doctorsCreated += 1;
+
+            if (listing.doctorId && listing.doctorId !== doctor.doctorId) {
+                remap.set(listing.doctorId, doctor.doctorId);
+                listingsMerged += 1;
+            }
+        }
+        facilityIds.push(facility._id);
+    }
+
+    if (facilityIds.length > 0) {
+        await facilities.updateMany({ _id: { $in: facilityIds } }, { $unset: { doctors: '' } });
+    }
+    await HealthcareFacility.refreshDoctorCounts(facilityIds);
+
+    // Drop indexes on the removed array (including the old text index) and build the current ones
+    const indexes = await facilities.indexes();
+    for (const index of indexes) {
+        const fields = [...Object.keys(index.key), ...Object.keys(index.weights || {})];
+        if (fields.some(field => field.startsWith('doctors.'))) {
+            await facilities.dropIndex(index.name);
+        }
+    }
+    await HealthcareFacility.createIndexes();
+    await Doctor.createIndexes();
+
+    return {
+        facilitiesMigrated: facilityIds.length,
+        doctorsCreated,
+        listingsMerged,
+        references: await remapDoctorIds(remap),
+        appointmentsLinkedByName: await linkFreeTextAppointments()
+    };
+};
+
+export default { id, description, up };
@@ -0,0 +1,36 @@
+/**
+ * Migration 005: Optional User Email
+ * Lets dependant accounts exist without an email address
+ *
+ * @module migrations/005-optional-user-email
+ * @version 1.0.0
+ * @description Dependants registered by a guardian have no login, so they have no email address.
+ * The unique email index treated every missing address as the same value, which allowed only
+ * one such account. It is rebuilt as a partial index that only covers accounts with an email.
+ */
+
+import User from '../models/user.js';
+
+export const id = '005-optional-user-email';
+
+export const description = 'Limit the unique user email index to accounts that have an email address';
+
+/**
+ * Apply the migration
+ * @returns {Promise<Object>} Whether the old index was replaced
+ */
+export const up = async () => {
+    const users = User.collection;
+    const indexes = await users.indexes();
+
+    const existing = indexes.find(index => index.name === 'email_1');
+    const replaced = Boolean(existing && !existing.partialFilterExpression);
+    if (replaced) {
+        await users.dropIndex('email_1');
+    }
+    await User.createIndexes();
+
+    return { replaced };
+};
+
+export default { id, description, up };
@@ -0,0 +1,52 @@
+/**
+ * Data Migrations
+ * Ordered list of data migrations and the runner that applies them once each
+ *
+ * @module migrations
+ * @version 1.0.0
+ * @description Applied migrations are recorded in the `migrations` collection, so running
+ * the list again only applies new entries. Add new migrations to the end of MIGRATIONS.
+ */
+
+import mongoose from 'mongoose';
+import appointmentTimeRange from './001-appointment-time-range.js';
+import clinicTimeZoneDates from './002-clinic-time-zone-dates.js';
+import facilityDoctorIds from './003-facility-doctor-ids.js';
+import doctorRecords from './004-doctor-records.js';
+import optionalUserEmail from './005-optional-user-email.js';
+
+/**
+ * Migrations in the order they must run
+ * @constant {Array<Object>} MIGRATIONS
+ */
+export const MIGRATIONS = [
+    appointmentTimeRange,
+    clinicTimeZoneDates,
+    facilityDoctorIds,
+    doctorRecords,
+    optionalUserEmail
+];
+
+/**
+ * Apply every migration that has not run yet
+ * @returns {Promise<Array<Object>>} Applied migration ids with their results
+ */
+export const runMigrations = async () => {
+    const collection = mongoose.connection.collection('migrations');
+    const applied = new Set(await collection.distinct('_id'));
+
+    const results = [];
+    for (const migration of MIGRATIONS) {
+        if (applied.has(migration.id)) continue;
+
+        console.log(`Applying migration ${migration.id}: ${migration.description}`);
+        const result = await migration.up();
+        await collection.insertOne({ _id: migration.id, description: migration.description, result, appliedAt: new Date() });
+
+        results.push({ id: migration.id, result });
+    }
+
+    return results;
+};
+
+export default { MIGRATIONS, runMigrations };
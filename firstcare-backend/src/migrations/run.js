@@ -0,0 +1,30 @@
+/**
+ * Migration Command
+ * Connects to MongoDB, applies pending data migrations and exits
+ *
+ * @module migrations/run
+ * @version 1.0.0
+ * @description Run with `npm run migrate` before starting a new release of the API.
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import { runMigrations } from './index.js';
+
+await connectDB();
+
+try {
+    const results = await runMigrations();
+
+    if (results.length === 0) {
+        console.log('No pending migrations');
+    }
+    for (const { id, result } of results) {
+        console.log(`Migration ${id} applied:`, result);
+    }
+} catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.connection.close();
+}
@@ -33,7 +33,20 @@
  */
 
 import mongoose from 'mongoose';
-import { format, parseISO, isValid, addHours, isBefore, isAfter } from 'date-fns';
+import { format, parseISO, isValid, addHours, subHours, isBefore, isAfter } from 'date-fns';
+import ProviderSchedule from './ProviderSchedule.js';
+import HealthcareFacility from './HealthcareFacility.js';
+import { getTimeRange } from '../utils/scheduleUtils.js';
+import {
+    CLINIC_TIME_ZONE,
+    toClinicDateString,
+    toClinicTimeString,
+    startOfClinicDay,
+    parseClinicDate,
+    addToClinicDate
+} from '../utils/timeZoneUtils.js';
+import { publishToUser, publishAvailability, publishQueue, hasListeners } from '../utils/eventHub.js';
+import { TRIAGE_CATEGORIES } from '../utils/triageUtils.js';
 
 /**
  * KZN Health Districts Configuration
@@ -94,12 +107,162 @@ const MEDICAL_CATEGORIES = [
 const APPOINTMENT_STATUS = [
     'pending',      // Initial booking state
     'confirmed',    // Provider confirmed
+    'checked-in',   // Patient arrived at the facility
     'cancelled',    // Appointment cancelled
     'completed',    // Service rendered
     'no-show',      // Patient didn't attend
     'rescheduled'   // Appointment was rescheduled
 ];
 
+/**
+ * Allowed Status Transitions
+ * @constant {Object<string, Array<string>>} STATUS_TRANSITIONS
+ * @description Statuses each status may move to; cancelled, completed, no-show and rescheduled are final
+ */
+const STATUS_TRANSITIONS = {
+    'pending': ['confirmed', 'cancelled', 'rescheduled'],
+    'confirmed': ['checked-in', 'completed', 'no-show', 'cancelled', 'rescheduled'],
+    'checked-in': ['completed', 'no-show'],   // no-show: left before being seen
+    'cancelled': [],
+    'completed': [],
+    'no-show': [],
+    'rescheduled': []
+};
+
+/**
+ * Statuses that hold a provider's time slot
+ * @constant {Array<string>} ACTIVE_STATUSES
+ */
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'checked-in'];
+
+/**
+ * Statuses that count as confirmed by the provider
+ * @constant {Array<string>} CONFIRMED_STATUSES
+ */
+const CONFIRMED_STATUSES = ['confirmed', 'checked-in', 'completed'];
+
+/**
+ * Booking Types
+ * @constant {Array<string>} BOOKING_TYPES
+ * @description How the patient got their place at the facility
+ */
+const BOOKING_TYPES = [
+    'scheduled',    // Booked time slot with a named doctor
+    'walk-in',      // Same-day queue ticket at a clinic running a walk-in queue
+    'emergency'     // Same-day emergency arrival routed by the triage flow
+];
+
+/**
+ * Booking types dated today and seen by whichever doctor is on duty
+ * @constant {Array<string>} SAME_DAY_BOOKING_TYPES
+ * @description These bookings reserve no provider slot; a doctor is assigned when the patient is seen
+ */
+const SAME_DAY_BOOKING_TYPES = ['walk-in', 'emergency'];
+
+/**
+ * Walk-in ticket statuses as shown to patients and clinic staff
+ * @constant {Object<string, string>} QUEUE_TICKET_STATES
+ * @description Walk-in tickets use the appointment lifecycle: issued tickets are confirmed,
+ * called tickets are checked in
+ */
+const QUEUE_TICKET_STATES = {
+    'confirmed': 'waiting',
+    'checked-in': 'called',
+    'completed': 'served',
+    'cancelled': 'left',
+    'no-show': 'missed'
+};
+
+/**
+ * Walk-in queue throughput window in minutes
+ * @constant {number} QUEUE_THROUGHPUT_WINDOW_MINUTES
+ * @description Wait estimates use the rate at which tickets were called over this window
+ */
+const QUEUE_THROUGHPUT_WINDOW_MINUTES = 60;
+
+/**
+ * Tickets that must have been called in the throughput window before the measured rate is used
+ * @constant {number} QUEUE_MIN_THROUGHPUT_SAMPLE
+ */
+const QUEUE_MIN_THROUGHPUT_SAMPLE = 3;
+
+/**
+ * Delay before a walk-in queue change is pushed, so changes saved together go out once
+ * @constant {number} QUEUE_PUBLISH_DELAY_MS
+ */
+const QUEUE_PUBLISH_DELAY_MS = 250;
+
+/**
+ * Transport Types
+ * @constant {Array<string>} TRANSPORT_TYPES
+ * @description Vehicles patients can request to get to their appointment
+ */
+const TRANSPORT_TYPES = [
+    'ambulance',            // Emergency Medical Services vehicle with a crew
+    'patient-transport',    // Planned patient transport for non-emergency visits
+    'none'
+];
+
+/**
+ * Transport Request Statuses
+ * @constant {Array<string>} TRANSPORT_REQUEST_STATUSES
+ * @description Review state of a transport request; approved trips go on transport manifests
+ */
+const TRANSPORT_REQUEST_STATUSES = ['pending', 'approved', 'declined'];
+
+/**
+ * Mobility Needs
+ * @constant {Array<string>} MOBILITY_NEEDS
+ * @description What the vehicle crew needs to know to collect the patient
+ */
+const MOBILITY_NEEDS = [
+    'wheelchair',
+    'stretcher',
+    'walking-aid',
+    'oxygen',
+    'visually-impaired',
+    'companion'     // Travels with a carer or family member
+];
+
+/**
+ * Cancellation Reasons
+ * @constant {Array<string>} CANCELLATION_REASONS
+ * @description Fixed list of reasons recorded when an appointment is cancelled
+ */
+const CANCELLATION_REASONS = [
+    'patient-request',        // Patient no longer needs or wants the appointment
+    'patient-unwell',         // Patient too ill to attend
+    'transport-unavailable',  // Patient cannot get to the facility
+    'provider-unavailable',   // Healthcare provider cannot see the patient
+    'facility-closed',        // Facility closed unexpectedly
+    'duplicate-booking',      // Appointment booked more than once
+    'booked-in-error',        // Booking made by mistake
+    'other'                   // Any other reason (notes required)
+];
+
+/**
+ * Appointment record retention period in years
+ * @constant {number} RECORD_RETENTION_YEARS
+ * @description Appointments may only be purged once this period has passed since the appointment date
+ */
+const RECORD_RETENTION_YEARS = Number(process.env.APPOINTMENT_RETENTION_YEARS) || 6;
+
+/**
+ * Cancellation Notice by Facility Type
+ * @constant {Object} CANCELLATION_NOTICE_HOURS
+ * @description Hours before the start time after which a booking can no longer be cancelled;
+ * facility types not listed use the 12-hour default
+ */
+const CANCELLATION_NOTICE_HOURS = {
+    'public-hospital': 4,      // 4 hours for public facilities
+    'public-clinic': 4,
+    'unjani-clinic': 6,        // 6 hours for Unjani clinics
+    'private-practice': 24,    // 24 hours for private facilities
+    'private-hospital': 24,
+    'specialist-center': 24,
+    default: 12                // Default 12-hour policy
+};
+
 /**
  * Urgency Levels for Priority Management
  * @constant {Array<string>} URGENCY_LEVELS
@@ -119,29 +282,44 @@ const URGENCY_LEVELS = [
 const SUPPORTED_LANGUAGES = [
     'english',
     'zulu',
-    'afrikaans'
+    'afrikaans',
+    'xhosa',
+    'sotho',
+    'tswana'
 ];
 
+/**
+ * Interpreter Reservation States
+ * @constant {Array<string>} INTERPRETER_STATUSES
+ * @description reserved - one of the facility's interpreters is held for the slot;
+ * requested - no interpreter is free, so the facility must arrange one (e.g. by phone)
+ */
+const INTERPRETER_STATUSES = ['reserved', 'requested'];
+
 /**
  * Appointment Schema with KZN Healthcare Enhancements
  * @typedef {Object} AppointmentSchema
  * @property {mongoose.Types.ObjectId} user - Reference to patient user
  * @property {string} district - KZN health district enum
  * @property {string} subLocation - Specific location within district
- * @property {Date} date - Appointment date (future validation)
- * @property {string} time - Appointment time (HH:MM format)
+ * @property {Date} date - Appointment day, stored as midnight Africa/Johannesburg (future validation)
+ * @property {string} time - Appointment wall-clock time in Africa/Johannesburg (HH:MM format)
  * @property {number} duration - Duration in minutes (15-240)
+ * @property {Date} startAt - Canonical start instant, derived from date and time
+ * @property {Date} endAt - End instant, derived from startAt and duration
  * @property {string} reason - Medical reason for appointment
  * @property {string} category - Medical specialty category
  * @property {string} urgency - Urgency level classification
  * @property {string} doctor - Healthcare provider name
  * @property {string} doctorId - Unique provider identifier
+ * @property {mongoose.Types.ObjectId} facility - Reference to the booked healthcare facility
  * @property {string} facilityName - Healthcare facility name
  * @property {string} facilityType - Type of healthcare facility
  * @property {string} providerAddress - Facility physical address
  * @property {string} providerContact - Facility contact information
  * @property {string} notes - Additional appointment notes
  * @property {Array} symptoms - Patient symptoms tracking
+ * @property {Object} intake - Answers to the pre-visit questionnaire for the category
  * @property {string} status - Current appointment status
  * @property {Array} statusHistory - Complete status change history
  * @property {boolean} isConfirmed - Confirmation status
@@ -150,8 +328,21 @@ const SUPPORTED_LANGUAGES = [
  * @property {Date} reminderDate - When reminder was sent
  * @property {string} languagePreference - Patient language preference
  * @property {boolean} requiresInterpreter - Interpreter services needed
+ * @property {Object} interpreter - Interpreter reserved for the slot (language and status)
  * @property {Object} transportAssistance - Patient transport requirements
- * @property {mongoose.Types.ObjectId} createdBy - Appointment creator
+ * @property {mongoose.Types.ObjectId} rescheduledFrom - Appointment this booking replaced
+ * @property {mongoose.Types.ObjectId} rescheduledTo - Appointment that replaced this booking
+ * @property {number} rescheduleCount - Number of times the booking has been moved
+ * @property {string} calendarUid - iCalendar UID shared by a booking and its replacements
+ * @property {mongoose.Types.ObjectId} series - Recurring series this booking belongs to
+ * @property {number} seriesOccurrence - Position of the booking in its series (1-based)
+ * @property {mongoose.Types.ObjectId} bundle - Multi-segment visit this booking belongs to
+ * @property {number} bundleSegment - Position of the booking in its bundle (1-based)
+ * @property {string} bookingType - Scheduled booking, walk-in queue ticket or emergency arrival
+ * @property {Object} queueTicket - Ticket number, issue and call times of a walk-in ticket
+ * @property {Object} triage - Triage category assessed before an emergency arrival
+ * @property {Object} cancellation - Who cancelled the appointment, when and why
+ * @property {mongoose.Types.ObjectId} createdBy - Account that made the booking (a guardian or health worker booking for a patient)
  * @property {mongoose.Types.ObjectId} lastModifiedBy - Last modifier
  * @property {Date} createdAt - Auto-generated creation timestamp
  * @property {Date} updatedAt - Auto-generated update timestamp
@@ -188,6 +379,10 @@ const appointmentSchema = new mongoose.Schema({
         required: [true, 'Appointment date is required'],
         validate: {
             validator: function (date) {
+                // Existing appointments keep their date as they progress through their lifecycle
+                if (!this.isNew && !this.isModified('date')) return true;
+                // Walk-in tickets and emergency arrivals are only booked for today
+                if (SAME_DAY_BOOKING_TYPES.includes(this.bookingType)) return toClinicDateString(date) === toClinicDateString(new Date());
                 return date > new Date();
             },
             message: 'Appointment date must be in the future. Cannot book past appointments.'
@@ -197,10 +392,10 @@ const appointmentSchema = new mongoose.Schema({
     time: {
         type: String,
         required: [true, 'Appointment time is required'],
-        match: {
-            regex: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
-            message: 'Invalid time format. Please use HH:MM format (24-hour)'
-        },
+        match: [
+            /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+            'Invalid time format. Please use HH:MM format (24-hour)'
+        ],
         validate: {
             validator: function (time) {
                 const [hours, minutes] = time.split(':').map(Number);
@@ -219,6 +414,13 @@ const appointmentSchema = new mongoose.Schema({
             message: 'Duration must be a whole number of minutes'
         }
     },
+    // Derived from date, time and duration on validate; used for overlap queries
+    startAt: {
+        type: Date
+    },
+    endAt: {
+        type: Date
+    },
 
     // ==================== MEDICAL INFORMATION ====================
     reason: {
@@ -248,15 +450,21 @@ const appointmentSchema = new mongoose.Schema({
     },
 
     // ==================== HEALTHCARE PROVIDER INFORMATION ====================
+    // Walk-in tickets and emergency arrivals are assigned a doctor when they are seen
     doctor: {
         type: String,
-        required: [true, 'Healthcare provider name is required'],
+        required: [function () { return !SAME_DAY_BOOKING_TYPES.includes(this.bookingType); }, 'Healthcare provider name is required'],
         trim: true,
         maxlength: [100, 'Doctor name cannot exceed 100 characters']
     },
     doctorId: {
         type: String,
-        required: [true, 'Healthcare provider identifier is required'],
+        required: [function () { return !SAME_DAY_BOOKING_TYPES.includes(this.bookingType); }, 'Healthcare provider identifier is required'],
+        index: true
+    },
+    facility: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareFacility',
         index: true
     },
     facilityName: {
@@ -282,7 +490,7 @@ const appointmentSchema = new mongoose.Schema({
     },
     providerContact: {
         type: String,
-        required: [true, 'Provider contact information is required'],
+        required: [function () { return !SAME_DAY_BOOKING_TYPES.includes(this.bookingType); }, 'Provider contact information is required'],
         trim: true,
         maxlength: [100, 'Contact information cannot exceed 100 characters']
     },
@@ -392,14 +600,32 @@ const appointmentSchema = new mongoose.Schema({
         type: String,
         enum: {
             values: SUPPORTED_LANGUAGES,
-            message: 'Unsupported language. Must be: english, zulu, or afrikaans'
+            message: 'Unsupported language: {VALUE}'
         },
         default: 'english'
     },
+    // Only set when the doctor does not consult in the patient's language
     requiresInterpreter: {
         type: Boolean,
         default: false
     },
+    interpreter: {
+        language: {
+            type: String,
+            enum: {
+                values: SUPPORTED_LANGUAGES,
+                message: 'Unsupported interpreter language: {VALUE}'
+            }
+        },
+        status: {
+            type: String,
+            enum: {
+                values: INTERPRETER_STATUSES,
+                message: 'Invalid interpreter status: {VALUE}'
+            }
+        },
+        reservedAt: Date
+    },
     transportAssistance: {
         needed: {
             type: Boolean,
@@ -408,22 +634,210 @@ const appointmentSchema = new mongoose.Schema({
         type: {
             type: String,
             enum: {
-                values: ['ambulance', 'patient-transport', 'none'],
+                values: TRANSPORT_TYPES,
                 message: 'Invalid transport type. Must be: ambulance, patient-transport, or none'
             },
             default: 'none'
         },
+        // Kept in step with status for existing consumers
         approved: {
             type: Boolean,
             default: false
         },
+        status: {
+            type: String,
+            enum: {
+                values: TRANSPORT_REQUEST_STATUSES,
+                message: 'Invalid transport request status: {VALUE}'
+            }
+        },
+        pickup: {
+            address: {
+                type: String,
+                trim: true,
+                maxlength: [300, 'Pickup address cannot exceed 300 characters']
+            },
+            subLocation: {
+                type: String,
+                trim: true,
+                maxlength: [200, 'Pickup sub-location cannot exceed 200 characters']
+            },
+            coordinates: {
+                lat: { type: Number, min: -90, max: 90 },
+                lng: { type: Number, min: -180, max: 180 }
+            }
+        },
+        mobilityNeeds: [{
+            type: String,
+            enum: {
+                values: MOBILITY_NEEDS,
+                message: 'Invalid mobility need: {VALUE}'
+            }
+        }],
         notes: {
             type: String,
             trim: true,
             maxlength: [500, 'Transport notes cannot exceed 500 characters']
+        },
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        requestedAt: Date,
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date,
+        reviewNotes: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Review notes cannot exceed 500 characters']
         }
     },
 
+    // ==================== RESCHEDULING CHAIN ====================
+    rescheduledFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment',
+        index: true
+    },
+    rescheduledTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+    rescheduleCount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reschedule count cannot be negative']
+    },
+    // Carried over to replacements so calendar apps move the existing event
+    calendarUid: {
+        type: String,
+        trim: true
+    },
+
+    // ==================== RECURRING SERIES ====================
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentSeries',
+        index: true
+    },
+    seriesOccurrence: {
+        type: Number,
+        min: [1, 'Series occurrence numbers start at 1']
+    },
+
+    // ==================== MULTI-SEGMENT BUNDLE ====================
+    bundle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentBundle',
+        index: true
+    },
+    bundleSegment: {
+        type: Number,
+        min: [1, 'Bundle segment numbers start at 1']
+    },
+
+    // ==================== WALK-IN QUEUE ====================
+    bookingType: {
+        type: String,
+        enum: {
+            values: BOOKING_TYPES,
+            message: 'Invalid booking type. Must be one of: {VALUE}'
+        },
+        default: 'scheduled',
+        index: true
+    },
+    queueTicket: {
+        number: {
+            type: Number,
+            min: [1, 'Ticket numbers start at 1']
+        },
+        issuedAt: Date,
+        // Estimate given to the patient when the ticket was issued
+        estimatedWaitMinutes: {
+            type: Number,
+            min: 0
+        },
+        calledAt: Date,
+        calledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+
+    // ==================== EMERGENCY TRIAGE ====================
+    triage: {
+        category: {
+            type: String,
+            enum: {
+                values: TRIAGE_CATEGORIES,
+                message: 'Invalid triage category: {VALUE}'
+            }
+        },
+        // Minutes within which the category should be seen
+        targetMinutes: {
+            type: Number,
+            min: 0
+        },
+        assessedAt: Date
+    },
+
+    // ==================== PRE-VISIT INTAKE ====================
+    // Answers keep the question text and version they were given against
+    intake: {
+        questionnaireId: String,
+        version: Number,
+        title: String,
+        responses: [{
+            _id: false,
+            questionId: {
+                type: String,
+                required: true
+            },
+            question: String,
+            answer: mongoose.Schema.Types.Mixed,
+            display: {
+                type: String,
+                maxlength: [1000, 'Answer cannot exceed 1000 characters']
+            }
+        }],
+        score: Number,
+        scoreBand: String,
+        flags: [String],
+        submittedAt: Date,
+        submittedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+
+    // ==================== CANCELLATION ====================
+    cancellation: {
+        reason: {
+            type: String,
+            enum: {
+                values: CANCELLATION_REASONS,
+                message: 'Invalid cancellation reason: {VALUE}'
+            }
+        },
+        notes: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Cancellation notes cannot exceed 500 characters']
+        },
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        cancelledByRole: {
+            type: String,
+            enum: ['patient', 'guardian', 'provider', 'admin', 'health-worker']
+        },
+        cancelledAt: Date
+    },
+
     // ==================== AUDIT FIELDS ====================
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -456,6 +870,21 @@ appointmentSchema.index({ 'statusHistory.timestamp': 1 });       // Audit trail
 appointmentSchema.index({ district: 1, facilityType: 1 });       // District facility analysis
 appointmentSchema.index({ createdAt: -1 });                      // Recent appointments
 appointmentSchema.index({ date: 1, time: 1 });                   // Time-based queries
+appointmentSchema.index({ doctorId: 1, startAt: 1, endAt: 1 });  // Provider overlap checks
+appointmentSchema.index({ user: 1, startAt: 1, endAt: 1 });      // Patient overlap checks
+appointmentSchema.index({ createdBy: 1, date: -1 });             // Health worker follow-up lists
+appointmentSchema.index(                                          // Transport review queues and manifests
+    { 'transportAssistance.status': 1, district: 1, date: 1 },
+    { partialFilterExpression: { 'transportAssistance.needed': true } }
+);
+appointmentSchema.index(                                          // Interpreter reservations and needs
+    { facility: 1, 'interpreter.language': 1, startAt: 1, endAt: 1 },
+    { partialFilterExpression: { requiresInterpreter: true } }
+);
+appointmentSchema.index(                                          // One ticket number per facility per day
+    { facility: 1, date: 1, 'queueTicket.number': 1 },
+    { unique: true, partialFilterExpression: { bookingType: 'walk-in' } }
+);
 
 // ==================== VIRTUAL FIELDS ====================
 
@@ -465,7 +894,7 @@ appointmentSchema.index({ date: 1, time: 1 });                   // Time-based q
  * @returns {string} Date in YYYY-MM-DD format
  */
 appointmentSchema.virtual('formattedDate').get(function () {
-    return this.date.toISOString().split('T')[0];
+    return toClinicDateString(this.date);
 });
 
 /**
@@ -493,9 +922,7 @@ appointmentSchema.virtual('isPast').get(function () {
  * @returns {boolean} True if appointment is scheduled for today
  */
 appointmentSchema.virtual('isToday').get(function () {
-    const today = new Date().toDateString();
-    const appointmentDate = new Date(this.date).toDateString();
-    return today === appointmentDate;
+    return toClinicDateString(new Date()) === toClinicDateString(this.date);
 });
 
 /**
@@ -504,10 +931,7 @@ appointmentSchema.virtual('isToday').get(function () {
  * @returns {string} End time in HH:MM format
  */
 appointmentSchema.virtual('endTime').get(function () {
-    const [hours, minutes] = this.time.split(':').map(Number);
-    const endTime = new Date(this.date);
-    endTime.setHours(hours, minutes + this.duration, 0, 0);
-    return endTime.toTimeString().slice(0, 5);
+    return toClinicTimeString(getTimeRange(this.date, this.time, this.duration).endAt);
 });
 
 /**
@@ -532,18 +956,42 @@ appointmentSchema.virtual('hoursUntil').get(function () {
     return Math.ceil(timeDiff / (1000 * 60 * 60));
 });
 
+/**
+ * Virtual field: Walk-in ticket state
+ * @virtual
+ * @returns {string|null} waiting, called, served, left or missed; null for scheduled bookings
+ */
+appointmentSchema.virtual('queueState').get(function () {
+    if (this.bookingType !== 'walk-in') return null;
+    return QUEUE_TICKET_STATES[this.status] || null;
+});
+
 // ==================== INSTANCE METHODS ====================
 
 /**
  * Get complete appointment datetime object
  * @instance
- * @returns {Date} Combined date and time object
+ * @returns {Date} Start instant of the appointment (date and time read in Africa/Johannesburg)
  */
 appointmentSchema.methods.getAppointmentDateTime = function () {
-    const appointmentDateTime = new Date(this.date);
-    const [hours, minutes] = this.time.split(':').map(Number);
-    appointmentDateTime.setHours(hours, minutes, 0, 0);
-    return appointmentDateTime;
+    return getTimeRange(this.date, this.time, this.duration).startAt;
+};
+
+/**
+ * Get the appointment's local date and time with its ISO instants for API responses
+ * @instance
+ * @returns {Object} Local date and times plus ISO 8601 start and end instants
+ */
+appointmentSchema.methods.getScheduledTime = function () {
+    const { startAt, endAt } = getTimeRange(this.date, this.time, this.duration);
+    return {
+        date: toClinicDateString(this.date),
+        time: this.time,
+        endTime: toClinicTimeString(endAt),
+        startAt: startAt.toISOString(),
+        endAt: endAt.toISOString(),
+        timeZone: CLINIC_TIME_ZONE
+    };
 };
 
 /**
@@ -556,30 +1004,39 @@ appointmentSchema.methods.canBeCancelled = function () {
     // Cannot cancel past appointments
     if (this.isPast) return false;
 
-    // Cannot cancel already cancelled or completed appointments
-    if (this.status === 'cancelled' || this.status === 'completed') return false;
+    // Only bookings that have not started can be cancelled
+    if (!this.canTransitionTo('cancelled')) return false;
 
-    const appointmentDateTime = this.getAppointmentDateTime();
-    const timeDiff = appointmentDateTime - new Date();
-    const hoursDiff = timeDiff / (1000 * 60 * 60);
+    // Cannot cancel once the facility's cancellation window has started
+    return new Date() < this.getCancellationDeadline();
+};
 
-    // Cannot cancel if appointment is within minimum cancellation window
-    if (hoursDiff <= 0) return false;
-
-    // Facility-specific cancellation policies
-    switch (this.facilityType) {
-        case 'public-hospital':
-        case 'public-clinic':
-            return hoursDiff > 4;  // 4 hours for public facilities
-        case 'unjani-clinic':
-            return hoursDiff > 6;  // 6 hours for Unjani clinics
-        case 'private-practice':
-        case 'private-hospital':
-        case 'specialist-center':
-            return hoursDiff > 24; // 24 hours for private facilities
-        default:
-            return hoursDiff > 12; // Default 12-hour policy
-    }
+/**
+ * Get the hours of notice the facility needs to cancel a booking
+ * @instance
+ * @returns {number} Hours before the start time
+ */
+appointmentSchema.methods.getCancellationNoticeHours = function () {
+    return CANCELLATION_NOTICE_HOURS[this.facilityType] ?? CANCELLATION_NOTICE_HOURS.default;
+};
+
+/**
+ * Get the last moment the appointment can be cancelled under the facility's policy
+ * @instance
+ * @returns {Date} Start instant less the facility's cancellation notice
+ */
+appointmentSchema.methods.getCancellationDeadline = function () {
+    return subHours(this.getAppointmentDateTime(), this.getCancellationNoticeHours());
+};
+
+/**
+ * Get the iCalendar UID of the appointment
+ * Replacements booked by rescheduling keep the UID of the booking they replaced.
+ * @instance
+ * @returns {string} Globally unique event identifier
+ */
+appointmentSchema.methods.getCalendarUid = function () {
+    return this.calendarUid || `appointment-${this._id}@firstcare.kzn`;
 };
 
 /**
@@ -588,7 +1045,183 @@ appointmentSchema.methods.canBeCancelled = function () {
  * @returns {boolean} True if appointment can be rescheduled
  */
 appointmentSchema.methods.canBeRescheduled = function () {
-    return this.canBeCancelled() && this.status !== 'rescheduled';
+    // Same-day bookings have no slot to move
+    return this.bookingType === 'scheduled' && this.canBeCancelled() && this.canTransitionTo('rescheduled') && !this.rescheduledTo;
+};
+
+/**
+ * Check whether the appointment may move to a status
+ * @instance
+ * @param {string} status - Target status
+ * @returns {boolean} True if the transition is allowed
+ */
+appointmentSchema.methods.canTransitionTo = function (status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move the appointment to a new status and record it in the status history
+ * @instance
+ * @param {string} status - Target status
+ * @param {mongoose.Types.ObjectId} changedBy - User making the change
+ * @param {string} reason - Reason for the change
+ * @returns {void}
+ * @throws {Error} If the transition is not allowed
+ */
+appointmentSchema.methods.transitionTo = function (status, changedBy, reason = '') {
+    if (!this.canTransitionTo(status)) {
+        const error = new Error(`Cannot change appointment status from ${this.status} to ${status}`);
+        error.code = 'INVALID_STATUS_TRANSITION';
+        throw error;
+    }
+
+    this.status = status;
+    this.lastModifiedBy = changedBy;
+    this.addStatusHistory(status, changedBy, reason);
+};
+
+/**
+ * Cancel the appointment, keeping the record and its audit trail
+ * @instance
+ * @param {Object} options - Cancellation details
+ * @param {mongoose.Types.ObjectId} options.cancelledBy - User cancelling the appointment
+ * @param {string} options.cancelledByRole - Role the user acted in
+ * @param {string} options.reason - One of CANCELLATION_REASONS
+ * @param {string} options.notes - Optional free-text notes
+ * @returns {void}
+ */
+appointmentSchema.methods.cancel = function ({ cancelledBy, cancelledByRole, reason, notes = '' }) {
+    this.transitionTo('cancelled', cancelledBy, notes ? `${reason}: ${notes}` : reason);
+    this.cancellation = {
+        reason,
+        notes,
+        cancelledBy,
+        cancelledByRole,
+        cancelledAt: new Date()
+    };
+};
+
+/**
+ * Request patient transport or an ambulance for the appointment
+ * A new or changed request waits for review by a health worker or admin in the district.
+ * @instance
+ * @param {Object} request - Transport request
+ * @param {string} request.type - ambulance or patient-transport
+ * @param {Object} request.pickup - Pickup address, sub-location and coordinates ({ lat, lng })
+ * @param {Array<string>} request.mobilityNeeds - Any of MOBILITY_NEEDS
+ * @param {string} request.notes - Notes for the vehicle crew
+ * @param {mongoose.Types.ObjectId} requestedBy - User making the request
+ * @returns {void}
+ */
+appointmentSchema.methods.requestTransport = function ({ type, pickup = {}, mobilityNeeds = [], notes }, requestedBy) {
+    const hasCoordinates = Number.isFinite(pickup.lat) && Number.isFinite(pickup.lng);
+
+    this.transportAssistance = {
+        needed: true,
+        type,
+        approved: false,
+        status: 'pending',
+        pickup: {
+            address: pickup.address,
+            subLocation: pickup.subLocation || this.subLocation,
+            coordinates: hasCoordinates ? { lat: pickup.lat, lng: pickup.lng } : undefined
+        },
+        mobilityNeeds: [...new Set(mobilityNeeds)],
+        notes,
+        requestedBy,
+        requestedAt: new Date()
+    };
+};
+
+/**
+ * Record the decision on a transport request
+ * @instance
+ * @param {string} decision - approved or declined
+ * @param {mongoose.Types.ObjectId} reviewedBy - Health worker or admin deciding
+ * @param {string} notes - Reason or instructions for the patient
+ * @returns {void}
+ */
+appointmentSchema.methods.reviewTransport = function (decision, reviewedBy, notes = '') {
+    this.transportAssistance.status = decision;
+    this.transportAssistance.approved = decision === 'approved';
+    this.transportAssistance.reviewedBy = reviewedBy;
+    this.transportAssistance.reviewedAt = new Date();
+    this.transportAssistance.reviewNotes = notes;
+};
+
+/**
+ * Store answers to the pre-visit questionnaire
+ * The main concern becomes the appointment's symptom, except for emergency arrivals whose
+ * symptoms were recorded at triage.
+ * @instance
+ * @param {Object} questionnaire - Questionnaire the answers were given against
+ * @param {Object} result - Checked answers from validateIntakeAnswers
+ * @param {mongoose.Types.ObjectId} submittedBy - User submitting the answers
+ * @returns {void}
+ */
+appointmentSchema.methods.recordIntake = function (questionnaire, result, submittedBy) {
+    this.intake = {
+        questionnaireId: questionnaire.id,
+        version: questionnaire.version,
+        title: questionnaire.title,
+        responses: result.responses,
+        score: result.score ?? undefined,
+        scoreBand: result.scoreBand || undefined,
+        flags: result.flags,
+        submittedAt: new Date(),
+        submittedBy
+    };
+
+    if (result.symptom && this.bookingType !== 'emergency') {
+        this.symptoms = [result.symptom];
+    }
+};
+
+/**
+ * Decide whether the appointment needs an interpreter and reserve one for the slot
+ * English speakers and patients whose doctor consults in their language need none. Otherwise
+ * one of the facility's interpreters for the language is reserved if one is free for the whole
+ * slot; if none is, the interpreter is requested and the facility arranges one.
+ * @instance
+ * @param {Object|null} doctor - Doctor being booked (null until a walk-in or emergency patient is seen)
+ * @param {Object|null} facility - Facility document (looked up from the appointment if not given)
+ * @param {mongoose.ClientSession} session - Transaction session to read within
+ * @returns {Promise<Object|null>} Interpreter details, or null if none is needed
+ */
+appointmentSchema.methods.arrangeInterpreter = async function (doctor, facility = null, session = null) {
+    const language = this.languagePreference || 'english';
+    const needed = language !== 'english' && !(doctor?.languages || []).includes(language);
+
+    this.requiresInterpreter = needed;
+    if (!needed) {
+        this.interpreter = undefined;
+        return null;
+    }
+
+    const bookingFacility = facility || (this.facility && await HealthcareFacility.findById(this.facility).session(session));
+    const interpreters = bookingFacility?.getInterpreterCount(language) || 0;
+    const { startAt, endAt } = getTimeRange(this.date, this.time, this.duration);
+    const reserved = interpreters > 0
+        ? await this.constructor.countInterpreterReservations(bookingFacility._id, language, startAt, endAt, this._id, session)
+        : 0;
+
+    this.interpreter = {
+        language,
+        status: reserved < interpreters ? 'reserved' : 'requested',
+        reservedAt: new Date()
+    };
+    return this.interpreter;
+};
+
+/**
+ * Get the date after which the appointment record may be purged
+ * @instance
+ * @returns {Date} End of the retention period
+ */
+appointmentSchema.methods.getRetentionExpiry = function () {
+    const expiry = new Date(this.date);
+    expiry.setFullYear(expiry.getFullYear() + RECORD_RETENTION_YEARS);
+    return expiry;
 };
 
 /**
@@ -720,10 +1353,10 @@ appointmentSchema.statics.findByDistrict = function (district, options = {}) {
     if (options.category) query.category = options.category;
 
     if (options.date) {
-        const targetDate = new Date(options.date);
+        const dayStart = parseClinicDate(options.date);
         query.date = {
-            $gte: new Date(targetDate.setHours(0, 0, 0, 0)),
-            $lt: new Date(targetDate.setHours(23, 59, 59, 999))
+            $gte: dayStart,
+            $lt: addToClinicDate(dayStart, { days: 1 })
         };
     }
 
@@ -735,88 +1368,86 @@ appointmentSchema.statics.findByDistrict = function (district, options = {}) {
 };
 
 /**
- * Check for appointment scheduling conflicts
+ * Find an active appointment that overlaps a time range
+ * Two bookings overlap when each starts before the other ends, so long procedures
+ * block every slot they run into.
+ * @static
+ * @param {Object} filter - Whose bookings to check, e.g. { doctorId } or { user }
+ * @param {Date} startAt - Start of the range
+ * @param {Date} endAt - End of the range
+ * @param {string} excludeId - Appointment ID to exclude from the check
+ * @param {mongoose.ClientSession} session - Transaction session to read within
+ * @returns {Promise<Object|null>} Overlapping appointment or null
+ */
+appointmentSchema.statics.findOverlapping = async function (filter, startAt, endAt, excludeId = null, session = null) {
+    const overlapQuery = {
+        ...filter,
+        status: { $in: ACTIVE_STATUSES },
+        startAt: { $lt: endAt },
+        endAt: { $gt: startAt }
+    };
+
+    if (excludeId) {
+        overlapQuery._id = { $ne: excludeId };
+    }
+
+    return await this.findOne(overlapQuery).session(session);
+};
+
+/**
+ * Check for appointment scheduling conflicts with a healthcare provider
  * @static
  * @param {string} doctorId - Healthcare provider identifier
- * @param {string} date - Appointment date
+ * @param {Date|string} date - Appointment date
  * @param {string} time - Appointment time
  * @param {number} duration - Appointment duration in minutes
  * @param {string} excludeId - Appointment ID to exclude from conflict check
+ * @param {mongoose.ClientSession} session - Transaction session to read within
  * @returns {Promise<Object|null>} Conflicting appointment or null
  */
-appointmentSchema.statics.checkConflict = async function (doctorId, date, time, duration = 30, excludeId = null) {
-    const appointmentDate = new Date(date);
-    const [startHours, startMinutes] = time.split(':').map(Number);
-
-    const startTime = new Date(appointmentDate);
-    startTime.setHours(startHours, startMinutes, 0, 0);
-
-    const endTime = new Date(startTime);
-    endTime.setMinutes(endTime.getMinutes() + duration);
-
-    const conflictQuery = {
-        doctorId,
-        date: appointmentDate,
-        status: { $in: ['pending', 'confirmed'] },
-        $or: [
-            {
-                // Existing appointment starts during new appointment
-                $and: [
-                    { time: { $lte: time } },
-                    {
-                        $expr: {
-                            $gte: [
-                                {
-                                    $dateFromString: {
-                                        dateString: {
-                                            $concat: [
-                                                { $substr: ['$date', 0, 10] },
-                                                'T',
-                                                '$time',
-                                                ':00'
-                                            ]
-                                        }
-                                    }
-                                },
-                                startTime
-                            ]
-                        }
-                    }
-                ]
-            },
-            {
-                // New appointment starts during existing appointment
-                $and: [
-                    { time: { $gte: time } },
-                    {
-                        $expr: {
-                            $lte: [
-                                {
-                                    $dateFromString: {
-                                        dateString: {
-                                            $concat: [
-                                                { $substr: ['$date', 0, 10] },
-                                                'T',
-                                                '$time',
-                                                ':00'
-                                            ]
-                                        }
-                                    }
-                                },
-                                endTime
-                            ]
-                        }
-                    }
-                ]
-            }
-        ]
-    };
+appointmentSchema.statics.checkConflict = async function (doctorId, date, time, duration = 30, excludeId = null, session = null) {
+    const { startAt, endAt } = getTimeRange(date, time, duration);
+    return this.findOverlapping({ doctorId }, startAt, endAt, excludeId, session);
+};
 
-    if (excludeId) {
-        conflictQuery._id = { $ne: excludeId };
-    }
+/**
+ * Check whether a patient already has an appointment during a time range
+ * @static
+ * @param {string} userId - Patient user id
+ * @param {Date|string} date - Appointment date
+ * @param {string} time - Appointment time
+ * @param {number} duration - Appointment duration in minutes
+ * @param {string} excludeId - Appointment ID to exclude from conflict check
+ * @param {mongoose.ClientSession} session - Transaction session to read within
+ * @returns {Promise<Object|null>} Conflicting appointment or null
+ */
+appointmentSchema.statics.checkPatientConflict = async function (userId, date, time, duration = 30, excludeId = null, session = null) {
+    const { startAt, endAt } = getTimeRange(date, time, duration);
+    return this.findOverlapping({ user: userId }, startAt, endAt, excludeId, session);
+};
 
-    return await this.findOne(conflictQuery);
+/**
+ * Count the interpreters already reserved at a facility for a language during a time range
+ * @static
+ * @param {mongoose.Types.ObjectId} facilityId - Healthcare facility id
+ * @param {string} language - Interpreter language
+ * @param {Date} startAt - Start of the range
+ * @param {Date} endAt - End of the range
+ * @param {string} excludeId - Appointment to leave out of the count
+ * @param {mongoose.ClientSession} session - Transaction session to read within
+ * @returns {Promise<number>} Number of overlapping reservations
+ */
+appointmentSchema.statics.countInterpreterReservations = function (facilityId, language, startAt, endAt, excludeId = null, session = null) {
+    return this.countDocuments({
+        facility: facilityId,
+        requiresInterpreter: true,
+        'interpreter.language': language,
+        'interpreter.status': 'reserved',
+        status: { $in: ACTIVE_STATUSES },
+        startAt: { $lt: endAt },
+        endAt: { $gt: startAt },
+        ...(excludeId && { _id: { $ne: excludeId } })
+    }).session(session);
 };
 
 /**
@@ -824,57 +1455,40 @@ appointmentSchema.statics.checkConflict = async function (doctorId, date, time,
  * @static
  * @param {string} doctorId - Healthcare provider identifier
  * @param {string} date - Target date for availability
- * @param {number} duration - Desired appointment duration
+ * @param {number} duration - Desired appointment duration (defaults to the provider's slot length)
+ * @param {string} category - Medical category used to pick the provider's slot length
  * @returns {Promise<Array>} Array of available time slots
  */
-appointmentSchema.statics.getAvailableSlots = async function (doctorId, date, duration = 30) {
-    const appointmentDate = new Date(date);
+appointmentSchema.statics.getAvailableSlots = async function (doctorId, date, duration = null, category = null) {
+    const appointmentDate = startOfClinicDay(date);
+    const schedule = await ProviderSchedule.resolveForDoctor(doctorId);
+    const slotDuration = duration || schedule.getSlotDuration(category);
 
-    // Get existing appointments for the provider on the target date
+    // Get existing appointments for the provider that run into the target date
+    const dayStart = startOfClinicDay(appointmentDate);
     const existingAppointments = await this.find({
         doctorId,
-        date: {
-            $gte: new Date(appointmentDate.setHours(0, 0, 0, 0)),
-            $lt: new Date(appointmentDate.setHours(23, 59, 59, 999))
-        },
-        status: { $in: ['pending', 'confirmed'] }
-    }).select('time duration').sort({ time: 1 });
+        startAt: { $lt: addToClinicDate(dayStart, { days: 1 }) },
+        endAt: { $gt: dayStart },
+        status: { $in: ACTIVE_STATUSES }
+    }).select('startAt endAt').sort({ startAt: 1 });
 
-    // Standard appointment slots (can be customized per facility)
-    const allSlots = [
-        '08:00', '08:30', '09:00', '09:30', '10:00', '10:30',
-        '11:00', '11:30', '14:00', '14:30', '15:00', '15:30',
-        '16:00', '16:30'
-    ];
+    // Candidate slots come from the provider's weekly schedule, breaks and exceptions
+    const allSlots = schedule.generateSlotTimes(appointmentDate, slotDuration);
 
     const availableSlots = [];
 
     for (const slot of allSlots) {
-        const slotStart = new Date(appointmentDate);
-        const [slotHours, slotMinutes] = slot.split(':').map(Number);
-        slotStart.setHours(slotHours, slotMinutes, 0, 0);
-
-        const slotEnd = new Date(slotStart);
-        slotEnd.setMinutes(slotEnd.getMinutes() + duration);
+        const { startAt: slotStart, endAt: slotEnd } = getTimeRange(appointmentDate, slot, slotDuration);
 
         // Check if slot conflicts with existing appointments
-        const hasConflict = existingAppointments.some(apt => {
-            const aptStart = new Date(apt.date);
-            const [aptHours, aptMinutes] = apt.time.split(':').map(Number);
-            aptStart.setHours(aptHours, aptMinutes, 0, 0);
-
-            const aptEnd = new Date(aptStart);
-            aptEnd.setMinutes(aptEnd.getMinutes() + apt.duration);
-
-            // Check for time overlap
-            return (slotStart < aptEnd && slotEnd > aptStart);
-        });
+        const hasConflict = existingAppointments.some(apt => slotStart < apt.endAt && slotEnd > apt.startAt);
 
         // Only include future slots that don't conflict
         if (!hasConflict && slotStart > new Date()) {
             availableSlots.push({
                 time: slot,
-                duration: duration,
+                duration: slotDuration,
                 available: true
             });
         }
@@ -993,6 +1607,238 @@ appointmentSchema.statics.getAppointmentTrends = async function (district, days
     ]);
 };
 
+/**
+ * Order walk-in tickets for calling: emergencies first, then urgent, then routine,
+ * each in ticket-number order
+ * @param {Object} a - Walk-in ticket
+ * @param {Object} b - Walk-in ticket
+ * @returns {number} Sort order
+ */
+const compareTriageOrder = (a, b) =>
+    URGENCY_LEVELS.indexOf(b.urgency) - URGENCY_LEVELS.indexOf(a.urgency) ||
+    a.queueTicket.number - b.queueTicket.number;
+
+/**
+ * Find the walk-in tickets issued at a facility on a clinic day
+ * @static
+ * @param {string} facilityId - Healthcare facility id
+ * @param {Date} day - Any instant on the clinic day (defaults to today)
+ * @returns {Promise<Array>} Tickets in ticket-number order
+ */
+appointmentSchema.statics.findWalkInTickets = function (facilityId, day = new Date()) {
+    const dayStart = startOfClinicDay(day);
+    return this.find({
+        facility: facilityId,
+        bookingType: 'walk-in',
+        date: { $gte: dayStart, $lt: addToClinicDate(dayStart, { days: 1 }) }
+    }).sort({ 'queueTicket.number': 1 });
+};
+
+/**
+ * Get the state of a facility's walk-in queue for today
+ * Waiting tickets are listed in triage order. Estimated waits use the rate at which tickets
+ * were called over the last hour, or the facility's average service time until enough
+ * tickets have been called.
+ * @static
+ * @param {Object} facility - Healthcare facility document
+ * @param {Date} now - Current instant
+ * @returns {Promise<Object>} Tickets, waiting list with positions and estimates, counts and throughput
+ */
+appointmentSchema.statics.getWalkInQueue = async function (facility, now = new Date()) {
+    const tickets = await this.findWalkInTickets(facility._id, now);
+
+    const windowStart = now.getTime() - QUEUE_THROUGHPUT_WINDOW_MINUTES * 60 * 1000;
+    const recentCalls = tickets
+        .map(ticket => ticket.queueTicket?.calledAt?.getTime())
+        .filter(calledAt => calledAt && calledAt >= windowStart)
+        .sort((a, b) => a - b);
+
+    const measured = recentCalls.length >= QUEUE_MIN_THROUGHPUT_SAMPLE;
+    const minutesPerPatient = measured
+        ? Math.max(1, (now.getTime() - recentCalls[0]) / (60 * 1000) / recentCalls.length)
+        : facility.queueMode?.averageServiceMinutes || 15;
+
+    const waiting = tickets
+        .filter(ticket => ticket.status === 'confirmed')
+        .sort(compareTriageOrder)
+        .map((ticket, index) => ({
+            ticket,
+            position: index + 1,
+            estimatedWaitMinutes: Math.round((index + 1) * minutesPerPatient)
+        }));
+
+    const countState = (state) => tickets.filter(ticket => ticket.queueState === state).length;
+
+    return {
+        date: toClinicDateString(now),
+        tickets,
+        waiting,
+        called: tickets.filter(ticket => ticket.status === 'checked-in'),
+        counts: {
+            issued: tickets.length,
+            waiting: waiting.length,
+            called: countState('called'),
+            served: countState('served'),
+            left: countState('left'),
+            missed: countState('missed')
+        },
+        minutesPerPatient: Math.round(minutesPerPatient * 10) / 10,
+        throughputSource: measured ? 'recent-calls' : 'facility-average',
+        estimatedWaitForNewTicket: Math.round((waiting.length + 1) * minutesPerPatient)
+    };
+};
+
+/**
+ * Facilities with a walk-in queue update waiting to be pushed
+ * @type {Map<string, NodeJS.Timeout>}
+ */
+const pendingQueueUpdates = new Map();
+
+/**
+ * Push a facility's walk-in queue to streams watching it, and each waiting patient's
+ * new position to that patient
+ * Changes saved within QUEUE_PUBLISH_DELAY_MS of each other are pushed once.
+ * @static
+ * @param {mongoose.Types.ObjectId|string} facilityId - Healthcare facility id
+ * @returns {void}
+ */
+appointmentSchema.statics.publishWalkInQueue = function (facilityId) {
+    const key = facilityId.toString();
+    if (pendingQueueUpdates.has(key)) return;
+
+    pendingQueueUpdates.set(key, setTimeout(async () => {
+        pendingQueueUpdates.delete(key);
+        try {
+            const facility = await HealthcareFacility.findById(key).select('queueMode');
+            if (!facility) return;
+
+            const queue = await this.getWalkInQueue(facility);
+            publishQueue(facility._id, {
+                date: queue.date,
+                counts: queue.counts,
+                minutesPerPatient: queue.minutesPerPatient,
+                throughputSource: queue.throughputSource,
+                estimatedWaitForNewTicket: queue.estimatedWaitForNewTicket
+            });
+
+            for (const { ticket, position, estimatedWaitMinutes } of queue.waiting) {
+                publishToUser(ticket.user, 'queue.ticket', {
+                    ticketId: ticket._id,
+                    facilityId: facility._id,
+                    ticketNumber: ticket.queueTicket.number,
+                    state: ticket.queueState,
+                    position,
+                    estimatedWaitMinutes
+                });
+            }
+        } catch (error) {
+            console.error("Error publishing walk-in queue update:", error);
+        }
+    }, QUEUE_PUBLISH_DELAY_MS));
+};
+
+/**
+ * Find transport requests for active upcoming appointments
+ * @static
+ * @param {Object} filters
+ * @param {string} filters.status - One of TRANSPORT_REQUEST_STATUSES
+ * @param {string} filters.district - KZN district, or null for every district
+ * @param {Date} filters.from - Earliest appointment day (defaults to today)
+ * @param {Date} filters.to - Day after the last appointment day, or null for no limit
+ * @returns {Promise<Array>} Appointments soonest first, with the patient populated
+ */
+appointmentSchema.statics.findTransportRequests = function ({ status = 'pending', district = null, from = new Date(), to = null } = {}) {
+    const date = { $gte: startOfClinicDay(from) };
+    if (to) date.$lt = startOfClinicDay(to);
+
+    return this.find({
+        'transportAssistance.needed': true,
+        'transportAssistance.status': status,
+        status: { $in: ACTIVE_STATUSES },
+        date,
+        ...(district && { district })
+    })
+        .sort({ date: 1, startAt: 1 })
+        .populate('user', 'firstName lastName phoneNumber preferredLanguage locationData');
+};
+
+/**
+ * Group the approved trips on clinic days into manifests by date and pickup sub-location
+ * @static
+ * @param {Object} filters
+ * @param {string} filters.district - KZN district, or null for every district
+ * @param {Date} filters.from - First clinic day
+ * @param {number} filters.days - Number of days covered
+ * @returns {Promise<Array>} Manifests { date, district, subLocation, trips } in date and sub-location order
+ */
+appointmentSchema.statics.getTransportManifests = async function ({ district = null, from = new Date(), days = 1 } = {}) {
+    const trips = await this.findTransportRequests({
+        status: 'approved',
+        district,
+        from,
+        to: addToClinicDate(startOfClinicDay(from), { days })
+    });
+
+    const manifests = new Map();
+    for (const trip of trips) {
+        const date = toClinicDateString(trip.date);
+        const subLocation = trip.transportAssistance.pickup?.subLocation || trip.subLocation;
+        const key = `${date}|${trip.district}|${subLocation.toLowerCase()}`;
+
+        if (!manifests.has(key)) {
+            manifests.set(key, { date, district: trip.district, subLocation, trips: [] });
+        }
+        manifests.get(key).trips.push(trip);
+    }
+
+    return [...manifests.values()].sort((a, b) =>
+        a.date.localeCompare(b.date) ||
+        a.district.localeCompare(b.district) ||
+        a.subLocation.localeCompare(b.subLocation)
+    );
+};
+
+/**
+ * Group upcoming appointments that need an interpreter by language
+ * Appointments without a reservation (including those booked before reservations existed)
+ * count as requested.
+ * @static
+ * @param {Object} filters
+ * @param {string} filters.facilityId - Healthcare facility id, or null for every facility
+ * @param {string} filters.district - KZN district, or null for every district
+ * @param {Date} filters.from - First clinic day
+ * @param {number} filters.days - Number of days covered
+ * @returns {Promise<Array>} Needs { language, reserved, requested, appointments }, most needed language first
+ */
+appointmentSchema.statics.getInterpreterNeeds = async function ({ facilityId = null, district = null, from = new Date(), days = 7 } = {}) {
+    const firstDay = startOfClinicDay(from);
+    const appointments = await this.find({
+        requiresInterpreter: true,
+        status: { $in: ACTIVE_STATUSES },
+        date: { $gte: firstDay, $lt: addToClinicDate(firstDay, { days }) },
+        ...(facilityId && { facility: facilityId }),
+        ...(district && { district })
+    })
+        .sort({ startAt: 1 })
+        .populate('user', 'firstName lastName phoneNumber');
+
+    const needs = new Map();
+    for (const appointment of appointments) {
+        const language = appointment.interpreter?.language || appointment.languagePreference;
+        if (!needs.has(language)) {
+            needs.set(language, { language, reserved: 0, requested: 0, appointments: [] });
+        }
+
+        const need = needs.get(language);
+        need[appointment.interpreter?.status === 'reserved' ? 'reserved' : 'requested'] += 1;
+        need.appointments.push(appointment);
+    }
+
+    return [...needs.values()].sort((a, b) =>
+        (b.appointments.length - a.appointments.length) || a.language.localeCompare(b.language)
+    );
+};
+
 // ==================== MIDDLEWARE ====================
 
 /**
@@ -1000,8 +1846,22 @@ appointmentSchema.statics.getAppointmentTrends = async function (district, days
  * @hook pre-save
  */
 appointmentSchema.pre('save', function (next) {
-    // Auto-update status history when status changes
-    if (this.isModified('status') && !this.isNew) {
+    // Enforce the status state machine for existing appointments
+    const previousStatus = this.$locals.initialStatus;
+    if (this.isModified('status') && !this.isNew && previousStatus && previousStatus !== this.status) {
+        if (!(STATUS_TRANSITIONS[previousStatus] || []).includes(this.status)) {
+            const error = new Error(`Cannot change appointment status from ${previousStatus} to ${this.status}`);
+            error.code = 'INVALID_STATUS_TRANSITION';
+            return next(error);
+        }
+    }
+
+    // Keep the confirmation flag in step with the status
+    this.isConfirmed = CONFIRMED_STATUSES.includes(this.status);
+
+    // Auto-update status history when status changes, unless the caller already recorded it
+    const lastHistoryEntry = this.statusHistory[this.statusHistory.length - 1];
+    if (this.isModified('status') && !this.isNew && lastHistoryEntry?.status !== this.status) {
         this.addStatusHistory(
             this.status,
             this.lastModifiedBy || this.createdBy,
@@ -1015,8 +1875,17 @@ appointmentSchema.pre('save', function (next) {
         this.reminderDate = new Date();
     }
 
-    // Validate emergency appointments require hospital facilities
-    if (this.urgency === 'emergency' && !this.facilityType.includes('hospital')) {
+    // Remember what changed so post-save can push real-time events
+    this.$locals.realtime = {
+        statusChanged: this.isNew || this.isModified('status'),
+        slotChanged: this.isNew || ['status', 'date', 'time', 'duration', 'doctorId'].some(path => this.isModified(path)),
+        queueChanged: this.bookingType === 'walk-in' && (this.isNew || this.isModified('status') || this.isModified('urgency')),
+        transportReviewed: !this.isNew && this.isModified('transportAssistance.reviewedAt')
+    };
+
+    // Validate emergency appointments require hospital facilities; walk-in patients triaged
+    // as emergencies at a clinic are seen first and referred on from there
+    if (this.urgency === 'emergency' && !this.facilityType.includes('hospital') && this.bookingType !== 'walk-in') {
         const error = new Error('Emergency appointments must be booked at hospital facilities');
         error.code = 'EMERGENCY_FACILITY_VALIDATION';
         return next(error);
@@ -1037,8 +1906,21 @@ appointmentSchema.pre('validate', function (next) {
         return next(error);
     }
 
-    // Validate appointment date is in the future
-    if (this.date && this.date <= new Date()) {
+    // Store the day as midnight in the clinic time zone, whatever zone the caller parsed it in
+    if (this.date && this.isModified('date')) {
+        this.date = startOfClinicDay(this.date);
+    }
+
+    // Keep the stored time range in step with the booked date, time and length
+    if (this.date && this.time && (!this.startAt || this.isModified('date') || this.isModified('time') || this.isModified('duration'))) {
+        const { startAt, endAt } = getTimeRange(this.date, this.time, this.duration);
+        this.startAt = startAt;
+        this.endAt = endAt;
+    }
+
+    // Validate appointment date is in the future when booking or moving an appointment
+    // (walk-in tickets and emergency arrivals are dated today and checked by the date validator)
+    if (this.date && (this.isNew || this.isModified('date')) && !SAME_DAY_BOOKING_TYPES.includes(this.bookingType) && this.date <= new Date()) {
         const error = new Error('Appointment date must be in the future');
         error.code = 'PAST_APPOINTMENT_DATE';
         return next(error);
@@ -1047,13 +1929,79 @@ appointmentSchema.pre('validate', function (next) {
     next();
 });
 
+/**
+ * Remember the stored status so pre-save can validate the transition
+ * @hook post-init
+ */
+appointmentSchema.post('init', function () {
+    this.$locals.initialStatus = this.status;
+});
+
+/**
+ * Track the saved status after each save and push the change to real-time streams
+ * @hook post-save
+ */
+appointmentSchema.post('save', function () {
+    const previousStatus = this.$locals.initialStatus;
+    this.$locals.initialStatus = this.status;
+
+    const changes = this.$locals.realtime;
+    this.$locals.realtime = null;
+    if (!changes || !hasListeners()) return;
+
+    const patientId = this.user?._id || this.user;
+
+    if (changes.statusChanged) {
+        publishToUser(patientId, 'appointment.status', {
+            appointmentId: this._id,
+            status: this.status,
+            previousStatus: previousStatus || null,
+            bookingType: this.bookingType,
+            date: toClinicDateString(this.date),
+            time: this.time,
+            doctor: this.doctor,
+            facilityName: this.facilityName
+        });
+    }
+
+    if (changes.slotChanged && this.doctorId && this.bookingType !== 'walk-in') {
+        publishAvailability(this.doctorId, this.date, { reason: `appointment-${this.status}` });
+    }
+
+    if (changes.transportReviewed) {
+        publishToUser(patientId, 'transport.reviewed', {
+            appointmentId: this._id,
+            status: this.transportAssistance.status,
+            type: this.transportAssistance.type,
+            notes: this.transportAssistance.reviewNotes || null,
+            date: toClinicDateString(this.date),
+            time: this.time,
+            facilityName: this.facilityName
+        });
+    }
+
+    if (changes.queueChanged && this.facility) {
+        if (this.queueState !== 'waiting') {
+            publishToUser(patientId, 'queue.ticket', {
+                ticketId: this._id,
+                facilityId: this.facility,
+                ticketNumber: this.queueTicket.number,
+                state: this.queueState,
+                position: null,
+                estimatedWaitMinutes: null
+            });
+        }
+        this.constructor.publishWalkInQueue(this.facility);
+    }
+});
+
 // ==================== QUERY HELPERS ====================
 
 /**
  * Query helper for active appointments (non-cancelled, non-completed)
  */
 appointmentSchema.query.active = function () {
-    return this.where('status').in(['pending', 'confirmed', 'rescheduled']);
+    return this.where('status').in(ACTIVE_STATUSES);
 };
 
 /**
@@ -1067,7 +2015,7 @@ appointmentSchema.query.upcoming = function () {
  * Query helper for appointments requiring confirmation
  */
 appointmentSchema.query.requiresConfirmation = function () {
-    return this.where('isConfirmed').equals(false).where('status').in(['pending', 'confirmed']);
+    return this.where('isConfirmed').equals(false).where('status').equals('pending');
 };
 
 // ==================== MODEL EXPORT ====================
@@ -1091,6 +2039,18 @@ export {
     FACILITY_TYPES,
     MEDICAL_CATEGORIES,
     APPOINTMENT_STATUS,
+    STATUS_TRANSITIONS,
+    ACTIVE_STATUSES,
+    BOOKING_TYPES,
+    SAME_DAY_BOOKING_TYPES,
+    QUEUE_TICKET_STATES,
+    TRANSPORT_TYPES,
+    TRANSPORT_REQUEST_STATUSES,
+    MOBILITY_NEEDS,
+    INTERPRETER_STATUSES,
+    CANCELLATION_REASONS,
+    RECORD_RETENTION_YEARS,
+    CANCELLATION_NOTICE_HOURS,
     URGENCY_LEVELS,
     SUPPORTED_LANGUAGES
 };
\ No newline at end of file
@@ -0,0 +1,141 @@
+// firstcare-backend/src/models/AppointmentBundle.js
+
+/**
+ * Appointment Bundle Model for KZN Healthcare Appointment Booking System
+ *
+ * @file src/models/AppointmentBundle.js
+ * @description Visits made up of several back-to-back segments at one facility
+ *
+ * Features:
+ * - Segments with different providers or rooms, e.g. a GP consult followed by physiotherapy
+ * - Each segment starts when the previous one ends
+ * - Segments are ordinary appointments linked back to the bundle
+ * - Booked and cancelled as a whole inside a MongoDB transaction
+ *
+ * @version 1.0.0
+ * @module AppointmentBundle
+ * @author Healthcare System - KZN Implementation
+ */
+
+import mongoose from 'mongoose';
+import { KZN_DISTRICTS } from './Appointment.js';
+import { TIME_PATTERN } from '../utils/scheduleUtils.js';
+
+/**
+ * Bundle Statuses
+ * @constant {Array<string>} BUNDLE_STATUS
+ */
+const BUNDLE_STATUS = ['active', 'cancelled'];
+
+/**
+ * Minimum and maximum number of segments in one bundle
+ * @constant {number} MIN_BUNDLE_SEGMENTS
+ * @constant {number} MAX_BUNDLE_SEGMENTS
+ */
+const MIN_BUNDLE_SEGMENTS = 2;
+const MAX_BUNDLE_SEGMENTS = 5;
+
+/**
+ * Appointment Bundle Schema
+ * @typedef {Object} AppointmentBundleSchema
+ * @property {mongoose.Types.ObjectId} user - Patient
+ * @property {string} facilityName - Facility every segment takes place at
+ * @property {Date} date - Visit date
+ * @property {string} startTime - Start of the first segment
+ * @property {string} endTime - End of the last segment
+ * @property {number} segmentCount - Number of segments booked
+ * @property {string} status - Bundle status
+ */
+const appointmentBundleSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Patient user reference is required'],
+        index: true
+    },
+
+    // ==================== FACILITY ====================
+    facility: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareFacility'
+    },
+    facilityName: {
+        type: String,
+        required: [true, 'Healthcare facility name is required'],
+        trim: true,
+        maxlength: [200, 'Facility name cannot exceed 200 characters']
+    },
+    district: {
+        type: String,
+        enum: {
+            values: KZN_DISTRICTS,
+            message: 'Invalid KZN health district. Must be one of: {VALUE}'
+        },
+        required: [true, 'KZN health district is required']
+    },
+
+    // ==================== VISIT TIMING ====================
+    date: {
+        type: Date,
+        required: [true, 'Visit date is required']
+    },
+    startTime: {
+        type: String,
+        required: [true, 'Visit start time is required'],
+        match: [TIME_PATTERN, 'Invalid time format. Please use HH:MM format (24-hour)']
+    },
+    endTime: {
+        type: String,
+        required: [true, 'Visit end time is required'],
+        match: [TIME_PATTERN, 'Invalid time format. Please use HH:MM format (24-hour)']
+    },
+    segmentCount: {
+        type: Number,
+        required: [true, 'Number of segments is required'],
+        min: [MIN_BUNDLE_SEGMENTS, `A bundle needs at least ${MIN_BUNDLE_SEGMENTS} segments`],
+        max: [MAX_BUNDLE_SEGMENTS, `A bundle cannot exceed ${MAX_BUNDLE_SEGMENTS} segments`]
+    },
+
+    // ==================== STATUS ====================
+    status: {
+        type: String,
+        enum: {
+            values: BUNDLE_STATUS,
+            message: 'Invalid bundle status: {VALUE}'
+        },
+        default: 'active',
+        index: true
+    },
+
+    // ==================== AUDIT FIELDS ====================
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Bundle creator reference is required']
+    },
+    lastModifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// ==================== MODEL EXPORT ====================
+
+/**
+ * Appointment Bundle Model
+ * @class AppointmentBundle
+ * @extends mongoose.Model
+ */
+const AppointmentBundle = mongoose.model('AppointmentBundle', appointmentBundleSchema);
+
+export default AppointmentBundle;
+
+export {
+    BUNDLE_STATUS,
+    MIN_BUNDLE_SEGMENTS,
+    MAX_BUNDLE_SEGMENTS
+};
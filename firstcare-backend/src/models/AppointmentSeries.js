@@ -0,0 +1,235 @@
+// firstcare-backend/src/models/AppointmentSeries.js
+
+/**
+ * Appointment Series Model for KZN Healthcare Appointment Booking System
+ *
+ * @file src/models/AppointmentSeries.js
+ * @description Recurring appointments for chronic care follow-ups and medication collection
+ *
+ * Features:
+ * - Weekly or monthly recurrence rule with a fixed number of occurrences
+ * - Same provider, facility and time for every occurrence
+ * - Occurrences are ordinary appointments linked back to the series
+ *
+ * @version 1.0.0
+ * @module AppointmentSeries
+ * @author Healthcare System - KZN Implementation
+ */
+
+import mongoose from 'mongoose';
+import { addMonths } from 'date-fns';
+import { MEDICAL_CATEGORIES, KZN_DISTRICTS } from './Appointment.js';
+import { TIME_PATTERN } from '../utils/scheduleUtils.js';
+import { addToClinicDate } from '../utils/timeZoneUtils.js';
+
+/**
+ * Recurrence Frequencies
+ * @constant {Array<string>} SERIES_FREQUENCIES
+ */
+const SERIES_FREQUENCIES = ['weekly', 'monthly'];
+
+/**
+ * Purpose of a recurring series
+ * @constant {Array<string>} SERIES_PURPOSES
+ */
+const SERIES_PURPOSES = [
+    'medication-collection',    // Monthly chronic medication pick-up
+    'follow-up'                 // Chronic condition review visit
+];
+
+/**
+ * Series Statuses
+ * @constant {Array<string>} SERIES_STATUS
+ */
+const SERIES_STATUS = ['active', 'cancelled'];
+
+/**
+ * Maximum number of occurrences in one series
+ * @constant {number} MAX_SERIES_OCCURRENCES
+ */
+const MAX_SERIES_OCCURRENCES = 12;
+
+/**
+ * Furthest ahead the last occurrence may fall, in months
+ * @constant {number} MAX_SERIES_SPAN_MONTHS
+ */
+const MAX_SERIES_SPAN_MONTHS = 12;
+
+/**
+ * Appointment Series Schema
+ * @typedef {Object} AppointmentSeriesSchema
+ * @property {mongoose.Types.ObjectId} user - Patient
+ * @property {string} purpose - Medication collection or follow-up
+ * @property {string} doctorId - Healthcare provider identifier
+ * @property {Date} startDate - Date of the first occurrence
+ * @property {string} time - Start time for every occurrence
+ * @property {Object} recurrence - Frequency, interval and number of occurrences
+ * @property {string} status - Series status
+ */
+const appointmentSeriesSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Patient user reference is required'],
+        index: true
+    },
+    purpose: {
+        type: String,
+        enum: {
+            values: SERIES_PURPOSES,
+            message: 'Invalid series purpose. Must be medication-collection or follow-up'
+        },
+        required: [true, 'Series purpose is required']
+    },
+
+    // ==================== PROVIDER ====================
+    doctor: {
+        type: String,
+        required: [true, 'Healthcare provider name is required'],
+        trim: true,
+        maxlength: [100, 'Doctor name cannot exceed 100 characters']
+    },
+    doctorId: {
+        type: String,
+        required: [true, 'Healthcare provider identifier is required'],
+        index: true
+    },
+    facility: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareFacility'
+    },
+    facilityName: {
+        type: String,
+        required: [true, 'Healthcare facility name is required'],
+        trim: true,
+        maxlength: [200, 'Facility name cannot exceed 200 characters']
+    },
+    district: {
+        type: String,
+        enum: {
+            values: KZN_DISTRICTS,
+            message: 'Invalid KZN health district. Must be one of: {VALUE}'
+        },
+        required: [true, 'KZN health district is required']
+    },
+    category: {
+        type: String,
+        enum: {
+            values: MEDICAL_CATEGORIES,
+            message: 'Invalid medical category. Must be one of: {VALUE}'
+        },
+        required: [true, 'Medical category is required']
+    },
+
+    // ==================== RECURRENCE RULE ====================
+    startDate: {
+        type: Date,
+        required: [true, 'Series start date is required']
+    },
+    time: {
+        type: String,
+        required: [true, 'Series appointment time is required'],
+        match: [TIME_PATTERN, 'Invalid time format. Please use HH:MM format (24-hour)']
+    },
+    recurrence: {
+        frequency: {
+            type: String,
+            enum: {
+                values: SERIES_FREQUENCIES,
+                message: 'Recurrence frequency must be weekly or monthly'
+            },
+            required: [true, 'Recurrence frequency is required']
+        },
+        interval: {
+            type: Number,
+            required: [true, 'Recurrence interval is required'],
+            min: [1, 'Recurrence interval must be at least 1'],
+            max: [12, 'Recurrence interval cannot exceed 12']
+        },
+        occurrences: {
+            type: Number,
+            required: [true, 'Number of occurrences is required'],
+            min: [2, 'A series needs at least 2 occurrences'],
+            max: [MAX_SERIES_OCCURRENCES, `A series cannot exceed ${MAX_SERIES_OCCURRENCES} occurrences`]
+        }
+    },
+
+    // ==================== STATUS ====================
+    status: {
+        type: String,
+        enum: {
+            values: SERIES_STATUS,
+            message: 'Invalid series status: {VALUE}'
+        },
+        default: 'active',
+        index: true
+    },
+
+    // ==================== AUDIT FIELDS ====================
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Series creator reference is required']
+    },
+    lastModifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Get the date of one occurrence
+ * @instance
+ * @param {number} index - Zero-based occurrence index
+ * @returns {Date} Occurrence date
+ */
+appointmentSeriesSchema.methods.getOccurrenceDate = function (index) {
+    const { frequency, interval } = this.recurrence;
+    return frequency === 'monthly'
+        ? addToClinicDate(this.startDate, { months: index * interval })
+        : addToClinicDate(this.startDate, { weeks: index * interval });
+};
+
+/**
+ * Get the dates of every occurrence in the series
+ * @instance
+ * @returns {Array<Date>} Occurrence dates in order
+ */
+appointmentSeriesSchema.methods.getOccurrenceDates = function () {
+    return Array.from({ length: this.recurrence.occurrences }, (_, index) => this.getOccurrenceDate(index));
+};
+
+/**
+ * Check the last occurrence falls within the booking horizon
+ * @instance
+ * @returns {boolean} True if every occurrence can be booked
+ */
+appointmentSeriesSchema.methods.isWithinBookingHorizon = function () {
+    const lastOccurrence = this.getOccurrenceDate(this.recurrence.occurrences - 1);
+    return lastOccurrence <= addMonths(new Date(), MAX_SERIES_SPAN_MONTHS);
+};
+
+// ==================== MODEL EXPORT ====================
+
+/**
+ * Appointment Series Model
+ * @class AppointmentSeries
+ * @extends mongoose.Model
+ */
+const AppointmentSeries = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
+
+export default AppointmentSeries;
+
+export {
+    SERIES_FREQUENCIES,
+    SERIES_PURPOSES,
+    SERIES_STATUS,
+    MAX_SERIES_OCCURRENCES,
+    MAX_SERIES_SPAN_MONTHS
+};
@@ -0,0 +1,307 @@
+/**
+ * Doctor Model
+ * Healthcare practitioners with stable identifiers and facility affiliations
+ *
+ * @module models/Doctor
+ * @version 1.0.0
+ * @description A doctor is a single record however many facilities they work at. Each affiliation
+ * carries the facility-specific consultation fee, weekly availability and whether the doctor is
+ * currently taking bookings there. Appointments, schedules, waitlists and provider accounts refer
+ * to doctors by their doctorId.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Medical specialties a doctor can be registered under
+ * @constant {Array<string>} DOCTOR_SPECIALTIES
+ */
+const DOCTOR_SPECIALTIES = [
+    'General Practitioner',
+    'Gynecologist',
+    'Dentist',
+    'Psychologist',
+    'Cardiologist',
+    'Ophthalmologist',
+    'Dermatologist',
+    'Orthopedic Surgeon',
+    'Physiotherapist',
+    'Pediatrician',
+    'Emergency Medicine',
+    'Radiologist'
+];
+
+/**
+ * Languages doctors can consult in
+ * @constant {Array<string>} DOCTOR_LANGUAGES
+ */
+const DOCTOR_LANGUAGES = ['english', 'zulu', 'afrikaans', 'xhosa', 'sotho', 'tswana'];
+
+/**
+ * Generate a stable doctor identifier
+ * @returns {string} Identifier such as doc_6650c0c5e1f2a3b4c5d6e7f8
+ */
+const generateDoctorId = () => `doc_${new mongoose.Types.ObjectId().toHexString()}`;
+
+const availabilitySchema = new mongoose.Schema({
+    monday: { open: String, close: String, closed: { type: Boolean, default: false } },
+    tuesday: { open: String, close: String, closed: { type: Boolean, default: false } },
+    wednesday: { open: String, close: String, closed: { type: Boolean, default: false } },
+    thursday: { open: String, close: String, closed: { type: Boolean, default: false } },
+    friday: { open: String, close: String, closed: { type: Boolean, default: false } },
+    saturday: { open: String, close: String, closed: { type: Boolean, default: false } },
+    sunday: { open: String, close: String, closed: { type: Boolean, default: false } }
+}, { _id: false });
+
+const affiliationSchema = new mongoose.Schema({
+    facility: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareFacility',
+        required: [true, 'Affiliated facility is required']
+    },
+    facilityName: {
+        type: String,
+        trim: true
+    },
+    district: String,
+    facilityType: String,
+    consultationFee: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    availability: availabilitySchema,
+    isAvailable: {
+        type: Boolean,
+        default: true
+    },
+    isPrimary: {
+        type: Boolean,
+        default: false
+    },
+    since: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+/**
+ * @typedef {Object} Doctor
+ * @property {string} doctorId - Stable identifier used on appointments and schedules
+ * @property {string} name - Full name
+ * @property {string} specialty - Registered specialty
+ * @property {Array<string>} qualifications - Degrees and diplomas
+ * @property {string} licenseNumber - HPCSA registration number
+ * @property {Array<string>} languages - Consultation languages
+ * @property {Array} affiliations - Facilities the doctor works at
+ * @property {number} rating - Average patient rating from verified visits
+ * @property {number} ratingsTotal - Number of patient ratings
+ * @property {boolean} isActive - Whether the doctor can be booked at all
+ */
+const doctorSchema = new mongoose.Schema({
+    doctorId: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        immutable: true,
+        default: generateDoctorId
+    },
+    name: {
+        type: String,
+        required: [true, 'Doctor name is required'],
+        trim: true,
+        maxlength: [100, 'Doctor name cannot exceed 100 characters']
+    },
+    specialty: {
+        type: String,
+        required: [true, 'Specialty is required'],
+        enum: {
+            values: DOCTOR_SPECIALTIES,
+            message: 'Invalid specialty: {VALUE}'
+        }
+    },
+    qualifications: [String],
+    licenseNumber: {
+        type: String,
+        uppercase: true,
+        set: value => (typeof value === 'string' ? value.replace(/\s+/g, '') : value),
+        unique: true,
+        sparse: true,
+        maxlength: [20, 'License number cannot exceed 20 characters']
+    },
+    languages: [{
+        type: String,
+        enum: DOCTOR_LANGUAGES
+    }],
+    affiliations: {
+        type: [affiliationSchema],
+        validate: {
+            validator: function (affiliations) {
+                const facilityIds = affiliations.map(affiliation => affiliation.facility.toString());
+                return new Set(facilityIds).size === facilityIds.length;
+            },
+            message: 'A doctor can only be affiliated with each facility once'
+        }
+    },
+    // Recomputed from published reviews of completed visits (see Review model)
+    rating: {
+        type: Number,
+        min: 0,
+        max: 5,
+        default: 0,
+        set: v => Math.round(v * 10) / 10 // Round to 1 decimal
+    },
+    ratingsTotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+doctorSchema.index({ 'affiliations.facility': 1, isActive: 1 });
+doctorSchema.index({ specialty: 1, isActive: 1 });
+doctorSchema.index({ name: 'text' });
+
+/**
+ * Find a doctor by stable identifier
+ * @param {string} doctorId - Doctor identifier
+ * @returns {Promise<Object|null>} Doctor document
+ */
+doctorSchema.statics.findByDoctorId = function (doctorId) {
+    return this.findOne({ doctorId });
+};
+
+/**
+ * Find the active doctors taking bookings at a facility
+ * @param {string} facilityId - Healthcare facility id
+ * @param {Object} doctorFilter - Further conditions on the doctor, e.g. { specialty, languages }
+ * @returns {Promise<Array>} Doctor documents
+ */
+doctorSchema.statics.findByFacility = function (facilityId, doctorFilter = {}) {
+    return this.find({
+        ...doctorFilter,
+        isActive: true,
+        affiliations: { $elemMatch: { facility: facilityId, isAvailable: true } }
+    }).sort({ name: 1 });
+};
+
+/**
+ * Get the facilities where matching doctors take bookings
+ * @param {Object} doctorFilter - Conditions on the doctor, e.g. { specialty }
+ * @param {Object} affiliationFilter - Conditions on the affiliation, e.g. { consultationFee: { $lte: 300 } }
+ * @returns {Promise<Array>} Facility ids
+ */
+doctorSchema.statics.findFacilityIds = async function (doctorFilter = {}, affiliationFilter = {}) {
+    const affiliationMatch = Object.fromEntries(
+        Object.entries(affiliationFilter).map(([field, condition]) => [`affiliations.${field}`, condition])
+    );
+
+    const results = await this.aggregate([
+        { $match: { isActive: true, ...doctorFilter } },
+        { $unwind: '$affiliations' },
+        { $match: { 'affiliations.isAvailable': true, ...affiliationMatch } },
+        { $group: { _id: '$affiliations.facility' } }
+    ]);
+
+    return results.map(result => result._id);
+};
+
+/**
+ * Record a doctor listed at a facility, merging with an existing record for the same doctor
+ * Existing records are matched by doctorId, then by license number, so a doctor listed at
+ * several facilities becomes one record with several affiliations.
+ * @param {Object} facility - Facility the doctor is listed at
+ * @param {Object} listing - Doctor listing (name, specialty, consultationFee, availability, ...)
+ * @returns {Promise<Object>} { doctor, created }
+ */
+doctorSchema.statics.affiliateFromListing = async function (facility, listing) {
+    const licenseNumber = listing.licenseNumber?.replace(/\s+/g, '').toUpperCase();
+
+    let doctor = listing.doctorId ? await this.findOne({ doctorId: listing.doctorId }) : null;
+    if (!doctor && licenseNumber) {
+        doctor = await this.findOne({ licenseNumber });
+    }
+
+    const created = !doctor;
+    if (!doctor) {
+        doctor = new this({
+            ...(listing.doctorId && { doctorId: listing.doctorId }),
+            name: listing.name,
+            specialty: listing.specialty,
+            qualifications: listing.qualifications || [],
+            licenseNumber,
+            languages: listing.languages || []
+        });
+    } else {
+        doctor.qualifications = [...new Set([...doctor.qualifications, ...(listing.qualifications || [])])];
+        doctor.languages = [...new Set([...doctor.languages, ...(listing.languages || [])])];
+        if (!doctor.licenseNumber && licenseNumber) doctor.licenseNumber = licenseNumber;
+    }
+
+    const affiliation = {
+        facility: facility._id,
+        facilityName: facility.name,
+        district: facility.district,
+        facilityType: facility.facilityType,
+        consultationFee: listing.consultationFee ?? 0,
+        availability: listing.availability,
+        isAvailable: listing.isAvailable !== false,
+        isPrimary: doctor.affiliations.length === 0
+    };
+
+    const existing = doctor.getAffiliation(facility._id);
+    if (existing) {
+        existing.set({ ...affiliation, isPrimary: existing.isPrimary });
+    } else {
+        doctor.affiliations.push(affiliation);
+    }
+
+    await doctor.save();
+    return { doctor, created };
+};
+
+/**
+ * Get the doctor's affiliation with a facility
+ * @param {string} facilityId - Healthcare facility id
+ * @returns {Object|null} Affiliation, or null if the doctor does not work there
+ */
+doctorSchema.methods.getAffiliation = function (facilityId) {
+    if (!facilityId) return null;
+    return this.affiliations.find(affiliation => affiliation.facility.toString() === facilityId.toString()) || null;
+};
+
+/**
+ * Describe the doctor as listed at one facility
+ * @param {Object} affiliation - One of the doctor's affiliations
+ * @returns {Object} Doctor details with the facility-specific fee and availability
+ */
+doctorSchema.methods.toListing = function (affiliation) {
+    return {
+        doctorId: this.doctorId,
+        name: this.name,
+        specialty: this.specialty,
+        qualifications: this.qualifications,
+        licenseNumber: this.licenseNumber,
+        languages: this.languages,
+        rating: this.rating,
+        ratingsTotal: this.ratingsTotal,
+        consultationFee: affiliation?.consultationFee ?? 0,
+        availability: affiliation?.availability,
+        isAvailable: this.isActive && affiliation?.isAvailable !== false
+    };
+};
+
+export default mongoose.model('Doctor', doctorSchema);
+
+export {
+    DOCTOR_SPECIALTIES,
+    DOCTOR_LANGUAGES,
+    generateDoctorId
+};
@@ -1,13 +1,22 @@
 /**
  * Unified Healthcare Facility Model
- * Combines facility and doctor data with geolocation capabilities
+ * Facility data with geolocation capabilities; doctors are Doctor records affiliated with facilities
  * 
  * @module models/HealthcareFacility
- * @version 2.0.0
+ * @version 3.0.0
  * @description Comprehensive healthcare facility schema with KZN district integration
  */
 
 import mongoose from 'mongoose';
+import { getWeekdayName, timeToMinutes } from '../utils/scheduleUtils.js';
+import { getPublicHoliday } from '../config/publicHolidays.js';
+import Doctor, { DOCTOR_LANGUAGES } from './Doctor.js';
+
+/**
+ * Facility types that can run a walk-in queue
+ * @constant {Array<string>} QUEUE_FACILITY_TYPES
+ */
+const QUEUE_FACILITY_TYPES = ['public-clinic', 'unjani-clinic'];
 
 const operatingHoursSchema = new mongoose.Schema({
     monday: { open: String, close: String, closed: { type: Boolean, default: false } },
@@ -48,48 +57,6 @@ const locationSchema = new mongoose.Schema({
     }
 }, { _id: false });
 
-const doctorSchema = new mongoose.Schema({
-    name: {
-        type: String,
-        required: true,
-        trim: true
-    },
-    specialty: {
-        type: String,
-        required: true,
-        enum: [
-            'General Practitioner',
-            'Gynecologist',
-            'Dentist',
-            'Psychologist',
-            'Cardiologist',
-            'Ophthalmologist',
-            'Dermatologist',
-            'Orthopedic Surgeon',
-            'Physiotherapist',
-            'Pediatrician',
-            'Emergency Medicine',
-            'Radiologist'
-        ]
-    },
-    qualifications: [String],
-    consultationFee: {
-        type: Number,
-        min: 0,
-        default: 0
-    },
-    availability: operatingHoursSchema,
-    languages: [{
-        type: String,
-        enum: ['english', 'zulu', 'afrikaans', 'xhosa', 'sotho', 'tswana']
-    }],
-    isAvailable: {
-        type: Boolean,
-        default: true
-    },
-    licenseNumber: String
-}, { _id: false });
-
 const healthcareFacilitySchema = new mongoose.Schema({
     // Core Identification
     name: {
@@ -159,8 +126,7 @@ const healthcareFacilitySchema = new mongoose.Schema({
         ]
     }],
 
-    // Medical Staff
-    doctors: [doctorSchema],
+    // Medical Staff (doctors are Doctor records affiliated with the facility)
     totalDoctors: {
         type: Number,
         default: 0,
@@ -172,13 +138,60 @@ const healthcareFacilitySchema = new mongoose.Schema({
 
     // Services & Operations
     operatingHours: operatingHoursSchema,
+    openOnPublicHolidays: {
+        type: Boolean,
+        default: false
+    },
     services: [{
         type: String,
         trim: true
     }],
     specialties: [String],
 
+    // Walk-in Queue (same-day tickets instead of fixed appointment times)
+    queueMode: {
+        enabled: {
+            type: Boolean,
+            default: false,
+            validate: {
+                validator: function (enabled) {
+                    return !enabled || QUEUE_FACILITY_TYPES.includes(this.facilityType);
+                },
+                message: 'Walk-in queues are only available at public and Unjani clinics'
+            }
+        },
+        averageServiceMinutes: {
+            type: Number,
+            min: [15, 'Average service time must be at least 15 minutes'],
+            max: [120, 'Average service time cannot exceed 120 minutes'],
+            default: 15
+        },
+        dailyTicketLimit: {
+            type: Number,
+            min: [1, 'Daily ticket limit must be at least 1']
+        }
+    },
+
+    // Interpreters on staff, reserved per appointment slot when the doctor does not speak the patient's language
+    interpreterServices: [{
+        _id: false,
+        language: {
+            type: String,
+            enum: {
+                values: DOCTOR_LANGUAGES,
+                message: 'Unsupported interpreter language: {VALUE}'
+            },
+            required: [true, 'Interpreter language is required']
+        },
+        interpreters: {
+            type: Number,
+            min: [0, 'Interpreter count cannot be negative'],
+            default: 1
+        }
+    }],
+
     // Quality & Verification
+    // Recomputed from published reviews of completed visits (see Review model)
     rating: {
         type: Number,
         min: 0,
@@ -250,15 +263,6 @@ healthcareFacilitySchema.virtual('formattedAddress').get(function () {
     return `${this.address}, ${this.subLocation}, ${this.district} District, KZN`;
 });
 
-// Virtual for doctor count by specialty
-healthcareFacilitySchema.virtual('doctorSpecialties').get(function () {
-    const specialties = {};
-    this.doctors.forEach(doctor => {
-        specialties[doctor.specialty] = (specialties[doctor.specialty] || 0) + 1;
-    });
-    return specialties;
-});
-
 /**
  * Find facilities near specified coordinates
  * @param {Array} coordinates - [longitude, latitude]
@@ -283,7 +287,7 @@ healthcareFacilitySchema.statics.findNearby = function (coordinates, maxDistance
 
     return this.find(query)
         .limit(100)
-        .select('name facilityType district address location rating doctors contact services');
+        .select('name facilityType district address location rating totalDoctors contact services');
 };
 
 /**
@@ -293,7 +297,7 @@ healthcareFacilitySchema.statics.findNearby = function (coordinates, maxDistance
  * @param {Object} options - Additional options
  * @returns {Promise} Query promise
  */
-healthcareFacilitySchema.statics.findByDistrictAndType = function (district, facilityType = null, options = {}) {
+healthcareFacilitySchema.statics.findByDistrictAndType = async function (district, facilityType = null, options = {}) {
     const {
         specialty = null,
         affordabilityTier = null,
@@ -308,7 +312,7 @@ healthcareFacilitySchema.statics.findByDistrictAndType = function (district, fac
 
     if (facilityType) query.facilityType = facilityType;
     if (affordabilityTier) query.affordabilityTier = affordabilityTier;
-    if (specialty) query['doctors.specialty'] = specialty;
+    if (specialty) query._id = { $in: await Doctor.findFacilityIds({ specialty }) };
 
     return this.find(query)
         .limit(limit)
@@ -321,10 +325,10 @@ healthcareFacilitySchema.statics.findByDistrictAndType = function (district, fac
  * @param {number} maxConsultationFee - Maximum consultation fee
  * @returns {Promise} Query promise
  */
-healthcareFacilitySchema.statics.findAffordable = function (district = null, maxConsultationFee = 500) {
+healthcareFacilitySchema.statics.findAffordable = async function (district = null, maxConsultationFee = 500) {
     const query = {
+        _id: { $in: await Doctor.findFacilityIds({}, { consultationFee: { $lte: maxConsultationFee } }) },
         affordabilityTier: { $in: ['low-cost', 'government'] },
-        'doctors.consultationFee': { $lte: maxConsultationFee },
         isActive: true,
         isVerified: true
     };
@@ -332,24 +336,108 @@ healthcareFacilitySchema.statics.findAffordable = function (district = null, max
     if (district) query.district = district;
 
     return this.find(query)
-        .sort({ 'doctors.consultationFee': 1, rating: -1 })
+        .sort({ 'estimatedCosts.consultation': 1, rating: -1 })
         .limit(100);
 };
 
 /**
- * Update doctor count when doctors array changes
+ * Recount the active doctors taking bookings at facilities
+ * Call after doctors or their affiliations change.
+ * @param {Array<string>} facilityIds - Facilities to recount
+ * @returns {Promise<void>}
  */
-healthcareFacilitySchema.pre('save', function (next) {
-    this.totalDoctors = this.doctors.length;
-    next();
-});
+healthcareFacilitySchema.statics.refreshDoctorCounts = async function (facilityIds) {
+    const uniqueIds = [...new Set(facilityIds.filter(Boolean).map(id => id.toString()))];
+
+    await Promise.all(uniqueIds.map(async (facilityId) => {
+        const totalDoctors = await Doctor.countDocuments({
+            isActive: true,
+            affiliations: { $elemMatch: { facility: facilityId, isAvailable: true } }
+        });
+        await this.updateOne({ _id: facilityId }, { $set: { totalDoctors } });
+    }));
+};
+
+/**
+ * Check whether the facility is closed for a whole day (public holiday or closed weekday)
+ * @param {Date} date - Date to check
+ * @returns {Object|null} Closure with code and message, or null if open that day
+ */
+healthcareFacilitySchema.methods.getClosureForDate = function (date) {
+    const holiday = getPublicHoliday(date);
+    if (holiday && !this.openOnPublicHolidays) {
+        return {
+            code: 'PUBLIC_HOLIDAY',
+            message: `${this.name} is closed on ${holiday.name} (${holiday.date})`,
+            holiday
+        };
+    }
+
+    const weekday = getWeekdayName(date);
+    if (this.operatingHours?.[weekday]?.closed) {
+        return {
+            code: 'FACILITY_CLOSED',
+            message: `${this.name} is closed on ${weekday}s`,
+            operatingHours: { day: weekday, closed: true }
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Get how many interpreters the facility has for a language
+ * @param {string} language - Patient language
+ * @returns {number} Interpreters who can be reserved at the same time
+ */
+healthcareFacilitySchema.methods.getInterpreterCount = function (language) {
+    return (this.interpreterServices || [])
+        .filter(service => service.language === language)
+        .reduce((total, service) => total + service.interpreters, 0);
+};
+
+/**
+ * Check whether an appointment can be booked within the facility's opening times
+ * @param {Date} date - Appointment date
+ * @param {string} time - Start time in HH:MM format
+ * @param {number} duration - Appointment length in minutes
+ * @returns {Object|null} Restriction with code and message, or null if bookable
+ */
+healthcareFacilitySchema.methods.getBookingRestriction = function (date, time, duration = 30) {
+    const closure = this.getClosureForDate(date);
+    if (closure) return closure;
+
+    // Facilities without published hours for the day are not restricted
+    const weekday = getWeekdayName(date);
+    const hours = this.operatingHours?.[weekday];
+    if (!hours?.open || !hours?.close) return null;
+
+    const opensAt = timeToMinutes(hours.open);
+    const closesAt = timeToMinutes(hours.close);
+    const start = timeToMinutes(time);
+    const end = start + duration;
+
+    // Hours that run past midnight are treated as open until the end of the day
+    const effectiveClose = closesAt <= opensAt ? 24 * 60 : closesAt;
+
+    if (start < opensAt || end > effectiveClose) {
+        return {
+            code: 'OUTSIDE_FACILITY_HOURS',
+            message: `${this.name} is open from ${hours.open} to ${hours.close} on ${weekday}s`,
+            operatingHours: { day: weekday, open: hours.open, close: hours.close }
+        };
+    }
+
+    return null;
+};
 
 // Text search index for facility name and address
 healthcareFacilitySchema.index({
     name: 'text',
     address: 'text',
-    subLocation: 'text',
-    'doctors.name': 'text'
+    subLocation: 'text'
 });
 
-export default mongoose.model('HealthcareFacility', healthcareFacilitySchema);
\ No newline at end of file
+export default mongoose.model('HealthcareFacility', healthcareFacilitySchema);
+
+export { QUEUE_FACILITY_TYPES };
\ No newline at end of file
@@ -0,0 +1,372 @@
+// firstcare-backend/src/models/Notification.js
+
+/**
+ * Notification Model for KZN Healthcare Appointment Booking System
+ *
+ * @file src/models/Notification.js
+ * @description Outbound patient notifications with delivery state and retry tracking
+ *
+ * Features:
+ * - Booking confirmations, 24-hour reminders and waitlist offers
+ * - Channel chosen from the patient's preferred communication setting
+ * - Message rendered in the patient's preferred language
+ * - Retries with exponential backoff and a per-attempt log
+ * - One notification per event (deduplicated by key)
+ *
+ * @version 1.0.0
+ * @module Notification
+ * @author Healthcare System - KZN Implementation
+ */
+
+import mongoose from 'mongoose';
+import { addMinutes } from 'date-fns';
+import Appointment from './Appointment.js';
+import { NOTIFICATION_TYPES, renderNotification } from '../config/notificationTemplates.js';
+import { getTransport } from '../config/notificationTransports.js';
+
+/**
+ * Delivery Channels
+ * @constant {Array<string>} NOTIFICATION_CHANNELS
+ */
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'whatsapp', 'in-app'];
+
+/**
+ * Delivery Statuses
+ * @constant {Array<string>} NOTIFICATION_STATUS
+ */
+const NOTIFICATION_STATUS = [
+    'pending',      // Waiting for its next delivery attempt
+    'sent',         // Accepted by the transport (or stored for in-app display)
+    'failed',       // Gave up after the maximum number of attempts
+    'skipped'       // Not sent, e.g. reminders switched off or no contact details
+];
+
+/**
+ * Maximum delivery attempts before a notification is marked failed
+ * @constant {number} MAX_DELIVERY_ATTEMPTS
+ */
+const MAX_DELIVERY_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+
+/**
+ * First retry delay in minutes; doubles with each failed attempt
+ * @constant {number} RETRY_BASE_MINUTES
+ */
+const RETRY_BASE_MINUTES = 2;
+
+/**
+ * Appointment flag set once each notification type is delivered
+ * @constant {Object} APPOINTMENT_SENT_FLAGS
+ */
+const APPOINTMENT_SENT_FLAGS = {
+    'booking-confirmation': () => ({ confirmationSent: true }),
+    'appointment-reminder': () => ({ reminderSent: true, reminderDate: new Date() })
+};
+
+/**
+ * Pick the delivery channel and recipient for a patient
+ * Phone-call preferences receive an SMS to the same number; SMS and WhatsApp fall back to email without a phone number.
+ * @param {Object} user - Patient user document
+ * @returns {Object} Channel and recipient address
+ */
+const resolveChannel = (user) => {
+    const preference = user.healthcarePreferences?.preferredCommunication || 'sms';
+
+    if (preference === 'in-app') {
+        return { channel: 'in-app', recipient: user._id.toString() };
+    }
+
+    if (preference === 'email') {
+        return { channel: 'email', recipient: user.email };
+    }
+
+    const channel = preference === 'whatsapp' ? 'whatsapp' : 'sms';
+    return user.phoneNumber
+        ? { channel, recipient: user.phoneNumber }
+        : { channel: 'email', recipient: user.email };
+};
+
+/**
+ * Notification Schema
+ * @typedef {Object} NotificationSchema
+ * @property {mongoose.Types.ObjectId} user - Patient receiving the notification
+ * @property {string} type - Notification type
+ * @property {string} channel - Delivery channel
+ * @property {string} recipient - Email address, phone number or user id (in-app)
+ * @property {string} language - Language the message was rendered in
+ * @property {string} status - Delivery status
+ * @property {number} attempts - Delivery attempts made
+ * @property {Date} nextAttemptAt - When the next attempt is due
+ * @property {Array} deliveryLog - Outcome of every attempt
+ * @property {string} dedupeKey - Unique key for the event being notified
+ */
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Notification recipient is required'],
+        index: true
+    },
+    appointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+    waitlistEntry: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WaitlistEntry'
+    },
+    type: {
+        type: String,
+        required: [true, 'Notification type is required'],
+        enum: {
+            values: NOTIFICATION_TYPES,
+            message: 'Invalid notification type: {VALUE}'
+        }
+    },
+    channel: {
+        type: String,
+        required: [true, 'Notification channel is required'],
+        enum: {
+            values: NOTIFICATION_CHANNELS,
+            message: 'Invalid notification channel: {VALUE}'
+        }
+    },
+    recipient: {
+        type: String,
+        trim: true
+    },
+    language: {
+        type: String,
+        default: 'english'
+    },
+    subject: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Subject cannot exceed 200 characters']
+    },
+    text: {
+        type: String,
+        required: [true, 'Notification text is required'],
+        maxlength: [2000, 'Notification text cannot exceed 2000 characters']
+    },
+
+    // ==================== DELIVERY STATE ====================
+    status: {
+        type: String,
+        enum: {
+            values: NOTIFICATION_STATUS,
+            message: 'Invalid notification status: {VALUE}'
+        },
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: MAX_DELIVERY_ATTEMPTS
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastError: {
+        type: String,
+        maxlength: [500, 'Error message cannot exceed 500 characters']
+    },
+    sentAt: Date,
+    transport: String,
+    providerMessageId: String,
+    skipReason: String,
+    deliveryLog: [{
+        attemptedAt: {
+            type: Date,
+            default: Date.now
+        },
+        transport: String,
+        success: Boolean,
+        error: String
+    }],
+    readAt: Date,
+    dedupeKey: {
+        type: String,
+        required: [true, 'Notification dedupe key is required'],
+        unique: true
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== DATABASE INDEXES ====================
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });       // Delivery queue
+notificationSchema.index({ appointment: 1, type: 1 });           // Per-appointment lookups
+notificationSchema.index({ user: 1, createdAt: -1 });            // Patient inbox
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Record a successful delivery and flag the appointment
+ * @instance
+ * @param {Object} result - Transport result
+ * @param {string} result.transport - Transport name
+ * @param {string} result.messageId - Provider message id
+ */
+notificationSchema.methods.markSent = async function ({ transport, messageId = null }) {
+    this.status = 'sent';
+    this.sentAt = new Date();
+    this.transport = transport;
+    this.providerMessageId = messageId;
+    this.lastError = undefined;
+
+    const sentFlags = APPOINTMENT_SENT_FLAGS[this.type];
+    if (this.appointment && sentFlags) {
+        await Appointment.updateOne({ _id: this.appointment }, { $set: sentFlags() });
+    }
+};
+
+/**
+ * Attempt delivery through the channel's transport
+ * Failures are recorded and retried with exponential backoff until maxAttempts is reached.
+ * Notifications a logging transport accepted without delivering are recorded as skipped.
+ * @instance
+ * @returns {Promise<boolean>} True if the notification was sent
+ */
+notificationSchema.methods.deliver = async function () {
+    const transport = getTransport(this.channel);
+    this.attempts += 1;
+
+    try {
+        const { messageId, delivered = true } = await transport.send({
+            channel: this.channel,
+            to: this.recipient,
+            subject: this.subject,
+            text: this.text
+        });
+
+        this.deliveryLog.push({ transport: transport.name, success: delivered });
+
+        if (!delivered) {
+            this.status = 'skipped';
+            this.skipReason = `No ${this.channel} provider configured`;
+            this.transport = transport.name;
+            this.providerMessageId = messageId;
+            await this.save();
+            return false;
+        }
+
+        await this.markSent({ transport: transport.name, messageId });
+        await this.save();
+        return true;
+
+    } catch (error) {
+        const message = (error.message || String(error)).slice(0, 500);
+
+        this.deliveryLog.push({ transport: transport.name, success: false, error: message });
+        this.lastError = message;
+
+        if (this.attempts >= this.maxAttempts) {
+            this.status = 'failed';
+            console.error(`Notification ${this._id} failed after ${this.attempts} attempts:`, message);
+        } else {
+            this.nextAttemptAt = addMinutes(new Date(), RETRY_BASE_MINUTES * 2 ** (this.attempts - 1));
+        }
+
+        await this.save();
+        return false;
+    }
+};
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Queue a notification for a patient
+ * The channel and language come from the patient's preferences. In-app notifications are
+ * stored as sent straight away; everything else is delivered by the notification job.
+ * @static
+ * @param {Object} options - Notification details
+ * @param {string} options.type - Notification type
+ * @param {Object} options.user - Patient user document
+ * @param {string} options.dedupeKey - Unique key for the event
+ * @param {Object} options.params - Template values
+ * @param {string} options.appointment - Related appointment id
+ * @param {string} options.waitlistEntry - Related waitlist entry id
+ * @param {string} options.skipReason - Record the notification as skipped with this reason
+ * @returns {Promise<Object|null>} Notification, or null if one was already queued for the event
+ */
+notificationSchema.statics.queue = async function ({ type, user, dedupeKey, params, appointment, waitlistEntry, skipReason = null }) {
+    const { channel, recipient } = resolveChannel(user);
+    const message = renderNotification(type, user.preferredLanguage, {
+        patientName: user.firstName,
+        ...params
+    });
+
+    const notification = new this({
+        user: user._id,
+        appointment,
+        waitlistEntry,
+        type,
+        channel,
+        recipient,
+        ...message,
+        dedupeKey
+    });
+
+    if (skipReason) {
+        notification.status = 'skipped';
+        notification.skipReason = skipReason;
+    } else if (channel === 'in-app') {
+        notification.deliveryLog.push({ transport: 'in-app', success: true });
+        await notification.markSent({ transport: 'in-app' });
+    }
+
+    try {
+        return await notification.save();
+    } catch (error) {
+        // Another run already queued this event
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+/**
+ * Deliver notifications that are due
+ * @static
+ * @param {number} limit - Maximum notifications to attempt in one run
+ * @returns {Promise<Object>} Counts of sent, skipped and failed attempts
+ */
+notificationSchema.statics.deliverDue = async function (limit = 50) {
+    const due = await this.find({
+        status: 'pending',
+        nextAttemptAt: { $lte: new Date() }
+    })
+        .sort({ nextAttemptAt: 1 })
+        .limit(limit);
+
+    let sent = 0;
+    let skipped = 0;
+    for (const notification of due) {
+        if (await notification.deliver()) sent += 1;
+        else if (notification.status === 'skipped') skipped += 1;
+    }
+
+    return { sent, skipped, failed: due.length - sent - skipped };
+};
+
+// ==================== MODEL EXPORT ====================
+
+/**
+ * Notification Model
+ * @class Notification
+ * @extends mongoose.Model
+ */
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
+
+export {
+    NOTIFICATION_CHANNELS,
+    NOTIFICATION_STATUS,
+    MAX_DELIVERY_ATTEMPTS
+};
@@ -0,0 +1,367 @@
+// firstcare-backend/src/models/ProviderSchedule.js
+
+/**
+ * Provider Schedule Model for KZN Healthcare Appointment Booking System
+ *
+ * @file src/models/ProviderSchedule.js
+ * @description Per-doctor working schedule used for slot generation and booking validation
+ *
+ * Features:
+ * - Weekly working blocks per weekday
+ * - Slot length per medical category
+ * - Recurring breaks (e.g. lunch)
+ * - Date-specific exceptions: leave, public holidays and extra sessions
+ * - Default schedule for providers that have not configured one
+ *
+ * @version 1.0.0
+ * @module ProviderSchedule
+ * @author Healthcare System - KZN Implementation
+ */
+
+import mongoose from 'mongoose';
+import { toClinicDateString } from '../utils/timeZoneUtils.js';
+import {
+    WEEKDAYS,
+    TIME_PATTERN,
+    timeToMinutes,
+    minutesToTime,
+    getWeekdayName,
+    subtractIntervals,
+    mergeIntervals
+} from '../utils/scheduleUtils.js';
+
+/**
+ * Medical Categories that can carry their own slot length
+ * @constant {Array<string>} MEDICAL_CATEGORIES
+ */
+const MEDICAL_CATEGORIES = [
+    'Cardiologist',
+    'Dentist',
+    'General Practitioner',
+    'Obstetrician-Gynecologist',
+    'Ophthalmologist',
+    'Psychologist',
+    'Pediatrician',
+    'Dermatologist',
+    'Orthopedic Surgeon',
+    'Physiotherapist',
+    'Emergency Care'
+];
+
+/**
+ * Schedule Exception Types
+ * @constant {Array<string>} EXCEPTION_TYPES
+ */
+const EXCEPTION_TYPES = [
+    'leave',            // Provider unavailable (whole day or part of day)
+    'public-holiday',   // Facility closed for the provider
+    'extra-session'     // Additional working block outside the weekly schedule
+];
+
+/**
+ * Default weekly schedule applied when a provider has none configured.
+ * Matches the historical 08:00-11:30 / 14:00-16:30 slot list.
+ * @constant {Object} DEFAULT_SCHEDULE
+ */
+const DEFAULT_SCHEDULE = {
+    weeklyBlocks: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].map(dayOfWeek => ({
+        dayOfWeek,
+        start: '08:00',
+        end: '17:00'
+    })),
+    breaks: [{ start: '12:00', end: '14:00', label: 'Lunch' }],
+    defaultSlotDuration: 30
+};
+
+const timeField = (label, required = true) => ({
+    type: String,
+    required: required ? [true, `${label} is required`] : false,
+    match: [TIME_PATTERN, `${label} must be in HH:MM format (24-hour)`]
+});
+
+/**
+ * Validate that an interval ends after it starts
+ * @this {Object} Subdocument with start and end
+ * @returns {boolean}
+ */
+function endsAfterStart() {
+    if (!this.start || !this.end) return true;
+    return timeToMinutes(this.end) > timeToMinutes(this.start);
+}
+
+const weeklyBlockSchema = new mongoose.Schema({
+    dayOfWeek: {
+        type: String,
+        required: [true, 'Day of week is required'],
+        enum: {
+            values: WEEKDAYS,
+            message: 'Invalid day of week: {VALUE}'
+        }
+    },
+    start: timeField('Block start time'),
+    end: {
+        ...timeField('Block end time'),
+        validate: {
+            validator: function () { return endsAfterStart.call(this); },
+            message: 'Block end time must be after start time'
+        }
+    }
+}, { _id: false });
+
+const breakSchema = new mongoose.Schema({
+    dayOfWeek: {
+        type: String,
+        enum: {
+            values: WEEKDAYS,
+            message: 'Invalid day of week: {VALUE}'
+        }
+    },
+    start: timeField('Break start time'),
+    end: {
+        ...timeField('Break end time'),
+        validate: {
+            validator: function () { return endsAfterStart.call(this); },
+            message: 'Break end time must be after start time'
+        }
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Break label cannot exceed 50 characters'],
+        default: 'Break'
+    }
+}, { _id: false });
+
+const slotDurationSchema = new mongoose.Schema({
+    category: {
+        type: String,
+        required: [true, 'Medical category is required for slot duration'],
+        enum: {
+            values: MEDICAL_CATEGORIES,
+            message: 'Invalid medical category: {VALUE}'
+        }
+    },
+    minutes: {
+        type: Number,
+        required: [true, 'Slot length in minutes is required'],
+        min: [15, 'Minimum slot length is 15 minutes'],
+        max: [240, 'Maximum slot length is 240 minutes']
+    }
+}, { _id: false });
+
+const exceptionSchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: [true, 'Exception date is required']
+    },
+    type: {
+        type: String,
+        required: [true, 'Exception type is required'],
+        enum: {
+            values: EXCEPTION_TYPES,
+            message: 'Invalid exception type. Must be one of: leave, public-holiday, extra-session'
+        }
+    },
+    start: timeField('Exception start time', false),
+    end: {
+        ...timeField('Exception end time', false),
+        validate: {
+            validator: function () { return endsAfterStart.call(this); },
+            message: 'Exception end time must be after start time'
+        }
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Exception reason cannot exceed 200 characters'],
+        default: ''
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
+/**
+ * Provider Schedule Schema
+ * @typedef {Object} ProviderScheduleSchema
+ * @property {string} doctorId - Provider identifier used on appointments
+ * @property {string} doctorName - Provider display name
+ * @property {mongoose.Types.ObjectId} facility - Facility the schedule applies to
+ * @property {Array} weeklyBlocks - Recurring working blocks per weekday
+ * @property {Array} breaks - Recurring breaks removed from working blocks
+ * @property {number} defaultSlotDuration - Slot length when no category override exists
+ * @property {Array} slotDurations - Slot length overrides per medical category
+ * @property {Array} exceptions - Date-specific leave, holidays and extra sessions
+ * @property {Array} managedBy - Users allowed to edit the schedule
+ * @property {boolean} isActive - Whether the schedule is in use
+ */
+const providerScheduleSchema = new mongoose.Schema({
+    doctorId: {
+        type: String,
+        required: [true, 'Healthcare provider identifier is required'],
+        unique: true,
+        trim: true
+    },
+    doctorName: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Doctor name cannot exceed 100 characters']
+    },
+    facility: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareFacility',
+        index: true
+    },
+    weeklyBlocks: [weeklyBlockSchema],
+    breaks: [breakSchema],
+    defaultSlotDuration: {
+        type: Number,
+        default: 30,
+        min: [15, 'Minimum slot length is 15 minutes'],
+        max: [240, 'Maximum slot length is 240 minutes']
+    },
+    slotDurations: [slotDurationSchema],
+    exceptions: [exceptionSchema],
+    managedBy: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastModifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+providerScheduleSchema.index({ 'exceptions.date': 1 });
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Get exceptions that fall on a given date
+ * @instance
+ * @param {Date} date - Target date
+ * @returns {Array} Exceptions for that date
+ */
+providerScheduleSchema.methods.getExceptionsForDate = function (date) {
+    const dayKey = toClinicDateString(date);
+    return this.exceptions.filter(exception => toClinicDateString(exception.date) === dayKey);
+};
+
+/**
+ * Get slot length for a medical category
+ * @instance
+ * @param {string} category - Medical category
+ * @returns {number} Slot length in minutes
+ */
+providerScheduleSchema.methods.getSlotDuration = function (category) {
+    const override = this.slotDurations.find(slot => slot.category === category);
+    return override ? override.minutes : this.defaultSlotDuration;
+};
+
+/**
+ * Resolve working intervals for a date after breaks and exceptions
+ * @instance
+ * @param {Date} date - Target date
+ * @returns {Array<Object>} Working intervals with start and end in minutes
+ */
+providerScheduleSchema.methods.getWorkingIntervals = function (date) {
+    const weekday = getWeekdayName(date);
+    const exceptions = this.getExceptionsForDate(date);
+    const toInterval = (item) => ({ start: timeToMinutes(item.start), end: timeToMinutes(item.end) });
+
+    // Whole-day leave or a public holiday closes the day entirely
+    const closedAllDay = exceptions.some(exception =>
+        exception.type !== 'extra-session' && (!exception.start || !exception.end)
+    );
+    if (closedAllDay) return [];
+
+    const blocks = this.weeklyBlocks
+        .filter(block => block.dayOfWeek === weekday)
+        .map(toInterval);
+
+    const breaks = this.breaks
+        .filter(item => !item.dayOfWeek || item.dayOfWeek === weekday)
+        .map(toInterval);
+
+    const extraSessions = exceptions
+        .filter(exception => exception.type === 'extra-session' && exception.start && exception.end)
+        .map(toInterval);
+
+    const partialLeave = exceptions
+        .filter(exception => exception.type !== 'extra-session')
+        .map(toInterval);
+
+    const working = mergeIntervals([...subtractIntervals(blocks, breaks), ...extraSessions]);
+    return subtractIntervals(working, partialLeave);
+};
+
+/**
+ * Check whether an appointment fits inside the working intervals for a date
+ * @instance
+ * @param {Date} date - Appointment date
+ * @param {string} time - Start time in HH:MM format
+ * @param {number} duration - Appointment length in minutes
+ * @returns {boolean} True if the whole appointment falls within working time
+ */
+providerScheduleSchema.methods.isWithinSchedule = function (date, time, duration) {
+    const start = timeToMinutes(time);
+    const end = start + duration;
+    return this.getWorkingIntervals(date).some(interval => start >= interval.start && end <= interval.end);
+};
+
+/**
+ * Generate candidate slot start times for a date
+ * @instance
+ * @param {Date} date - Target date
+ * @param {number} duration - Slot length in minutes
+ * @returns {Array<string>} Slot start times in HH:MM format
+ */
+providerScheduleSchema.methods.generateSlotTimes = function (date, duration) {
+    const slots = [];
+    for (const interval of this.getWorkingIntervals(date)) {
+        for (let start = interval.start; start + duration <= interval.end; start += duration) {
+            slots.push(minutesToTime(start));
+        }
+    }
+    return slots;
+};
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Find the active schedule for a provider, falling back to the default schedule
+ * @static
+ * @param {string} doctorId - Healthcare provider identifier
+ * @returns {Promise<Object>} Saved schedule or an unsaved default schedule document
+ */
+providerScheduleSchema.statics.resolveForDoctor = async function (doctorId) {
+    const schedule = await this.findOne({ doctorId, isActive: true });
+    if (schedule) return schedule;
+
+    return new this({ doctorId, ...DEFAULT_SCHEDULE });
+};
+
+// ==================== MODEL EXPORT ====================
+
+/**
+ * Provider Schedule Model
+ * @class ProviderSchedule
+ * @extends mongoose.Model
+ */
+const ProviderSchedule = mongoose.model('ProviderSchedule', providerScheduleSchema);
+
+export default ProviderSchedule;
+
+export {
+    EXCEPTION_TYPES,
+    DEFAULT_SCHEDULE
+};
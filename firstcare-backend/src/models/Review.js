@@ -0,0 +1,298 @@
+// firstcare-backend/src/models/Review.js
+
+/**
+ * Review Model for KZN Healthcare Appointment Booking System
+ *
+ * @file src/models/Review.js
+ * @description Post-visit patient ratings and reviews of doctors and facilities
+ *
+ * Features:
+ * - One review per completed appointment, so every rating comes from a verified visit
+ * - Separate facility and doctor ratings (1-5 stars) with an optional comment
+ * - Comments are moderated before they are published; ratings without a comment publish straight away
+ * - Facility and doctor ratings recomputed from published reviews
+ * - Review summaries (average, rating breakdown and recent comments) for facility search
+ *
+ * @version 1.0.0
+ * @module Review
+ * @author Healthcare System - KZN Implementation
+ */
+
+import mongoose from 'mongoose';
+import HealthcareFacility from './HealthcareFacility.js';
+import Doctor from './Doctor.js';
+
+/**
+ * Review Moderation Statuses
+ * @constant {Array<string>} REVIEW_STATUS
+ */
+const REVIEW_STATUS = [
+    'pending',      // Comment waiting for moderation; rating not yet counted
+    'published',    // Shown publicly and counted in ratings
+    'rejected'      // Hidden and not counted
+];
+
+/**
+ * Days after a visit is completed during which the patient can review it
+ * @constant {number} REVIEW_WINDOW_DAYS
+ */
+const REVIEW_WINDOW_DAYS = Number(process.env.REVIEW_WINDOW_DAYS) || 90;
+
+/**
+ * Published comments included in each facility review summary
+ * @constant {number} SUMMARY_RECENT_COMMENTS
+ */
+const SUMMARY_RECENT_COMMENTS = 2;
+
+const starRating = (label) => ({
+    type: Number,
+    min: [1, `${label} rating must be between 1 and 5`],
+    max: [5, `${label} rating must be between 1 and 5`],
+    validate: {
+        validator: Number.isInteger,
+        message: `${label} rating must be a whole number of stars`
+    }
+});
+
+/**
+ * Review Schema
+ * @typedef {Object} ReviewSchema
+ * @property {mongoose.Types.ObjectId} appointment - Completed appointment being reviewed
+ * @property {mongoose.Types.ObjectId} user - Patient who attended the visit
+ * @property {mongoose.Types.ObjectId} facility - Facility visited
+ * @property {string} doctorId - Doctor seen, if known
+ * @property {number} facilityRating - Facility rating (1-5)
+ * @property {number} doctorRating - Doctor rating (1-5)
+ * @property {string} comment - Optional review text
+ * @property {string} status - Moderation status
+ * @property {Date} visitDate - Date of the visit
+ */
+const reviewSchema = new mongoose.Schema({
+    appointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment',
+        required: [true, 'Reviewed appointment is required'],
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Reviewing patient is required'],
+        index: true
+    },
+    facility: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareFacility',
+        required: [true, 'Reviewed facility is required']
+    },
+    facilityName: {
+        type: String,
+        trim: true
+    },
+    doctorId: {
+        type: String,
+        index: true
+    },
+    doctorName: {
+        type: String,
+        trim: true
+    },
+    district: String,
+    category: String,
+    visitDate: {
+        type: Date,
+        required: [true, 'Visit date is required']
+    },
+
+    // ==================== RATINGS ====================
+    facilityRating: {
+        ...starRating('Facility'),
+        required: [true, 'Facility rating is required']
+    },
+    doctorRating: {
+        ...starRating('Doctor'),
+        validate: {
+            validator: function (rating) {
+                return rating == null || (Boolean(this.doctorId) && Number.isInteger(rating));
+            },
+            message: 'A doctor rating needs a whole number of stars and a visit with a known doctor'
+        }
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Review comment cannot exceed 1000 characters']
+    },
+
+    // ==================== MODERATION ====================
+    status: {
+        type: String,
+        enum: {
+            values: REVIEW_STATUS,
+            message: 'Invalid review status: {VALUE}'
+        },
+        default: 'pending'
+    },
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    moderatedAt: Date,
+    moderationNotes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Moderation notes cannot exceed 500 characters']
+    },
+    publishedAt: Date
+}, {
+    timestamps: true
+});
+
+// ==================== DATABASE INDEXES ====================
+
+reviewSchema.index({ facility: 1, status: 1, publishedAt: -1 });   // Facility ratings and public listing
+reviewSchema.index({ status: 1, createdAt: 1 });                   // Moderation queue
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Record a moderation decision
+ * @instance
+ * @param {string} decision - published or rejected
+ * @param {mongoose.Types.ObjectId} moderatedBy - Admin making the decision
+ * @param {string} notes - Reason or notes
+ * @returns {void}
+ */
+reviewSchema.methods.moderate = function (decision, moderatedBy, notes = '') {
+    this.status = decision;
+    this.moderatedBy = moderatedBy;
+    this.moderatedAt = new Date();
+    this.moderationNotes = notes || undefined;
+    this.publishedAt = decision === 'published' ? this.moderatedAt : undefined;
+};
+
+/**
+ * Describe the review for public listings, without the patient's identity
+ * @instance
+ * @returns {Object} Ratings, comment and visit details
+ */
+reviewSchema.methods.toPublicReview = function () {
+    return {
+        id: this._id,
+        facilityRating: this.facilityRating,
+        doctorRating: this.doctorRating ?? null,
+        doctorName: this.doctorName || null,
+        comment: this.comment || null,
+        category: this.category,
+        visitDate: this.visitDate,
+        publishedAt: this.publishedAt,
+        verifiedVisit: true
+    };
+};
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Recompute a facility's stored rating from its published reviews
+ * @static
+ * @param {mongoose.Types.ObjectId} facilityId - Facility to recompute
+ * @returns {Promise<Object>} { rating, userRatingsTotal }
+ */
+reviewSchema.statics.refreshFacilityRating = async function (facilityId) {
+    const [stats] = await this.aggregate([
+        { $match: { facility: new mongoose.Types.ObjectId(String(facilityId)), status: 'published' } },
+        { $group: { _id: null, average: { $avg: '$facilityRating' }, total: { $sum: 1 } } }
+    ]);
+
+    const ratings = { rating: stats?.average || 0, userRatingsTotal: stats?.total || 0 };
+    await HealthcareFacility.updateOne({ _id: facilityId }, { $set: ratings });
+    return ratings;
+};
+
+/**
+ * Recompute a doctor's stored rating from published reviews of visits with them
+ * @static
+ * @param {string} doctorId - Doctor to recompute
+ * @returns {Promise<Object>} { rating, ratingsTotal }
+ */
+reviewSchema.statics.refreshDoctorRating = async function (doctorId) {
+    const [stats] = await this.aggregate([
+        { $match: { doctorId, status: 'published', doctorRating: { $gte: 1 } } },
+        { $group: { _id: null, average: { $avg: '$doctorRating' }, total: { $sum: 1 } } }
+    ]);
+
+    const ratings = { rating: stats?.average || 0, ratingsTotal: stats?.total || 0 };
+    await Doctor.updateOne({ doctorId }, { $set: ratings });
+    return ratings;
+};
+
+/**
+ * Recompute the facility and doctor ratings a review counts towards
+ * @static
+ * @param {Object} review - Review document
+ * @returns {Promise<void>}
+ */
+reviewSchema.statics.refreshRatingsFor = async function (review) {
+    await this.refreshFacilityRating(review.facility);
+    if (review.doctorId) await this.refreshDoctorRating(review.doctorId);
+};
+
+/**
+ * Summarise published reviews for facilities
+ * @static
+ * @param {Array<mongoose.Types.ObjectId>} facilityIds - Facilities to summarise
+ * @returns {Promise<Map>} Summary by facility id: averageRating, reviewCount, ratingBreakdown and recentComments
+ */
+reviewSchema.statics.getFacilitySummaries = async function (facilityIds) {
+    const ids = facilityIds.map(id => new mongoose.Types.ObjectId(String(id)));
+
+    const results = await this.aggregate([
+        { $match: { facility: { $in: ids }, status: 'published' } },
+        { $sort: { publishedAt: -1 } },
+        {
+            $group: {
+                _id: '$facility',
+                averageRating: { $avg: '$facilityRating' },
+                reviewCount: { $sum: 1 },
+                ratings: { $push: '$facilityRating' },
+                comments: {
+                    $push: {
+                        $cond: [
+                            { $gt: [{ $strLenCP: { $ifNull: ['$comment', ''] } }, 0] },
+                            { rating: '$facilityRating', comment: '$comment', category: '$category', publishedAt: '$publishedAt' },
+                            '$$REMOVE'
+                        ]
+                    }
+                }
+            }
+        }
+    ]);
+
+    return new Map(results.map(result => {
+        const ratingBreakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        result.ratings.forEach(rating => { ratingBreakdown[rating] += 1; });
+
+        return [result._id.toString(), {
+            averageRating: Math.round(result.averageRating * 10) / 10,
+            reviewCount: result.reviewCount,
+            ratingBreakdown,
+            recentComments: result.comments.slice(0, SUMMARY_RECENT_COMMENTS)
+        }];
+    }));
+};
+
+// ==================== MODEL EXPORT ====================
+
+/**
+ * Review Model
+ * @class Review
+ * @extends mongoose.Model
+ */
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
+
+export {
+    REVIEW_STATUS,
+    REVIEW_WINDOW_DAYS
+};
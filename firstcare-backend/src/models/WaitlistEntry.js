@@ -0,0 +1,510 @@
+// firstcare-backend/src/models/WaitlistEntry.js
+
+/**
+ * Waitlist Entry Model for KZN Healthcare Appointment Booking System
+ *
+ * @file src/models/WaitlistEntry.js
+ * @description Patients waiting for a slot with a fully booked healthcare provider
+ *
+ * Features:
+ * - Waitlist per provider, date range and urgency
+ * - Freed slots offered to the highest priority patient
+ * - Time-limited hold on offered slots
+ * - Expired or declined offers passed on to the next patient
+ *
+ * @version 1.0.0
+ * @module WaitlistEntry
+ * @author Healthcare System - KZN Implementation
+ */
+
+import mongoose from 'mongoose';
+import { addMinutes } from 'date-fns';
+import Appointment, {
+    KZN_DISTRICTS,
+    FACILITY_TYPES,
+    MEDICAL_CATEGORIES,
+    URGENCY_LEVELS
+} from './Appointment.js';
+import { TIME_PATTERN, timeToMinutes, intervalsOverlap } from '../utils/scheduleUtils.js';
+import { toClinicDateString, startOfClinicDay, addToClinicDate } from '../utils/timeZoneUtils.js';
+import { publishToUser, publishAvailability, hasListeners } from '../utils/eventHub.js';
+
+/**
+ * Waitlist Entry Statuses
+ * @constant {Array<string>} WAITLIST_STATUS
+ */
+const WAITLIST_STATUS = [
+    'waiting',      // Waiting for a freed slot
+    'offered',      // A freed slot is being held for the patient
+    'booked',       // Patient accepted an offer and has an appointment
+    'expired',      // Requested date range passed without a booking
+    'cancelled'     // Patient left the waitlist
+];
+
+/**
+ * Statuses that still take part in slot offers
+ * @constant {Array<string>} OPEN_WAITLIST_STATUSES
+ */
+const OPEN_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Minutes a freed slot is held for the offered patient
+ * @constant {number} OFFER_HOLD_MINUTES
+ */
+const OFFER_HOLD_MINUTES = Number(process.env.WAITLIST_OFFER_HOLD_MINUTES) || 120;
+
+/**
+ * Longest date range a patient may wait for, in days
+ * @constant {number} MAX_WAITLIST_RANGE_DAYS
+ */
+const MAX_WAITLIST_RANGE_DAYS = 60;
+
+/**
+ * Build the key used to remember slots a patient has already passed on
+ * @param {Date} date - Slot date
+ * @param {string} time - Slot start time in HH:MM format
+ * @returns {string} Slot key in "yyyy-MM-dd HH:MM" format
+ */
+const getSlotKey = (date, time) => `${toClinicDateString(date)} ${time}`;
+
+const offerSchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: [true, 'Offered slot date is required']
+    },
+    time: {
+        type: String,
+        required: [true, 'Offered slot time is required'],
+        match: [TIME_PATTERN, 'Offered slot time must be in HH:MM format (24-hour)']
+    },
+    duration: {
+        type: Number,
+        required: [true, 'Offered slot duration is required']
+    },
+    offeredAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Offer expiry is required']
+    }
+}, { _id: false });
+
+/**
+ * Waitlist Entry Schema
+ * @typedef {Object} WaitlistEntrySchema
+ * @property {mongoose.Types.ObjectId} user - Waiting patient
+ * @property {string} doctorId - Healthcare provider identifier
+ * @property {Date} dateFrom - First acceptable appointment date
+ * @property {Date} dateTo - Last acceptable appointment date
+ * @property {string} urgency - Urgency level used for priority scoring
+ * @property {string} status - Waitlist status
+ * @property {Object} offer - Slot currently held for the patient
+ * @property {Array<string>} passedSlots - Slots the patient declined or let expire
+ * @property {number} offersMissed - Number of offers that expired without a response
+ * @property {mongoose.Types.ObjectId} bookedAppointment - Appointment booked from an offer
+ */
+const waitlistEntrySchema = new mongoose.Schema({
+    // ==================== USER ASSOCIATION ====================
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Patient user reference is required'],
+        index: true
+    },
+
+    // ==================== HEALTHCARE PROVIDER INFORMATION ====================
+    doctor: {
+        type: String,
+        required: [true, 'Healthcare provider name is required'],
+        trim: true,
+        maxlength: [100, 'Doctor name cannot exceed 100 characters']
+    },
+    doctorId: {
+        type: String,
+        required: [true, 'Healthcare provider identifier is required'],
+        index: true
+    },
+    facility: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareFacility'
+    },
+    facilityName: {
+        type: String,
+        required: [true, 'Healthcare facility name is required'],
+        trim: true,
+        maxlength: [200, 'Facility name cannot exceed 200 characters']
+    },
+    facilityType: {
+        type: String,
+        enum: {
+            values: FACILITY_TYPES,
+            message: 'Invalid facility type. Must be one of: {VALUE}'
+        },
+        required: [true, 'Facility type is required for resource allocation']
+    },
+    providerAddress: {
+        type: String,
+        required: [true, 'Provider address is required for patient directions'],
+        trim: true,
+        maxlength: [500, 'Address cannot exceed 500 characters']
+    },
+    providerContact: {
+        type: String,
+        required: [true, 'Provider contact information is required'],
+        trim: true,
+        maxlength: [100, 'Contact information cannot exceed 100 characters']
+    },
+    district: {
+        type: String,
+        enum: {
+            values: KZN_DISTRICTS,
+            message: 'Invalid KZN health district. Must be one of: {VALUE}'
+        },
+        required: [true, 'KZN health district is required']
+    },
+
+    // ==================== MEDICAL INFORMATION ====================
+    reason: {
+        type: String,
+        required: [true, 'Appointment reason is required for medical records'],
+        trim: true,
+        maxlength: [1000, 'Reason cannot exceed 1000 characters'],
+        minlength: [10, 'Reason must be at least 10 characters long']
+    },
+    category: {
+        type: String,
+        required: [true, 'Medical category is required for specialist routing'],
+        enum: {
+            values: MEDICAL_CATEGORIES,
+            message: 'Invalid medical category. Must be one of: {VALUE}'
+        }
+    },
+    urgency: {
+        type: String,
+        enum: {
+            values: URGENCY_LEVELS,
+            message: 'Invalid urgency level. Must be: routine, urgent, or emergency'
+        },
+        default: 'routine'
+    },
+
+    // ==================== REQUESTED DATE RANGE ====================
+    dateFrom: {
+        type: Date,
+        required: [true, 'Waitlist start date is required']
+    },
+    dateTo: {
+        type: Date,
+        required: [true, 'Waitlist end date is required'],
+        validate: {
+            validator: function (dateTo) {
+                if (!this.dateFrom) return true;
+                const rangeDays = (dateTo - this.dateFrom) / (1000 * 60 * 60 * 24);
+                return rangeDays >= 0 && rangeDays <= MAX_WAITLIST_RANGE_DAYS;
+            },
+            message: `Waitlist end date must be on or after the start date and within ${MAX_WAITLIST_RANGE_DAYS} days`
+        }
+    },
+
+    // ==================== OFFER TRACKING ====================
+    status: {
+        type: String,
+        enum: {
+            values: WAITLIST_STATUS,
+            message: 'Invalid waitlist status. Must be one of: {VALUE}'
+        },
+        default: 'waiting',
+        index: true
+    },
+    offer: {
+        type: offerSchema,
+        default: undefined
+    },
+    passedSlots: [{
+        type: String
+    }],
+    offersMissed: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    bookedAppointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+
+    // ==================== AUDIT TRAIL ====================
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// ==================== DATABASE INDEXES ====================
+
+waitlistEntrySchema.index({ doctorId: 1, status: 1, dateFrom: 1, dateTo: 1 });   // Candidates for a freed slot
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });                  // Expiry sweep
+waitlistEntrySchema.index({ user: 1, doctorId: 1, status: 1 });                  // Duplicate check
+
+// ==================== VIRTUAL PROPERTIES ====================
+
+/**
+ * Whether the held offer is still open for acceptance
+ * @virtual
+ * @returns {boolean}
+ */
+waitlistEntrySchema.virtual('hasActiveOffer').get(function () {
+    return this.status === 'offered' && Boolean(this.offer) && this.offer.expiresAt > new Date();
+});
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Priority score for a slot, using the appointment priority algorithm
+ * @instance
+ * @param {Date} date - Date of the freed slot
+ * @returns {number} Priority score (higher = offered first)
+ */
+waitlistEntrySchema.methods.getPriorityScore = function (date) {
+    return new Appointment({
+        urgency: this.urgency,
+        facilityType: this.facilityType,
+        district: this.district,
+        date
+    }).getPriorityScore();
+};
+
+/**
+ * Hold a slot for this patient
+ * @instance
+ * @param {Object} slot - Freed slot
+ * @param {Date} slot.date - Slot date
+ * @param {string} slot.time - Slot start time
+ * @param {number} slot.duration - Slot length in minutes
+ */
+waitlistEntrySchema.methods.makeOffer = function ({ date, time, duration }) {
+    const offeredAt = new Date();
+    this.status = 'offered';
+    this.offer = {
+        date,
+        time,
+        duration,
+        offeredAt,
+        expiresAt: addMinutes(offeredAt, OFFER_HOLD_MINUTES)
+    };
+};
+
+/**
+ * Release the held slot so it can be offered to the next patient
+ * @instance
+ * @param {Object} options - Release options
+ * @param {boolean} options.missed - True when the offer expired without a response
+ * @returns {Object} The released slot
+ */
+waitlistEntrySchema.methods.releaseOffer = function ({ missed = false } = {}) {
+    const { date, time, duration } = this.offer;
+
+    this.passedSlots.push(getSlotKey(date, time));
+    if (missed) this.offersMissed += 1;
+
+    this.offer = undefined;
+    this.status = this.dateTo < startOfClinicDay() ? 'expired' : 'waiting';
+
+    return { date, time, duration };
+};
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Find unexpired offers holding a provider's time on a date
+ * @static
+ * @param {string} doctorId - Healthcare provider identifier
+ * @param {Date} date - Target date
+ * @param {string} excludeUserId - Patient whose own holds should be ignored
+ * @param {mongoose.ClientSession} session - Transaction session to read within
+ * @returns {Promise<Array>} Waitlist entries with an active offer
+ */
+waitlistEntrySchema.statics.findActiveHoldsForDate = function (doctorId, date, excludeUserId = null, session = null) {
+    const query = {
+        doctorId,
+        status: 'offered',
+        'offer.date': {
+            $gte: startOfClinicDay(date),
+            $lt: addToClinicDate(date, { days: 1 })
+        },
+        'offer.expiresAt': { $gt: new Date() }
+    };
+
+    if (excludeUserId) {
+        query.user = { $ne: excludeUserId };
+    }
+
+    return this.find(query).session(session);
+};
+
+/**
+ * Find an unexpired offer holding part of a requested appointment time
+ * @static
+ * @param {string} doctorId - Healthcare provider identifier
+ * @param {Date} date - Appointment date
+ * @param {string} time - Start time in HH:MM format
+ * @param {number} duration - Appointment length in minutes
+ * @param {string} excludeUserId - Patient whose own hold should be ignored
+ * @param {mongoose.ClientSession} session - Transaction session to read within
+ * @returns {Promise<Object|null>} Waitlist entry holding the time, or null
+ */
+waitlistEntrySchema.statics.findActiveHold = async function (doctorId, date, time, duration = 30, excludeUserId = null, session = null) {
+    const requested = { start: timeToMinutes(time), end: timeToMinutes(time) + duration };
+    const holds = await this.findActiveHoldsForDate(doctorId, date, excludeUserId, session);
+
+    return holds.find(entry => intervalsOverlap(requested, {
+        start: timeToMinutes(entry.offer.time),
+        end: timeToMinutes(entry.offer.time) + entry.offer.duration
+    })) || null;
+};
+
+/**
+ * Offer a freed slot to the highest priority waiting patient
+ * Ties go to whoever joined the waitlist first. Slots later today are not offered, because
+ * appointments can only be booked from tomorrow onwards.
+ * @static
+ * @param {Object} slot - Freed slot
+ * @param {string} slot.doctorId - Healthcare provider identifier
+ * @param {Date} slot.date - Slot date
+ * @param {string} slot.time - Slot start time in HH:MM format
+ * @param {number} slot.duration - Slot length in minutes
+ * @returns {Promise<Object|null>} Waitlist entry now holding the slot, or null
+ */
+waitlistEntrySchema.statics.offerFreedSlot = async function ({ doctorId, date, time, duration = 30 }) {
+    if (startOfClinicDay(date) <= new Date()) return null;
+
+    // The slot may already be held or rebooked
+    if (await this.findActiveHold(doctorId, date, time, duration)) return null;
+    if (await Appointment.checkConflict(doctorId, date, time, duration)) return null;
+
+    const slotDay = startOfClinicDay(date);
+    const candidates = await this.find({
+        doctorId,
+        status: 'waiting',
+        dateFrom: { $lte: slotDay },
+        dateTo: { $gte: slotDay },
+        passedSlots: { $ne: getSlotKey(date, time) }
+    }).sort({ createdAt: 1 });
+
+    if (candidates.length === 0) return null;
+
+    const [nextInLine] = candidates
+        .map(entry => ({ entry, score: entry.getPriorityScore(date) }))
+        .sort((a, b) => b.score - a.score || a.entry.createdAt - b.entry.createdAt);
+
+    nextInLine.entry.makeOffer({ date, time, duration });
+    await nextInLine.entry.save();
+
+    console.log("Waitlist slot offered:", {
+        entryId: nextInLine.entry._id,
+        doctorId,
+        slot: getSlotKey(date, time),
+        priorityScore: nextInLine.score
+    });
+
+    return nextInLine.entry;
+};
+
+/**
+ * Release offers whose hold has run out, pass their slots on, and expire old entries
+ * @static
+ * @returns {Promise<Object>} Counts of released offers and expired entries
+ */
+waitlistEntrySchema.statics.expireStaleOffers = async function () {
+    const staleOffers = await this.find({
+        status: 'offered',
+        'offer.expiresAt': { $lte: new Date() }
+    });
+
+    for (const entry of staleOffers) {
+        const slot = entry.releaseOffer({ missed: true });
+        await entry.save();
+        await this.offerFreedSlot({ doctorId: entry.doctorId, ...slot });
+    }
+
+    const { modifiedCount } = await this.updateMany(
+        { status: 'waiting', dateTo: { $lt: startOfClinicDay() } },
+        { $set: { status: 'expired' } }
+    );
+
+    return {
+        releasedOffers: staleOffers.length,
+        expiredEntries: modifiedCount
+    };
+};
+
+// ==================== MIDDLEWARE ====================
+
+/**
+ * Remember the held slot so a released hold can be announced after save
+ * @hook post-init
+ */
+waitlistEntrySchema.post('init', function () {
+    this.$locals.initialOfferDate = this.offer?.date;
+});
+
+/**
+ * Note whether the offer changed so post-save can push real-time events
+ * @hook pre-save
+ */
+waitlistEntrySchema.pre('save', function (next) {
+    this.$locals.offerChanged = this.isModified('offer') || this.isModified('status');
+    next();
+});
+
+/**
+ * Push new offers to the patient and held or released slots to anyone viewing them
+ * @hook post-save
+ */
+waitlistEntrySchema.post('save', function () {
+    const previousOfferDate = this.$locals.initialOfferDate;
+    this.$locals.initialOfferDate = this.offer?.date;
+
+    if (!this.$locals.offerChanged || !hasListeners()) return;
+
+    if (this.status === 'offered' && this.offer) {
+        publishToUser(this.user?._id || this.user, 'waitlist.offer', {
+            entryId: this._id,
+            doctorId: this.doctorId,
+            doctor: this.doctor,
+            date: toClinicDateString(this.offer.date),
+            time: this.offer.time,
+            duration: this.offer.duration,
+            expiresAt: this.offer.expiresAt
+        });
+    }
+
+    const days = new Set([previousOfferDate, this.offer?.date].filter(Boolean).map(toClinicDateString));
+    for (const day of days) {
+        publishAvailability(this.doctorId, day, { reason: 'waitlist-hold' });
+    }
+});
+
+// ==================== MODEL EXPORT ====================
+
+/**
+ * Waitlist Entry Model
+ * @class WaitlistEntry
+ * @extends mongoose.Model
+ */
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+export default WaitlistEntry;
+
+export {
+    WAITLIST_STATUS,
+    OPEN_WAITLIST_STATUSES,
+    OFFER_HOLD_MINUTES,
+    MAX_WAITLIST_RANGE_DAYS
+};
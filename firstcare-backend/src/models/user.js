@@ -17,6 +17,8 @@
  * - Medical aid and insurance integration
  * - Location-based service access control
  * - Emergency contact and medical consent management
+ * - Family accounts: guardians manage dependants who have no login of their own
+ * - Assisted booking: community health workers register and book for patients in their district
  * 
  * Security & Validation:
  * - Password hashing with bcrypt
@@ -33,6 +35,7 @@
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 
 /**
  * KZN Health Districts Configuration
@@ -76,22 +79,141 @@ const USER_ROLES = [
     'health-worker'  // Clinic and hospital staff
 ];
 
+/**
+ * How a guardian is related to a dependant
+ * @constant {Array<string>} GUARDIAN_RELATIONSHIPS
+ */
+const GUARDIAN_RELATIONSHIPS = [
+    'parent',
+    'legal-guardian',
+    'grandparent',
+    'child',
+    'spouse',
+    'sibling',
+    'caregiver',
+    'other'
+];
+
+/**
+ * Grounds on which a guardian manages a dependant's care
+ * @constant {Array<string>} CONSENT_BASES
+ */
+const CONSENT_BASES = [
+    'parental-responsibility', // Parent or legal guardian of a minor; lapses when the child turns 18
+    'patient-consent'          // Adult dependant agreed to the guardian managing their care
+];
+
+/**
+ * How an adult dependant's consent was given
+ * @constant {Array<string>} CONSENT_METHODS
+ */
+const CONSENT_METHODS = ['declared', 'verbal', 'written'];
+
+/**
+ * What a guardian may do for a dependant
+ * @constant {Array<string>} GUARDIAN_SCOPES
+ */
+const GUARDIAN_SCOPES = [
+    'appointments',    // Book, view and cancel appointments
+    'medical-profile'  // View and update medical history, allergies and medical aid details
+];
+
+/**
+ * Guardian link on a dependant's account
+ * Revoked links are kept so the record shows who had access and when.
+ */
+const guardianSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Guardian account is required']
+    },
+    relationship: {
+        type: String,
+        required: [true, 'Relationship to the dependant is required'],
+        enum: {
+            values: GUARDIAN_RELATIONSHIPS,
+            message: 'Invalid relationship: {VALUE}'
+        }
+    },
+    canMakeMedicalDecisions: {
+        type: Boolean,
+        default: false
+    },
+    consent: {
+        basis: {
+            type: String,
+            required: [true, 'Consent basis is required'],
+            enum: {
+                values: CONSENT_BASES,
+                message: 'Invalid consent basis: {VALUE}'
+            }
+        },
+        method: {
+            type: String,
+            enum: {
+                values: CONSENT_METHODS,
+                message: 'Invalid consent method: {VALUE}'
+            },
+            default: 'declared'
+        },
+        scope: {
+            type: [String],
+            enum: {
+                values: GUARDIAN_SCOPES,
+                message: 'Invalid consent scope: {VALUE}'
+            },
+            default: ['appointments']
+        },
+        givenAt: {
+            type: Date,
+            default: Date.now
+        },
+        recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    },
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Revocation reason cannot exceed 500 characters']
+    }
+});
+
+/**
+ * Check whether an account signs in by itself
+ * Dependants and patients registered by a health worker have no login, email address or password.
+ * @param {Object} user - User document
+ * @returns {boolean} True for self-registered accounts
+ */
+const hasOwnLogin = (user) => !user.isDependant && !user.assistedRegistration?.registeredBy;
+
 /**
  * User Schema with KZN Healthcare Enhancements
  */
 const userSchema = new mongoose.Schema({
     // ==================== AUTHENTICATION FIELDS ====================
+    // Accounts without a login (dependants, assisted patients) may have no email address or password
     email: {
         type: String,
-        required: [true, 'Email address is required for healthcare communications'],
-        unique: true,
+        required: [function () { return hasOwnLogin(this); }, 'Email address is required for healthcare communications'],
         trim: true,
         lowercase: true,
         match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email address for healthcare communications']
     },
     password: {
         type: String,
-        required: function () { return this.provider === 'local'; },
+        required: function () { return this.provider === 'local' && hasOwnLogin(this); },
         minlength: [8, 'Password must be at least 8 characters long for security']
     },
     firstName: {
@@ -293,6 +415,76 @@ const userSchema = new mongoose.Schema({
         default: true
     },
 
+    // ==================== PROVIDER ACCOUNT LINK ====================
+    // Facility doctor this provider account acts as (set by an administrator)
+    providerProfile: {
+        facility: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'HealthcareFacility'
+        },
+        doctorId: {
+            type: String,
+            trim: true
+        },
+        linkedAt: Date,
+        linkedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+
+    // ==================== FAMILY ACCOUNT ====================
+    // Dependants (children, elderly parents) are patients managed by guardians' accounts
+    isDependant: {
+        type: Boolean,
+        default: false
+    },
+    guardians: [guardianSchema],
+
+    // ==================== ASSISTED BOOKING ====================
+    // Patients registered by a community health worker, often without a smartphone or email address
+    assistedRegistration: {
+        registeredBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        registeredAt: Date
+    },
+    // Patient's consent to health workers in their district booking and managing appointments for them
+    assistedBookingConsent: {
+        given: {
+            type: Boolean,
+            default: false
+        },
+        method: {
+            type: String,
+            enum: {
+                values: ['verbal', 'written'],
+                message: 'Invalid consent method: {VALUE}'
+            }
+        },
+        recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        recordedAt: Date,
+        withdrawnAt: Date,
+        withdrawnBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+
+    // ==================== CALENDAR FEED ====================
+    // Secret token in the patient's iCalendar subscription URL; replaced to revoke old links
+    calendarFeed: {
+        token: {
+            type: String,
+            select: false
+        },
+        createdAt: Date
+    },
+
     // ==================== OAUTH INTEGRATION ====================
     googleId: String,
     provider: {
@@ -323,13 +515,17 @@ const userSchema = new mongoose.Schema({
 
 // ==================== INDEXES FOR PERFORMANCE ====================
 
-userSchema.index({ email: 1 }, { unique: true });
+userSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
 userSchema.index({ 'locationData.healthDistrict': 1 });
+userSchema.index({ 'calendarFeed.token': 1 }, { unique: true, sparse: true });
 userSchema.index({ 'locationData.subLocation': 1 });
 userSchema.index({ isProfileComplete: 1 });
 userSchema.index({ roles: 1 });
 userSchema.index({ createdAt: 1 });
 userSchema.index({ isActive: 1, isProfileComplete: 1 });
+userSchema.index({ 'providerProfile.doctorId': 1 }, { sparse: true });
+userSchema.index({ 'guardians.user': 1 });
+userSchema.index({ 'locationData.healthDistrict': 1, lastName: 1, firstName: 1 });
 
 // ==================== VIRTUAL FIELDS ====================
 
@@ -379,6 +575,18 @@ userSchema.virtual('isMinor').get(function () {
     return this.age < 18;
 });
 
+/**
+ * Virtual field: Check if user is in chronic care
+ * Active chronic medication or an active condition qualifies for recurring appointments
+ * @virtual
+ * @returns {boolean}
+ */
+userSchema.virtual('hasChronicCare').get(function () {
+    const history = this.medicalHistory || {};
+    const isActive = (item) => item.isActive !== false;
+    return (history.chronicMedications || []).some(isActive) || (history.conditions || []).some(isActive);
+});
+
 // ==================== PRE-SAVE MIDDLEWARE ====================
 
 /**
@@ -432,15 +640,114 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 
 /**
  * Check if user can access district services
+ * Admins work across KZN. Health workers serve the district they are registered in, like patients.
  * @instance
  * @param {string} district - KZN district to check access for
  * @returns {boolean} True if user can access the district
  */
 userSchema.methods.canAccessDistrict = function (district) {
-    if (this.roles.includes('admin') || this.roles.includes('health-worker')) return true;
+    if (this.roles.includes('admin')) return true;
     return this.locationData?.healthDistrict === district;
 };
 
+/**
+ * Check whether the patient currently consents to assisted booking by health workers
+ * @instance
+ * @returns {boolean} True if consent was recorded and not withdrawn
+ */
+userSchema.methods.hasAssistedBookingConsent = function () {
+    const consent = this.assistedBookingConsent;
+    return Boolean(consent?.given && !consent.withdrawnAt);
+};
+
+/**
+ * Check whether this health worker may book and manage appointments for a patient
+ * The patient must be in a district the worker can access and have consented to assisted
+ * booking. Dependants are managed by their guardians instead.
+ * @instance
+ * @param {Object} patient - Patient user document
+ * @returns {boolean} True if the worker may act for the patient
+ */
+userSchema.methods.canAssist = function (patient) {
+    return this.roles.includes('health-worker') &&
+        !patient.isDependant &&
+        this.canAccessDistrict(patient.locationData?.healthDistrict) &&
+        patient.hasAssistedBookingConsent();
+};
+
+/**
+ * Get a guardian's active link to this dependant
+ * Links under parental responsibility lapse when the dependant turns 18, after which the
+ * dependant's own consent has to be recorded.
+ * @instance
+ * @param {string|mongoose.Types.ObjectId} guardianId - Guardian user id
+ * @returns {Object|null} Guardian link, or null without current consent
+ */
+userSchema.methods.getGuardianLink = function (guardianId) {
+    if (!this.isDependant) return null;
+
+    const link = (this.guardians || []).find(guardian => guardian.user.equals(guardianId) && !guardian.revokedAt);
+    if (!link) return null;
+
+    if (link.consent.basis === 'parental-responsibility' && !this.isMinor) return null;
+    return link;
+};
+
+/**
+ * Check whether a guardian has consent to act for this dependant
+ * @instance
+ * @param {string|mongoose.Types.ObjectId} guardianId - Guardian user id
+ * @param {string} [scope='appointments'] - One of GUARDIAN_SCOPES
+ * @returns {boolean} True if an active link covers the scope
+ */
+userSchema.methods.hasGuardianConsent = function (guardianId, scope = 'appointments') {
+    return Boolean(this.getGuardianLink(guardianId)?.consent.scope.includes(scope));
+};
+
+/**
+ * Issue a new calendar feed token, revoking any earlier subscription link
+ * @instance
+ * @returns {string} Secret token for the iCalendar feed URL
+ */
+userSchema.methods.issueCalendarFeedToken = function () {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.calendarFeed = { token, createdAt: new Date() };
+    return token;
+};
+
+/**
+ * Get the allergy and chronic-care summary a treating provider may see
+ * The summary is shared when the patient consented to data sharing, or for emergency
+ * visits when the patient allows emergency access to their records.
+ * @instance
+ * @param {Object} [options]
+ * @param {boolean} [options.emergency=false] - Whether the visit is an emergency
+ * @returns {Object|null} Allergies, active conditions and medications, or null if consent is withheld
+ */
+userSchema.methods.getClinicalSummary = function ({ emergency = false } = {}) {
+    const preferences = this.healthcarePreferences || {};
+    const consented = preferences.dataSharingConsent === true ||
+        (emergency && preferences.emergencyAccessConsent !== false);
+    if (!consented) return null;
+
+    const history = this.medicalHistory || {};
+    const isActive = (item) => item.isActive !== false;
+
+    return {
+        bloodType: history.bloodType || 'unknown',
+        allergies: (this.allergies || []).map(({ allergen, severity, reaction, requiresEpipen }) => ({
+            allergen, severity, reaction, requiresEpipen: requiresEpipen === true
+        })),
+        chronicConditions: (history.conditions || []).filter(isActive).map(({ name, severity, diagnosedDate }) => ({
+            name, severity, diagnosedDate
+        })),
+        chronicMedications: (history.chronicMedications || []).filter(isActive).map(({ name, dosage, frequency }) => ({
+            name, dosage, frequency
+        })),
+        sharedUnder: preferences.dataSharingConsent === true ? 'data-sharing' : 'emergency-access'
+    };
+};
+
 /**
  * Get recommended facility types based on user profile
  * @instance
@@ -470,10 +777,15 @@ userSchema.methods.getRecommendedFacilities = function () {
  * @returns {number} Completion percentage (0-100)
  */
 userSchema.methods.calculateProfileCompletion = function () {
+    const optionalFields = [
+        ...(hasOwnLogin(this) ? [] : ['email']),
+        // Health workers may register patients without a phone; their reminders go to the worker
+        ...(this.assistedRegistration?.registeredBy ? ['phoneNumber'] : [])
+    ];
     const requiredFields = [
         'firstName', 'lastName', 'email', 'phoneNumber', 'dateOfBirth', 'gender',
         'locationData.healthDistrict', 'locationData.subLocation', 'locationData.preferredFacilityType'
-    ];
+    ].filter(field => !optionalFields.includes(field));
 
     let completed = 0;
 
@@ -625,6 +937,60 @@ userSchema.statics.getDistrictStats = async function () {
     return stats;
 };
 
+/**
+ * Get the role in which a user acts for a patient
+ * Patients act for themselves, guardians for dependants within the consented scope, and
+ * health workers for patients in their district who consented to assisted booking.
+ * @static
+ * @param {string} userId - Acting user id
+ * @param {string|mongoose.Types.ObjectId} patientId - Patient user id
+ * @param {string} [scope='appointments'] - One of GUARDIAN_SCOPES
+ * @returns {Promise<string|null>} patient, guardian or health-worker, or null without access
+ */
+userSchema.statics.getActingRole = async function (userId, patientId, scope = 'appointments') {
+    if (String(patientId) === String(userId)) return 'patient';
+
+    const patient = await this.findOne({ _id: patientId, isActive: true })
+        .select('isDependant dateOfBirth guardians locationData assistedBookingConsent');
+    if (!patient) return null;
+
+    if (patient.hasGuardianConsent(userId, scope)) return 'guardian';
+
+    // Assisted booking consent covers appointments only
+    if (scope !== 'appointments') return null;
+
+    const worker = await this.findById(userId).select('roles locationData');
+    return worker?.canAssist(patient) ? 'health-worker' : null;
+};
+
+/**
+ * Check whether a user may act for a patient
+ * @static
+ * @param {string} userId - Acting user id
+ * @param {string|mongoose.Types.ObjectId} patientId - Patient user id
+ * @param {string} [scope='appointments'] - One of GUARDIAN_SCOPES
+ * @returns {Promise<boolean>} True for the patient, a consented guardian or an assisting health worker
+ */
+userSchema.statics.canActFor = async function (userId, patientId, scope = 'appointments') {
+    return Boolean(await this.getActingRole(userId, patientId, scope));
+};
+
+/**
+ * Find the active dependants a guardian has a link to
+ * @static
+ * @param {string} guardianId - Guardian user id
+ * @returns {Query} Dependant user documents
+ */
+userSchema.statics.findDependantsOf = function (guardianId) {
+    return this.find({
+        isDependant: true,
+        isActive: true,
+        guardians: { $elemMatch: { user: guardianId, revokedAt: null } }
+    })
+        .select('-password -emailVerificationToken -passwordResetToken')
+        .sort({ dateOfBirth: 1 });
+};
+
 // ==================== QUERY HELPERS ====================
 
 /**
@@ -667,5 +1033,9 @@ export default User;
 export {
     KZN_DISTRICTS,
     FACILITY_TYPES,
-    USER_ROLES
+    USER_ROLES,
+    GUARDIAN_RELATIONSHIPS,
+    CONSENT_BASES,
+    CONSENT_METHODS,
+    GUARDIAN_SCOPES
 };
\ No newline at end of file
@@ -29,167 +29,1107 @@
  */
 
 import express from 'express';
+import { param } from 'express-validator';
 import {
     createAppointment,
     getAllAppointments,
     getAppointmentById,
     updateAppointment,
-    deleteAppointment,
+    rescheduleAppointment,
+    cancelAppointment,
+    purgeAppointment,
+    confirmAppointment,
+    checkInAppointment,
+    completeAppointment,
+    markNoShow,
+    createAppointmentSeries,
+    getAppointmentSeries,
+    updateAppointmentSeries,
+    cancelAppointmentSeries,
+    createAppointmentBundle,
+    getAppointmentBundle,
+    cancelAppointmentBundle,
     getAppointmentsByCategory,
     getAvailability,
     getAppointmentsByDistrict,
+    getInterpreterNeeds,
+    getIntakeQuestionnaires,
+    getAppointmentIntake,
+    submitAppointmentIntake,
     getKZNStats
 } from '../controllers/appointmentController.js';
-import { verifyToken } from '../middleware/authMiddleware.js';
-import { validateAppointment, validateAppointmentUpdate, validateId, validateDistrict, validateAppointmentQuery } from '../middleware/validationMiddleware.js';
+import { getAppointmentCalendarFile } from '../controllers/calendarController.js';
+import { getConfirmationSlip, checkInWithSlip } from '../controllers/confirmationSlipController.js';
+import { verifyToken, requireRole } from '../middleware/authMiddleware.js';
+import { validateAppointment, validateAppointmentUpdate, validateReschedule, validateCancellation, validateStatusTransition, validateAppointmentSeries, validateSeriesUpdate, validateSeriesCancellation, validateAppointmentBundle, validateId, validateDistrict, validateAppointmentQuery, validateAvailabilityQuery, validateInterpreterNeedsQuery, validateQuestionnaireQuery, validateIntakeSubmission, validateSlipCheckIn, handleValidationErrors } from '../middleware/validationMiddleware.js';
 
 const router = express.Router();
 
+const seriesIdValidation = [
+    param('seriesId')
+        .isMongoId()
+        .withMessage('Invalid series ID format'),
+    handleValidationErrors
+];
+
+const bundleIdValidation = [
+    param('bundleId')
+        .isMongoId()
+        .withMessage('Invalid bundle ID format'),
+    handleValidationErrors
+];
+
 // All routes require KZN healthcare authentication
 router.use(verifyToken);
 
 /**
  * @swagger
- * /api/appointments:
- *   post:
- *     summary: Book a new healthcare appointment
- *     description: Create a new appointment with KZN district validation and healthcare provider matching
+ * /api/appointments:
+ *   post:
+ *     summary: Book a new healthcare appointment
+ *     description: |
+ *       Create a new appointment with KZN district validation and healthcare provider matching.
+ *       Guardians book for a dependant by sending the dependant's `patientId`; the guardian is
+ *       recorded as `createdBy`.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Appointment'
+ *     responses:
+ *       201:
+ *         description: Appointment booked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AppointmentResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: District access denied (DISTRICT_ACCESS_DENIED), or no consent to book for the patient (PATIENT_ACCESS_DENIED)
+ *       404:
+ *         description: Facility not found (FACILITY_NOT_FOUND)
+ *       409:
+ *         description: Slot unavailable - APPOINTMENT_CONFLICT, PROVIDER_UNAVAILABLE, SLOT_HELD, OUTSIDE_PROVIDER_SCHEDULE, PUBLIC_HOLIDAY, FACILITY_CLOSED or OUTSIDE_FACILITY_HOURS
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', validateAppointment, createAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/series:
+ *   post:
+ *     summary: Book a recurring appointment series
+ *     description: Books every occurrence of a weekly or monthly series with the same provider, for patients with active chronic medication or conditions. Guardians and assisting health workers book for a patient by sending their `patientId`. All occurrences are checked first and then booked in one transaction, so the series is booked in full or not at all.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Appointment'
+ *               - type: object
+ *                 required:
+ *                   - startDate
+ *                   - purpose
+ *                   - recurrence
+ *                 properties:
+ *                   startDate:
+ *                     type: string
+ *                     format: date
+ *                     description: Date of the first occurrence (replaces date)
+ *                   purpose:
+ *                     type: string
+ *                     enum: [medication-collection, follow-up]
+ *                   recurrence:
+ *                     type: object
+ *                     properties:
+ *                       frequency:
+ *                         type: string
+ *                         enum: [weekly, monthly]
+ *                       interval:
+ *                         type: integer
+ *                         example: 4
+ *                       occurrences:
+ *                         type: integer
+ *                         example: 6
+ *     responses:
+ *       201:
+ *         description: Series booked
+ *       400:
+ *         description: Validation failed or the series runs past the booking horizon (SERIES_TOO_LONG)
+ *       403:
+ *         description: District access denied or patient not in chronic care (SERIES_NOT_ELIGIBLE)
+ *       409:
+ *         description: One or more occurrences cannot be booked (SERIES_CONFLICT), with a conflicts list
+ *       503:
+ *         description: The database does not support transactions (TRANSACTIONS_UNAVAILABLE)
+ */
+router.post('/series', validateAppointmentSeries, createAppointmentSeries);
+
+/**
+ * @swagger
+ * /api/appointments/series/{seriesId}:
+ *   get:
+ *     summary: Get a recurring series and its occurrences
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Series retrieved
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Series not found (SERIES_NOT_FOUND)
+ */
+router.get('/series/:seriesId', seriesIdValidation, getAppointmentSeries);
+
+/**
+ * @swagger
+ * /api/appointments/series/{seriesId}:
+ *   put:
+ *     summary: Edit the rest of a recurring series
+ *     description: Changes the time, reason or notes of every upcoming occurrence from fromAppointmentId onwards (or all upcoming occurrences). A new time reschedules each occurrence, and is applied to all of them or none. Edit a single occurrence with the reschedule endpoint.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fromAppointmentId:
+ *                 type: string
+ *               time:
+ *                 type: string
+ *                 example: '10:00'
+ *               reason:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Remaining occurrences updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: The new time is unavailable for one or more occurrences (SERIES_CONFLICT)
+ *       503:
+ *         description: The database does not support transactions, so the time cannot be changed for the whole series (TRANSACTIONS_UNAVAILABLE)
+ */
+router.put('/series/:seriesId', seriesIdValidation, validateSeriesUpdate, updateAppointmentSeries);
+
+/**
+ * @swagger
+ * /api/appointments/series/{seriesId}/cancel:
+ *   post:
+ *     summary: Cancel the rest of a recurring series
+ *     description: Cancels every upcoming occurrence from fromAppointmentId onwards, or the whole series when omitted. Cancel a single occurrence with the appointment cancel endpoint.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               fromAppointmentId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 enum: [patient-request, patient-unwell, transport-unavailable, provider-unavailable, facility-closed, duplicate-booking, booked-in-error, other]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Remaining occurrences cancelled; occurrences inside the cancellation window are listed as skipped
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/series/:seriesId/cancel', seriesIdValidation, validateSeriesCancellation, cancelAppointmentSeries);
+
+/**
+ * @swagger
+ * /api/appointments/bundles:
+ *   post:
+ *     summary: Book a multi-segment visit
+ *     description: Books back-to-back segments with different providers or rooms at one facility, e.g. a GP consult followed by physiotherapy. Each segment starts when the previous one ends and lasts the slot length of its provider or room. Every segment is conflict-checked and all of them are booked in one transaction, so the visit is booked in full or not at all. Guardians and assisting health workers book for a patient by sending their `patientId`.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - time
+ *               - segments
+ *               - reason
+ *               - district
+ *               - facilityType
+ *               - facilityName
+ *               - providerAddress
+ *               - providerContact
+ *             properties:
+ *               patientId:
+ *                 type: string
+ *                 description: Patient to book for; defaults to the logged-in user
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               time:
+ *                 type: string
+ *                 description: Start time of the first segment
+ *                 example: '09:00'
+ *               segments:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 5
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - doctor
+ *                     - doctorId
+ *                     - category
+ *                   properties:
+ *                     doctor:
+ *                       type: string
+ *                       description: Provider or room name
+ *                       example: Physiotherapy Room 1
+ *                     doctorId:
+ *                       type: string
+ *                       description: Provider or room identifier, as used for provider schedules
+ *                       example: physio-room-1
+ *                     category:
+ *                       type: string
+ *                       example: Physiotherapist
+ *                     reason:
+ *                       type: string
+ *                       description: Overrides the visit reason for this segment
+ *               reason:
+ *                 type: string
+ *               district:
+ *                 type: string
+ *               facilityId:
+ *                 type: string
+ *               facilityType:
+ *                 type: string
+ *               facilityName:
+ *                 type: string
+ *               providerAddress:
+ *                 type: string
+ *               providerContact:
+ *                 type: string
+ *               urgency:
+ *                 type: string
+ *                 enum: [routine, urgent]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Visit booked, with every segment and its start time
+ *       400:
+ *         description: Validation failed, a provider works at another facility (BUNDLE_FACILITY_MISMATCH) or the visit runs past midnight (BUNDLE_PAST_MIDNIGHT)
+ *       403:
+ *         description: District access denied
+ *       409:
+ *         description: One or more segments cannot be booked (BUNDLE_CONFLICT), with a conflicts list
+ *       503:
+ *         description: The database does not support transactions (TRANSACTIONS_UNAVAILABLE)
+ */
+router.post('/bundles', validateAppointmentBundle, createAppointmentBundle);
+
+/**
+ * @swagger
+ * /api/appointments/bundles/{bundleId}:
+ *   get:
+ *     summary: Get a multi-segment visit and its segments
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bundleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Visit retrieved
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Visit not found (BUNDLE_NOT_FOUND)
+ */
+router.get('/bundles/:bundleId', bundleIdValidation, getAppointmentBundle);
+
+/**
+ * @swagger
+ * /api/appointments/bundles/{bundleId}/cancel:
+ *   post:
+ *     summary: Cancel a multi-segment visit
+ *     description: Cancels every active segment in one transaction. If any segment is inside the cancellation window, nothing is cancelled.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bundleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [patient-request, patient-unwell, transport-unavailable, provider-unavailable, facility-closed, duplicate-booking, booked-in-error, other]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Visit cancelled
+ *       409:
+ *         description: Visit already cancelled (BUNDLE_ALREADY_CANCELLED) or a segment can no longer be cancelled (BUNDLE_CANCEL_RESTRICTED)
+ *       503:
+ *         description: The database does not support transactions (TRANSACTIONS_UNAVAILABLE)
+ */
+router.post('/bundles/:bundleId/cancel', bundleIdValidation, validateCancellation, cancelAppointmentBundle);
+
+/**
+ * @swagger
+ * /api/appointments:
+ *   get:
+ *     summary: Get all appointments for authenticated user
+ *     description: |
+ *       Retrieve all appointments for the current user with KZN district filtering. Guardians
+ *       list a dependant's appointments with `patientId`.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *         description: Dependant whose appointments to list
+ *     responses:
+ *       200:
+ *         description: User appointments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 district:
+ *                   type: string
+ *                   example: ethekwini
+ *                 appointments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Appointment'
+ *       403:
+ *         description: No consent to view the patient's appointments (PATIENT_ACCESS_DENIED)
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', validateAppointmentQuery, getAllAppointments);
+
+/**
+ * @swagger
+ * /api/appointments/availability:
+ *   get:
+ *     summary: Check appointment availability
+ *     description: Get available appointment dates with KZN district constraints. When doctorId is given, dates follow the provider's schedule, and adding date returns that day's free slots.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: district
+ *         schema:
+ *           type: string
+ *           enum: [amajuba, ethekwini, ilembe, king-cetshwayo, umgungundlovu, umkhanyakude, ugu, umzinyathi, uthukela, zululand]
+ *         description: KZN district to check availability for
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: string
+ *         description: Provider whose schedule should be used
+ *       - in: query
+ *         name: facilityId
+ *         schema:
+ *           type: string
+ *         description: Facility whose opening hours should be applied (defaults to the provider's schedule facility)
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day to list free slots for (requires doctorId)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Medical category used to pick the provider's slot length
+ *     responses:
+ *       200:
+ *         description: Availability information retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 district:
+ *                   type: string
+ *                 districtType:
+ *                   type: string
+ *                 availableDates:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     format: date
+ *                 closedDates:
+ *                   type: array
+ *                   description: Dates excluded because of a public holiday or facility closing day
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       code:
+ *                         type: string
+ *                         enum: [PUBLIC_HOLIDAY, FACILITY_CLOSED]
+ *                       reason:
+ *                         type: string
+ *                 slotDuration:
+ *                   type: integer
+ *                 slots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       time:
+ *                         type: string
+ *                       duration:
+ *                         type: integer
+ *                       available:
+ *                         type: boolean
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/availability', validateAvailabilityQuery, getAvailability);
+
+/**
+ * @swagger
+ * /api/appointments/category/{category}:
+ *   get:
+ *     summary: Get appointments by medical category
+ *     description: Retrieve appointments filtered by medical specialty with KZN district filtering
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Cardiologist, Dentist, General Practitioner, Obstetrician-Gynecologist, Ophthalmologist, Psychologist, Pediatrician, Dermatologist, Orthopedic Surgeon, Physiotherapist, Emergency Care]
+ *         description: Medical category to filter by
+ *     responses:
+ *       200:
+ *         description: Category appointments retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 category:
+ *                   type: string
+ *                 district:
+ *                   type: string
+ *                 appointments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Appointment'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/category/:category', getAppointmentsByCategory);
+
+/**
+ * @swagger
+ * /api/appointments/kzn-stats:
+ *   get:
+ *     summary: Get KZN healthcare statistics (Admin only)
+ *     description: Retrieve comprehensive healthcare statistics across all KZN districts
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: KZN healthcare statistics retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 period:
+ *                   type: string
+ *                   example: last_30_days
+ *                 districtStats:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 userStats:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 summary:
+ *                   type: object
+ *       403:
+ *         description: Admin access required
+ */
+// Registered before /:id so the path is not treated as an appointment ID
+router.get('/kzn-stats', getKZNStats);
+
+/**
+ * @swagger
+ * /api/appointments/interpreter-needs:
+ *   get:
+ *     summary: Get upcoming interpreter needs per language
+ *     description: |
+ *       Health-worker or admin only. Groups active appointments that need an interpreter by language,
+ *       with how many have an interpreter reserved from the facility's interpreters and how many are
+ *       requested because none was free. Interpreters are only needed when the doctor does not
+ *       consult in the patient's preferred language. Health workers see their registered district.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: facilityId
+ *         schema:
+ *           type: string
+ *         description: Limit to one facility and include its interpreter count per language
+ *       - in: query
+ *         name: district
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (defaults to today)
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 31
+ *           default: 7
+ *     responses:
+ *       200:
+ *         description: Interpreter needs retrieved
+ *       403:
+ *         description: District outside the health worker's registered district
+ *       404:
+ *         description: Facility not found
+ */
+// Registered before /:id so the path is not treated as an appointment ID
+router.get('/interpreter-needs', requireRole(['health-worker', 'admin']), validateInterpreterNeedsQuery, getInterpreterNeeds);
+
+/**
+ * @swagger
+ * /api/appointments/questionnaires:
+ *   get:
+ *     summary: Get pre-visit questionnaires
+ *     description: |
+ *       Returns the intake questionnaire for a medical category, or all of them. Every questionnaire
+ *       starts with the main concern, its severity and duration, followed by questions for the
+ *       specialty (e.g. a pain scale for Dentist, antenatal week for Obstetrician-Gynecologist and
+ *       PHQ-style mood questions for Psychologist). Question types are text, number, scale,
+ *       boolean, choice and multi-choice.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           example: Dentist
+ *     responses:
+ *       200:
+ *         description: Questionnaire (with category) or questionnaires (without)
+ *       404:
+ *         description: No questionnaire for the category
+ */
+// Registered before /:id so the path is not treated as an appointment ID
+router.get('/questionnaires', validateQuestionnaireQuery, getIntakeQuestionnaires);
+
+/**
+ * @swagger
+ * /api/appointments/check-in:
+ *   post:
+ *     summary: Check a patient in by scanning their confirmation slip (Provider/Admin)
+ *     description: |
+ *       Verifies the signed QR code from a PDF confirmation slip and checks the appointment in.
+ *       Pending bookings are confirmed and checked in together. Codes work on the appointment day
+ *       only, and providers can only scan slips for appointments at their facility or with their doctor.
+ *       Scanning an already checked-in slip returns the appointment with alreadyCheckedIn set.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Text read from the slip's QR code
+ *     responses:
+ *       200:
+ *         description: Patient checked in (or already checked in), with the patient's name for identity checks
+ *       400:
+ *         description: Invalid or expired code, or not the appointment day
+ *       403:
+ *         description: Appointment is at another facility
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         $ref: '#/components/responses/InvalidStatusTransition'
+ */
+// Registered before /:id so the path is not treated as an appointment ID
+router.post('/check-in', requireRole(['provider', 'admin']), validateSlipCheckIn, checkInWithSlip);
+
+/**
+ * @swagger
+ * /api/appointments/{id}:
+ *   get:
+ *     summary: Get appointment by ID
+ *     description: Retrieve detailed information for a specific appointment with KZN district validation
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment ID
+ *     responses:
+ *       200:
+ *         description: Appointment details retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AppointmentResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       403:
+ *         description: Access denied to appointment
+ */
+router.get('/:id', validateId, getAppointmentById);
+
+/**
+ * @swagger
+ * /api/appointments/{id}:
+ *   put:
+ *     summary: Update an appointment
+ *     description: Update the reason or notes of a pending, confirmed or checked-in appointment; closed appointments are rejected with APPOINTMENT_NOT_EDITABLE. Date and time changes are rejected with RESCHEDULE_REQUIRED and status changes with STATUS_TRANSITION_REQUIRED; use the reschedule, cancel and status transition endpoints instead. Transport assistance, intake answers, interpreter reservations, category and urgency are rejected with FIELD_MANAGED_ELSEWHERE; use the transport request and intake endpoints, interpreters are reserved at booking, and category and urgency are set at booking and by facility triage. Any other field is rejected with FIELD_NOT_UPDATABLE.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment ID to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AppointmentResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The appointment is cancelled, completed, missed or rescheduled (APPOINTMENT_NOT_EDITABLE)
+ */
+router.put('/:id', validateId, validateAppointmentUpdate, updateAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/reschedule:
+ *   post:
+ *     summary: Reschedule an appointment
+ *     description: Marks the original appointment as rescheduled and books a linked replacement at the new date and time. The replacement keeps the booking details but not confirmation, queue, triage or intake state. The new slot is checked against the patient's bookings, facility hours, the provider's schedule and provider conflicts.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment ID to reschedule
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - time
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               time:
+ *                 type: string
+ *                 example: '10:30'
+ *               reason:
+ *                 type: string
+ *                 description: Why the patient is moving the booking
+ *     responses:
+ *       201:
+ *         description: Appointment rescheduled; returns the original and the new linked appointment
+ *       400:
+ *         description: Validation failed, the appointment can no longer be rescheduled (APPOINTMENT_RESCHEDULE_RESTRICTED), or it is a walk-in or emergency visit (SAME_DAY_BOOKING_NOT_RESCHEDULABLE) or a segment of a multi-segment visit (BUNDLE_SEGMENT_NOT_RESCHEDULABLE)
+ *       403:
+ *         description: Access denied to appointment
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: New slot unavailable - APPOINTMENT_CONFLICT, PROVIDER_UNAVAILABLE, OUTSIDE_PROVIDER_SCHEDULE, PUBLIC_HOLIDAY, FACILITY_CLOSED or OUTSIDE_FACILITY_HOURS - or the appointment changed status meanwhile (INVALID_STATUS_TRANSITION)
+ *       503:
+ *         description: The database does not support transactions (TRANSACTIONS_UNAVAILABLE)
+ */
+router.post('/:id/reschedule', validateId, validateReschedule, rescheduleAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/cancel:
+ *   post:
+ *     summary: Cancel an appointment
+ *     description: Moves the appointment to cancelled, keeping the record and its status history. Patients are bound by the facility cancellation window; admins may cancel any active booking. The provider slot is released.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment ID to cancel
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [patient-request, patient-unwell, transport-unavailable, provider-unavailable, facility-closed, duplicate-booking, booked-in-error, other]
+ *               notes:
+ *                 type: string
+ *                 description: Required when reason is "other"
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 appointment:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       example: cancelled
+ *                     cancellation:
+ *                       type: object
+ *                       properties:
+ *                         reason:
+ *                           type: string
+ *                         notes:
+ *                           type: string
+ *                         cancelledBy:
+ *                           type: string
+ *                         cancelledByRole:
+ *                           type: string
+ *                           enum: [patient, guardian, provider, admin, health-worker]
+ *                         cancelledAt:
+ *                           type: string
+ *                           format: date-time
+ *       400:
+ *         description: Validation failed or cancellation not allowed (APPOINTMENT_CANCEL_RESTRICTED)
+ *       403:
+ *         description: Access denied to appointment
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/cancel', validateId, validateCancellation, cancelAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/intake:
+ *   get:
+ *     summary: Get the pre-visit questionnaire and answers for an appointment
+ *     description: Available to the patient, the provider linked to the booked doctor, and admins.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Questionnaire and any answers given (intake is null until answered)
+ *       403:
+ *         description: Appointment belongs to another patient
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   put:
+ *     summary: Answer the pre-visit questionnaire for an appointment
+ *     description: |
+ *       Answers are checked against the questionnaire for the appointment's category and replace
+ *       any earlier answers. The main concern, severity and duration become the appointment's
+ *       symptoms. Answers that need attention (e.g. severe pain, bleeding in pregnancy, thoughts
+ *       of self-harm) are flagged on the provider's day sheet.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Appointment'
+ *             type: object
+ *             required:
+ *               - answers
+ *             properties:
+ *               answers:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 example:
+ *                   mainConcern: Antenatal check-up
+ *                   severity: mild
+ *                   symptomDuration: 1 week
+ *                   pregnant: true
+ *                   antenatalWeek: 24
+ *                   vaginalBleeding: false
+ *                   reducedFetalMovement: false
  *     responses:
- *       201:
- *         description: Appointment booked successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/AppointmentResponse'
+ *       200:
+ *         description: Answers saved
  *       400:
- *         $ref: '#/components/responses/ValidationError'
+ *         description: Answers missing or invalid (INTAKE_VALIDATION_ERROR, with details per question)
+ *       403:
+ *         description: Appointment belongs to another patient
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
  *       409:
- *         $ref: '#/components/responses/ConflictError'
- *       500:
- *         description: Internal server error
+ *         description: Appointment is no longer active
  */
-router.post('/', validateAppointment, createAppointment);
+router.get('/:id/intake', validateId, getAppointmentIntake);
+router.put('/:id/intake', validateId, validateIntakeSubmission, submitAppointmentIntake);
 
 /**
  * @swagger
- * /api/appointments:
+ * /api/appointments/{id}/ics:
  *   get:
- *     summary: Get all appointments for authenticated user
- *     description: Retrieve all appointments for the current user with KZN district filtering
+ *     summary: Download an appointment as an iCalendar (.ics) file
+ *     description: |
+ *       Returns the appointment as a calendar event in Africa/Johannesburg time, with the facility
+ *       address and cancellation rules. Downloading again after a cancellation marks the event cancelled.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: User appointments retrieved successfully
+ *         description: iCalendar file
  *         content:
- *           application/json:
+ *           text/calendar:
  *             schema:
- *               type: object
- *               properties:
- *                 district:
- *                   type: string
- *                   example: ethekwini
- *                 appointments:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Appointment'
- *       500:
- *         description: Internal server error
+ *               type: string
+ *       403:
+ *         description: Appointment belongs to another patient
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Appointment was rescheduled; download the replacement (rescheduledTo) instead
  */
-router.get('/', getAllAppointments);
+router.get('/:id/ics', validateId, getAppointmentCalendarFile);
 
 /**
  * @swagger
- * /api/appointments/availability:
+ * /api/appointments/{id}/confirmation-slip:
  *   get:
- *     summary: Check appointment availability
- *     description: Get available appointment dates with KZN district constraints
+ *     summary: Download a printable PDF confirmation slip
+ *     description: |
+ *       A5 slip with the facility, provider, date and time (South African time), what to bring,
+ *       the cancellation window and a QR check-in code valid on the appointment day. Available to the
+ *       patient, admins, health workers in the patient's district and providers at the facility.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: district
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: string
- *           enum: [amajuba, ethekwini, ilembe, king-cetshwayo, umgungundlovu, umkhanyakude, ugu, umzinyathi, uthukela, zululand]
- *         description: KZN district to check availability for
  *     responses:
  *       200:
- *         description: Availability information retrieved
+ *         description: PDF confirmation slip
  *         content:
- *           application/json:
+ *           application/pdf:
  *             schema:
- *               type: object
- *               properties:
- *                 district:
- *                   type: string
- *                 districtType:
- *                   type: string
- *                 availableDates:
- *                   type: array
- *                   items:
- *                     type: string
- *                     format: date
- *       400:
- *         $ref: '#/components/responses/ValidationError'
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not the patient or staff for this appointment
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Appointment is not upcoming
  */
-router.get('/availability', getAvailability);
+router.get('/:id/confirmation-slip', validateId, getConfirmationSlip);
 
 /**
  * @swagger
- * /api/appointments/category/{category}:
- *   get:
- *     summary: Get appointments by medical category
- *     description: Retrieve appointments filtered by medical specialty with KZN district filtering
+ * /api/appointments/{id}/confirm:
+ *   post:
+ *     summary: Confirm a pending appointment (Provider/Admin)
+ *     description: Moves pending to confirmed and sets isConfirmed
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: category
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *           enum: [Cardiologist, Dentist, General Practitioner, Obstetrician-Gynecologist, Ophthalmologist, Psychologist, Pediatrician, Dermatologist, Orthopedic Surgeon, Physiotherapist, Emergency Care]
- *         description: Medical category to filter by
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/StatusTransition'
  *     responses:
  *       200:
- *         description: Category appointments retrieved
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 category:
- *                   type: string
- *                 district:
- *                   type: string
- *                 appointments:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Appointment'
+ *         $ref: '#/components/responses/StatusTransitionResult'
+ *       403:
+ *         description: Provider or admin role required; providers must work at the appointment's facility or with its doctor
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         $ref: '#/components/responses/InvalidStatusTransition'
  */
-router.get('/category/:category', getAppointmentsByCategory);
+router.post('/:id/confirm', requireRole(['provider', 'admin']), validateId, validateStatusTransition, confirmAppointment);
 
 /**
  * @swagger
- * /api/appointments/{id}:
- *   get:
- *     summary: Get appointment by ID
- *     description: Retrieve detailed information for a specific appointment with KZN district validation
+ * /api/appointments/{id}/check-in:
+ *   post:
+ *     summary: Check a patient in on arrival (Provider/Admin)
+ *     description: Moves confirmed to checked-in. Only allowed on the day of the appointment.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
@@ -199,27 +1139,59 @@ router.get('/category/:category', getAppointmentsByCategory);
  *         required: true
  *         schema:
  *           type: string
- *         description: Appointment ID
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/StatusTransition'
  *     responses:
  *       200:
- *         description: Appointment details retrieved
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/AppointmentResponse'
+ *         $ref: '#/components/responses/StatusTransitionResult'
+ *       400:
+ *         description: Not the day of the appointment (TRANSITION_TOO_EARLY)
+ *       403:
+ *         description: Provider or admin role required; providers must work at the appointment's facility or with its doctor
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         $ref: '#/components/responses/InvalidStatusTransition'
+ */
+router.post('/:id/check-in', requireRole(['provider', 'admin']), validateId, validateStatusTransition, checkInAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/complete:
+ *   post:
+ *     summary: Mark an appointment as completed (Provider/Admin)
+ *     description: Moves confirmed or checked-in to completed. Not allowed before the appointment day.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/StatusTransition'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/StatusTransitionResult'
+ *       400:
+ *         description: Appointment day has not arrived (TRANSITION_TOO_EARLY)
  *       403:
- *         description: Access denied to appointment
+ *         description: Provider or admin role required; providers must work at the appointment's facility or with its doctor
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         $ref: '#/components/responses/InvalidStatusTransition'
  */
-router.get('/:id', validateId, getAppointmentById);
+router.post('/:id/complete', requireRole(['provider', 'admin']), validateId, validateStatusTransition, completeAppointment);
 
 /**
  * @swagger
- * /api/appointments/{id}:
- *   put:
- *     summary: Update an appointment
- *     description: Update appointment details with KZN district validation
+ * /api/appointments/{id}/no-show:
+ *   post:
+ *     summary: Mark an appointment as a no-show (Provider/Admin)
+ *     description: Moves confirmed or checked-in (left before being seen) to no-show once the appointment start time has passed
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
@@ -229,46 +1201,28 @@ router.get('/:id', validateId, getAppointmentById);
  *         required: true
  *         schema:
  *           type: string
- *         description: Appointment ID to update
  *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               date:
- *                 type: string
- *                 format: date
- *               time:
- *                 type: string
- *               reason:
- *                 type: string
- *               notes:
- *                 type: string
- *               status:
- *                 type: string
- *                 enum: [pending, confirmed, cancelled, completed, no-show, rescheduled]
+ *       $ref: '#/components/requestBodies/StatusTransition'
  *     responses:
  *       200:
- *         description: Appointment updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/AppointmentResponse'
+ *         $ref: '#/components/responses/StatusTransitionResult'
  *       400:
- *         $ref: '#/components/responses/ValidationError'
+ *         description: Appointment start time has not passed (TRANSITION_TOO_EARLY)
+ *       403:
+ *         description: Provider or admin role required; providers must work at the appointment's facility or with its doctor
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         $ref: '#/components/responses/InvalidStatusTransition'
  */
-router.put('/:id', validateId, validateAppointmentUpdate, updateAppointment);
+router.post('/:id/no-show', requireRole(['provider', 'admin']), validateId, validateStatusTransition, markNoShow);
 
 /**
  * @swagger
  * /api/appointments/{id}:
  *   delete:
- *     summary: Cancel an appointment
- *     description: Delete an appointment with KZN district validation and cancellation policies
+ *     summary: Purge an appointment record (Admin only)
+ *     description: Permanently deletes an appointment once its retention period (APPOINTMENT_RETENTION_YEARS, default 6 years after the appointment date) has passed. Use the cancel endpoint to cancel bookings.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
@@ -278,34 +1232,18 @@ router.put('/:id', validateId, validateAppointmentUpdate, updateAppointment);
  *         required: true
  *         schema:
  *           type: string
- *         description: Appointment ID to cancel
+ *         description: Appointment ID to purge
  *     responses:
  *       200:
- *         description: Appointment cancelled successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 appointment:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: string
- *                     date:
- *                       type: string
- *                     time:
- *                       type: string
- *                     reason:
- *                       type: string
- *       400:
- *         description: Cannot cancel appointment due to policy restrictions
+ *         description: Appointment record purged
+ *       403:
+ *         description: Admin access required
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Record is still within its retention period (RETENTION_PERIOD_ACTIVE)
  */
-router.delete('/:id', validateId, deleteAppointment);
+router.delete('/:id', requireRole(['admin']), validateId, purgeAppointment);
 
 /**
  * @swagger
@@ -328,7 +1266,7 @@ router.delete('/:id', validateId, deleteAppointment);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, cancelled, completed, no-show, rescheduled]
+ *           enum: [pending, confirmed, checked-in, cancelled, completed, no-show, rescheduled]
  *         description: Filter by appointment status
  *       - in: query
  *         name: date
@@ -357,39 +1295,4 @@ router.delete('/:id', validateId, deleteAppointment);
  */
 router.get('/district/:district', validateDistrict, getAppointmentsByDistrict);
 
-/**
- * @swagger
- * /api/appointments/kzn-stats:
- *   get:
- *     summary: Get KZN healthcare statistics (Admin only)
- *     description: Retrieve comprehensive healthcare statistics across all KZN districts
- *     tags: [Appointments]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: KZN healthcare statistics retrieved
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 period:
- *                   type: string
- *                   example: last_30_days
- *                 districtStats:
- *                   type: array
- *                   items:
- *                     type: object
- *                 userStats:
- *                   type: array
- *                   items:
- *                     type: object
- *                 summary:
- *                   type: object
- *       403:
- *         description: Admin access required
- */
-router.get('/kzn-stats', getKZNStats);
-
 export default router;
\ No newline at end of file
@@ -0,0 +1,257 @@
+/**
+ * @file src/routes/assistedBookingRoutes.js
+ * @module AssistedBookingRoutes
+ * @version 1.0.0
+ *
+ * @description
+ * Assisted Booking Routes for KZN Healthcare Appointment Booking System
+ *
+ * Community health workers find or register patients in their district who cannot book for
+ * themselves, record the patient's consent, and book on their behalf through the appointment
+ * endpoints (POST /api/appointments with a patientId). The worker is kept as createdBy and
+ * lastModifiedBy on the appointment, and can list the appointments they booked for follow-up.
+ *
+ * Security Features:
+ * - JWT authentication and the health-worker role required
+ * - Patients outside the worker's district are not visible
+ * - Bookings need the patient's recorded consent
+ * - Input validation middleware
+ *
+ * @author
+ * Healthcare System - KZN Implementation
+ */
+
+import express from 'express';
+import {
+    searchPatients,
+    registerPatient,
+    recordPatientConsent,
+    withdrawPatientConsent,
+    getBookedAppointments
+} from '../controllers/assistedBookingController.js';
+import { verifyToken, requireRole } from '../middleware/authMiddleware.js';
+import {
+    validateAssistedPatientSearch,
+    validateAssistedPatient,
+    validateAssistedConsent,
+    validateAssistedAppointmentsQuery,
+    validateId
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// All assisted booking routes require an authenticated community health worker
+router.use(verifyToken, requireRole('health-worker'));
+
+/**
+ * @swagger
+ * /api/assisted/patients:
+ *   get:
+ *     summary: Search for patients in my district
+ *     description: |
+ *       Finds patients in the health worker's district by name, phone number or date of birth.
+ *       Phone numbers are masked until the patient has consented to assisted booking.
+ *     tags: [Assisted Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: First and/or last name, or the start of them
+ *         example: Nomsa Dlam
+ *       - in: query
+ *         name: phoneNumber
+ *         schema:
+ *           type: string
+ *         example: '0821234567'
+ *       - in: query
+ *         name: dateOfBirth
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Matching patients, at most 20
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not a health worker, or no district on the worker's profile (WORKER_DISTRICT_REQUIRED)
+ */
+router.get('/patients', validateAssistedPatientSearch, searchPatients);
+
+/**
+ * @swagger
+ * /api/assisted/patients:
+ *   post:
+ *     summary: Register a patient with minimal details
+ *     description: |
+ *       Registers a patient in the health worker's district who has no login of their own. No
+ *       email address is needed and the phone number is optional; without one, appointment
+ *       messages go to the health worker. The patient must agree to being registered and to
+ *       health workers booking for them: send `consent.confirmed: true` and how it was given.
+ *     tags: [Assisted Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [firstName, lastName, dateOfBirth, gender, subLocation, consent]
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *                 example: Nomsa
+ *               lastName:
+ *                 type: string
+ *                 example: Dlamini
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *                 example: '1958-03-14'
+ *               gender:
+ *                 type: string
+ *                 enum: [male, female, other, prefer-not-to-say]
+ *               phoneNumber:
+ *                 type: string
+ *               preferredLanguage:
+ *                 type: string
+ *                 enum: [english, zulu, afrikaans, xhosa, sotho]
+ *               subLocation:
+ *                 type: string
+ *                 example: Ndwedwe
+ *               consent:
+ *                 type: object
+ *                 required: [confirmed, method]
+ *                 properties:
+ *                   confirmed:
+ *                     type: boolean
+ *                     example: true
+ *                   method:
+ *                     type: string
+ *                     enum: [verbal, written]
+ *     responses:
+ *       201:
+ *         description: Patient registered
+ *       400:
+ *         description: Validation failed or consent not confirmed (ASSISTED_CONSENT_REQUIRED)
+ *       403:
+ *         description: No district on the worker's profile (WORKER_DISTRICT_REQUIRED)
+ *       409:
+ *         description: Patient already registered in the district (PATIENT_EXISTS)
+ */
+router.post('/patients', validateAssistedPatient, registerPatient);
+
+/**
+ * @swagger
+ * /api/assisted/patients/{id}/consent:
+ *   post:
+ *     summary: Record a patient's consent to assisted booking
+ *     description: Records that the patient agreed to health workers in their district booking and managing their appointments.
+ *     tags: [Assisted Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [confirmed, method]
+ *             properties:
+ *               confirmed:
+ *                 type: boolean
+ *                 example: true
+ *               method:
+ *                 type: string
+ *                 enum: [verbal, written]
+ *     responses:
+ *       200:
+ *         description: Consent recorded
+ *       400:
+ *         description: Consent not confirmed (ASSISTED_CONSENT_REQUIRED)
+ *       404:
+ *         description: No such patient in the worker's district (PATIENT_NOT_FOUND)
+ *   delete:
+ *     summary: Withdraw a patient's consent to assisted booking
+ *     description: Health workers can no longer book for the patient. Appointments already booked are kept.
+ *     tags: [Assisted Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Consent withdrawn
+ *       404:
+ *         description: No such patient in the worker's district (PATIENT_NOT_FOUND)
+ *       409:
+ *         description: The patient had not consented (ASSISTED_CONSENT_NOT_GIVEN)
+ */
+router.post('/patients/:id/consent', validateAssistedConsent, recordPatientConsent);
+router.delete('/patients/:id/consent', validateId, withdrawPatientConsent);
+
+/**
+ * @swagger
+ * /api/assisted/appointments:
+ *   get:
+ *     summary: Appointments I booked for patients
+ *     description: |
+ *       Appointments the health worker booked for other patients in their district, newest
+ *       first, with the patient's contact details for follow-up.
+ *     tags: [Assisted Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, checked-in, cancelled, completed, no-show, rescheduled]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Booked appointments retrieved
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not a health worker, or no district on the worker's profile (WORKER_DISTRICT_REQUIRED)
+ */
+router.get('/appointments', validateAssistedAppointmentsQuery, getBookedAppointments);
+
+export default router;
@@ -0,0 +1,114 @@
+/**
+ * @file src/routes/calendarRoutes.js
+ * @module CalendarRoutes
+ * @version 1.0.0
+ *
+ * @description
+ * Calendar Feed Routes for KZN Healthcare Appointment Booking System
+ *
+ * Patients subscribe their phone calendar to a secret iCalendar link that lists their
+ * upcoming appointments. Rescheduled and cancelled bookings update the subscribed calendar.
+ * Single appointments are downloaded from GET /api/appointments/{id}/ics.
+ *
+ * Security Features:
+ * - JWT authentication to get or replace the feed link
+ * - Feed itself is read with the unguessable token in its URL, as calendar apps cannot log in
+ * - Input validation middleware
+ *
+ * @author
+ * Healthcare System - KZN Implementation
+ */
+
+import express from 'express';
+import {
+    getCalendarFeedLink,
+    resetCalendarFeedLink,
+    getCalendarFeed
+} from '../controllers/calendarController.js';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { validateCalendarFeedToken } from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/calendar/feeds/{token}.ics:
+ *   get:
+ *     summary: Get a patient's iCalendar feed
+ *     description: |
+ *       Public, secured by the token in the URL. Lists the patient's appointments from today onwards
+ *       in Africa/Johannesburg time. Cancelled appointments stay in the feed marked cancelled, and a
+ *       rescheduled appointment keeps its calendar event, which moves to the new time.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or replaced feed link
+ */
+router.get('/feeds/:token.ics', validateCalendarFeedToken, getCalendarFeed);
+
+// Remaining routes require KZN healthcare authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * /api/calendar/feed:
+ *   get:
+ *     summary: Get my calendar feed link
+ *     description: Returns the patient's feed link, creating it on first use.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Existing feed link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 feedUrl:
+ *                   type: string
+ *                   example: https://api.firstcare.co.za/api/calendar/feeds/3f9c...e1.ics
+ *                 webcalUrl:
+ *                   type: string
+ *                   example: webcal://api.firstcare.co.za/api/calendar/feeds/3f9c...e1.ics
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ *       201:
+ *         description: Feed link created
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/feed', getCalendarFeedLink);
+
+/**
+ * @swagger
+ * /api/calendar/feed/reset:
+ *   post:
+ *     summary: Replace my calendar feed link
+ *     description: Issues a new feed link. Calendars subscribed to the old link stop updating.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: New feed link
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/feed/reset', resetCalendarFeedLink);
+
+export default router;
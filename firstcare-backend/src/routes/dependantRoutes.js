@@ -0,0 +1,340 @@
+/**
+ * @file src/routes/dependantRoutes.js
+ * @module DependantRoutes
+ * @version 1.0.0
+ *
+ * @description
+ * Family Account Routes for KZN Healthcare Appointment Booking System
+ *
+ * Guardians register children and elderly parents as dependants, keep their medical profiles
+ * up to date and book, view and cancel their appointments through the appointment endpoints
+ * (POST /api/appointments with a patientId, GET /api/appointments?patientId=).
+ *
+ * Parents and legal guardians manage minors under parental responsibility, which ends when
+ * the child turns 18. Adult dependants must have agreed to the guardian managing their care;
+ * their consent records how it was given and whether it covers appointments, the medical
+ * profile or both.
+ *
+ * Security Features:
+ * - JWT authentication required
+ * - Every request checks the guardian's link and consent scope
+ * - Input validation middleware
+ *
+ * @author
+ * Healthcare System - KZN Implementation
+ */
+
+import express from 'express';
+import {
+    getMyDependants,
+    registerDependant,
+    getDependant,
+    updateDependant,
+    updateDependantMedicalProfile,
+    recordDependantConsent,
+    removeDependant
+} from '../controllers/dependantController.js';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import {
+    validateDependant,
+    validateDependantUpdate,
+    validateDependantConsent,
+    validateDependantRemoval,
+    validateMedicalProfile,
+    validateId
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// All family account routes require KZN healthcare authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * /api/dependants:
+ *   get:
+ *     summary: List my dependants
+ *     description: |
+ *       Dependants the guardian is linked to. `access.consentRequired` is true for a child who
+ *       has turned 18 until their own consent is recorded.
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dependants retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dependants:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Dependant'
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', getMyDependants);
+
+/**
+ * @swagger
+ * /api/dependants:
+ *   post:
+ *     summary: Register a dependant
+ *     description: |
+ *       Adds a child or an adult who cannot manage their own bookings to the guardian's family
+ *       account. Location details default to the guardian's. Minors can only be registered by a
+ *       parent or legal guardian. Adults must have agreed: send `consent.confirmed: true` and how
+ *       the consent was given. Dependants have no login of their own.
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [firstName, lastName, dateOfBirth, relationship]
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *                 example: Thandiwe
+ *               lastName:
+ *                 type: string
+ *                 example: Mkhize
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *                 example: '2018-06-02'
+ *               gender:
+ *                 type: string
+ *                 enum: [male, female, other, prefer-not-to-say]
+ *               preferredLanguage:
+ *                 type: string
+ *                 enum: [english, zulu, afrikaans, xhosa, sotho]
+ *               phoneNumber:
+ *                 type: string
+ *               locationData:
+ *                 $ref: '#/components/schemas/UserLocationData'
+ *               relationship:
+ *                 type: string
+ *                 enum: [parent, legal-guardian, grandparent, child, spouse, sibling, caregiver, other]
+ *               canMakeMedicalDecisions:
+ *                 type: boolean
+ *                 description: Adults only; always true under parental responsibility
+ *               consent:
+ *                 type: object
+ *                 description: Required for adult dependants
+ *                 properties:
+ *                   confirmed:
+ *                     type: boolean
+ *                   method:
+ *                     type: string
+ *                     enum: [verbal, written]
+ *                   scope:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [appointments, medical-profile]
+ *                     default: [appointments]
+ *     responses:
+ *       201:
+ *         description: Dependant registered
+ *       400:
+ *         description: Validation failed or adult consent missing (DEPENDANT_CONSENT_REQUIRED)
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Minors can only be registered by a parent or legal guardian (PARENTAL_RESPONSIBILITY_REQUIRED)
+ *       409:
+ *         description: Dependant already registered (DEPENDANT_EXISTS)
+ */
+router.post('/', validateDependant, registerDependant);
+
+/**
+ * @swagger
+ * /api/dependants/{id}:
+ *   get:
+ *     summary: Get a dependant's profile
+ *     description: Medical details are included when the consent covers the medical profile.
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dependant retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dependant:
+ *                   $ref: '#/components/schemas/Dependant'
+ *       403:
+ *         description: Consent lapsed or does not cover this (GUARDIAN_CONSENT_REQUIRED)
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', validateId, getDependant);
+
+/**
+ * @swagger
+ * /api/dependants/{id}:
+ *   put:
+ *     summary: Update a dependant's details
+ *     description: Updates names, gender, language, phone number and location. The date of birth cannot be changed here.
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dependant updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Consent lapsed (GUARDIAN_CONSENT_REQUIRED)
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id', validateDependantUpdate, updateDependant);
+
+/**
+ * @swagger
+ * /api/dependants/{id}/medical:
+ *   put:
+ *     summary: Update a dependant's medical profile
+ *     description: Medical history, allergies and medical aid details. Needs consent covering the medical profile.
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               medicalHistory:
+ *                 $ref: '#/components/schemas/MedicalHistory'
+ *               allergies:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Allergy'
+ *               healthcarePreferences:
+ *                 $ref: '#/components/schemas/HealthcarePreferences'
+ *     responses:
+ *       200:
+ *         description: Medical profile updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Consent does not cover the medical profile (GUARDIAN_CONSENT_REQUIRED)
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/medical', validateId, validateMedicalProfile, updateDependantMedicalProfile);
+
+/**
+ * @swagger
+ * /api/dependants/{id}/consent:
+ *   put:
+ *     summary: Record an adult dependant's consent
+ *     description: |
+ *       Records that the adult dependant agreed to the guardian managing their care, and what the
+ *       consent covers. Needed when a child turns 18, and to change the scope of existing consent.
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [confirmed, method]
+ *             properties:
+ *               confirmed:
+ *                 type: boolean
+ *                 example: true
+ *               method:
+ *                 type: string
+ *                 enum: [verbal, written]
+ *               scope:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [appointments, medical-profile]
+ *               canMakeMedicalDecisions:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Consent recorded
+ *       400:
+ *         description: Consent not confirmed, or the dependant is a minor (CONSENT_NOT_NEEDED)
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/consent', validateDependantConsent, recordDependantConsent);
+
+/**
+ * @swagger
+ * /api/dependants/{id}:
+ *   delete:
+ *     summary: Stop managing a dependant
+ *     description: |
+ *       Revokes the guardian's link. The record of the link is kept. A dependant with no other
+ *       guardians is deactivated.
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dependant removed from the family account
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', validateDependantRemoval, removeDependant);
+
+export default router;
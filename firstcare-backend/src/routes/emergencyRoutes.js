@@ -0,0 +1,117 @@
+/**
+ * @file src/routes/emergencyRoutes.js
+ * @module EmergencyRoutes
+ * @version 1.0.0
+ *
+ * @description
+ * Emergency Triage Routes for KZN Healthcare Appointment Booking System
+ *
+ * Patients describe their symptoms and location and are told how urgently they need
+ * care and where the nearest open emergency units are. They can book an emergency
+ * arrival at the nearest open hospital, with ambulance or patient transport pre-filled.
+ *
+ * Security Features:
+ * - JWT authentication on all endpoints
+ * - Input validation middleware
+ *
+ * @author
+ * Healthcare System - KZN Implementation
+ */
+
+import express from 'express';
+import { triageEmergency } from '../controllers/emergencyController.js';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { validateEmergencyTriage } from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// All routes require KZN healthcare authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * /api/emergency/triage:
+ *   post:
+ *     summary: Triage symptoms and find the nearest open emergency facilities
+ *     description: |
+ *       Sorts the symptoms into a South African Triage Scale colour (red, orange, yellow, green)
+ *       from warning signs in the description, severity and how recently they started, and lists
+ *       the nearest facilities with an emergency unit, open ones first. The search widens from
+ *       25 km to 75 km and 200 km until an open facility is found.
+ *
+ *       With `createAppointment: true`, red, orange and yellow patients are booked as an
+ *       emergency arrival today at the chosen facility or the nearest open hospital. Transport
+ *       assistance is pre-filled (ambulance for red and orange) unless `transportNeeded` is given,
+ *       and waits for approval. The hospital triages the patient again on arrival.
+ *     tags: [Emergency Triage]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - symptoms
+ *               - location
+ *             properties:
+ *               symptoms:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 10
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - description
+ *                   properties:
+ *                     description:
+ *                       type: string
+ *                       example: Chest pain spreading to the left arm
+ *                     severity:
+ *                       type: string
+ *                       enum: [mild, moderate, severe]
+ *                       default: moderate
+ *                     onsetDate:
+ *                       type: string
+ *                       format: date-time
+ *                     duration:
+ *                       type: string
+ *                       example: 2 hours
+ *               location:
+ *                 type: object
+ *                 required:
+ *                   - lat
+ *                   - lng
+ *                 properties:
+ *                   lat:
+ *                     type: number
+ *                     example: -27.6131
+ *                   lng:
+ *                     type: number
+ *                     example: 32.0494
+ *               createAppointment:
+ *                 type: boolean
+ *                 default: false
+ *               facilityId:
+ *                 type: string
+ *                 description: Facility to book at; defaults to the nearest open hospital
+ *               transportNeeded:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Triage category and nearest emergency facilities
+ *       201:
+ *         description: Emergency arrival booked
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: No open hospital with an emergency unit found
+ *       409:
+ *         description: Symptoms are not an emergency, the facility is closed or not a hospital, or an emergency arrival is already booked today
+ */
+router.post('/triage', validateEmergencyTriage, triageEmergency);
+
+export default router;
@@ -0,0 +1,88 @@
+/**
+ * @file src/routes/eventRoutes.js
+ * @module EventRoutes
+ * @version 1.0.0
+ *
+ * @description
+ * Real-time Event Routes for KZN Healthcare Appointment Booking System
+ *
+ * A Server-Sent Events stream replaces polling and manual refreshes. Every stream
+ * receives the user's own appointment status changes, waitlist offers and walk-in
+ * ticket updates; it can also follow one provider's availability on one date and
+ * one facility's walk-in queue.
+ *
+ * Security Features:
+ * - JWT authentication with the same cookies as the rest of the API
+ * - Streams end with a session.expired event when the access token expires
+ * - Input validation middleware
+ *
+ * @author
+ * Healthcare System - KZN Implementation
+ */
+
+import express from 'express';
+import { streamEvents } from '../controllers/eventController.js';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { validateEventStreamQuery } from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// All routes require KZN healthcare authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Open a real-time event stream (Server-Sent Events)
+ *     description: |
+ *       Open with `new EventSource(url, { withCredentials: true })` so the JWT cookies are sent.
+ *       Events are named; each `data` field is JSON:
+ *
+ *       - `connected` – stream opened, with what it watches
+ *       - `appointment.status` – one of your appointments or walk-in tickets changed status
+ *       - `availability.changed` – slots changed for the provider and date given in the query; refetch availability
+ *       - `waitlist.offer` – a freed slot is being held for you until `expiresAt`
+ *       - `queue.updated` – the walk-in queue of the facility given in the query changed
+ *       - `queue.ticket` – your walk-in ticket's position, estimated wait or state changed
+ *       - `transport.reviewed` – your transport request was approved or declined
+ *       - `session.expired` – the access token expired; refresh the session, then reconnect
+ *
+ *       A keep-alive comment is sent every 25 seconds. Reconnect with new query parameters
+ *       to follow a different provider, date or facility.
+ *     tags: [Real-time Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: string
+ *         description: Provider whose availability to follow (requires date)
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: '2025-03-14'
+ *         description: Clinic date of the availability to follow
+ *       - in: query
+ *         name: facilityId
+ *         schema:
+ *           type: string
+ *         description: Facility whose walk-in queue to follow
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Missing or expired access token
+ */
+router.get('/', validateEventStreamQuery, streamEvents);
+
+export default router;
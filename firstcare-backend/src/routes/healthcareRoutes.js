@@ -12,10 +12,15 @@ import {
     searchHealthcareFacilities,
     getFacilityDetails,
     searchDoctors,
+    getDoctorDetails,
+    createDoctor,
+    updateDoctor,
     createHealthcareFacility,
     updateHealthcareFacility,
     getHealthcareStatistics
 } from '../controllers/healthcareController.js';
+import { verifyToken, requireRole } from '../middleware/authMiddleware.js';
+import { validateDoctor, validateDoctorUpdate } from '../middleware/validationMiddleware.js';
 
 // REMOVE these duplicate imports - they're causing conflicts
 // import {
@@ -330,6 +335,12 @@ router.put('/facilities/:id', updateHealthcareFacility);
  *           type: string
  *         description: Spoken languages
  *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: [english, zulu, afrikaans, xhosa, sotho, tswana]
+ *         description: Patient's preferred language; doctors who consult in it are listed first
+ *       - in: query
  *         name: maxFee
  *         schema:
  *           type: number
@@ -348,7 +359,7 @@ router.put('/facilities/:id', updateHealthcareFacility);
  *         description: Results per page
  *     responses:
  *       200:
- *         description: Paginated doctor results
+ *         description: Paginated doctor results, one per facility each doctor works at
  *         content:
  *           application/json:
  *             schema:
@@ -362,9 +373,17 @@ router.put('/facilities/:id', updateHealthcareFacility);
  *                   items:
  *                     type: object
  *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         description: Facility ID
  *                       doctor:
  *                         type: object
  *                         properties:
+ *                           doctorId:
+ *                             type: string
+ *                             example: doc_6650c0c5e1f2a3b4c5d6e7f8
+ *                           licenseNumber:
+ *                             type: string
  *                           name:
  *                             type: string
  *                           specialty:
@@ -375,6 +394,10 @@ router.put('/facilities/:id', updateHealthcareFacility);
  *                             type: array
  *                             items:
  *                               type: string
+ *                           speaksLanguage:
+ *                             type: boolean
+ *                             nullable: true
+ *                             description: Whether the doctor consults in the requested language
  *                       facilityName:
  *                         type: string
  *                       facilityType:
@@ -403,6 +426,79 @@ router.put('/facilities/:id', updateHealthcareFacility);
  */
 router.get('/doctors', searchDoctors);
 
+/**
+ * @swagger
+ * /api/healthcare/doctors:
+ *   post:
+ *     summary: Register a doctor and the facilities they work at (admin)
+ *     tags: [Healthcare]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DoctorInput'
+ *     responses:
+ *       201:
+ *         description: Doctor registered with a stable doctorId
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: An affiliated facility does not exist
+ *       409:
+ *         description: License number already registered
+ */
+router.post('/doctors', verifyToken, requireRole(['admin']), validateDoctor, createDoctor);
+
+/**
+ * @swagger
+ * /api/healthcare/doctors/{doctorId}:
+ *   get:
+ *     summary: Get a doctor with every facility they work at
+ *     tags: [Healthcare]
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Doctor details
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   put:
+ *     summary: Update a doctor or replace their facility affiliations (admin)
+ *     tags: [Healthcare]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DoctorInput'
+ *     responses:
+ *       200:
+ *         description: Doctor updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Doctor or affiliated facility not found
+ *       409:
+ *         description: License number already registered
+ */
+router.get('/doctors/:doctorId', getDoctorDetails);
+router.put('/doctors/:doctorId', verifyToken, requireRole(['admin']), validateDoctorUpdate, updateDoctor);
+
 // ==================== ANALYTICS & STATISTICS ROUTES ====================
 
 /**
@@ -470,6 +566,7 @@ router.use('*', (req, res) => {
             'GET /api/healthcare/status',
             'GET /api/healthcare/facilities',
             'GET /api/healthcare/doctors',
+            'GET /api/healthcare/doctors/:doctorId',
             'GET /api/healthcare/statistics'
         ]
     });
@@ -41,6 +41,18 @@ const router = express.Router();
  *           type: string
  *         fullAddress:
  *           type: string
+ *           description: Street address from the geocoding provider, or the district name when running offline
+ *         detectionSource:
+ *           type: string
+ *           description: district_boundaries, or the geocoding provider that settled a point near a boundary
+ *           example: district_boundaries
+ *         confidence:
+ *           type: string
+ *           enum: [high, medium]
+ *           description: medium when the point is within a few kilometres of another district and no provider confirmed it
+ *         usedFallback:
+ *           type: boolean
+ *           description: True when the configured geocoding provider failed and only the boundaries were used
  *         coordinates:
  *           type: object
  *           properties:
@@ -57,6 +69,10 @@ const router = express.Router();
  * /api/location/district:
  *   get:
  *     summary: Detect user's KZN district from coordinates
+ *     description: |
+ *       Works offline against the KZN district boundary polygons. When a geocoding provider is
+ *       configured (GEOCODING_PROVIDER, or a Google Maps API key), it adds the street address and
+ *       settles points close to a district boundary.
  *     tags: [Location]
  *     parameters:
  *       - in: query
@@ -79,9 +95,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/DistrictResponse'
  *       400:
- *         description: Invalid coordinates or not in KZN
- *       404:
- *         description: Location not found
+ *         description: Invalid coordinates, not in KZN (OUTSIDE_KZN, NOT_IN_KZN) or a district not yet served (UNSUPPORTED_DISTRICT)
  *       500:
  *         description: Internal server error
  */
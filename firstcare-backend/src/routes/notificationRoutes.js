@@ -0,0 +1,84 @@
+/**
+ * @file src/routes/notificationRoutes.js
+ * @module NotificationRoutes
+ * @version 1.0.0
+ *
+ * @description
+ * Notification Routes for KZN Healthcare Appointment Booking System
+ *
+ * Booking confirmations, 24-hour reminders and waitlist offers are sent by the
+ * background notification jobs over the patient's preferred channel. These
+ * routes expose the same messages as an in-app inbox with delivery status.
+ *
+ * Security Features:
+ * - JWT authentication on all endpoints
+ * - Users only see their own notifications
+ *
+ * @author
+ * Healthcare System - KZN Implementation
+ */
+
+import express from 'express';
+import { getMyNotifications, markNotificationRead } from '../controllers/notificationController.js';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { validateId } from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// All routes require KZN healthcare authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get my notifications
+ *     description: Booking confirmations, reminders and waitlist offers sent to the user, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms, whatsapp, in-app]
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved
+ */
+router.get('/', getMyNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/read', validateId, markNotificationRead);
+
+export default router;
@@ -0,0 +1,139 @@
+/**
+ * @file src/routes/providerRoutes.js
+ * @module ProviderRoutes
+ * @version 1.0.0
+ *
+ * @description
+ * Provider Portal Routes for KZN Healthcare Appointment Booking System
+ *
+ * Provider accounts are linked by an administrator to a doctor listed at a
+ * healthcare facility. Once linked, the provider sees that doctor's day sheet:
+ * appointments ordered by time and clinical priority, the queue of checked-in
+ * patients, answers to pre-visit questionnaires, and allergy and chronic-care
+ * summaries shared under patient consent.
+ *
+ * Security Features:
+ * - JWT authentication on all endpoints
+ * - Provider role required for the portal, admin role for account linking
+ * - Input validation middleware
+ *
+ * @author
+ * Healthcare System - KZN Implementation
+ */
+
+import express from 'express';
+import {
+    linkProviderAccount,
+    getProviderProfile,
+    getProviderDaySheet
+} from '../controllers/providerController.js';
+import { verifyToken, requireRole } from '../middleware/authMiddleware.js';
+import {
+    validateProviderLink,
+    validateDaySheetQuery
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// All routes require KZN healthcare authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * /api/provider/me:
+ *   get:
+ *     summary: Get the doctor linked to the current provider account
+ *     tags: [Provider Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked doctor and facility
+ *       404:
+ *         description: Account is not linked to a doctor
+ */
+router.get('/me', requireRole(['provider']), getProviderProfile);
+
+/**
+ * @swagger
+ * /api/provider/appointments:
+ *   get:
+ *     summary: Get the day sheet for the linked doctor
+ *     description: |
+ *       Lists the doctor's appointments for one clinic day (Africa/Johannesburg), ordered by
+ *       start time and then by priority score. Cancelled and rescheduled appointments are left off.
+ *       Checked-in patients are also returned as a queue ordered by priority.
+ *       Allergy and chronic-care summaries are included only when the patient consented to
+ *       data sharing, or for emergency visits when emergency access is allowed; otherwise
+ *       `medicalSummary` is null and `consentWithheld` is true.
+ *       Answers to the pre-visit questionnaire are included as `intake`, with any flags raised
+ *       (e.g. severe pain or thoughts of self-harm) and the score for scored questionnaires.
+ *     tags: [Provider Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: '2025-03-14'
+ *         description: Clinic day to list (defaults to today)
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: string
+ *         description: Doctor to list (admins only; providers always see their linked doctor)
+ *     responses:
+ *       200:
+ *         description: Day sheet retrieved
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Account is not linked to a doctor
+ */
+router.get('/appointments', requireRole(['provider', 'admin']), validateDaySheetQuery, getProviderDaySheet);
+
+/**
+ * @swagger
+ * /api/provider/accounts/{userId}/link:
+ *   put:
+ *     summary: Link a provider account to a facility doctor
+ *     description: Admin only. The account may then manage the doctor's schedule and see their day sheet.
+ *     tags: [Provider Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - facilityId
+ *               - doctorId
+ *             properties:
+ *               facilityId:
+ *                 type: string
+ *               doctorId:
+ *                 type: string
+ *                 example: doc_6650c0c5e1f2a3b4c5d6e7f8
+ *     responses:
+ *       200:
+ *         description: Account linked
+ *       400:
+ *         description: Account does not have the provider role
+ *       404:
+ *         description: User or doctor not found
+ *       409:
+ *         description: Doctor already linked to another account
+ */
+router.put('/accounts/:userId/link', requireRole(['admin']), validateProviderLink, linkProviderAccount);
+
+export default router;
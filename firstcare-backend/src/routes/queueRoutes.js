@@ -0,0 +1,297 @@
+/**
+ * @file src/routes/queueRoutes.js
+ * @module QueueRoutes
+ * @version 1.0.0
+ *
+ * @description
+ * Walk-in Queue Routes for KZN Healthcare Appointment Booking System
+ *
+ * Public and Unjani clinics can run a walk-in queue instead of fixed appointment
+ * times. Patients take a same-day ticket and follow their position and estimated
+ * wait; staff call the next patient in triage order. Tickets are stored as walk-in
+ * appointments: a called patient is checked in, and staff finish the visit with
+ * POST /api/appointments/{id}/complete or POST /api/appointments/{id}/no-show.
+ *
+ * Security Features:
+ * - JWT authentication on all endpoints
+ * - Provider, health-worker or admin role required to call and re-triage patients
+ * - Admin role required to change queue settings
+ * - Input validation middleware
+ *
+ * @author
+ * Healthcare System - KZN Implementation
+ */
+
+import express from 'express';
+import {
+    getFacilityQueue,
+    updateQueueSettings,
+    takeQueueTicket,
+    getQueueTicket,
+    leaveQueue,
+    callNextTicket,
+    updateTicketTriage
+} from '../controllers/queueController.js';
+import { verifyToken, requireRole } from '../middleware/authMiddleware.js';
+import {
+    validateQueueTicket,
+    validateQueueSettings,
+    validateQueueCall,
+    validateTicketTriage,
+    validateId
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// All routes require KZN healthcare authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * /api/queue/facilities/{facilityId}:
+ *   get:
+ *     summary: Get today's walk-in queue at a facility
+ *     description: |
+ *       Returns the number of patients waiting, the current minutes per patient and the
+ *       estimated wait for a new ticket, plus the caller's own ticket. Minutes per patient
+ *       are measured from the tickets called over the last hour, falling back to the
+ *       facility's average service time until three tickets have been called.
+ *       Staff also receive the waiting list in triage order and the patients currently called.
+ *     tags: [Walk-in Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: facilityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Queue state retrieved
+ *       404:
+ *         description: Facility not found
+ */
+router.get('/facilities/:facilityId', getFacilityQueue);
+
+/**
+ * @swagger
+ * /api/queue/facilities/{facilityId}/tickets:
+ *   post:
+ *     summary: Take a same-day walk-in ticket
+ *     description: |
+ *       Issues the next ticket number while the clinic is open. The response includes the
+ *       ticket's position in triage order and its estimated wait.
+ *     tags: [Walk-in Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: facilityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *               - category
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Persistent cough and fever for three days
+ *               category:
+ *                 type: string
+ *                 example: General Practitioner
+ *               urgency:
+ *                 type: string
+ *                 enum: [routine, urgent, emergency]
+ *                 default: routine
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Ticket issued
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Facility is outside the patient's district
+ *       404:
+ *         description: Facility not found
+ *       409:
+ *         description: Queue not enabled, clinic closed, queue full, or the patient already has a ticket today
+ */
+router.post('/facilities/:facilityId/tickets', validateQueueTicket, takeQueueTicket);
+
+/**
+ * @swagger
+ * /api/queue/facilities/{facilityId}/call-next:
+ *   post:
+ *     summary: Call the next patient in triage order
+ *     description: |
+ *       Calls the waiting ticket with the highest urgency (emergency, urgent, routine), then the
+ *       lowest ticket number, and checks the patient in. The patient is assigned to the named
+ *       doctor, or to the doctor a calling provider account is linked to at this facility.
+ *     tags: [Walk-in Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: facilityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               doctorId:
+ *                 type: string
+ *                 example: doc_6650c0c5e1f2a3b4c5d6e7f8
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Patient called
+ *       400:
+ *         description: Doctor does not work at this facility
+ *       404:
+ *         description: Facility not found or nobody is waiting
+ */
+router.post('/facilities/:facilityId/call-next', requireRole(['provider', 'health-worker', 'admin']), validateQueueCall, callNextTicket);
+
+/**
+ * @swagger
+ * /api/queue/facilities/{facilityId}/settings:
+ *   put:
+ *     summary: Update a facility's walk-in queue settings
+ *     description: Admin only. Queues can only be enabled at public and Unjani clinics.
+ *     tags: [Walk-in Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: facilityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               averageServiceMinutes:
+ *                 type: integer
+ *                 minimum: 15
+ *                 maximum: 120
+ *               dailyTicketLimit:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Maximum tickets issued per day; null removes the limit
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Facility type cannot run a walk-in queue, or invalid settings
+ *       404:
+ *         description: Facility not found
+ */
+router.put('/facilities/:facilityId/settings', requireRole(['admin']), validateQueueSettings, updateQueueSettings);
+
+/**
+ * @swagger
+ * /api/queue/tickets/{id}:
+ *   get:
+ *     summary: Get a walk-in ticket with its live position and estimated wait
+ *     tags: [Walk-in Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ticket retrieved
+ *       403:
+ *         description: Ticket belongs to another patient
+ *       404:
+ *         description: Ticket not found
+ */
+router.get('/tickets/:id', validateId, getQueueTicket);
+
+/**
+ * @swagger
+ * /api/queue/tickets/{id}/leave:
+ *   post:
+ *     summary: Leave the walk-in queue
+ *     tags: [Walk-in Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ticket cancelled
+ *       404:
+ *         description: Ticket not found
+ *       409:
+ *         description: Ticket has already been called
+ */
+router.post('/tickets/:id/leave', validateId, leaveQueue);
+
+/**
+ * @swagger
+ * /api/queue/tickets/{id}/triage:
+ *   patch:
+ *     summary: Change the urgency of a waiting ticket
+ *     tags: [Walk-in Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - urgency
+ *             properties:
+ *               urgency:
+ *                 type: string
+ *                 enum: [routine, urgent, emergency]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Ticket re-triaged
+ *       404:
+ *         description: Ticket not found
+ *       409:
+ *         description: Ticket has already been called
+ */
+router.patch('/tickets/:id/triage', requireRole(['provider', 'health-worker', 'admin']), validateTicketTriage, updateTicketTriage);
+
+export default router;
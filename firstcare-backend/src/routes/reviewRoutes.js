@@ -0,0 +1,247 @@
+/**
+ * @file src/routes/reviewRoutes.js
+ * @module ReviewRoutes
+ * @version 1.0.0
+ *
+ * @description
+ * Patient Review Routes for KZN Healthcare Appointment Booking System
+ *
+ * Patients rate the facility and doctor after a completed visit and may leave a comment.
+ * Comments are published once an admin has checked them. Facility and doctor ratings are
+ * recomputed from published reviews, so every rating comes from a verified visit.
+ *
+ * Security Features:
+ * - Public read access to published reviews, without the patient's identity
+ * - JWT authentication for submitting and moderating reviews
+ * - Admin role required for moderation
+ * - Input validation middleware
+ *
+ * @author
+ * Healthcare System - KZN Implementation
+ */
+
+import express from 'express';
+import {
+    submitReview,
+    getMyReviews,
+    getFacilityReviews,
+    getModerationQueue,
+    publishReview,
+    rejectReview
+} from '../controllers/reviewController.js';
+import { verifyToken, requireRole } from '../middleware/authMiddleware.js';
+import {
+    validateReview,
+    validateReviewModeration,
+    validateReviewQuery,
+    validateFacilityReviewsQuery
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/reviews/facilities/{facilityId}:
+ *   get:
+ *     summary: Get published reviews of a facility
+ *     description: |
+ *       Public. Lists published reviews from verified completed visits, newest first, with the
+ *       facility's rating summary. Patients are not identified.
+ *     tags: [Patient Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: facilityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved
+ *       404:
+ *         description: Facility not found
+ */
+router.get('/facilities/:facilityId', validateFacilityReviewsQuery, getFacilityReviews);
+
+// Remaining routes require KZN healthcare authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * /api/reviews:
+ *   post:
+ *     summary: Review a completed visit
+ *     description: |
+ *       Rates the facility, and the doctor if one was recorded, for one of the patient's completed
+ *       appointments. Each visit can be reviewed once, within 90 days of completion. Ratings without
+ *       a comment are published straight away; comments are checked by an admin first.
+ *     tags: [Patient Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - appointmentId
+ *               - facilityRating
+ *             properties:
+ *               appointmentId:
+ *                 type: string
+ *               facilityRating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 4
+ *               doctorRating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Short wait and the nurse explained everything in isiZulu
+ *     responses:
+ *       201:
+ *         description: Review submitted (published, or pending moderation if it has a comment)
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Appointment belongs to another patient
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Visit not completed, review window closed or visit already reviewed
+ */
+router.post('/', validateReview, submitReview);
+
+/**
+ * @swagger
+ * /api/reviews/mine:
+ *   get:
+ *     summary: Get my reviews
+ *     description: Lists the patient's reviews with their moderation status.
+ *     tags: [Patient Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/mine', getMyReviews);
+
+/**
+ * @swagger
+ * /api/reviews/moderation:
+ *   get:
+ *     summary: Get the review moderation queue
+ *     description: Admin only. Lists reviews by moderation status (default pending, oldest first).
+ *     tags: [Patient Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, published, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: district
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/moderation', requireRole(['admin']), validateReviewQuery, getModerationQueue);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/publish:
+ *   post:
+ *     summary: Publish a review
+ *     description: Admin only. Shows the review publicly and recomputes the facility and doctor ratings.
+ *     tags: [Patient Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review published
+ *       404:
+ *         description: Review not found
+ */
+router.post('/:id/publish', requireRole(['admin']), validateReviewModeration, publishReview);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/reject:
+ *   post:
+ *     summary: Reject a review
+ *     description: |
+ *       Admin only. Hides the review and stops it counting towards ratings. Rejecting a published
+ *       review recomputes the facility and doctor ratings.
+ *     tags: [Patient Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: Reason shown to the patient
+ *     responses:
+ *       200:
+ *         description: Review rejected
+ *       400:
+ *         description: Reason missing
+ *       404:
+ *         description: Review not found
+ */
+router.post('/:id/reject', requireRole(['admin']), validateReviewModeration, rejectReview);
+
+export default router;
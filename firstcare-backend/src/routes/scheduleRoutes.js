@@ -0,0 +1,241 @@
+/**
+ * @file src/routes/scheduleRoutes.js
+ * @module ScheduleRoutes
+ * @version 1.0.0
+ *
+ * @description
+ * Provider Schedule Routes for KZN Healthcare Appointment Booking System
+ *
+ * Providers maintain their own weekly working blocks, slot lengths per category,
+ * breaks and date-specific exceptions. Appointment availability and slot
+ * generation are derived from these schedules.
+ *
+ * Security Features:
+ * - JWT authentication on all endpoints
+ * - Provider/admin role required for changes
+ * - Input validation middleware
+ *
+ * @author
+ * Healthcare System - KZN Implementation
+ */
+
+import express from 'express';
+import { param } from 'express-validator';
+import {
+    getProviderSchedule,
+    upsertProviderSchedule,
+    addScheduleException,
+    removeScheduleException
+} from '../controllers/scheduleController.js';
+import { verifyToken, requireRole } from '../middleware/authMiddleware.js';
+import {
+    validateProviderSchedule,
+    validateScheduleException,
+    handleValidationErrors
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+const doctorIdValidation = [
+    param('doctorId')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Doctor ID must be between 2 and 50 characters'),
+    handleValidationErrors
+];
+
+const exceptionIdValidation = [
+    param('exceptionId')
+        .isMongoId()
+        .withMessage('Invalid exception ID format'),
+    handleValidationErrors
+];
+
+// All routes require KZN healthcare authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * /api/schedules/{doctorId}:
+ *   get:
+ *     summary: Get a provider's schedule
+ *     description: Returns the provider's configured schedule, or the default schedule if none has been set up
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Healthcare provider identifier
+ *     responses:
+ *       200:
+ *         description: Provider schedule retrieved
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/:doctorId', doctorIdValidation, getProviderSchedule);
+
+/**
+ * @swagger
+ * /api/schedules/{doctorId}:
+ *   put:
+ *     summary: Create or replace a provider's weekly schedule
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - weeklyBlocks
+ *             properties:
+ *               doctorName:
+ *                 type: string
+ *               facility:
+ *                 type: string
+ *               weeklyBlocks:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     dayOfWeek:
+ *                       type: string
+ *                       example: monday
+ *                     start:
+ *                       type: string
+ *                       example: '08:00'
+ *                     end:
+ *                       type: string
+ *                       example: '16:00'
+ *               breaks:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     dayOfWeek:
+ *                       type: string
+ *                       description: Omit to apply the break every working day
+ *                     start:
+ *                       type: string
+ *                       example: '12:30'
+ *                     end:
+ *                       type: string
+ *                       example: '13:30'
+ *                     label:
+ *                       type: string
+ *                       example: Lunch
+ *               defaultSlotDuration:
+ *                 type: integer
+ *                 example: 30
+ *               slotDurations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     category:
+ *                       type: string
+ *                       example: Dentist
+ *                     minutes:
+ *                       type: integer
+ *                       example: 45
+ *     responses:
+ *       200:
+ *         description: Schedule updated
+ *       201:
+ *         description: Schedule created
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Not permitted to manage this schedule
+ */
+router.put('/:doctorId', requireRole(['provider', 'admin']), doctorIdValidation, validateProviderSchedule, upsertProviderSchedule);
+
+/**
+ * @swagger
+ * /api/schedules/{doctorId}/exceptions:
+ *   post:
+ *     summary: Add a schedule exception
+ *     description: Record leave, a public holiday or an extra session for a specific date
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - type
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               type:
+ *                 type: string
+ *                 enum: [leave, public-holiday, extra-session]
+ *               start:
+ *                 type: string
+ *                 description: Required for extra sessions; omit for whole-day leave
+ *               end:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Exception added
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Not permitted to manage this schedule
+ */
+router.post('/:doctorId/exceptions', requireRole(['provider', 'admin']), doctorIdValidation, validateScheduleException, addScheduleException);
+
+/**
+ * @swagger
+ * /api/schedules/{doctorId}/exceptions/{exceptionId}:
+ *   delete:
+ *     summary: Remove a schedule exception
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exceptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exception removed
+ *       403:
+ *         description: Not permitted to manage this schedule
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:doctorId/exceptions/:exceptionId', requireRole(['provider', 'admin']), doctorIdValidation, exceptionIdValidation, removeScheduleException);
+
+export default router;
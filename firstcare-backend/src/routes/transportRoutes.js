@@ -0,0 +1,268 @@
+/**
+ * @file src/routes/transportRoutes.js
+ * @module TransportRoutes
+ * @version 1.0.0
+ *
+ * @description
+ * Patient Transport Routes for KZN Healthcare Appointment Booking System
+ *
+ * Patients request patient transport or an ambulance to get to an appointment, either
+ * when booking (the `transportAssistance` field of POST /api/appointments) or afterwards.
+ * Health workers and admins review requests for their district, and approved trips are
+ * grouped into manifests by date and pickup sub-location.
+ *
+ * Security Features:
+ * - JWT authentication on all endpoints
+ * - Health-worker or admin role required for the approval queue, decisions and manifests
+ * - Health workers only manage requests in their registered district
+ * - Input validation middleware
+ *
+ * @author
+ * Healthcare System - KZN Implementation
+ */
+
+import express from 'express';
+import {
+    requestTransport,
+    getTransportRequests,
+    approveTransportRequest,
+    declineTransportRequest,
+    getTransportManifests
+} from '../controllers/transportController.js';
+import { verifyToken, requireRole } from '../middleware/authMiddleware.js';
+import {
+    validateTransportRequest,
+    validateTransportReview,
+    validateTransportQuery
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+// All routes require KZN healthcare authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * /api/transport/requests:
+ *   get:
+ *     summary: Get the transport approval queue
+ *     description: |
+ *       Health-worker or admin only. Lists transport requests for active appointments from the
+ *       given date (default today), soonest first. Health workers see their registered district;
+ *       admins see every district unless one is given.
+ *     tags: [Patient Transport]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, declined]
+ *           default: pending
+ *       - in: query
+ *         name: district
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 14
+ *         description: Only appointments within this many days of the date
+ *     responses:
+ *       200:
+ *         description: Transport requests retrieved
+ *       403:
+ *         description: District outside the health worker's registered district
+ */
+router.get('/requests', requireRole(['health-worker', 'admin']), validateTransportQuery, getTransportRequests);
+
+/**
+ * @swagger
+ * /api/transport/requests/{id}:
+ *   put:
+ *     summary: Request transport for an appointment
+ *     description: |
+ *       Requests patient transport or an ambulance for an upcoming appointment, or changes an
+ *       existing request. A new or changed request waits for review again.
+ *     tags: [Patient Transport]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - pickup
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [ambulance, patient-transport]
+ *               pickup:
+ *                 type: object
+ *                 required:
+ *                   - address
+ *                 properties:
+ *                   address:
+ *                     type: string
+ *                     example: House 12, KwaNgwanase main road
+ *                   subLocation:
+ *                     type: string
+ *                     example: Manguzi
+ *                   lat:
+ *                     type: number
+ *                   lng:
+ *                     type: number
+ *               mobilityNeeds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [wheelchair, stretcher, walking-aid, oxygen, visually-impaired, companion]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transport requested
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Appointment belongs to another patient
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Appointment is not upcoming
+ */
+router.put('/requests/:id', validateTransportRequest, requestTransport);
+
+/**
+ * @swagger
+ * /api/transport/requests/{id}/approve:
+ *   post:
+ *     summary: Approve a transport request
+ *     tags: [Patient Transport]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment id
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: Collection from the Manguzi taxi rank at 06:30
+ *     responses:
+ *       200:
+ *         description: Request approved
+ *       403:
+ *         description: Appointment is outside the health worker's district
+ *       404:
+ *         description: No transport requested for this appointment
+ *       409:
+ *         description: Appointment is no longer active
+ */
+router.post('/requests/:id/approve', requireRole(['health-worker', 'admin']), validateTransportReview, approveTransportRequest);
+
+/**
+ * @swagger
+ * /api/transport/requests/{id}/decline:
+ *   post:
+ *     summary: Decline a transport request
+ *     tags: [Patient Transport]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: Reason shown to the patient
+ *     responses:
+ *       200:
+ *         description: Request declined
+ *       400:
+ *         description: Reason missing
+ *       403:
+ *         description: Appointment is outside the health worker's district
+ *       404:
+ *         description: No transport requested for this appointment
+ *       409:
+ *         description: Appointment is no longer active
+ */
+router.post('/requests/:id/decline', requireRole(['health-worker', 'admin']), validateTransportReview, declineTransportRequest);
+
+/**
+ * @swagger
+ * /api/transport/manifests:
+ *   get:
+ *     summary: Get transport manifests of approved trips
+ *     description: |
+ *       Health-worker or admin only. Groups approved trips for active appointments by date and
+ *       pickup sub-location, with vehicle, passenger and mobility-need totals for each group.
+ *     tags: [Patient Transport]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: district
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (defaults to today)
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 14
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Manifests retrieved
+ *       403:
+ *         description: District outside the health worker's registered district
+ */
+router.get('/manifests', requireRole(['health-worker', 'admin']), validateTransportQuery, getTransportManifests);
+
+export default router;
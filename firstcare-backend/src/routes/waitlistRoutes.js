@@ -0,0 +1,240 @@
+/**
+ * @file src/routes/waitlistRoutes.js
+ * @module WaitlistRoutes
+ * @version 1.0.0
+ *
+ * @description
+ * Waitlist Routes for KZN Healthcare Appointment Booking System
+ *
+ * Patients join a waitlist for a fully booked provider. When a booking is
+ * cancelled or rescheduled, the freed slot is held for the highest priority
+ * waiting patient for a limited time before moving to the next patient.
+ *
+ * Security Features:
+ * - JWT authentication on all endpoints
+ * - Ownership checks on waitlist entries
+ * - Provider/admin role required for the provider view
+ * - Input validation middleware
+ *
+ * @author
+ * Healthcare System - KZN Implementation
+ */
+
+import express from 'express';
+import { param } from 'express-validator';
+import {
+    joinWaitlist,
+    getMyWaitlist,
+    getProviderWaitlist,
+    acceptWaitlistOffer,
+    declineWaitlistOffer,
+    leaveWaitlist
+} from '../controllers/waitlistController.js';
+import { verifyToken, requireRole } from '../middleware/authMiddleware.js';
+import {
+    validateWaitlistEntry,
+    validateId,
+    handleValidationErrors
+} from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+const doctorIdValidation = [
+    param('doctorId')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Doctor ID must be between 2 and 50 characters'),
+    handleValidationErrors
+];
+
+// All routes require KZN healthcare authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * /api/waitlist:
+ *   post:
+ *     summary: Join a provider's waitlist
+ *     description: Wait for a slot with a fully booked provider within a date range starting tomorrow or later. Freed slots are offered in priority order; slots freed on the day itself are not offered.
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - doctorId
+ *               - doctor
+ *               - dateFrom
+ *               - dateTo
+ *               - reason
+ *               - category
+ *               - district
+ *             properties:
+ *               doctorId:
+ *                 type: string
+ *               dateFrom:
+ *                 type: string
+ *                 format: date
+ *               dateTo:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               urgency:
+ *                 type: string
+ *                 enum: [routine, urgent, emergency]
+ *               district:
+ *                 type: string
+ *               facilityId:
+ *                 type: string
+ *                 description: Facility to wait at; required when the doctor works at several facilities, unless facilityName identifies it
+ *               facilityName:
+ *                 type: string
+ *               providerAddress:
+ *                 type: string
+ *                 description: Used only when the facility record has no address
+ *               providerContact:
+ *                 type: string
+ *                 description: Used only when the facility record has no phone number
+ *     responses:
+ *       201:
+ *         description: Added to the waitlist
+ *       400:
+ *         description: Validation failed, the doctor does not work at the facility (DOCTOR_NOT_AT_FACILITY, FACILITY_REQUIRED), the facility is in another district (FACILITY_DISTRICT_MISMATCH) or emergency care at a non-hospital facility (INVALID_EMERGENCY_FACILITY)
+ *       403:
+ *         description: District access denied
+ *       404:
+ *         description: Doctor or facility not found (DOCTOR_NOT_FOUND, FACILITY_NOT_FOUND)
+ *       409:
+ *         description: Already on the waitlist for this provider
+ */
+router.post('/', validateWaitlistEntry, joinWaitlist);
+
+/**
+ * @swagger
+ * /api/waitlist:
+ *   get:
+ *     summary: Get my waitlist entries
+ *     description: Lists the user's waitlist entries, including any slot currently held for them
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, booked, expired, cancelled]
+ *     responses:
+ *       200:
+ *         description: Waitlist entries retrieved
+ */
+router.get('/', getMyWaitlist);
+
+/**
+ * @swagger
+ * /api/waitlist/doctor/{doctorId}:
+ *   get:
+ *     summary: Get a provider's open waitlist
+ *     description: Open waitlist entries for a provider in the order freed slots would be offered
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Provider waitlist retrieved
+ *       403:
+ *         description: Provider or admin role required
+ */
+router.get('/doctor/:doctorId', requireRole(['provider', 'admin']), doctorIdValidation, getProviderWaitlist);
+
+/**
+ * @swagger
+ * /api/waitlist/{id}/accept:
+ *   post:
+ *     summary: Accept a held slot
+ *     description: Books the slot currently held for this waitlist entry
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Appointment booked from the waitlist
+ *       400:
+ *         description: The slot is today and can no longer be booked online (PAST_APPOINTMENT_DATE)
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: No slot on offer, the patient already has an appointment then, or the slot is no longer bookable (facility closed, outside the provider's schedule or booked by someone else)
+ *       410:
+ *         description: The hold expired and the slot moved to the next patient
+ */
+router.post('/:id/accept', validateId, acceptWaitlistOffer);
+
+/**
+ * @swagger
+ * /api/waitlist/{id}/decline:
+ *   post:
+ *     summary: Decline a held slot
+ *     description: Passes the held slot to the next patient; the entry stays on the waitlist
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: No slot on offer
+ */
+router.post('/:id/decline', validateId, declineWaitlistOffer);
+
+/**
+ * @swagger
+ * /api/waitlist/{id}:
+ *   delete:
+ *     summary: Leave the waitlist
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed from the waitlist
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Entry already closed
+ */
+router.delete('/:id', validateId, leaveWaitlist);
+
+export default router;
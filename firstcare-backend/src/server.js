@@ -37,6 +37,7 @@ import swaggerUi from 'swagger-ui-express';
 import connectDB from './config/db.js';
 import swaggerSpec from './config/swaggerConfig.js';
 import { validateGoogleConfig } from './config/googleConfig.js';
+import { getGeocoder } from './config/geocodingProviders.js';
 
 // Middleware imports
 import corsMiddleware, { handleCorsErrors } from './middleware/cors.js';
@@ -48,6 +49,22 @@ import userRoutes from './routes/userRoutes.js';
 import healthcareRoutes from './routes/healthcareRoutes.js';
 import locationRoutes from './routes/locationRoutes.js';
 import placesRoutes from './routes/placesRoutes.js';
+import scheduleRoutes from './routes/scheduleRoutes.js';
+import waitlistRoutes from './routes/waitlistRoutes.js';
+import providerRoutes from './routes/providerRoutes.js';
+import queueRoutes from './routes/queueRoutes.js';
+import eventRoutes from './routes/eventRoutes.js';
+import emergencyRoutes from './routes/emergencyRoutes.js';
+import transportRoutes from './routes/transportRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
+import dependantRoutes from './routes/dependantRoutes.js';
+import assistedBookingRoutes from './routes/assistedBookingRoutes.js';
+
+// Background job imports
+import { startJobs, stopJobs } from './jobs/index.js';
+import { closeAllStreams } from './utils/eventHub.js';
 
 // STEP 2: Load environment variables
 dotenv.config({
@@ -246,6 +263,18 @@ app.use(corsMiddleware);
 // Database health check for critical routes
 app.use('/api/healthcare', dbHealthCheck);
 app.use('/api/appointments', dbHealthCheck);
+app.use('/api/schedules', dbHealthCheck);
+app.use('/api/waitlist', dbHealthCheck);
+app.use('/api/provider', dbHealthCheck);
+app.use('/api/queue', dbHealthCheck);
+app.use('/api/events', dbHealthCheck);
+app.use('/api/emergency', dbHealthCheck);
+app.use('/api/transport', dbHealthCheck);
+app.use('/api/notifications', dbHealthCheck);
+app.use('/api/reviews', dbHealthCheck);
+app.use('/api/calendar', dbHealthCheck);
+app.use('/api/dependants', dbHealthCheck);
+app.use('/api/assisted', dbHealthCheck);
 
 // ==================== DATABASE CONFIGURATION ====================
 
@@ -273,13 +302,24 @@ mongoose.connection.on('reconnected', () => {
 
 /**
  * Google Maps Configuration Validation
+ * District detection works offline; Google adds street addresses and Places search
  */
 try {
   validateGoogleConfig();
   console.log('Google Maps API configuration validated successfully');
 } catch (error) {
   console.error('Google Maps configuration error:', error.message);
-  console.log('Location-based features will be limited without proper Google Maps API configuration');
+  console.log('District detection will use the offline KZN district boundaries; Places search is unavailable');
+}
+
+/**
+ * Geocoding Provider Selection
+ */
+try {
+  console.log(`Geocoding provider: ${getGeocoder().name}`);
+} catch (error) {
+  console.error('Geocoding provider configuration error:', error.message);
+  console.log('Set GEOCODING_PROVIDER to offline or google');
 }
 
 // ==================== SWAGGER API DOCUMENTATION ====================
@@ -355,6 +395,78 @@ app.use('/api/auth', authRoutes);
  */
 app.use('/api/appointments', appointmentRoutes);
 
+/**
+ * Provider Schedule Routes
+ * Weekly working blocks, slot lengths and schedule exceptions
+ */
+app.use('/api/schedules', scheduleRoutes);
+
+/**
+ * Waitlist Routes
+ * Provider waitlists and time-limited offers of freed slots
+ */
+app.use('/api/waitlist', waitlistRoutes);
+
+/**
+ * Provider Portal Routes
+ * Day sheets and patient queues for provider accounts linked to a facility doctor
+ */
+app.use('/api/provider', providerRoutes);
+
+/**
+ * Walk-in Queue Routes
+ * Same-day tickets, live queue positions and triage-ordered calling at clinics
+ */
+app.use('/api/queue', queueRoutes);
+
+/**
+ * Real-time Event Routes
+ * Server-Sent Events for appointment status, availability, waitlist offers and walk-in queues
+ */
+app.use('/api/events', eventRoutes);
+
+/**
+ * Emergency Triage Routes
+ * Symptom triage and routing to the nearest open emergency facility
+ */
+app.use('/api/emergency', emergencyRoutes);
+
+/**
+ * Patient Transport Routes
+ * Transport requests, district approval queue and transport manifests
+ */
+app.use('/api/transport', transportRoutes);
+
+/**
+ * Notification Routes
+ * In-app inbox of confirmations, reminders and waitlist offers
+ */
+app.use('/api/notifications', notificationRoutes);
+
+/**
+ * Patient Review Routes
+ * Post-visit ratings and reviews, moderation and public facility reviews
+ */
+app.use('/api/reviews', reviewRoutes);
+
+/**
+ * Calendar Feed Routes
+ * Secret-link iCalendar feeds of patients' appointments
+ */
+app.use('/api/calendar', calendarRoutes);
+
+/**
+ * Family Account Routes
+ * Guardians registering and managing dependants
+ */
+app.use('/api/dependants', dependantRoutes);
+
+/**
+ * Assisted Booking Routes
+ * Community health workers registering and booking for patients in their district
+ */
+app.use('/api/assisted', assistedBookingRoutes);
+
 /**
  * User Management Routes
  * User profiles, preferences, and account management
@@ -744,6 +856,17 @@ Key Features:
     `);
 });
 
+// ==================== BACKGROUND JOBS ====================
+
+/**
+ * Start Background Jobs
+ * Waitlist offer expiry, notification queueing and delivery (see src/jobs).
+ * Set ENABLE_BACKGROUND_JOBS=false on extra API instances so only one process runs them.
+ */
+if (process.env.ENABLE_BACKGROUND_JOBS !== 'false') {
+  startJobs();
+}
+
 // ==================== GRACEFUL SHUTDOWN HANDLING ====================
 
 /**
@@ -765,6 +888,12 @@ const gracefulShutdown = (signal) => {
     console.log(`\nReceived ${signal}. Starting graceful shutdown...`);
     isExiting = true;
 
+    // Stop background jobs
+    stopJobs();
+
+    // End open event streams, which would otherwise keep the server from closing
+    closeAllStreams();
+
     // Stop accepting new connections
     server.close((err) => {
       if (err) {
@@ -0,0 +1,196 @@
+/**
+ * iCalendar Utilities for KZN Healthcare System
+ *
+ * @module utils/calendarUtils
+ * @version 1.0.0
+ * @description Builds RFC 5545 iCalendar files for appointments. Event times are written as
+ * Africa/Johannesburg wall-clock times with a matching VTIMEZONE, so phone calendars show the
+ * clinic time whatever zone the phone is set to.
+ */
+
+import { getTimeRange } from './scheduleUtils.js';
+import { CLINIC_TIME_ZONE, getClinicParts, formatClinicDateTime } from './timeZoneUtils.js';
+
+/**
+ * Product identifier written to every calendar
+ * @constant {string} CALENDAR_PRODUCT_ID
+ */
+const CALENDAR_PRODUCT_ID = '-//FirstCare KZN//Healthcare Appointments//EN';
+
+/**
+ * iCalendar event status for each appointment status
+ * @constant {Object} EVENT_STATUS
+ */
+const EVENT_STATUS = {
+    'pending': 'TENTATIVE',
+    'confirmed': 'CONFIRMED',
+    'checked-in': 'CONFIRMED',
+    'completed': 'CONFIRMED',
+    'cancelled': 'CANCELLED',
+    'no-show': 'CANCELLED'
+};
+
+/**
+ * South Africa has kept UTC+2 all year since 1944, so one STANDARD rule covers every date
+ * @constant {Array<string>} CLINIC_VTIMEZONE
+ */
+const CLINIC_VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${CLINIC_TIME_ZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0200',
+    'TZNAME:SAST',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Text to escape
+ * @returns {string} Text with backslashes, semicolons, commas and line breaks escaped
+ */
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to at most 75 octets per line, without splitting characters
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const character of line) {
+        const size = Buffer.byteLength(character);
+        // Continuation lines start with a space, which counts towards their 75 octets
+        if (octets + size > 75) {
+            parts.push(current);
+            current = ' ';
+            octets = 1;
+        }
+        current += character;
+        octets += size;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n');
+};
+
+/**
+ * Format an instant as a clinic wall-clock DATE-TIME
+ * @param {Date} instant - Point in time
+ * @returns {string} Local time such as 20250314T093000
+ */
+const formatLocalDateTime = (instant) => {
+    const { year, month, day, hours, minutes, seconds } = getClinicParts(instant);
+    return `${year}${pad(month)}${pad(day)}T${pad(hours)}${pad(minutes)}${pad(seconds)}`;
+};
+
+/**
+ * Format an instant as a UTC DATE-TIME
+ * @param {Date} instant - Point in time
+ * @returns {string} UTC time such as 20250314T073000Z
+ */
+const formatUtcDateTime = (instant) => new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Describe the cancellation rules for an appointment
+ * @param {Object} appointment - Appointment document
+ * @returns {string|null} When and how the booking can be cancelled, or null once the visit has started or ended
+ */
+const describeCancellation = (appointment) => {
+    if (appointment.status === 'cancelled') return 'This appointment has been cancelled.';
+    if (!appointment.canTransitionTo('cancelled')) return null;
+
+    const noticeHours = appointment.getCancellationNoticeHours();
+    if (appointment.canBeCancelled()) {
+        return `You can cancel or reschedule in FirstCare until ${formatClinicDateTime(appointment.getCancellationDeadline())} SAST ` +
+            `(${noticeHours} hours before the appointment).`;
+    }
+
+    const contact = appointment.providerContact ? ` on ${appointment.providerContact}` : '';
+    return `Online cancellation has closed (${noticeHours} hours before the appointment). ` +
+        `Please phone ${appointment.facilityName}${contact} if you cannot attend.`;
+};
+
+/**
+ * Build the VEVENT lines for an appointment
+ * The UID is shared with earlier bookings it replaced, and the sequence rises with each
+ * reschedule and on cancellation, so subscribed calendars update the existing event.
+ * Rescheduled bookings are not exported; their replacement carries the event.
+ * @param {Object} appointment - Appointment document
+ * @returns {Array<string>} Unfolded content lines
+ */
+const buildAppointmentEvent = (appointment) => {
+    const { startAt, endAt } = getTimeRange(appointment.date, appointment.time, appointment.duration);
+    const status = EVENT_STATUS[appointment.status] || 'CONFIRMED';
+    const modifiedAt = appointment.updatedAt || new Date();
+
+    const summary = appointment.doctor
+        ? `Appointment with ${appointment.doctor} at ${appointment.facilityName}`
+        : `Appointment at ${appointment.facilityName}`;
+
+    const description = [
+        `Facility: ${appointment.facilityName}`,
+        appointment.doctor && `Healthcare provider: ${appointment.doctor}`,
+        appointment.providerContact && `Contact: ${appointment.providerContact}`,
+        `Status: ${appointment.status}`,
+        describeCancellation(appointment),
+        `Booking reference: ${appointment._id}`
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${appointment.getCalendarUid()}`,
+        `SEQUENCE:${(appointment.rescheduleCount || 0) + (status === 'CANCELLED' ? 1 : 0)}`,
+        `DTSTAMP:${formatUtcDateTime(modifiedAt)}`,
+        `LAST-MODIFIED:${formatUtcDateTime(modifiedAt)}`,
+        `DTSTART;TZID=${CLINIC_TIME_ZONE}:${formatLocalDateTime(startAt)}`,
+        `DTEND;TZID=${CLINIC_TIME_ZONE}:${formatLocalDateTime(endAt)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `LOCATION:${escapeText([appointment.facilityName, appointment.providerAddress].filter(Boolean).join(', '))}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `STATUS:${status}`,
+        'TRANSP:OPAQUE',
+        'END:VEVENT'
+    ];
+};
+
+/**
+ * Build an iCalendar file of appointments
+ * @param {Array<Object>} appointments - Appointment documents
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar name shown by subscribing apps
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildCalendar = (appointments, { name = 'FirstCare appointments' } = {}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${CALENDAR_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${CLINIC_TIME_ZONE}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...CLINIC_VTIMEZONE,
+        ...appointments.flatMap(buildAppointmentEvent),
+        'END:VCALENDAR'
+    ];
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+export default {
+    buildCalendar
+};
@@ -0,0 +1,137 @@
+/**
+ * Confirmation Slip Utilities for KZN Healthcare System
+ *
+ * @module utils/confirmationSlip
+ * @version 1.0.0
+ * @description Renders printable A5 PDF appointment confirmation slips with the facility, provider,
+ * clinic date and time, what to bring, the cancellation window and a QR check-in code.
+ */
+
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { formatClinicDateTime } from './timeZoneUtils.js';
+import { getWhatToBring } from '../config/visitPreparation.js';
+
+/**
+ * Minutes before the appointment patients are asked to arrive
+ * @constant {number} ARRIVE_EARLY_MINUTES
+ */
+const ARRIVE_EARLY_MINUTES = 15;
+
+/**
+ * Status line printed on the slip
+ * @constant {Object} STATUS_NOTES
+ */
+const STATUS_NOTES = {
+    'pending': 'Booked - waiting for the facility to confirm',
+    'confirmed': 'Confirmed',
+    'checked-in': 'Checked in'
+};
+
+/**
+ * Render a PDF document into a buffer
+ * @param {PDFDocument} doc - Document whose content has been added
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+});
+
+/**
+ * Write a label and value on one line
+ * @param {PDFDocument} doc - PDF document
+ * @param {string} label - Field label
+ * @param {string} value - Field value
+ */
+const writeField = (doc, label, value) => {
+    doc.font('Helvetica-Bold').fontSize(9).text(`${label}: `, { continued: true })
+        .font('Helvetica').text(value || '-');
+};
+
+/**
+ * Write a section heading
+ * @param {PDFDocument} doc - PDF document
+ * @param {string} heading - Heading text
+ */
+const writeHeading = (doc, heading) => {
+    doc.moveDown(0.6).font('Helvetica-Bold').fontSize(10).fillColor('#1d4ed8').text(heading).fillColor('black');
+};
+
+/**
+ * Render an appointment confirmation slip
+ * @param {Object} appointment - Appointment document
+ * @param {Object} options - Slip details
+ * @param {Object} options.patient - Patient (firstName, lastName)
+ * @param {string} options.checkInToken - Signed token encoded in the QR code
+ * @param {Date} options.checkInExpiresAt - When the check-in code stops working
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export const renderConfirmationSlip = async (appointment, { patient, checkInToken, checkInExpiresAt }) => {
+    const schedule = appointment.getScheduledTime();
+    const qrCode = await QRCode.toBuffer(checkInToken, { errorCorrectionLevel: 'M', margin: 1, width: 220 });
+
+    const doc = new PDFDocument({
+        size: 'A5',
+        margin: 36,
+        info: {
+            Title: `Appointment confirmation ${appointment._id}`,
+            Author: 'FirstCare KZN'
+        }
+    });
+
+    doc.font('Helvetica-Bold').fontSize(15).text('Appointment Confirmation');
+    doc.font('Helvetica').fontSize(8).fillColor('#555555')
+        .text(`FirstCare KZN  |  Reference ${appointment._id}`).fillColor('black');
+
+    writeHeading(doc, 'Appointment');
+    writeField(doc, 'Patient', patient ? `${patient.firstName} ${patient.lastName}` : null);
+    writeField(doc, 'Date', schedule.date);
+    writeField(doc, 'Time', `${schedule.time} - ${schedule.endTime} (South African time)`);
+    writeField(doc, 'Please arrive', `${ARRIVE_EARLY_MINUTES} minutes early`);
+    writeField(doc, 'Status', STATUS_NOTES[appointment.status] || appointment.status);
+    writeField(doc, 'Service', appointment.category);
+    writeField(doc, 'Healthcare provider', appointment.doctor || 'Assigned when you are seen');
+
+    writeHeading(doc, 'Facility');
+    writeField(doc, 'Name', appointment.facilityName);
+    writeField(doc, 'Address', appointment.providerAddress);
+    writeField(doc, 'Contact', appointment.providerContact);
+    if (appointment.requiresInterpreter && appointment.interpreter?.language) {
+        writeField(doc, 'Interpreter', `${appointment.interpreter.language} (${appointment.interpreter.status})`);
+    }
+    if (appointment.transportAssistance?.needed) {
+        writeField(doc, 'Transport', `${appointment.transportAssistance.type} - ${appointment.transportAssistance.status || 'pending'}`);
+    }
+
+    writeHeading(doc, 'What to bring');
+    doc.font('Helvetica').fontSize(9).list(getWhatToBring(appointment), { bulletRadius: 1.5 });
+
+    writeHeading(doc, 'Cancellation policy');
+    const noticeHours = appointment.getCancellationNoticeHours();
+    doc.font('Helvetica').fontSize(9).text(
+        `Cancel or reschedule at least ${noticeHours} hours before your appointment ` +
+        `(by ${formatClinicDateTime(appointment.getCancellationDeadline())}) in FirstCare. ` +
+        `After that, please phone ${appointment.facilityName} if you cannot attend, so the slot can be given to someone else.`
+    );
+
+    writeHeading(doc, 'Check-in');
+    const qrTop = doc.y + 4;
+    doc.image(qrCode, doc.page.margins.left, qrTop, { width: 110 });
+    doc.font('Helvetica').fontSize(9).text(
+        'Show this code at reception when you arrive. Staff scan it to check you in. ' +
+        `The code works on your appointment day only, until ${formatClinicDateTime(checkInExpiresAt)}.`,
+        doc.page.margins.left + 124,
+        qrTop,
+        { width: doc.page.width - doc.page.margins.left - doc.page.margins.right - 124 }
+    );
+
+    return toBuffer(doc);
+};
+
+export default {
+    renderConfirmationSlip
+};
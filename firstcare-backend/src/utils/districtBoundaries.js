@@ -0,0 +1,58 @@
+/**
+ * KZN District Boundary Utilities
+ *
+ * @module utils/districtBoundaries
+ * @version 1.0.0
+ * @description Offline district detection against the KZN district boundary polygons shipped in
+ * src/data/kzn-districts.geojson. Works without network access or a Google Maps API key.
+ * The outlines are generalised, so points close to a neighbouring district are reported as such.
+ */
+
+import { readFileSync } from 'fs';
+import { isPointInGeometry, distanceToGeometryEdge } from './geoUtils.js';
+
+/**
+ * Distance from a neighbouring district within which the detected district may be wrong
+ * @constant {number} BOUNDARY_MARGIN_KM
+ */
+export const BOUNDARY_MARGIN_KM = 3;
+
+/**
+ * District boundaries as a GeoJSON FeatureCollection
+ * @constant {Object} DISTRICT_BOUNDARIES
+ */
+export const DISTRICT_BOUNDARIES = JSON.parse(
+    readFileSync(new URL('../data/kzn-districts.geojson', import.meta.url), 'utf8')
+);
+
+/**
+ * Find the KZN district containing a point
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object|null} { district, displayName, supported, nearBoundary, neighbouringDistricts },
+ * or null outside KwaZulu-Natal
+ */
+export const findDistrictAt = (lat, lng) => {
+    const feature = DISTRICT_BOUNDARIES.features.find(({ geometry }) => isPointInGeometry(lat, lng, geometry));
+    if (!feature) return null;
+
+    // Coastline and provincial borders do not make the district uncertain; nearby districts do
+    const neighbouringDistricts = DISTRICT_BOUNDARIES.features
+        .filter(other => other !== feature &&
+            distanceToGeometryEdge(lat, lng, other.geometry) < BOUNDARY_MARGIN_KM)
+        .map(other => other.properties.code);
+
+    return {
+        district: feature.properties.code,
+        displayName: feature.properties.name,
+        supported: feature.properties.supported,
+        nearBoundary: neighbouringDistricts.length > 0,
+        neighbouringDistricts
+    };
+};
+
+export default {
+    BOUNDARY_MARGIN_KM,
+    DISTRICT_BOUNDARIES,
+    findDistrictAt
+};
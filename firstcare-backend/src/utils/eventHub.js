@@ -0,0 +1,201 @@
+/**
+ * Real-time Event Hub for KZN Healthcare System
+ *
+ * @module utils/eventHub
+ * @version 1.0.0
+ * @description Keeps the open Server-Sent Events streams and pushes events to them. Every
+ * stream receives events about its own user (appointment status changes, waitlist offers,
+ * walk-in ticket positions, transport decisions); a stream may also watch one provider's availability on one
+ * date and one facility's walk-in queue. Events are delivered by the process that publishes
+ * them, so when several API instances run, streams only see changes saved by their own
+ * instance (and waitlist offers made by background jobs only reach streams on the instance
+ * running the jobs).
+ */
+
+import { toClinicDateString } from './timeZoneUtils.js';
+
+/**
+ * Event types pushed to clients
+ * @constant {Array<string>} EVENT_TYPES
+ */
+export const EVENT_TYPES = [
+    'connected',            // Stream opened; lists what the stream watches
+    'appointment.status',   // One of the user's appointments changed status
+    'availability.changed', // Bookable slots changed for the watched provider and date
+    'waitlist.offer',       // A freed slot is being held for the user
+    'queue.updated',        // The watched facility's walk-in queue changed
+    'queue.ticket',         // The user's walk-in ticket moved or changed state
+    'transport.reviewed',   // The user's transport request was approved or declined
+    'session.expired'       // The access token expired; reconnect after refreshing it
+];
+
+/**
+ * Interval between keep-alive comments, below common proxy idle timeouts
+ * @constant {number} HEARTBEAT_INTERVAL_MS
+ */
+export const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Delay the browser waits before reconnecting a dropped stream
+ * @constant {number} RECONNECT_DELAY_MS
+ */
+export const RECONNECT_DELAY_MS = 5 * 1000;
+
+const clients = new Map();
+let nextClientId = 1;
+let nextEventId = 1;
+
+/**
+ * Write one event to a client stream
+ * @param {Object} client - Connected client
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload
+ */
+const send = (client, type, data) => {
+    client.res.write(`id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Send an event to every client matching a condition
+ * @param {Function} matches - Returns true for clients that should receive the event
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload
+ * @returns {number} Clients the event was sent to
+ */
+const broadcast = (matches, type, data) => {
+    let delivered = 0;
+    for (const client of clients.values()) {
+        if (!matches(client)) continue;
+        send(client, type, { ...data, sentAt: new Date().toISOString() });
+        delivered += 1;
+    }
+    return delivered;
+};
+
+/**
+ * Open an event stream for an authenticated request
+ * The stream is closed with a session.expired event when the access token expires,
+ * so the client refreshes its cookies and reconnects.
+ * @param {Object} req - Express request (after verifyToken)
+ * @param {Object} res - Express response
+ * @param {Object} watch - What the stream watches besides its own user
+ * @param {string} watch.doctorId - Provider whose availability to follow
+ * @param {string} watch.date - Clinic date (YYYY-MM-DD) of the availability to follow
+ * @param {string} watch.facilityId - Facility whose walk-in queue to follow
+ * @returns {Object} The connected client
+ */
+export const openStream = (req, res, watch = {}) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const client = {
+        id: nextClientId++,
+        userId: req.user.userId.toString(),
+        watch,
+        res
+    };
+    clients.set(client.id, client);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    const expiresIn = req.user.tokenExpiresAt ? req.user.tokenExpiresAt - Date.now() : null;
+    const expiry = expiresIn !== null
+        ? setTimeout(() => {
+            send(client, 'session.expired', { message: 'Access token expired. Refresh the session and reconnect.' });
+            res.end();
+        }, Math.max(0, expiresIn))
+        : null;
+
+    const close = () => {
+        clearInterval(heartbeat);
+        if (expiry) clearTimeout(expiry);
+        clients.delete(client.id);
+    };
+    req.on('close', close);
+    res.on('close', close);
+
+    send(client, 'connected', { clientId: client.id, watch, eventTypes: EVENT_TYPES });
+
+    return client;
+};
+
+/**
+ * Push an event to every stream opened by a user
+ * @param {string} userId - User id
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload
+ * @returns {number} Streams the event was sent to
+ */
+export const publishToUser = (userId, type, data) => {
+    if (!userId) return 0;
+    const id = userId.toString();
+    return broadcast(client => client.userId === id, type, data);
+};
+
+/**
+ * Tell streams watching a provider and date that bookable slots changed
+ * @param {string} doctorId - Healthcare provider identifier
+ * @param {Date} date - Appointment date
+ * @param {Object} data - Event payload (e.g. the reason for the change)
+ * @returns {number} Streams the event was sent to
+ */
+export const publishAvailability = (doctorId, date, data = {}) => {
+    if (!doctorId || !date) return 0;
+    const day = toClinicDateString(date);
+    return broadcast(
+        client => client.watch.doctorId === doctorId && client.watch.date === day,
+        'availability.changed',
+        { doctorId, date: day, ...data }
+    );
+};
+
+/**
+ * Push a walk-in queue update to streams watching a facility
+ * @param {string} facilityId - Healthcare facility id
+ * @param {Object} data - Queue summary
+ * @returns {number} Streams the event was sent to
+ */
+export const publishQueue = (facilityId, data) => {
+    if (!facilityId) return 0;
+    const id = facilityId.toString();
+    return broadcast(client => client.watch.facilityId === id, 'queue.updated', { facilityId: id, ...data });
+};
+
+/**
+ * Check whether any stream is open
+ * Lets publishers skip work nobody would receive.
+ * @returns {boolean} True if at least one stream is open
+ */
+export const hasListeners = () => clients.size > 0;
+
+/**
+ * Count the open streams
+ * @returns {number} Open streams
+ */
+export const getConnectionCount = () => clients.size;
+
+/**
+ * End every open stream (used on shutdown so the HTTP server can close)
+ */
+export const closeAllStreams = () => {
+    for (const client of clients.values()) {
+        client.res.end();
+    }
+    clients.clear();
+};
+
+export default {
+    EVENT_TYPES,
+    openStream,
+    publishToUser,
+    publishAvailability,
+    publishQueue,
+    hasListeners,
+    getConnectionCount,
+    closeAllStreams
+};
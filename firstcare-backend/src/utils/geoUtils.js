@@ -85,6 +85,73 @@ export const isWithinKZNBounds = (lat, lng) => {
         lng <= KZN_BOUNDS.east;
 };
 
+/**
+ * Check if a point lies inside a closed ring of [lng, lat] positions (ray casting)
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Array<Array<number>>} ring - Closed linear ring in GeoJSON order
+ * @returns {boolean} True if the point is inside the ring
+ */
+const isPointInRing = (lat, lng, ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+/**
+ * Check if a point lies inside a GeoJSON Polygon or MultiPolygon
+ * Holes (inner rings) are excluded.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} True if the point is inside the geometry
+ */
+export const isPointInGeometry = (lat, lng, geometry) => {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+    return polygons.some(([outer, ...holes]) =>
+        isPointInRing(lat, lng, outer) && !holes.some(hole => isPointInRing(lat, lng, hole))
+    );
+};
+
+/**
+ * Shortest distance from a point to the edges of a GeoJSON Polygon or MultiPolygon
+ * Uses a flat projection around the point, which is accurate to well under 1% over a few kilometres.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {number} Distance in kilometres
+ */
+export const distanceToGeometryEdge = (lat, lng, geometry) => {
+    const kmPerDegLat = 111.32;
+    const kmPerDegLng = kmPerDegLat * Math.cos(lat * Math.PI / 180);
+    const toKm = ([x, y]) => [(x - lng) * kmPerDegLng, (y - lat) * kmPerDegLat];
+
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    let shortest = Infinity;
+
+    for (const ring of polygons.flat()) {
+        for (let i = 0; i < ring.length - 1; i++) {
+            const [ax, ay] = toKm(ring[i]);
+            const [bx, by] = toKm(ring[i + 1]);
+            const dx = bx - ax;
+            const dy = by - ay;
+            const lengthSquared = dx * dx + dy * dy;
+            // Closest point on the edge to the origin (the point itself)
+            const t = lengthSquared ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+            shortest = Math.min(shortest, Math.hypot(ax + t * dx, ay + t * dy));
+        }
+    }
+
+    return shortest;
+};
+
 /**
  * Generate random coordinates within KZN for testing
  * @returns {Object} Random coordinates {lat, lng}
@@ -108,5 +175,7 @@ export default {
     calculateDistance,
     formatDistance,
     isWithinKZNBounds,
+    isPointInGeometry,
+    distanceToGeometryEdge,
     getRandomKZNCoordinates
 };
\ No newline at end of file
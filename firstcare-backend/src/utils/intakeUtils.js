@@ -0,0 +1,201 @@
+/**
+ * Intake Questionnaire Utilities for KZN Healthcare System
+ *
+ * @module utils/intakeUtils
+ * @version 1.0.0
+ * @description Checks patients' pre-visit answers against a questionnaire from
+ * config/intakeQuestionnaires, scores and flags them, and formats stored answers for providers.
+ */
+
+import { QUESTION_TYPES } from '../config/intakeQuestionnaires.js';
+
+/**
+ * Check whether a question was answered
+ * @param {*} value - Submitted answer
+ * @returns {boolean} False for missing, empty and empty-list answers
+ */
+const isAnswered = (value) =>
+    value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Check one answer against its question
+ * @param {Object} question - Question definition
+ * @param {*} value - Submitted answer
+ * @returns {Object} { answer, display } with the normalised answer, or { error }
+ */
+const checkAnswer = (question, value) => {
+    const { type, options = [] } = question;
+
+    if (!QUESTION_TYPES.includes(type)) {
+        return { error: `Question type ${type} is not supported` };
+    }
+
+    if (type === 'text') {
+        if (typeof value !== 'string') return { error: 'Answer must be text' };
+        const answer = value.trim();
+        if (question.maxLength && answer.length > question.maxLength) {
+            return { error: `Answer cannot exceed ${question.maxLength} characters` };
+        }
+        return { answer, display: answer };
+    }
+
+    if (type === 'number' || type === 'scale') {
+        const answer = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof answer !== 'number' || !Number.isFinite(answer)) return { error: 'Answer must be a number' };
+        if (type === 'scale' && !Number.isInteger(answer)) return { error: 'Answer must be a whole number' };
+        if ((question.min !== undefined && answer < question.min) || (question.max !== undefined && answer > question.max)) {
+            return { error: `Answer must be between ${question.min} and ${question.max}` };
+        }
+        return { answer, display: type === 'scale' ? `${answer}/${question.max}` : String(answer) };
+    }
+
+    if (type === 'boolean') {
+        const answer = value === 'true' ? true : value === 'false' ? false : value;
+        if (typeof answer !== 'boolean') return { error: 'Answer must be yes or no' };
+        return { answer, display: answer ? 'Yes' : 'No' };
+    }
+
+    if (type === 'choice') {
+        const option = options.find(candidate => candidate.value === value);
+        if (!option) return { error: `Answer must be one of: ${options.map(candidate => candidate.value).join(', ')}` };
+        return { answer: option.value, display: option.label };
+    }
+
+    // multi-choice
+    if (!Array.isArray(value)) return { error: 'Answer must be a list' };
+    const answer = [...new Set(value)];
+    const unknown = answer.filter(item => !options.some(option => option.value === item));
+    if (unknown.length > 0) {
+        return { error: `Unknown options: ${unknown.join(', ')}` };
+    }
+    return {
+        answer,
+        display: options.filter(option => answer.includes(option.value)).map(option => option.label).join(', ')
+    };
+};
+
+/**
+ * Get the numeric value of an answer for scoring and flags
+ * Choice answers use their option score; other answers are used as they are.
+ * @param {Object} question - Question definition
+ * @param {*} answer - Normalised answer
+ * @returns {*} Option score for choices, otherwise the answer
+ */
+const getAnswerValue = (question, answer) => {
+    if (question.type !== 'choice') return answer;
+    const option = question.options.find(candidate => candidate.value === answer);
+    return option?.score ?? answer;
+};
+
+/**
+ * Check whether an answer raises the question's flag
+ * @param {Object} flag - Flag definition { equals | min, message }
+ * @param {*} answer - Normalised answer
+ * @param {*} value - Answer value from getAnswerValue
+ * @returns {boolean} True if the provider should be alerted
+ */
+const isFlagged = (flag, answer, value) => {
+    if ('equals' in flag) return answer === flag.equals;
+    return typeof value === 'number' && value >= flag.min;
+};
+
+/**
+ * Check a patient's answers against a questionnaire
+ * @param {Object} questionnaire - Questionnaire from getQuestionnaire
+ * @param {Object} answers - Answers keyed by question id
+ * @returns {Object} { errors, responses, score, scoreBand, flags, symptom }; errors is empty when the answers are valid
+ */
+export const validateIntakeAnswers = (questionnaire, answers = {}) => {
+    const errors = [];
+    const responses = [];
+    const normalised = {};
+    const questionIds = new Set(questionnaire.questions.map(question => question.id));
+
+    Object.keys(answers)
+        .filter(questionId => !questionIds.has(questionId))
+        .forEach(questionId => errors.push({ question: questionId, message: 'Unknown question' }));
+
+    // Answers are checked first so follow-up questions can depend on them
+    for (const question of questionnaire.questions) {
+        if (!isAnswered(answers[question.id])) continue;
+
+        const { answer, display, error } = checkAnswer(question, answers[question.id]);
+        if (error) {
+            errors.push({ question: question.id, message: error });
+            continue;
+        }
+        normalised[question.id] = answer;
+        responses.push({ questionId: question.id, question: question.text, answer, display });
+    }
+
+    for (const question of questionnaire.questions) {
+        const condition = question.requiredIf;
+        const required = question.required || (condition && normalised[condition.question] === condition.equals);
+        if (required && !isAnswered(answers[question.id])) {
+            errors.push({ question: question.id, message: 'An answer is required' });
+        }
+    }
+
+    const flags = questionnaire.questions
+        .filter(question => question.flag && question.id in normalised)
+        .filter(question => isFlagged(question.flag, normalised[question.id], getAnswerValue(question, normalised[question.id])))
+        .map(question => question.flag.message);
+
+    let score = null;
+    let scoreBand = null;
+    const { scoring } = questionnaire;
+    if (scoring) {
+        score = scoring.questions.reduce((total, questionId) => {
+            const question = questionnaire.questions.find(candidate => candidate.id === questionId);
+            const value = getAnswerValue(question, normalised[questionId]);
+            return total + (typeof value === 'number' ? value : 0);
+        }, 0);
+        scoreBand = scoring.bands.find(band => score <= band.max)?.label || null;
+        if (scoring.flagFrom && score >= scoring.flagFrom.score) {
+            flags.push(scoring.flagFrom.message);
+        }
+    }
+
+    const symptom = questionnaire.questions
+        .filter(question => question.symptom && question.id in normalised)
+        .reduce((fields, question) => ({ ...fields, [question.symptom]: normalised[question.id] }), {});
+
+    return {
+        errors,
+        responses,
+        score,
+        scoreBand,
+        flags,
+        symptom: symptom.description ? symptom : null
+    };
+};
+
+/**
+ * Format stored intake answers for API responses
+ * @param {Object} intake - Appointment intake subdocument
+ * @returns {Object|null} Answers with flags and score, or null if the questionnaire has not been answered
+ */
+export const formatIntake = (intake) => {
+    if (!intake?.submittedAt) return null;
+
+    return {
+        questionnaireId: intake.questionnaireId,
+        version: intake.version,
+        title: intake.title,
+        submittedAt: intake.submittedAt,
+        score: intake.score ?? null,
+        scoreBand: intake.scoreBand || null,
+        flags: intake.flags || [],
+        answers: intake.responses.map(response => ({
+            questionId: response.questionId,
+            question: response.question,
+            answer: response.answer,
+            display: response.display
+        }))
+    };
+};
+
+export default {
+    validateIntakeAnswers,
+    formatIntake
+};
@@ -204,6 +204,58 @@ export const generateTemporaryToken = (payload, expiresIn = '1h') => {
     );
 };
 
+/**
+ * Get the secret check-in tokens are signed with
+ * Defaults to the access token secret; the audience keeps the two kinds of token apart.
+ */
+const getCheckInSecret = () => {
+    const secret = process.env.JWT_CHECKIN_SECRET || process.env.JWT_ACCESS_SECRET;
+    if (!secret) {
+        throw new Error('JWT_CHECKIN_SECRET or JWT_ACCESS_SECRET must be defined in environment variables');
+    }
+    return secret;
+};
+
+/**
+ * Generate the check-in token printed as a QR code on an appointment confirmation slip
+ * @param {string} appointmentId - Appointment the slip is for
+ * @param {Date} expiresAt - When the slip stops working (end of the appointment day)
+ * @returns {string} Signed token
+ */
+export const generateCheckInToken = (appointmentId, expiresAt) => {
+    return jwt.sign(
+        {
+            appointmentId: appointmentId.toString(),
+            type: 'check-in',
+            exp: Math.floor(new Date(expiresAt).getTime() / 1000)
+        },
+        getCheckInSecret(),
+        {
+            issuer: 'firstcare-backend',
+            audience: 'firstcare-check-in'
+        }
+    );
+};
+
+/**
+ * Verify a check-in token scanned from a confirmation slip
+ * @param {string} token - Token read from the QR code
+ * @returns {Object} Decoded payload with appointmentId
+ * @throws {Error} If the token is invalid, expired or not a check-in token
+ */
+export const verifyCheckInToken = (token) => {
+    const decoded = jwt.verify(token, getCheckInSecret(), {
+        issuer: 'firstcare-backend',
+        audience: 'firstcare-check-in'
+    });
+
+    if (decoded.type !== 'check-in') {
+        throw new jwt.JsonWebTokenError('Not a check-in token');
+    }
+
+    return decoded;
+};
+
 export default {
     generateAccessToken,
     generateRefreshToken,
@@ -214,5 +266,7 @@ export default {
     setAuthCookies,
     clearAuthCookies,
     extractTokenFromRequest,
-    generateTemporaryToken
+    generateTemporaryToken,
+    generateCheckInToken,
+    verifyCheckInToken
 };
\ No newline at end of file
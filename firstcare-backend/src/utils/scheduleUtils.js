@@ -0,0 +1,135 @@
+/**
+ * Scheduling Utilities for KZN Healthcare System
+ *
+ * @module utils/scheduleUtils
+ * @version 1.0.0
+ * @description Time-of-day and interval helpers used by provider schedules and slot generation
+ */
+
+import { clinicDateTimeToInstant, getClinicWeekday } from './timeZoneUtils.js';
+
+/**
+ * Weekday names in Date#getDay() order
+ * @constant {Array<string>} WEEKDAYS
+ */
+export const WEEKDAYS = [
+    'sunday',
+    'monday',
+    'tuesday',
+    'wednesday',
+    'thursday',
+    'friday',
+    'saturday'
+];
+
+/**
+ * HH:MM (24-hour) time format
+ * @constant {RegExp} TIME_PATTERN
+ */
+export const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Convert an HH:MM string to minutes since midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+export const timeToMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to an HH:MM string
+ * @param {number} totalMinutes - Minutes since midnight
+ * @returns {string} Time in HH:MM format
+ */
+export const minutesToTime = (totalMinutes) => {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Get the lowercase weekday name for a date in the clinic time zone
+ * @param {Date} date - Target date
+ * @returns {string} Weekday name (e.g. 'monday')
+ */
+export const getWeekdayName = (date) => WEEKDAYS[getClinicWeekday(date)];
+
+/**
+ * Check whether two minute intervals overlap
+ * @param {Object} a - Interval with start and end in minutes
+ * @param {Object} b - Interval with start and end in minutes
+ * @returns {boolean} True if the intervals share any time
+ */
+export const intervalsOverlap = (a, b) => a.start < b.end && a.end > b.start;
+
+/**
+ * Merge overlapping or touching intervals
+ * @param {Array<Object>} intervals - Intervals with start and end in minutes
+ * @returns {Array<Object>} Sorted, non-overlapping intervals
+ */
+export const mergeIntervals = (intervals) => {
+    const sorted = [...intervals]
+        .filter(interval => interval.end > interval.start)
+        .sort((a, b) => a.start - b.start);
+
+    return sorted.reduce((merged, interval) => {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push({ ...interval });
+        }
+        return merged;
+    }, []);
+};
+
+/**
+ * Remove a set of intervals from another set of intervals
+ * @param {Array<Object>} intervals - Base intervals with start and end in minutes
+ * @param {Array<Object>} removals - Intervals to cut out
+ * @returns {Array<Object>} Remaining intervals
+ */
+export const subtractIntervals = (intervals, removals) => {
+    return removals.reduce((remaining, removal) => {
+        return remaining.flatMap(interval => {
+            if (!intervalsOverlap(interval, removal)) return [interval];
+
+            const pieces = [];
+            if (removal.start > interval.start) {
+                pieces.push({ start: interval.start, end: removal.start });
+            }
+            if (removal.end < interval.end) {
+                pieces.push({ start: removal.end, end: interval.end });
+            }
+            return pieces;
+        });
+    }, mergeIntervals(intervals));
+};
+
+/**
+ * Get the start and end instants of a booking
+ * @param {Date|string} date - Clinic calendar date of the booking (YYYY-MM-DD or an instant on that day)
+ * @param {string} time - Clinic wall-clock start time in HH:MM format
+ * @param {number} duration - Length in minutes
+ * @returns {Object} startAt and endAt dates
+ */
+export const getTimeRange = (date, time, duration) => {
+    const startAt = clinicDateTimeToInstant(date, time);
+    const endAt = new Date(startAt.getTime() + duration * 60 * 1000);
+
+    return { startAt, endAt };
+};
+
+export default {
+    WEEKDAYS,
+    TIME_PATTERN,
+    timeToMinutes,
+    minutesToTime,
+    getWeekdayName,
+    intervalsOverlap,
+    mergeIntervals,
+    subtractIntervals,
+    getTimeRange
+};
@@ -0,0 +1,175 @@
+/**
+ * Clinic Time Zone Utilities for KZN Healthcare System
+ *
+ * @module utils/timeZoneUtils
+ * @version 1.0.0
+ * @description Converts between stored instants and KwaZulu-Natal wall-clock dates and times.
+ * Every day boundary, weekday and HH:MM time is evaluated in Africa/Johannesburg, whatever
+ * time zone the server itself runs in.
+ */
+
+import { add, format, parseISO } from 'date-fns';
+
+/**
+ * Time zone all appointment dates and times are expressed in
+ * @constant {string} CLINIC_TIME_ZONE
+ */
+export const CLINIC_TIME_ZONE = 'Africa/Johannesburg';
+
+/**
+ * Calendar date without a time, e.g. 2025-03-14
+ * @constant {RegExp} DATE_ONLY_PATTERN
+ */
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const clinicFormatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: CLINIC_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+});
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Get the wall-clock fields of an instant in the clinic time zone
+ * @param {Date} instant - Point in time
+ * @returns {Object} year, month (1-12), day, hours, minutes, seconds and weekday (0 = Sunday)
+ */
+export const getClinicParts = (instant) => {
+    const parts = Object.fromEntries(
+        clinicFormatter.formatToParts(new Date(instant)).map(({ type, value }) => [type, value])
+    );
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hours: Number(parts.hour),
+        minutes: Number(parts.minute),
+        seconds: Number(parts.second),
+        weekday: WEEKDAY_INDEX[parts.weekday]
+    };
+};
+
+/**
+ * Offset of the clinic time zone from UTC at an instant
+ * @param {Date} instant - Point in time
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getClinicOffset = (instant) => {
+    const { year, month, day, hours, minutes, seconds } = getClinicParts(instant);
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    return wallClockAsUtc - Math.floor(new Date(instant).getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the clinic calendar date of an instant
+ * Date-only strings are already calendar dates and are returned unchanged.
+ * @param {Date|string} value - Instant or YYYY-MM-DD string
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export const toClinicDateString = (value) => {
+    if (typeof value === 'string' && DATE_ONLY_PATTERN.test(value)) return value;
+
+    const { year, month, day } = getClinicParts(value);
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Get the clinic wall-clock time of an instant
+ * @param {Date} instant - Point in time
+ * @returns {string} Time in HH:MM format
+ */
+export const toClinicTimeString = (instant) => {
+    const { hours, minutes } = getClinicParts(instant);
+    return `${pad(hours)}:${pad(minutes)}`;
+};
+
+/**
+ * Format an instant as a clinic date and time for messages
+ * @param {Date} instant - Point in time
+ * @returns {string} Date and time in YYYY-MM-DD HH:MM format
+ */
+export const formatClinicDateTime = (instant) => `${toClinicDateString(instant)} ${toClinicTimeString(instant)}`;
+
+/**
+ * Get the day of the week of an instant in the clinic time zone
+ * @param {Date|string} value - Instant or YYYY-MM-DD string
+ * @returns {number} Weekday, 0 = Sunday
+ */
+export const getClinicWeekday = (value) => {
+    const [year, month, day] = toClinicDateString(value).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Convert a clinic calendar date and wall-clock time to an instant
+ * @param {Date|string} date - Calendar date (YYYY-MM-DD) or an instant on that date
+ * @param {string} time - Time in HH:MM format
+ * @returns {Date} The instant, or an invalid date if the input is invalid
+ */
+export const clinicDateTimeToInstant = (date, time = '00:00') => {
+    const [year, month, day] = toClinicDateString(date).split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+    if (Number.isNaN(wallClockAsUtc)) return new Date(NaN);
+
+    // Correct by the zone offset, then again in case the first guess fell across an offset change
+    const guess = wallClockAsUtc - getClinicOffset(wallClockAsUtc);
+    return new Date(wallClockAsUtc - getClinicOffset(guess));
+};
+
+/**
+ * Get the instant a clinic day starts
+ * @param {Date|string} value - Instant or YYYY-MM-DD string (defaults to now)
+ * @returns {Date} Midnight at the start of that day in the clinic time zone
+ */
+export const startOfClinicDay = (value = new Date()) => clinicDateTimeToInstant(value);
+
+/**
+ * Parse a date from a request as a clinic calendar day
+ * Date-only strings are read as clinic dates; full ISO timestamps are mapped to the clinic day they fall on.
+ * @param {string} value - YYYY-MM-DD or ISO 8601 date-time
+ * @returns {Date} Start of the clinic day, or an invalid date
+ */
+export const parseClinicDate = (value) => {
+    if (typeof value === 'string' && DATE_ONLY_PATTERN.test(value)) {
+        return clinicDateTimeToInstant(value);
+    }
+
+    const instant = new Date(value);
+    return Number.isNaN(instant.getTime()) ? instant : startOfClinicDay(instant);
+};
+
+/**
+ * Move a clinic date by whole calendar units
+ * @param {Date|string} value - Instant or YYYY-MM-DD string
+ * @param {Object} duration - date-fns duration, e.g. { days: 1 } or { months: 3 }
+ * @returns {Date} Start of the resulting clinic day
+ */
+export const addToClinicDate = (value, duration) => {
+    const calendarDate = add(parseISO(toClinicDateString(value)), duration);
+    return clinicDateTimeToInstant(format(calendarDate, 'yyyy-MM-dd'));
+};
+
+export default {
+    CLINIC_TIME_ZONE,
+    getClinicParts,
+    toClinicDateString,
+    toClinicTimeString,
+    formatClinicDateTime,
+    getClinicWeekday,
+    clinicDateTimeToInstant,
+    startOfClinicDay,
+    parseClinicDate,
+    addToClinicDate
+};
@@ -0,0 +1,165 @@
+/**
+ * Emergency Triage Utilities for KZN Healthcare System
+ *
+ * @module utils/triageUtils
+ * @version 1.0.0
+ * @description Sorts reported symptoms into the colour categories of the South African Triage
+ * Scale used by KZN emergency units. The assessment is a routing aid for patients deciding where
+ * to go; the receiving facility triages the patient again on arrival.
+ */
+
+/**
+ * Triage categories from most to least urgent
+ * @constant {Array<string>} TRIAGE_CATEGORIES
+ */
+export const TRIAGE_CATEGORIES = ['red', 'orange', 'yellow', 'green'];
+
+/**
+ * What each triage category means for routing and booking
+ * @constant {Object<string, Object>} TRIAGE_LEVELS
+ */
+export const TRIAGE_LEVELS = {
+    red: {
+        label: 'Emergency',
+        urgency: 'emergency',
+        targetMinutes: 0,
+        transportType: 'ambulance',
+        advice: 'Call an ambulance now (10177, or 112 from a cellphone) and go to the nearest emergency unit.'
+    },
+    orange: {
+        label: 'Very urgent',
+        urgency: 'emergency',
+        targetMinutes: 10,
+        transportType: 'ambulance',
+        advice: 'Go to the nearest emergency unit now. Call an ambulance if you cannot get there safely.'
+    },
+    yellow: {
+        label: 'Urgent',
+        urgency: 'urgent',
+        targetMinutes: 60,
+        transportType: 'patient-transport',
+        advice: 'You should be seen within the hour at a facility with an emergency unit.'
+    },
+    green: {
+        label: 'Routine',
+        urgency: 'routine',
+        targetMinutes: 240,
+        transportType: 'patient-transport',
+        advice: 'This does not look like an emergency. Book an appointment or visit your local clinic.'
+    }
+};
+
+/**
+ * Symptoms that need immediate resuscitation-level care
+ * @constant {Array<string>} RED_FLAG_SIGNS
+ */
+export const RED_FLAG_SIGNS = [
+    'not breathing', 'stopped breathing', 'unconscious', 'unresponsive', 'no pulse',
+    'cardiac arrest', 'seizure', 'convulsion', 'fitting', 'severe bleeding', 'heavy bleeding',
+    'choking', 'stroke', 'face drooping', 'overdose', 'poisoning', 'gunshot', 'stab wound'
+];
+
+/**
+ * Symptoms that need to be seen within minutes
+ * @constant {Array<string>} ORANGE_FLAG_SIGNS
+ */
+export const ORANGE_FLAG_SIGNS = [
+    'chest pain', 'shortness of breath', 'difficulty breathing', 'head injury', 'fracture',
+    'broken bone', 'burn', 'labour', 'vomiting blood', 'coughing blood', 'snake bite',
+    'confusion', 'high fever', 'severe pain', 'assault'
+];
+
+/**
+ * Symptoms that started within this many hours are treated as acute
+ * @constant {number} ACUTE_ONSET_HOURS
+ */
+export const ACUTE_ONSET_HOURS = 24;
+
+/**
+ * Find the warning signs mentioned in a symptom description
+ * @param {string} description - Symptom description
+ * @param {Array<string>} signs - Signs to look for
+ * @returns {Array<string>} Signs found
+ */
+const findSigns = (description, signs) => {
+    const text = (description || '').toLowerCase();
+    return signs.filter(sign => text.includes(sign));
+};
+
+/**
+ * Triage one symptom
+ * Symptoms without an onset date are treated as acute, so unknown timing never lowers the category.
+ * @param {Object} symptom - Symptom (description, severity, onsetDate)
+ * @param {Date} now - Assessment time
+ * @returns {Object} { category, reason }
+ */
+const triageSymptom = (symptom, now) => {
+    const redSigns = findSigns(symptom.description, RED_FLAG_SIGNS);
+    if (redSigns.length > 0) {
+        return { category: 'red', reason: `Emergency sign reported: ${redSigns.join(', ')}` };
+    }
+
+    const orangeSigns = findSigns(symptom.description, ORANGE_FLAG_SIGNS);
+    if (orangeSigns.length > 0) {
+        return { category: 'orange', reason: `Very urgent sign reported: ${orangeSigns.join(', ')}` };
+    }
+
+    const onset = symptom.onsetDate ? new Date(symptom.onsetDate) : null;
+    const isAcute = !onset || (now - onset) <= ACUTE_ONSET_HOURS * 60 * 60 * 1000;
+    const severity = symptom.severity || 'moderate';
+
+    if (severity === 'severe') {
+        return isAcute
+            ? { category: 'orange', reason: 'Severe symptom that started within the last day' }
+            : { category: 'yellow', reason: 'Severe symptom' };
+    }
+
+    if (severity === 'moderate' && isAcute) {
+        return { category: 'yellow', reason: 'Moderate symptom that started within the last day' };
+    }
+
+    return { category: 'green', reason: `${severity.charAt(0).toUpperCase()}${severity.slice(1)} symptom` };
+};
+
+/**
+ * Triage a set of reported symptoms
+ * The most urgent symptom decides the category.
+ * @param {Array<Object>} symptoms - Symptoms (description, severity, onsetDate)
+ * @param {Date} now - Assessment time
+ * @returns {Object} Category with its label, urgency, target time, transport type, advice and reasons
+ */
+export const triageSymptoms = (symptoms, now = new Date()) => {
+    const results = symptoms.map(symptom => triageSymptom(symptom, now));
+    const category = TRIAGE_CATEGORIES.find(level => results.some(result => result.category === level));
+
+    return {
+        category,
+        ...TRIAGE_LEVELS[category],
+        reasons: results
+            .filter(result => result.category === category)
+            .map(result => result.reason),
+        assessedAt: now
+    };
+};
+
+/**
+ * Describe how long ago a symptom started, for the symptom record's duration
+ * @param {Date} onsetDate - When the symptom started
+ * @param {Date} now - Assessment time
+ * @returns {string} Duration such as "3 hours" or "2 days"
+ */
+export const describeOnset = (onsetDate, now = new Date()) => {
+    if (!onsetDate) return 'Not specified';
+
+    const hours = Math.max(0, Math.floor((now - new Date(onsetDate)) / (60 * 60 * 1000)));
+    if (hours < 1) return 'Less than an hour';
+    if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+    return `${Math.floor(hours / 24)} days`;
+};
+
+export default {
+    TRIAGE_CATEGORIES,
+    TRIAGE_LEVELS,
+    triageSymptoms,
+    describeOnset
+};
@@ -0,0 +1,204 @@
+// firstcare-backend/tests/appointmentStatus.test.js
+
+/**
+ * Appointment status state machine
+ * Transitions allowed by STATUS_TRANSITIONS, the pre-save guard against skipping states, and the
+ * provider confirm, check-in, complete and no-show endpoints.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Appointment, { STATUS_TRANSITIONS } from '../src/models/Appointment.js';
+import User from '../src/models/user.js';
+import {
+    confirmAppointment,
+    checkInAppointment,
+    completeAppointment
+} from '../src/controllers/appointmentController.js';
+import {
+    providerId,
+    facilityId,
+    silenceConsole,
+    acceptWrites,
+    queryOf,
+    mockResponse,
+    storedAppointment
+} from './helpers.js';
+
+beforeEach(silenceConsole);
+afterEach(() => mock.restoreAll());
+
+describe('Appointment status transitions', () => {
+    it('only allows the transitions listed for the current status', () => {
+        const appointment = storedAppointment({ status: 'pending' });
+
+        assert.equal(appointment.canTransitionTo('confirmed'), true);
+        assert.equal(appointment.canTransitionTo('cancelled'), true);
+        assert.equal(appointment.canTransitionTo('checked-in'), false);
+        assert.equal(appointment.canTransitionTo('completed'), false);
+    });
+
+    it('treats cancelled, completed, no-show and rescheduled as final', () => {
+        for (const status of ['cancelled', 'completed', 'no-show', 'rescheduled']) {
+            assert.deepEqual(STATUS_TRANSITIONS[status], []);
+            assert.equal(storedAppointment({ status }).canTransitionTo('confirmed'), false);
+        }
+    });
+
+    it('records who moved the appointment and why', () => {
+        const appointment = storedAppointment({ status: 'confirmed' });
+
+        appointment.transitionTo('checked-in', providerId, 'Arrived at reception');
+
+        assert.equal(appointment.status, 'checked-in');
+        assert.equal(appointment.lastModifiedBy.toString(), providerId.toString());
+        const [entry] = appointment.statusHistory;
+        assert.equal(entry.status, 'checked-in');
+        assert.equal(entry.reason, 'Arrived at reception');
+    });
+
+    it('throws INVALID_STATUS_TRANSITION without changing the status', () => {
+        const appointment = storedAppointment({ status: 'cancelled' });
+
+        assert.throws(
+            () => appointment.transitionTo('confirmed', providerId),
+            { code: 'INVALID_STATUS_TRANSITION' }
+        );
+        assert.equal(appointment.status, 'cancelled');
+        assert.equal(appointment.statusHistory.length, 0);
+    });
+});
+
+describe('Appointment pre-save status guard', () => {
+    beforeEach(() => acceptWrites(Appointment));
+
+    it('rejects a status written directly that skips the state machine', async () => {
+        const appointment = storedAppointment({ status: 'pending' });
+        appointment.status = 'completed';
+
+        await assert.rejects(appointment.save(), { code: 'INVALID_STATUS_TRANSITION' });
+    });
+
+    it('rejects reopening a cancelled appointment', async () => {
+        const appointment = storedAppointment({ status: 'cancelled' });
+        appointment.status = 'pending';
+
+        await assert.rejects(appointment.save(), { code: 'INVALID_STATUS_TRANSITION' });
+    });
+
+    it('saves an allowed change, recording it and keeping isConfirmed in step', async () => {
+        const appointment = storedAppointment({ status: 'pending' });
+        appointment.lastModifiedBy = providerId;
+        appointment.status = 'confirmed';
+
+        await appointment.save();
+
+        assert.equal(appointment.isConfirmed, true);
+        const lastEntry = appointment.statusHistory.at(-1);
+        assert.equal(lastEntry.status, 'confirmed');
+        assert.equal(lastEntry.changedBy.toString(), providerId.toString());
+    });
+
+    it('checks later changes against the status that was last saved', async () => {
+        const appointment = storedAppointment({ status: 'pending' });
+        appointment.status = 'confirmed';
+        await appointment.save();
+
+        appointment.status = 'checked-in';
+        await appointment.save();
+
+        appointment.status = 'confirmed';
+        await assert.rejects(appointment.save(), { code: 'INVALID_STATUS_TRANSITION' });
+    });
+});
+
+describe('Provider status endpoints', () => {
+    const adminRequest = (id) => ({
+        params: { id },
+        body: {},
+        user: { userId: providerId.toString(), roles: ['admin'] }
+    });
+
+    const providerRequest = (id) => ({
+        params: { id },
+        body: {},
+        user: { userId: providerId.toString(), roles: ['provider'] }
+    });
+
+    beforeEach(() => acceptWrites(Appointment));
+
+    it('confirms a pending appointment', async () => {
+        const appointment = storedAppointment({ status: 'pending' });
+        mock.method(Appointment, 'findById', () => queryOf(appointment));
+        const res = mockResponse();
+
+        await confirmAppointment(adminRequest(appointment._id.toString()), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.appointment.status, 'confirmed');
+        assert.equal(res.body.appointment.isConfirmed, true);
+    });
+
+    it('answers 409 with the current status for a transition the state machine forbids', async () => {
+        const appointment = storedAppointment({ status: 'pending' });
+        mock.method(Appointment, 'findById', () => queryOf(appointment));
+        const res = mockResponse();
+
+        await checkInAppointment(adminRequest(appointment._id.toString()), res);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'INVALID_STATUS_TRANSITION');
+        assert.equal(res.body.currentStatus, 'pending');
+        assert.equal(appointment.status, 'pending');
+    });
+
+    it('does not complete a cancelled appointment', async () => {
+        const appointment = storedAppointment({ status: 'cancelled' });
+        mock.method(Appointment, 'findById', () => queryOf(appointment));
+        const res = mockResponse();
+
+        await completeAppointment(adminRequest(appointment._id.toString()), res);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'INVALID_STATUS_TRANSITION');
+    });
+
+    it('only checks patients in on the day of their appointment', async () => {
+        const appointment = storedAppointment({ status: 'confirmed' });
+        mock.method(Appointment, 'findById', () => queryOf(appointment));
+        const res = mockResponse();
+
+        await checkInAppointment(adminRequest(appointment._id.toString()), res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'TRANSITION_TOO_EARLY');
+        assert.equal(appointment.status, 'confirmed');
+    });
+
+    it('lets providers change appointments at their own facility', async () => {
+        const appointment = storedAppointment({ status: 'pending' });
+        mock.method(Appointment, 'findById', () => queryOf(appointment));
+        mock.method(User, 'findById', () => queryOf({ providerProfile: { facility: facilityId } }));
+        const res = mockResponse();
+
+        await confirmAppointment(providerRequest(appointment._id.toString()), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(appointment.status, 'confirmed');
+    });
+
+    it('refuses providers from another facility', async () => {
+        const appointment = storedAppointment({ status: 'pending' });
+        mock.method(Appointment, 'findById', () => queryOf(appointment));
+        mock.method(User, 'findById', () => queryOf({
+            providerProfile: { facility: new mongoose.Types.ObjectId(), doctorId: 'DR-OTHER' }
+        }));
+        const res = mockResponse();
+
+        await confirmAppointment(providerRequest(appointment._id.toString()), res);
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(appointment.status, 'pending');
+    });
+});
@@ -0,0 +1,245 @@
+// firstcare-backend/tests/helpers.js
+
+/**
+ * Shared fixtures for the behaviour tests
+ *
+ * @file tests/helpers.js
+ * @description Builds documents from the real schemas and stubs every database round trip, so
+ * model hooks and controller logic run without a MongoDB server
+ *
+ * Each test stubs the statics it relies on with node:test's mock; call mock.restoreAll() after each test.
+ *
+ * @module TestHelpers
+ */
+
+import { mock } from 'node:test';
+import mongoose from 'mongoose';
+import Appointment from '../src/models/Appointment.js';
+import ProviderSchedule, { DEFAULT_SCHEDULE } from '../src/models/ProviderSchedule.js';
+import HealthcareFacility from '../src/models/HealthcareFacility.js';
+import Doctor from '../src/models/Doctor.js';
+import User from '../src/models/user.js';
+import WaitlistEntry from '../src/models/WaitlistEntry.js';
+import { getPublicHoliday } from '../src/config/publicHolidays.js';
+import { addToClinicDate, getClinicWeekday, startOfClinicDay } from '../src/utils/timeZoneUtils.js';
+
+export const patientId = new mongoose.Types.ObjectId();
+export const providerId = new mongoose.Types.ObjectId();
+export const facilityId = new mongoose.Types.ObjectId();
+export const DOCTOR_ID = 'DR-TEST-001';
+
+/**
+ * Keep controller logging out of the test report
+ */
+export const silenceConsole = () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+};
+
+/**
+ * Accept every write to the given models' collections, so save() runs its hooks and validation
+ * @param {...mongoose.Model} models - Models whose writes are accepted
+ * @returns {Object} Mocked insertOne and updateOne per model name
+ */
+export const acceptWrites = (...models) => Object.fromEntries(models.map(model => [model.modelName, {
+    insertOne: mock.method(model.collection, 'insertOne', async (doc) => ({ acknowledged: true, insertedId: doc._id })),
+    updateOne: mock.method(model.collection, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }))
+}]));
+
+/**
+ * A resolved query that still accepts the chained calls controllers make
+ * @param {*} value - Query result
+ * @returns {Promise} Thenable with session, select, populate, sort and lean
+ */
+export const queryOf = (value) => {
+    const query = Promise.resolve(value);
+    for (const method of ['session', 'select', 'populate', 'sort', 'lean']) {
+        query[method] = () => query;
+    }
+    return query;
+};
+
+/**
+ * Session whose transactions run their callback once
+ * A class rather than a plain object, as mongoose passes class instances through to the driver uncopied.
+ */
+class StubSession {
+    committed = false;
+    ended = false;
+
+    async withTransaction(fn) {
+        await fn();
+        this.committed = true;
+    }
+
+    async endSession() {
+        this.ended = true;
+    }
+}
+
+/**
+ * Replace mongoose.startSession with a StubSession
+ * @returns {StubSession} The session, with committed set once the transaction callback succeeds
+ */
+export const stubTransactions = () => {
+    const session = new StubSession();
+    mock.method(mongoose, 'startSession', async () => session);
+    return session;
+};
+
+/**
+ * Minimal Express response that records the status and body sent
+ * @returns {Object} Response with statusCode and body
+ */
+export const mockResponse = () => ({
+    statusCode: null,
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+/**
+ * First weekday at least the given number of days ahead that is not a public holiday
+ * @param {number} daysAhead - Minimum days from today
+ * @returns {Date} Start of that day in the clinic time zone
+ */
+export const nextWorkingDay = (daysAhead = 2) => {
+    let day = addToClinicDate(startOfClinicDay(), { days: daysAhead });
+    while ([0, 6].includes(getClinicWeekday(day)) || getPublicHoliday(day)) {
+        day = addToClinicDate(day, { days: 1 });
+    }
+    return day;
+};
+
+/**
+ * Default schedule for the test doctor: weekdays 08:00-17:00 with lunch from 12:00 to 14:00
+ * @returns {Object} Unsaved provider schedule document
+ */
+export const buildSchedule = () => new ProviderSchedule({ doctorId: DOCTOR_ID, ...DEFAULT_SCHEDULE });
+
+/**
+ * Public clinic open 07:00-16:00 on weekdays and closed at weekends
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} Unsaved facility document
+ */
+export const buildFacility = (overrides = {}) => {
+    const weekday = { open: '07:00', close: '16:00', closed: false };
+    return new HealthcareFacility({
+        _id: facilityId,
+        name: 'Test Community Clinic',
+        facilityType: 'public-clinic',
+        district: 'ethekwini',
+        address: '1 Test Road, Durban',
+        operatingHours: {
+            monday: weekday,
+            tuesday: weekday,
+            wednesday: weekday,
+            thursday: weekday,
+            friday: weekday,
+            saturday: { closed: true },
+            sunday: { closed: true }
+        },
+        ...overrides
+    });
+};
+
+/**
+ * English-speaking GP who takes bookings at the test clinic
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} Hydrated doctor document
+ */
+export const storedDoctor = (overrides = {}) => Doctor.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    doctorId: DOCTOR_ID,
+    name: 'Dr Test Doctor',
+    specialty: 'General Practitioner',
+    languages: ['english'],
+    affiliations: [{ facility: facilityId, facilityName: 'Test Community Clinic', isAvailable: true }],
+    isActive: true,
+    ...overrides
+});
+
+/**
+ * Patient registered in eThekwini with a complete profile
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} Hydrated user document
+ */
+export const storedPatient = (overrides = {}) => User.hydrate({
+    _id: patientId,
+    firstName: 'Thandi',
+    lastName: 'Test',
+    email: 'thandi@example.com',
+    roles: ['patient'],
+    isProfileComplete: true,
+    isActive: true,
+    locationData: { healthDistrict: 'ethekwini', subLocation: 'Umlazi' },
+    preferredLanguage: 'english',
+    ...overrides
+});
+
+/**
+ * Appointment as it would be loaded from the database, so status changes are checked against the stored status
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} Hydrated appointment document
+ */
+export const storedAppointment = (overrides = {}) => Appointment.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: patientId,
+    bookingType: 'scheduled',
+    district: 'ethekwini',
+    subLocation: 'Umlazi',
+    date: nextWorkingDay(),
+    time: '09:00',
+    duration: 30,
+    reason: 'Follow-up on blood pressure medication',
+    category: 'General Practitioner',
+    doctor: 'Dr Test Doctor',
+    doctorId: DOCTOR_ID,
+    facility: facilityId,
+    facilityName: 'Test Community Clinic',
+    facilityType: 'public-clinic',
+    providerAddress: '1 Test Road, Durban',
+    providerContact: '031 000 0000',
+    urgency: 'routine',
+    status: 'pending',
+    languagePreference: 'english',
+    rescheduleCount: 0,
+    statusHistory: [],
+    createdBy: patientId,
+    createdAt: new Date(),
+    ...overrides
+});
+
+/**
+ * Waitlist entry as it would be loaded from the database
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} Hydrated waitlist entry document
+ */
+export const storedWaitlistEntry = (overrides = {}) => WaitlistEntry.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: patientId,
+    doctor: 'Dr Test Doctor',
+    doctorId: DOCTOR_ID,
+    facility: facilityId,
+    facilityName: 'Test Community Clinic',
+    facilityType: 'public-clinic',
+    providerAddress: '1 Test Road, Durban',
+    providerContact: '031 000 0000',
+    district: 'ethekwini',
+    reason: 'Follow-up on blood pressure medication',
+    category: 'General Practitioner',
+    urgency: 'routine',
+    dateFrom: startOfClinicDay(addToClinicDate(new Date(), { days: 1 })),
+    dateTo: startOfClinicDay(addToClinicDate(new Date(), { days: 30 })),
+    status: 'waiting',
+    passedSlots: [],
+    offersMissed: 0,
+    createdAt: new Date(),
+    ...overrides
+});
@@ -0,0 +1,270 @@
+// firstcare-backend/tests/reschedule.test.js
+
+/**
+ * Rescheduling
+ * A reschedule books a linked replacement and closes the original in one transaction, carries over
+ * only the booking details, and offers the freed slot to the waitlist once committed.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Appointment from '../src/models/Appointment.js';
+import WaitlistEntry from '../src/models/WaitlistEntry.js';
+import ProviderSchedule from '../src/models/ProviderSchedule.js';
+import HealthcareFacility from '../src/models/HealthcareFacility.js';
+import User from '../src/models/user.js';
+import { rescheduleAppointment } from '../src/controllers/appointmentController.js';
+import { addToClinicDate, toClinicDateString } from '../src/utils/timeZoneUtils.js';
+import {
+    patientId,
+    providerId,
+    DOCTOR_ID,
+    silenceConsole,
+    acceptWrites,
+    queryOf,
+    stubTransactions,
+    mockResponse,
+    nextWorkingDay,
+    buildSchedule,
+    buildFacility,
+    storedPatient,
+    storedAppointment
+} from './helpers.js';
+
+const guardianId = new mongoose.Types.ObjectId();
+
+beforeEach(silenceConsole);
+afterEach(() => mock.restoreAll());
+
+describe('Rescheduling an appointment', () => {
+    let writes;
+    let session;
+    let original;
+    let findById;
+    let providerConflict;
+    let offerFreedSlot;
+    const newDate = toClinicDateString(nextWorkingDay(5));
+
+    const rescheduleRequest = (body = {}) => ({
+        params: { id: original._id.toString() },
+        body: { date: newDate, time: '10:00', reason: 'Clashes with work', ...body },
+        user: { userId: guardianId.toString(), roles: ['patient'] }
+    });
+
+    /**
+     * Serve the appointment as a fresh document on every lookup, as the database would
+     * @param {Object} appointment - Stored appointment
+     */
+    const useAppointment = (appointment) => {
+        original = appointment;
+        findById = mock.method(Appointment, 'findById', () => queryOf(Appointment.hydrate(original.toObject({ virtuals: false }))));
+    };
+
+    beforeEach(() => {
+        writes = acceptWrites(Appointment);
+        session = stubTransactions();
+        useAppointment(storedAppointment({
+            status: 'confirmed',
+            isConfirmed: true,
+            reminderSent: true,
+            notes: 'Bring current medication',
+            intake: { questionnaireId: 'general', version: 1, submittedAt: new Date(), submittedBy: patientId },
+            transportAssistance: {
+                needed: true,
+                type: 'patient-transport',
+                status: 'approved',
+                approved: true,
+                reviewedBy: providerId,
+                reviewedAt: new Date()
+            }
+        }));
+        mock.method(User, 'canActFor', async () => true);
+        mock.method(ProviderSchedule, 'resolveForDoctor', async () => buildSchedule());
+        mock.method(HealthcareFacility, 'findById', () => queryOf(buildFacility()));
+        mock.method(Appointment, 'checkPatientConflict', async () => null);
+        providerConflict = mock.method(Appointment, 'checkConflict', async () => null);
+        mock.method(WaitlistEntry, 'findActiveHold', async () => null);
+        offerFreedSlot = mock.method(WaitlistEntry, 'offerFreedSlot', async () => null);
+        mock.method(Appointment.prototype, 'populate', async function () {
+            this.user = storedPatient();
+            return this;
+        });
+    });
+
+    it('books a linked replacement and closes the original in one transaction', async () => {
+        const res = mockResponse();
+
+        await rescheduleAppointment(rescheduleRequest(), res);
+
+        assert.equal(res.statusCode, 201);
+        assert.equal(session.committed, true);
+        assert.equal(session.ended, true);
+
+        const [[replacement, insertOptions]] = writes.Appointment.insertOne.mock.calls.map(call => call.arguments);
+        const [[, update, updateOptions]] = writes.Appointment.updateOne.mock.calls.map(call => call.arguments);
+        assert.equal(insertOptions.session, session);
+        assert.equal(updateOptions.session, session);
+
+        assert.equal(update.$set.status, 'rescheduled');
+        assert.equal(update.$set.rescheduledTo.toString(), replacement._id.toString());
+        assert.equal(replacement.rescheduledFrom.toString(), original._id.toString());
+        assert.equal(replacement.rescheduleCount, 1);
+        assert.equal(replacement.time, '10:00');
+        assert.equal(toClinicDateString(replacement.date), newDate);
+
+        assert.equal(res.body.originalAppointment.status, 'rescheduled');
+        assert.equal(res.body.appointment.status, 'pending');
+    });
+
+    it('carries over the booking but not the original slot’s confirmation, reminders or intake', async () => {
+        await rescheduleAppointment(rescheduleRequest(), mockResponse());
+
+        const [replacement] = writes.Appointment.insertOne.mock.calls[0].arguments;
+        assert.equal(replacement.user.toString(), patientId.toString());
+        assert.equal(replacement.doctorId, DOCTOR_ID);
+        assert.equal(replacement.reason, original.reason);
+        assert.equal(replacement.notes, 'Bring current medication');
+        assert.equal(replacement.status, 'pending');
+        assert.equal(replacement.isConfirmed, false);
+        assert.equal(replacement.reminderSent, false);
+        assert.equal(replacement.intake?.questionnaireId, undefined);
+    });
+
+    it('keeps the original booker and records who moved it', async () => {
+        await rescheduleAppointment(rescheduleRequest(), mockResponse());
+
+        const [replacement] = writes.Appointment.insertOne.mock.calls[0].arguments;
+        assert.equal(replacement.createdBy.toString(), patientId.toString());
+        assert.equal(replacement.lastModifiedBy.toString(), guardianId.toString());
+        assert.equal(replacement.statusHistory.at(-1).changedBy.toString(), guardianId.toString());
+    });
+
+    it('sends approved transport back for review', async () => {
+        await rescheduleAppointment(rescheduleRequest(), mockResponse());
+
+        const [replacement] = writes.Appointment.insertOne.mock.calls[0].arguments;
+        assert.equal(replacement.transportAssistance.needed, true);
+        assert.equal(replacement.transportAssistance.status, 'pending');
+        assert.equal(replacement.transportAssistance.approved, false);
+        assert.equal(replacement.transportAssistance.reviewedBy, undefined);
+    });
+
+    it('offers the freed slot to the waitlist only after the transaction commits', async () => {
+        let committedWhenOffered = null;
+        offerFreedSlot.mock.mockImplementation(async () => {
+            committedWhenOffered = session.committed;
+            return null;
+        });
+
+        await rescheduleAppointment(rescheduleRequest(), mockResponse());
+
+        assert.equal(offerFreedSlot.mock.callCount(), 1);
+        assert.equal(committedWhenOffered, true);
+        const [slot] = offerFreedSlot.mock.calls[0].arguments;
+        assert.equal(slot.doctorId, DOCTOR_ID);
+        assert.equal(slot.time, original.time);
+        assert.equal(slot.date.getTime(), original.date.getTime());
+    });
+
+    it('lets the appointment’s own slot overlap the new one', async () => {
+        await rescheduleAppointment(rescheduleRequest({ date: toClinicDateString(original.date), time: '09:15' }), mockResponse());
+
+        const excludeId = providerConflict.mock.calls[0].arguments[4];
+        assert.equal(excludeId.toString(), original._id.toString());
+    });
+
+    it('refuses a taken slot without writing anything', async () => {
+        providerConflict.mock.mockImplementation(async () => ({ _id: 'other' }));
+        const res = mockResponse();
+
+        await rescheduleAppointment(rescheduleRequest(), res);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'PROVIDER_UNAVAILABLE');
+        assert.equal(writes.Appointment.insertOne.mock.callCount(), 0);
+        assert.equal(offerFreedSlot.mock.callCount(), 0);
+    });
+
+    it('refuses bundle segments', async () => {
+        useAppointment(storedAppointment({ status: 'confirmed', bundle: new mongoose.Types.ObjectId(), bundleSegment: 1 }));
+        const res = mockResponse();
+
+        await rescheduleAppointment(rescheduleRequest(), res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'BUNDLE_SEGMENT_NOT_RESCHEDULABLE');
+        assert.equal(writes.Appointment.insertOne.mock.callCount(), 0);
+    });
+
+    it('refuses walk-in tickets and emergency arrivals', async () => {
+        for (const bookingType of ['walk-in', 'emergency']) {
+            useAppointment(storedAppointment({ status: 'confirmed', bookingType }));
+            const res = mockResponse();
+
+            await rescheduleAppointment(rescheduleRequest(), res);
+
+            assert.equal(res.statusCode, 400, bookingType);
+        }
+        assert.equal(writes.Appointment.insertOne.mock.callCount(), 0);
+    });
+
+    it('refuses appointments that have already been moved or closed', async () => {
+        for (const status of ['rescheduled', 'cancelled', 'completed']) {
+            useAppointment(storedAppointment({ status }));
+            const res = mockResponse();
+
+            await rescheduleAppointment(rescheduleRequest(), res);
+
+            assert.equal(res.statusCode, 400, status);
+            assert.equal(res.body.code, 'APPOINTMENT_RESCHEDULE_RESTRICTED');
+        }
+    });
+
+    it('refuses people who cannot act for the patient', async () => {
+        User.canActFor.mock.mockImplementation(async () => false);
+        const res = mockResponse();
+
+        await rescheduleAppointment(rescheduleRequest(), res);
+
+        assert.equal(res.statusCode, 403);
+    });
+
+    it('rolls back when the appointment was cancelled while it was being moved', async () => {
+        const cancelled = Appointment.hydrate({ ...original.toObject({ virtuals: false }), status: 'cancelled' });
+        findById.mock.mockImplementationOnce(() => queryOf(cancelled), 1);
+        const res = mockResponse();
+
+        await rescheduleAppointment(rescheduleRequest(), res);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'INVALID_STATUS_TRANSITION');
+        assert.equal(session.committed, false);
+        assert.equal(session.ended, true);
+        assert.equal(offerFreedSlot.mock.callCount(), 0);
+    });
+
+    it('answers 503 when the database does not support transactions', async () => {
+        session.withTransaction = async () => {
+            throw Object.assign(new Error('Transaction numbers are only allowed on a replica set member or mongos'), {
+                codeName: 'IllegalOperation'
+            });
+        };
+        const res = mockResponse();
+
+        await rescheduleAppointment(rescheduleRequest(), res);
+
+        assert.equal(res.statusCode, 503);
+        assert.equal(res.body.code, 'TRANSACTIONS_UNAVAILABLE');
+        assert.equal(offerFreedSlot.mock.callCount(), 0);
+    });
+
+    it('refuses dates in the past', async () => {
+        const res = mockResponse();
+
+        await rescheduleAppointment(rescheduleRequest({ date: toClinicDateString(addToClinicDate(new Date(), { days: -1 })) }), res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'PAST_DATE');
+    });
+});
@@ -0,0 +1,312 @@
+// firstcare-backend/tests/slotChecks.test.js
+
+/**
+ * Slot conflict and schedule checks
+ * Provider schedules and exceptions, overlapping-booking queries, facility hours and public holidays,
+ * and the order getSlotProblem and createAppointment apply them in.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Appointment, { ACTIVE_STATUSES } from '../src/models/Appointment.js';
+import ProviderSchedule from '../src/models/ProviderSchedule.js';
+import HealthcareFacility from '../src/models/HealthcareFacility.js';
+import WaitlistEntry from '../src/models/WaitlistEntry.js';
+import Doctor from '../src/models/Doctor.js';
+import User from '../src/models/user.js';
+import { createAppointment, getSlotProblem } from '../src/controllers/appointmentController.js';
+import { getPublicHoliday } from '../src/config/publicHolidays.js';
+import { getTimeRange } from '../src/utils/scheduleUtils.js';
+import { addToClinicDate, getClinicWeekday, toClinicDateString } from '../src/utils/timeZoneUtils.js';
+import {
+    patientId,
+    DOCTOR_ID,
+    silenceConsole,
+    acceptWrites,
+    queryOf,
+    mockResponse,
+    nextWorkingDay,
+    buildSchedule,
+    buildFacility,
+    storedDoctor,
+    storedPatient
+} from './helpers.js';
+
+/**
+ * Next day matching a test, searching up to a year ahead
+ * @param {Function} matches - Test for a candidate day
+ * @returns {Date} Start of the matching day
+ */
+const nextDayWhere = (matches) => {
+    for (let days = 2; days < 400; days++) {
+        const day = addToClinicDate(nextWorkingDay(0), { days });
+        if (matches(day)) return day;
+    }
+    throw new Error('No matching day within a year');
+};
+
+const nextSaturday = () => nextDayWhere(day => getClinicWeekday(day) === 6 && !getPublicHoliday(day));
+const nextWeekdayHoliday = () => nextDayWhere(day => ![0, 6].includes(getClinicWeekday(day)) && getPublicHoliday(day));
+
+beforeEach(silenceConsole);
+afterEach(() => mock.restoreAll());
+
+describe('Provider schedule', () => {
+    it('accepts slots inside a weekly working block', () => {
+        assert.equal(buildSchedule().isWithinSchedule(nextWorkingDay(), '08:00', 30), true);
+        assert.equal(buildSchedule().isWithinSchedule(nextWorkingDay(), '16:30', 30), true);
+    });
+
+    it('rejects slots that run into a break or past the end of the day', () => {
+        const schedule = buildSchedule();
+        assert.equal(schedule.isWithinSchedule(nextWorkingDay(), '11:45', 30), false);
+        assert.equal(schedule.isWithinSchedule(nextWorkingDay(), '12:30', 30), false);
+        assert.equal(schedule.isWithinSchedule(nextWorkingDay(), '16:45', 30), false);
+    });
+
+    it('rejects days without a working block', () => {
+        assert.equal(buildSchedule().isWithinSchedule(nextSaturday(), '09:00', 30), false);
+    });
+
+    it('closes the whole day for leave without times and part of it for leave with times', () => {
+        const day = nextWorkingDay();
+        const schedule = buildSchedule();
+        schedule.exceptions.push({ date: day, type: 'leave', start: '08:00', end: '10:00' });
+
+        assert.equal(schedule.isWithinSchedule(day, '09:00', 30), false);
+        assert.equal(schedule.isWithinSchedule(day, '10:00', 30), true);
+
+        schedule.exceptions.push({ date: day, type: 'leave' });
+        assert.equal(schedule.isWithinSchedule(day, '10:00', 30), false);
+    });
+
+    it('opens extra sessions outside the weekly schedule', () => {
+        const saturday = nextSaturday();
+        const schedule = buildSchedule();
+        schedule.exceptions.push({ date: saturday, type: 'extra-session', start: '09:00', end: '12:00' });
+
+        assert.equal(schedule.isWithinSchedule(saturday, '09:00', 30), true);
+        assert.equal(schedule.isWithinSchedule(saturday, '12:00', 30), false);
+    });
+
+    it('uses category slot lengths when generating available slots', async () => {
+        const day = nextWorkingDay();
+        const schedule = buildSchedule();
+        schedule.slotDurations.push({ category: 'Dentist', minutes: 60 });
+        mock.method(ProviderSchedule, 'resolveForDoctor', async () => schedule);
+        mock.method(Appointment, 'find', () => queryOf([getTimeRange(day, '09:00', 60)]));
+
+        const slots = await Appointment.getAvailableSlots(DOCTOR_ID, day, null, 'Dentist');
+
+        assert.deepEqual(slots.map(slot => slot.time), ['08:00', '10:00', '11:00', '14:00', '15:00', '16:00']);
+        assert.ok(slots.every(slot => slot.duration === 60));
+    });
+});
+
+describe('Overlapping booking queries', () => {
+    it('finds active bookings for the doctor that overlap the requested time range', async () => {
+        const day = nextWorkingDay();
+        const excludeId = new mongoose.Types.ObjectId();
+        const findOne = mock.method(Appointment, 'findOne', () => queryOf(null));
+
+        await Appointment.checkConflict(DOCTOR_ID, day, '09:00', 45, excludeId);
+
+        const [filter] = findOne.mock.calls[0].arguments;
+        const { startAt, endAt } = getTimeRange(day, '09:00', 45);
+        assert.equal(filter.doctorId, DOCTOR_ID);
+        assert.deepEqual(filter.status, { $in: ACTIVE_STATUSES });
+        assert.deepEqual(filter.startAt, { $lt: endAt });
+        assert.deepEqual(filter.endAt, { $gt: startAt });
+        assert.deepEqual(filter._id, { $ne: excludeId });
+    });
+
+    it('checks the patient’s own bookings by user rather than doctor', async () => {
+        const findOne = mock.method(Appointment, 'findOne', () => queryOf(null));
+
+        await Appointment.checkPatientConflict(patientId, nextWorkingDay(), '09:00', 30);
+
+        const [filter] = findOne.mock.calls[0].arguments;
+        assert.equal(filter.user, patientId);
+        assert.equal(filter.doctorId, undefined);
+        assert.equal(filter._id, undefined);
+    });
+});
+
+describe('getSlotProblem', () => {
+    let patientConflict;
+    let providerConflict;
+    let slotHold;
+
+    const slot = (overrides = {}) => ({
+        userId: patientId,
+        doctorId: DOCTOR_ID,
+        date: nextWorkingDay(),
+        time: '09:00',
+        duration: 30,
+        facility: buildFacility(),
+        schedule: buildSchedule(),
+        ...overrides
+    });
+
+    beforeEach(() => {
+        patientConflict = mock.method(Appointment, 'checkPatientConflict', async () => null);
+        providerConflict = mock.method(Appointment, 'checkConflict', async () => null);
+        slotHold = mock.method(WaitlistEntry, 'findActiveHold', async () => null);
+    });
+
+    it('returns null for a free slot inside facility hours and the provider schedule', async () => {
+        assert.equal(await getSlotProblem(slot()), null);
+    });
+
+    it('reports the patient’s own clash before anything else', async () => {
+        patientConflict.mock.mockImplementation(async () => ({ _id: 'existing' }));
+        providerConflict.mock.mockImplementation(async () => ({ _id: 'other' }));
+
+        const problem = await getSlotProblem(slot({ time: '12:30' }));
+
+        assert.equal(problem.code, 'APPOINTMENT_CONFLICT');
+    });
+
+    it('refuses public holidays unless the facility opens on them', async () => {
+        const holiday = nextWeekdayHoliday();
+
+        const problem = await getSlotProblem(slot({ date: holiday }));
+        assert.equal(problem.code, 'PUBLIC_HOLIDAY');
+        assert.equal(problem.error, 'Public holiday');
+        assert.equal(problem.holiday.date, toClinicDateString(holiday));
+
+        const openFacility = buildFacility({ openOnPublicHolidays: true });
+        assert.equal(await getSlotProblem(slot({ date: holiday, facility: openFacility })), null);
+    });
+
+    it('refuses days the facility is closed', async () => {
+        const problem = await getSlotProblem(slot({ date: nextSaturday() }));
+
+        assert.equal(problem.code, 'FACILITY_CLOSED');
+    });
+
+    it('refuses slots that end after the facility closes, even inside the provider schedule', async () => {
+        const problem = await getSlotProblem(slot({ time: '15:45' }));
+
+        assert.equal(problem.code, 'OUTSIDE_FACILITY_HOURS');
+        assert.equal(problem.operatingHours.open, '07:00');
+        assert.equal(problem.operatingHours.close, '16:00');
+    });
+
+    it('refuses slots outside the provider schedule', async () => {
+        const problem = await getSlotProblem(slot({ time: '12:30' }));
+
+        assert.equal(problem.code, 'OUTSIDE_PROVIDER_SCHEDULE');
+    });
+
+    it('refuses slots another patient has booked with the provider', async () => {
+        providerConflict.mock.mockImplementation(async () => ({ _id: 'other' }));
+
+        const problem = await getSlotProblem(slot());
+
+        assert.equal(problem.code, 'PROVIDER_UNAVAILABLE');
+    });
+
+    it('refuses slots held for a waitlisted patient', async () => {
+        const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+        slotHold.mock.mockImplementation(async () => ({ offer: { expiresAt } }));
+
+        const problem = await getSlotProblem(slot());
+
+        assert.equal(problem.code, 'SLOT_HELD');
+        assert.equal(problem.heldUntil, expiresAt);
+    });
+
+    it('passes the appointment being moved and the session to every lookup', async () => {
+        const excludeId = new mongoose.Types.ObjectId();
+        const session = {};
+
+        await getSlotProblem(slot({ excludeId, session }));
+
+        assert.deepEqual(patientConflict.mock.calls[0].arguments.slice(4), [excludeId, session]);
+        assert.deepEqual(providerConflict.mock.calls[0].arguments.slice(4), [excludeId, session]);
+        assert.deepEqual(slotHold.mock.calls[0].arguments.slice(4), [patientId, session]);
+    });
+});
+
+describe('createAppointment slot checks', () => {
+    let writes;
+    let providerConflict;
+
+    const bookingRequest = (body = {}) => ({
+        body: {
+            date: toClinicDateString(nextWorkingDay()),
+            time: '09:00',
+            reason: 'Follow-up on blood pressure medication',
+            category: 'General Practitioner',
+            doctorId: DOCTOR_ID,
+            district: 'ethekwini',
+            facilityId: buildFacility()._id.toString(),
+            providerAddress: '1 Test Road, Durban',
+            providerContact: '031 000 0000',
+            urgency: 'routine',
+            ...body
+        },
+        user: { userId: patientId.toString(), roles: ['patient'] }
+    });
+
+    beforeEach(() => {
+        const patient = storedPatient();
+        writes = acceptWrites(Appointment);
+        mock.method(User, 'findById', () => queryOf(patient));
+        mock.method(ProviderSchedule, 'resolveForDoctor', async () => buildSchedule());
+        mock.method(Doctor, 'findByDoctorId', () => queryOf(storedDoctor()));
+        mock.method(HealthcareFacility, 'findById', () => queryOf(buildFacility()));
+        mock.method(Appointment, 'checkPatientConflict', async () => null);
+        providerConflict = mock.method(Appointment, 'checkConflict', async () => null);
+        mock.method(WaitlistEntry, 'findActiveHold', async () => null);
+        mock.method(Appointment.prototype, 'populate', async function () {
+            this.user = patient;
+            return this;
+        });
+    });
+
+    it('books a free slot', async () => {
+        const res = mockResponse();
+
+        await createAppointment(bookingRequest(), res);
+
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.body.appointment.status, 'pending');
+        assert.equal(res.body.appointment.time, '09:00');
+        assert.equal(writes.Appointment.insertOne.mock.callCount(), 1);
+    });
+
+    it('offers the waitlist when the provider is already booked', async () => {
+        providerConflict.mock.mockImplementation(async () => ({ _id: 'other' }));
+        const res = mockResponse();
+
+        await createAppointment(bookingRequest(), res);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'PROVIDER_UNAVAILABLE');
+        assert.equal(res.body.waitlistAvailable, true);
+        assert.equal(writes.Appointment.insertOne.mock.callCount(), 0);
+    });
+
+    it('refuses a slot outside the provider schedule', async () => {
+        const res = mockResponse();
+
+        await createAppointment(bookingRequest({ time: '12:30' }), res);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'OUTSIDE_PROVIDER_SCHEDULE');
+        assert.equal(writes.Appointment.insertOne.mock.callCount(), 0);
+    });
+
+    it('refuses a day the facility is closed', async () => {
+        const res = mockResponse();
+
+        await createAppointment(bookingRequest({ date: toClinicDateString(nextSaturday()) }), res);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'FACILITY_CLOSED');
+        assert.equal(writes.Appointment.insertOne.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,315 @@
+// firstcare-backend/tests/waitlist.test.js
+
+/**
+ * Waitlist offers, expiry and acceptance
+ * Freed slots go to the highest priority waiting patient and are held for a limited time; expired
+ * holds pass to the next patient, and accepting a hold books the slot if it is still free.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { addMinutes } from 'date-fns';
+import mongoose from 'mongoose';
+import Appointment from '../src/models/Appointment.js';
+import WaitlistEntry, { OFFER_HOLD_MINUTES } from '../src/models/WaitlistEntry.js';
+import ProviderSchedule from '../src/models/ProviderSchedule.js';
+import HealthcareFacility from '../src/models/HealthcareFacility.js';
+import Doctor from '../src/models/Doctor.js';
+import User from '../src/models/user.js';
+import { acceptWaitlistOffer } from '../src/controllers/waitlistController.js';
+import { addToClinicDate, startOfClinicDay, toClinicDateString } from '../src/utils/timeZoneUtils.js';
+import {
+    patientId,
+    DOCTOR_ID,
+    silenceConsole,
+    acceptWrites,
+    queryOf,
+    mockResponse,
+    nextWorkingDay,
+    buildSchedule,
+    buildFacility,
+    storedDoctor,
+    storedPatient,
+    storedWaitlistEntry
+} from './helpers.js';
+
+/**
+ * Waitlist entry holding a slot for the test patient
+ * @param {Object} offer - Offer fields to change
+ * @param {Object} overrides - Entry fields to change
+ * @returns {Object} Hydrated waitlist entry with an offer
+ */
+const offeredEntry = (offer = {}, overrides = {}) => storedWaitlistEntry({
+    status: 'offered',
+    offer: {
+        date: nextWorkingDay(),
+        time: '09:00',
+        duration: 30,
+        offeredAt: new Date(),
+        expiresAt: addMinutes(new Date(), 60),
+        ...offer
+    },
+    ...overrides
+});
+
+beforeEach(silenceConsole);
+afterEach(() => mock.restoreAll());
+
+describe('Offering a freed slot', () => {
+    let writes;
+    let find;
+
+    beforeEach(() => {
+        writes = acceptWrites(WaitlistEntry);
+        mock.method(WaitlistEntry, 'findActiveHold', async () => null);
+        mock.method(Appointment, 'checkConflict', async () => null);
+        find = mock.method(WaitlistEntry, 'find', () => queryOf([]));
+    });
+
+    it('holds the slot for the highest priority patient', async () => {
+        const routine = storedWaitlistEntry({ urgency: 'routine', createdAt: new Date(Date.now() - 60000) });
+        const urgent = storedWaitlistEntry({ urgency: 'urgent' });
+        find.mock.mockImplementation(() => queryOf([routine, urgent]));
+        const date = nextWorkingDay();
+
+        const offered = await WaitlistEntry.offerFreedSlot({ doctorId: DOCTOR_ID, date, time: '09:00', duration: 30 });
+
+        assert.equal(offered, urgent);
+        assert.equal(urgent.status, 'offered');
+        assert.equal(urgent.offer.time, '09:00');
+        assert.equal(urgent.offer.expiresAt - urgent.offer.offeredAt, OFFER_HOLD_MINUTES * 60 * 1000);
+        assert.equal(routine.status, 'waiting');
+        assert.equal(writes.WaitlistEntry.updateOne.mock.callCount(), 1);
+    });
+
+    it('offers equal priorities to whoever joined first', async () => {
+        const earlier = storedWaitlistEntry({ createdAt: new Date(Date.now() - 60000) });
+        const later = storedWaitlistEntry();
+        find.mock.mockImplementation(() => queryOf([later, earlier]));
+
+        const offered = await WaitlistEntry.offerFreedSlot({ doctorId: DOCTOR_ID, date: nextWorkingDay(), time: '09:00' });
+
+        assert.equal(offered, earlier);
+    });
+
+    it('only looks at waiting patients whose range covers the day and who have not passed on the slot', async () => {
+        const date = nextWorkingDay();
+
+        await WaitlistEntry.offerFreedSlot({ doctorId: DOCTOR_ID, date, time: '09:00' });
+
+        const [filter] = find.mock.calls[0].arguments;
+        assert.equal(filter.doctorId, DOCTOR_ID);
+        assert.equal(filter.status, 'waiting');
+        assert.deepEqual(filter.dateFrom, { $lte: startOfClinicDay(date) });
+        assert.deepEqual(filter.dateTo, { $gte: startOfClinicDay(date) });
+        assert.deepEqual(filter.passedSlots, { $ne: `${toClinicDateString(date)} 09:00` });
+    });
+
+    it('does not offer slots later today', async () => {
+        const offered = await WaitlistEntry.offerFreedSlot({ doctorId: DOCTOR_ID, date: startOfClinicDay(), time: '23:30' });
+
+        assert.equal(offered, null);
+        assert.equal(find.mock.callCount(), 0);
+    });
+
+    it('does not offer a slot that has been rebooked', async () => {
+        Appointment.checkConflict.mock.mockImplementation(async () => ({ _id: 'rebooked' }));
+
+        const offered = await WaitlistEntry.offerFreedSlot({ doctorId: DOCTOR_ID, date: nextWorkingDay(), time: '09:00' });
+
+        assert.equal(offered, null);
+        assert.equal(find.mock.callCount(), 0);
+    });
+});
+
+describe('Slot holds', () => {
+    it('block overlapping times but not the times either side', async () => {
+        const hold = offeredEntry({ time: '09:00', duration: 30 });
+        mock.method(WaitlistEntry, 'find', () => queryOf([hold]));
+        const date = hold.offer.date;
+
+        assert.equal(await WaitlistEntry.findActiveHold(DOCTOR_ID, date, '09:15', 30), hold);
+        assert.equal(await WaitlistEntry.findActiveHold(DOCTOR_ID, date, '08:30', 30), null);
+        assert.equal(await WaitlistEntry.findActiveHold(DOCTOR_ID, date, '09:30', 30), null);
+    });
+
+    it('are only active until they expire', () => {
+        assert.equal(offeredEntry().hasActiveOffer, true);
+        assert.equal(offeredEntry({ expiresAt: addMinutes(new Date(), -1) }).hasActiveOffer, false);
+    });
+});
+
+describe('Releasing and expiring offers', () => {
+    it('remembers the released slot so it is not offered to the same patient again', () => {
+        const entry = offeredEntry();
+        const { date, time } = entry.offer;
+
+        const slot = entry.releaseOffer({ missed: true });
+
+        assert.deepEqual(slot, { date, time, duration: 30 });
+        assert.equal(entry.status, 'waiting');
+        assert.equal(entry.offer, undefined);
+        assert.deepEqual([...entry.passedSlots], [`${toClinicDateString(date)} ${time}`]);
+        assert.equal(entry.offersMissed, 1);
+    });
+
+    it('does not count a declined offer as missed', () => {
+        const entry = offeredEntry();
+
+        entry.releaseOffer();
+
+        assert.equal(entry.offersMissed, 0);
+    });
+
+    it('expires the entry when its date range has already passed', () => {
+        const entry = offeredEntry({}, {
+            dateFrom: addToClinicDate(startOfClinicDay(), { days: -5 }),
+            dateTo: addToClinicDate(startOfClinicDay(), { days: -1 })
+        });
+
+        entry.releaseOffer({ missed: true });
+
+        assert.equal(entry.status, 'expired');
+    });
+
+    it('passes stale offers to the next patient and expires entries whose range has ended', async () => {
+        acceptWrites(WaitlistEntry);
+        const stale = offeredEntry({ expiresAt: addMinutes(new Date(), -5) });
+        const { date, time } = stale.offer;
+        mock.method(WaitlistEntry, 'find', () => queryOf([stale]));
+        const updateMany = mock.method(WaitlistEntry, 'updateMany', async () => ({ modifiedCount: 2 }));
+        const offerFreedSlot = mock.method(WaitlistEntry, 'offerFreedSlot', async () => null);
+
+        const result = await WaitlistEntry.expireStaleOffers();
+
+        assert.deepEqual(result, { releasedOffers: 1, expiredEntries: 2 });
+        assert.equal(stale.status, 'waiting');
+        assert.equal(stale.offersMissed, 1);
+        assert.deepEqual(offerFreedSlot.mock.calls[0].arguments[0], { doctorId: DOCTOR_ID, date, time, duration: 30 });
+        assert.deepEqual(updateMany.mock.calls[0].arguments[0], {
+            status: 'waiting',
+            dateTo: { $lt: startOfClinicDay() }
+        });
+    });
+});
+
+describe('Accepting an offer', () => {
+    let writes;
+    let entry;
+    let offerFreedSlot;
+
+    const acceptRequest = (userId = patientId) => ({
+        params: { id: entry._id.toString() },
+        body: {},
+        user: { userId: userId.toString(), roles: ['patient'] }
+    });
+
+    const useEntry = (value) => {
+        entry = value;
+        mock.method(WaitlistEntry, 'findById', () => queryOf(entry));
+    };
+
+    beforeEach(() => {
+        writes = acceptWrites(Appointment, WaitlistEntry);
+        useEntry(offeredEntry());
+        offerFreedSlot = mock.method(WaitlistEntry, 'offerFreedSlot', async () => null);
+        mock.method(ProviderSchedule, 'resolveForDoctor', async () => buildSchedule());
+        mock.method(HealthcareFacility, 'findById', () => queryOf(buildFacility()));
+        mock.method(Appointment, 'checkPatientConflict', async () => null);
+        mock.method(Appointment, 'checkConflict', async () => null);
+        mock.method(WaitlistEntry, 'findActiveHold', async () => null);
+        mock.method(User, 'findById', () => queryOf(storedPatient()));
+        mock.method(Doctor, 'findByDoctorId', () => queryOf(storedDoctor({ name: 'Dr Renamed Doctor' })));
+    });
+
+    it('books the held slot from the doctor and facility records', async () => {
+        const res = mockResponse();
+
+        await acceptWaitlistOffer(acceptRequest(), res);
+
+        assert.equal(res.statusCode, 201);
+        assert.equal(entry.status, 'booked');
+        assert.equal(entry.bookedAppointment.toString(), res.body.appointment.id.toString());
+
+        const [booked] = writes.Appointment.insertOne.mock.calls[0].arguments;
+        assert.equal(booked.time, '09:00');
+        assert.equal(booked.status, 'pending');
+        assert.equal(booked.doctor, 'Dr Renamed Doctor');
+        assert.equal(booked.facilityName, 'Test Community Clinic');
+        assert.equal(booked.createdBy.toString(), patientId.toString());
+        assert.equal(booked.lastModifiedBy.toString(), patientId.toString());
+    });
+
+    it('refuses other patients’ entries', async () => {
+        const res = mockResponse();
+
+        await acceptWaitlistOffer(acceptRequest(new mongoose.Types.ObjectId()), res);
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(entry.status, 'offered');
+    });
+
+    it('answers 409 when nothing is on offer', async () => {
+        useEntry(storedWaitlistEntry());
+        const res = mockResponse();
+
+        await acceptWaitlistOffer(acceptRequest(), res);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'NO_ACTIVE_OFFER');
+    });
+
+    it('passes an expired hold to the next patient', async () => {
+        useEntry(offeredEntry({ expiresAt: addMinutes(new Date(), -1) }));
+        const { date, time } = entry.offer;
+        const res = mockResponse();
+
+        await acceptWaitlistOffer(acceptRequest(), res);
+
+        assert.equal(res.statusCode, 410);
+        assert.equal(res.body.code, 'OFFER_EXPIRED');
+        assert.equal(entry.status, 'waiting');
+        assert.equal(entry.offersMissed, 1);
+        assert.deepEqual(offerFreedSlot.mock.calls[0].arguments[0], { doctorId: DOCTOR_ID, date, time, duration: 30 });
+        assert.equal(writes.Appointment.insertOne.mock.callCount(), 0);
+    });
+
+    it('releases a hold that has run into the slot’s own day', async () => {
+        useEntry(offeredEntry({ date: startOfClinicDay(), time: '23:30' }));
+        const res = mockResponse();
+
+        await acceptWaitlistOffer(acceptRequest(), res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'PAST_APPOINTMENT_DATE');
+        assert.equal(entry.status, 'waiting');
+        assert.equal(writes.Appointment.insertOne.mock.callCount(), 0);
+    });
+
+    it('releases the hold when the slot can no longer be booked', async () => {
+        Appointment.checkConflict.mock.mockImplementation(async () => ({ _id: 'other' }));
+        const { date, time } = entry.offer;
+        const res = mockResponse();
+
+        await acceptWaitlistOffer(acceptRequest(), res);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'PROVIDER_UNAVAILABLE');
+        assert.match(res.body.message, /remain on the waitlist/);
+        assert.equal(entry.status, 'waiting');
+        assert.deepEqual([...entry.passedSlots], [`${toClinicDateString(date)} ${time}`]);
+        assert.equal(writes.Appointment.insertOne.mock.callCount(), 0);
+    });
+
+    it('keeps the hold when the patient has their own clash to resolve', async () => {
+        Appointment.checkPatientConflict.mock.mockImplementation(async () => ({ _id: 'own' }));
+        const res = mockResponse();
+
+        await acceptWaitlistOffer(acceptRequest(), res);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'APPOINTMENT_CONFLICT');
+        assert.equal(entry.status, 'offered');
+        assert.equal(writes.Appointment.insertOne.mock.callCount(), 0);
+    });
+});
@@ -9,8 +9,10 @@
  * - Dynamic doctor selection from /api/healthcare/doctors endpoint
  * - Facility data integration from /api/healthcare/facilities
  * - Calendar-based date selection with backend availability
- * - Time slot availability with conflict detection
+ * - Time slots generated from each doctor's schedule on the backend
  * - KZN district-based doctor filtering
+ * - Optional patient transport or ambulance request with pickup and mobility needs
+ * - Optional pre-visit questionnaire for the selected medical category
  * - Real-time form validation
  *
  * Security Features:
@@ -29,16 +31,11 @@
 import React, { useState, useEffect } from "react";
 import { useRouter } from "next/navigation";
 import { useUser } from "@/contexts/UserContext";
+import { useRealtimeEvents } from "@/hooks/useRealtimeEvents";
+import IntakeQuestionnaire from "./IntakeQuestionnaire";
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
-// Available time slots (aligned with backend availability)
-const TIME_SLOTS = [
-  "08:00", "08:30", "09:00", "09:30", "10:00", "10:30",
-  "11:00", "11:30", "14:00", "14:30", "15:00", "15:30",
-  "16:00", "16:30"
-];
-
 /**
  * Medical categories aligned with backend appointment categories
  */
@@ -56,9 +53,31 @@ const MEDICAL_CATEGORIES = [
   "Emergency Care"
 ];
 
+/**
+ * Mobility needs the transport crew can plan for
+ */
+const MOBILITY_NEEDS = [
+  { value: "wheelchair", label: "Wheelchair" },
+  { value: "stretcher", label: "Stretcher" },
+  { value: "walking-aid", label: "Walking aid" },
+  { value: "oxygen", label: "Oxygen" },
+  { value: "visually-impaired", label: "Visually impaired" },
+  { value: "companion", label: "Travelling with a carer" }
+];
+
 /**
  * BookAppointmentForm Component with Backend Integration
  */
+/**
+ * Booking error codes whose message explains why the chosen slot was refused
+ */
+const SLOT_REFUSAL_CODES = [
+  "PUBLIC_HOLIDAY",
+  "FACILITY_CLOSED",
+  "OUTSIDE_FACILITY_HOURS",
+  "OUTSIDE_PROVIDER_SCHEDULE"
+];
+
 export default function BookAppointmentForm() {
   const [formData, setFormData] = useState({
     date: "",
@@ -67,11 +86,16 @@ export default function BookAppointmentForm() {
     category: "",
     doctor: "",
     doctorId: "",
+    facilityId: "",
     facilityName: "",
     facilityType: "",
     district: "",
     urgency: "routine",
-    notes: ""
+    notes: "",
+    transportNeeded: false,
+    transportType: "patient-transport",
+    pickupAddress: "",
+    mobilityNeeds: []
   });
 
   const [availableDates, setAvailableDates] = useState([]);
@@ -81,6 +105,12 @@ export default function BookAppointmentForm() {
   const [error, setError] = useState("");
   const [successMessage, setSuccessMessage] = useState("");
   const [bookedSlots, setBookedSlots] = useState([]);
+  const [timeSlots, setTimeSlots] = useState([]);
+  const [slotDuration, setSlotDuration] = useState(30);
+  const [fetchingSlots, setFetchingSlots] = useState(false);
+  const [slotsVersion, setSlotsVersion] = useState(0);
+  const [questionnaire, setQuestionnaire] = useState(null);
+  const [intakeAnswers, setIntakeAnswers] = useState({});
 
   const router = useRouter();
   const { user, loading: userLoading, getAccessToken, isProfileComplete } = useUser();
@@ -192,6 +222,99 @@ export default function BookAppointmentForm() {
     fetchDoctors();
   }, [formData.category, user?.locationData?.healthDistrict]);
 
+  /**
+   * Fetch the pre-visit questionnaire for the selected category
+   */
+  useEffect(() => {
+    const fetchQuestionnaire = async () => {
+      if (!formData.category || !user) {
+        setQuestionnaire(null);
+        return;
+      }
+
+      try {
+        const token = await getAccessToken();
+        const API_BASE = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:5000';
+        const searchParams = new URLSearchParams({ category: formData.category });
+
+        const response = await fetch(`${API_BASE}/api/appointments/questionnaires?${searchParams}`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+          credentials: 'include'
+        });
+
+        const data = response.ok ? await response.json() : null;
+        setQuestionnaire(data?.questionnaire || null);
+      } catch (error) {
+        // The questionnaire is optional, so booking carries on without it
+        console.error("Error fetching questionnaire:", error);
+        setQuestionnaire(null);
+      }
+    };
+
+    fetchQuestionnaire();
+  }, [formData.category, user]);
+
+  /**
+   * Reload the free slots as soon as someone else books, cancels or is offered
+   * a slot with the selected doctor on the selected date
+   */
+  useRealtimeEvents({
+    'availability.changed': () => setSlotsVersion(version => version + 1)
+  }, {
+    doctorId: formData.doctorId,
+    date: formData.date,
+    enabled: Boolean(user && formData.doctorId && formData.date)
+  });
+
+  /**
+   * Fetch the selected doctor's working dates and free slots from their schedule
+   */
+  useEffect(() => {
+    const fetchDoctorAvailability = async () => {
+      if (!formData.doctorId) {
+        setTimeSlots([]);
+        return;
+      }
+
+      setFetchingSlots(true);
+      try {
+        const token = await getAccessToken();
+        const API_BASE = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:5000';
+
+        const searchParams = new URLSearchParams({ doctorId: formData.doctorId });
+        if (formData.facilityId) searchParams.append('facilityId', formData.facilityId);
+        if (formData.date) searchParams.append('date', formData.date);
+        if (formData.category) searchParams.append('category', formData.category);
+
+        const response = await fetch(`${API_BASE}/api/appointments/availability?${searchParams}`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+          credentials: 'include'
+        });
+
+        if (!response.ok) {
+          throw new Error('Failed to fetch doctor availability');
+        }
+
+        const data = await response.json();
+        setAvailableDates(data.availableDates || []);
+        setSlotDuration(data.slotDuration || 30);
+        setTimeSlots((data.slots || []).map(slot => slot.time));
+      } catch (error) {
+        console.error("Error fetching doctor availability:", error);
+        setTimeSlots([]);
+        toast.error("Failed to load available times for this doctor.");
+      } finally {
+        setFetchingSlots(false);
+      }
+    };
+
+    fetchDoctorAvailability();
+  }, [formData.doctorId, formData.facilityId, formData.date, formData.category, slotsVersion, getAccessToken]);
+
   /**
    * Fetch doctors from backend /api/healthcare/doctors endpoint
    */
@@ -206,6 +329,11 @@ export default function BookAppointmentForm() {
         limit: '50'
       });
 
+      // Doctors who consult in the patient's language are listed first
+      if (user?.preferredLanguage) {
+        searchParams.append('language', user.preferredLanguage);
+      }
+
       const response = await fetch(`${API_BASE}/api/healthcare/doctors?${searchParams}`, {
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -259,15 +387,19 @@ export default function BookAppointmentForm() {
         [name]: value,
         doctor: "",
         doctorId: "",
+        facilityId: "",
         facilityName: "",
         facilityType: ""
       }));
+      setIntakeAnswers({});
     } else if (name === "doctor") {
       const selectedDoctor = availableDoctors.find(doc => doc.doctor.name === value);
       setFormData(prev => ({
         ...prev,
         [name]: value,
-        doctorId: selectedDoctor?.doctor?.id || "",
+        time: "",
+        doctorId: selectedDoctor?.doctor?.doctorId || "",
+        facilityId: selectedDoctor?._id || "",
         facilityName: selectedDoctor?.facilityName || "",
         facilityType: selectedDoctor?.facilityType || "",
         district: selectedDoctor?.district || user?.locationData?.healthDistrict || ""
@@ -314,6 +446,24 @@ export default function BookAppointmentForm() {
     );
   };
 
+  /**
+   * Toggles the transport request and its mobility needs
+   */
+  const handleTransportChange = (e) => {
+    const { name, value, checked } = e.target;
+
+    if (name === "transportNeeded") {
+      setFormData(prev => ({ ...prev, transportNeeded: checked }));
+    } else if (name === "mobilityNeeds") {
+      setFormData(prev => ({
+        ...prev,
+        mobilityNeeds: checked
+          ? [...prev.mobilityNeeds, value]
+          : prev.mobilityNeeds.filter(need => need !== value)
+      }));
+    }
+  };
+
   /**
    * Handles form submission with comprehensive validation and backend integration
    */
@@ -368,11 +518,21 @@ export default function BookAppointmentForm() {
         category: formData.category,
         doctor: formData.doctor,
         doctorId: formData.doctorId,
+        facilityId: formData.facilityId || undefined,
         facilityName: formData.facilityName,
         facilityType: formData.facilityType,
         district: formData.district,
         urgency: formData.urgency,
-        notes: formData.notes
+        notes: formData.notes,
+        transportAssistance: formData.transportNeeded ? {
+          type: formData.transportType,
+          pickup: {
+            address: formData.pickupAddress,
+            subLocation: user?.locationData?.subLocation || undefined
+          },
+          mobilityNeeds: formData.mobilityNeeds
+        } : undefined,
+        intake: Object.keys(intakeAnswers).length > 0 ? { answers: intakeAnswers } : undefined
       };
 
       console.log("Submitting appointment data to backend:", appointmentData);
@@ -396,6 +556,19 @@ export default function BookAppointmentForm() {
         toast.success("Appointment booked successfully!");
         setSuccessMessage("Your KZN healthcare appointment has been booked successfully!");
 
+        const languageSupport = data.appointment?.languageSupport;
+        if (languageSupport?.requiresInterpreter) {
+          const alternatives = languageSupport.languageMatchedDoctors.map(doc => doc.name).join(', ');
+          toast.info(
+            languageSupport.interpreter === 'reserved'
+              ? 'An interpreter has been booked for your appointment.'
+              : 'The facility will arrange an interpreter for your appointment.'
+          );
+          if (alternatives) {
+            toast.info(`Doctors who speak your language are also free at this time: ${alternatives}`);
+          }
+        }
+
         // Reset form
         setFormData({
           date: "",
@@ -404,14 +577,20 @@ export default function BookAppointmentForm() {
           category: "",
           doctor: "",
           doctorId: "",
+          facilityId: "",
           facilityName: "",
           facilityType: "",
           district: "",
           urgency: "routine",
-          notes: ""
+          notes: "",
+          transportNeeded: false,
+          transportType: "patient-transport",
+          pickupAddress: "",
+          mobilityNeeds: []
         });
 
         setAvailableDoctors([]);
+        setIntakeAnswers({});
 
         // Update booked slots
         setBookedSlots(prev => [...prev, {
@@ -424,6 +603,16 @@ export default function BookAppointmentForm() {
           router.push("/booking");
         }, 3000);
 
+      } else if (SLOT_REFUSAL_CODES.includes(data.code)) {
+        // Explain why the facility or provider refused the slot
+        throw new Error(data.message);
+      } else if (data.code === "INTAKE_VALIDATION_ERROR") {
+        const questions = questionnaire?.questions || [];
+        const problems = (data.details || []).map(detail => {
+          const question = questions.find(candidate => candidate.id === detail.question);
+          return `${question?.text || detail.question} ${detail.message.toLowerCase()}`;
+        });
+        throw new Error(`Please check your questionnaire answers: ${problems.join('; ')}`);
       } else {
         throw new Error(data.error || data.message || "Failed to book appointment");
       }
@@ -593,10 +782,12 @@ export default function BookAppointmentForm() {
                   onChange={handleChange}
                   className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                   required
-                  disabled={!formData.date}
+                  disabled={!formData.date || !formData.doctorId || fetchingSlots}
                 >
-                  <option value="">Select a Time</option>
-                  {TIME_SLOTS.map(time => (
+                  <option value="">
+                    {fetchingSlots ? 'Loading times...' : 'Select a Time'}
+                  </option>
+                  {timeSlots.map(time => (
                     <option
                       key={time}
                       value={time}
@@ -607,7 +798,14 @@ export default function BookAppointmentForm() {
                     </option>
                   ))}
                 </select>
-                <p className="text-xs text-gray-500 mt-1">30-minute appointment slots</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {!formData.doctorId
+                    ? 'Select a doctor to see their available times'
+                    : formData.date && !fetchingSlots && timeSlots.length === 0
+                      ? 'No available times on this date'
+                      : `${slotDuration}-minute appointment slots`
+                  }
+                </p>
               </div>
             </div>
 
@@ -671,8 +869,9 @@ export default function BookAppointmentForm() {
                     {fetchingDoctors ? 'Loading doctors...' : 'Select a Doctor'}
                   </option>
                   {availableDoctors.map((doctorData) => (
-                    <option key={doctorData.doctor.id} value={doctorData.doctor.name}>
+                    <option key={doctorData.doctor.doctorId} value={doctorData.doctor.name}>
                       {doctorData.doctor.name} - {doctorData.facilityName}
+                      {doctorData.doctor.speaksLanguage ? ' (speaks your language)' : ''}
                     </option>
                   ))}
                 </select>
@@ -727,6 +926,88 @@ export default function BookAppointmentForm() {
               />
             </div>
 
+            {/* Pre-visit Questionnaire */}
+            <IntakeQuestionnaire
+              questionnaire={questionnaire}
+              answers={intakeAnswers}
+              onChange={setIntakeAnswers}
+            />
+
+            {/* Transport Assistance */}
+            <div className="p-4 border border-gray-200 rounded-lg">
+              <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  name="transportNeeded"
+                  checked={formData.transportNeeded}
+                  onChange={handleTransportChange}
+                  className="h-4 w-4"
+                />
+                I need transport to this appointment
+              </label>
+
+              {formData.transportNeeded && (
+                <div className="mt-4 space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label htmlFor="transportType" className="block text-sm font-medium text-gray-700 mb-2">
+                        Transport Type
+                      </label>
+                      <select
+                        id="transportType"
+                        name="transportType"
+                        value={formData.transportType}
+                        onChange={handleChange}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        <option value="patient-transport">Patient transport</option>
+                        <option value="ambulance">Ambulance</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label htmlFor="pickupAddress" className="block text-sm font-medium text-gray-700 mb-2">
+                        Pickup Address *
+                      </label>
+                      <input
+                        id="pickupAddress"
+                        name="pickupAddress"
+                        type="text"
+                        value={formData.pickupAddress}
+                        onChange={handleChange}
+                        required={formData.transportNeeded}
+                        minLength={5}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="Where should the vehicle collect you?"
+                      />
+                    </div>
+                  </div>
+
+                  <div>
+                    <span className="block text-sm font-medium text-gray-700 mb-2">Mobility Needs</span>
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                      {MOBILITY_NEEDS.map(need => (
+                        <label key={need.value} className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            name="mobilityNeeds"
+                            value={need.value}
+                            checked={formData.mobilityNeeds.includes(need.value)}
+                            onChange={handleTransportChange}
+                            className="h-4 w-4"
+                          />
+                          {need.label}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <p className="text-xs text-gray-500">
+                    A health worker in your district will approve or decline the request before your appointment.
+                  </p>
+                </div>
+              )}
+            </div>
+
             {/* Appointment Summary */}
             {formData.date && formData.time && formData.doctor && (
               <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
@@ -0,0 +1,161 @@
+/**
+ * Intake Questionnaire Component for Healthcare Appointment Booking System
+ *
+ * @file app/(route)/auth/bookregister/book/IntakeQuestionnaire.jsx
+ * @description Renders the pre-visit questionnaire for a medical category from
+ * GET /api/appointments/questionnaires and collects the patient's answers
+ *
+ * Features:
+ * - Text, number, 0-10 scale, yes/no, single-choice and multi-choice questions
+ * - Follow-up questions (e.g. antenatal week) shown only when they apply
+ * - Answers keyed by question id, as expected by the booking and intake endpoints
+ *
+ * @component
+ * @version 1.0.0
+ * @author Healthcare System - KZN Implementation
+ */
+
+"use client";
+
+import React from "react";
+
+const inputClassName = "w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+/**
+ * Check whether a question applies given the answers so far
+ */
+const isShown = (question, answers) =>
+  !question.requiredIf || answers[question.requiredIf.question] === question.requiredIf.equals;
+
+/**
+ * Input for a single question
+ */
+function QuestionInput({ question, value, onAnswer }) {
+  const name = `intake-${question.id}`;
+
+  switch (question.type) {
+    case "number":
+    case "scale":
+      return (
+        <input
+          id={name}
+          type="number"
+          min={question.min}
+          max={question.max}
+          step={1}
+          value={value ?? ""}
+          onChange={(e) => onAnswer(e.target.value === "" ? undefined : Number(e.target.value))}
+          className={inputClassName}
+        />
+      );
+
+    case "boolean":
+      return (
+        <div className="flex gap-6">
+          {[{ label: "Yes", answer: true }, { label: "No", answer: false }].map(option => (
+            <label key={option.label} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name={name}
+                checked={value === option.answer}
+                onChange={() => onAnswer(option.answer)}
+                className="h-4 w-4"
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+      );
+
+    case "choice":
+      return (
+        <select
+          id={name}
+          value={value ?? ""}
+          onChange={(e) => onAnswer(e.target.value || undefined)}
+          className={inputClassName}
+        >
+          <option value="">Select an answer</option>
+          {question.options.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      );
+
+    case "multi-choice":
+      return (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+          {question.options.map(option => {
+            const selected = value || [];
+            return (
+              <label key={option.value} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(option.value)}
+                  onChange={(e) => onAnswer(e.target.checked
+                    ? [...selected, option.value]
+                    : selected.filter(item => item !== option.value))}
+                  className="h-4 w-4"
+                />
+                {option.label}
+              </label>
+            );
+          })}
+        </div>
+      );
+
+    default:
+      return (
+        <input
+          id={name}
+          type="text"
+          maxLength={question.maxLength}
+          value={value ?? ""}
+          onChange={(e) => onAnswer(e.target.value)}
+          className={inputClassName}
+        />
+      );
+  }
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.questionnaire - Questionnaire { title, questions }
+ * @param {Object} props.answers - Answers keyed by question id
+ * @param {Function} props.onChange - Called with the updated answers
+ */
+export default function IntakeQuestionnaire({ questionnaire, answers, onChange }) {
+  if (!questionnaire) return null;
+
+  const handleAnswer = (questionId, answer) => {
+    const next = { ...answers, [questionId]: answer };
+    if (answer === undefined || answer === "" || (Array.isArray(answer) && answer.length === 0)) {
+      delete next[questionId];
+    }
+    onChange(next);
+  };
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg space-y-4">
+      <div>
+        <h3 className="font-semibold text-gray-800">{questionnaire.title} (Optional)</h3>
+        <p className="text-xs text-gray-500 mt-1">
+          Your answers help the doctor prepare for your visit. You can also answer later from your appointments.
+        </p>
+      </div>
+
+      {questionnaire.questions.filter(question => isShown(question, answers)).map(question => (
+        <div key={question.id}>
+          <label htmlFor={`intake-${question.id}`} className="block text-sm font-medium text-gray-700 mb-2">
+            {question.text}{question.required || question.requiredIf ? " *" : ""}
+          </label>
+          <QuestionInput
+            question={question}
+            value={answers[question.id]}
+            onAnswer={(answer) => handleAnswer(question.id, answer)}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+/**
+ * useRealtimeEvents Hook – KZN Healthcare System
+ *
+ * @module hooks/useRealtimeEvents
+ * @version 1.0.0
+ * @description
+ * Subscribes to the backend's Server-Sent Events stream so pages update as soon as
+ * appointments, slots, waitlist offers and walk-in queues change, instead of waiting
+ * for a manual refresh.
+ *
+ * Core Features:
+ *  • Own appointment status changes, waitlist offers, walk-in ticket updates and
+ *    transport decisions
+ *  • Slot availability changes for one provider and date (doctorId + date)
+ *  • Walk-in queue updates for one facility (facilityId)
+ *  • Refreshes the session cookies and reconnects when the access token expires
+ *
+ * @param {Object} handlers - Map of event type to handler, e.g. { 'availability.changed': fn }
+ * @param {Object} [options]
+ * @param {string} [options.doctorId] - Provider whose availability to follow
+ * @param {string} [options.date] - Date (YYYY-MM-DD) of the availability to follow
+ * @param {string} [options.facilityId] - Facility whose walk-in queue to follow
+ * @param {boolean} [options.enabled=true] - Set to false to keep the stream closed
+ * @returns {Object} { connected }
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { apiConfig } from "@/lib/api";
+
+const EVENT_TYPES = [
+    'appointment.status',
+    'availability.changed',
+    'waitlist.offer',
+    'queue.updated',
+    'queue.ticket',
+    'transport.reviewed'
+];
+
+/**
+ * Delay before reopening a stream after a failed session refresh
+ */
+const RETRY_DELAY_MS = 15000;
+
+export const useRealtimeEvents = (handlers = {}, { doctorId, date, facilityId, enabled = true } = {}) => {
+    const [connected, setConnected] = useState(false);
+
+    // Keep the latest handlers without reopening the stream on every render
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+
+    useEffect(() => {
+        if (!enabled || typeof window === 'undefined' || !window.EventSource) return undefined;
+
+        let source = null;
+        let retryTimer = null;
+        let closed = false;
+
+        const params = new URLSearchParams();
+        if (doctorId && date) {
+            params.append('doctorId', doctorId);
+            params.append('date', date);
+        }
+        if (facilityId) params.append('facilityId', facilityId);
+        const query = params.toString();
+        const url = query ? `${apiConfig.endpoints.events.stream}?${query}` : apiConfig.endpoints.events.stream;
+
+        /**
+         * Refresh the access token cookie, then reopen the stream
+         */
+        const reconnectAfterRefresh = async () => {
+            source?.close();
+            setConnected(false);
+
+            try {
+                const response = await fetch(apiConfig.endpoints.auth.refresh, {
+                    method: 'POST',
+                    credentials: 'include'
+                });
+                if (!closed && response.ok) {
+                    connect();
+                    return;
+                }
+            } catch (error) {
+                console.warn('Session refresh for real-time updates failed:', error);
+            }
+
+            if (!closed) retryTimer = setTimeout(connect, RETRY_DELAY_MS);
+        };
+
+        const connect = () => {
+            source = new EventSource(url, { withCredentials: true });
+
+            source.addEventListener('connected', () => setConnected(true));
+            source.addEventListener('session.expired', reconnectAfterRefresh);
+
+            EVENT_TYPES.forEach((type) => {
+                source.addEventListener(type, (event) => {
+                    const handler = handlersRef.current[type];
+                    if (!handler) return;
+                    try {
+                        handler(JSON.parse(event.data));
+                    } catch (error) {
+                        console.error(`Real-time ${type} handler failed:`, error);
+                    }
+                });
+            });
+
+            source.onerror = () => {
+                setConnected(false);
+                // The browser retries dropped streams itself; a closed stream usually
+                // means the request was rejected because the session expired.
+                if (source.readyState === EventSource.CLOSED) reconnectAfterRefresh();
+            };
+        };
+
+        connect();
+
+        return () => {
+            closed = true;
+            clearTimeout(retryTimer);
+            source?.close();
+            setConnected(false);
+        };
+    }, [doctorId, date, facilityId, enabled]);
+
+    return { connected };
+};
+
+export default useRealtimeEvents;
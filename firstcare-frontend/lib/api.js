@@ -44,7 +44,65 @@ export const apiConfig = {
         appointments: {
             base: `${API_BASE}/api/appointments`,
             book: `${API_BASE}/api/appointments/book`,
-            cancel: `${API_BASE}/api/appointments/cancel`
+            cancel: (id) => `${API_BASE}/api/appointments/${id}/cancel`,
+            interpreterNeeds: `${API_BASE}/api/appointments/interpreter-needs`,
+            questionnaires: `${API_BASE}/api/appointments/questionnaires`,
+            intake: (id) => `${API_BASE}/api/appointments/${id}/intake`,
+            ics: (id) => `${API_BASE}/api/appointments/${id}/ics`,
+            confirmationSlip: (id) => `${API_BASE}/api/appointments/${id}/confirmation-slip`,
+            checkIn: `${API_BASE}/api/appointments/check-in`
+        },
+        calendar: {
+            feed: `${API_BASE}/api/calendar/feed`,
+            resetFeed: `${API_BASE}/api/calendar/feed/reset`
+        },
+        waitlist: {
+            base: `${API_BASE}/api/waitlist`,
+            accept: (id) => `${API_BASE}/api/waitlist/${id}/accept`,
+            decline: (id) => `${API_BASE}/api/waitlist/${id}/decline`
+        },
+        provider: {
+            me: `${API_BASE}/api/provider/me`,
+            appointments: `${API_BASE}/api/provider/appointments`
+        },
+        queue: {
+            facility: (facilityId) => `${API_BASE}/api/queue/facilities/${facilityId}`,
+            takeTicket: (facilityId) => `${API_BASE}/api/queue/facilities/${facilityId}/tickets`,
+            callNext: (facilityId) => `${API_BASE}/api/queue/facilities/${facilityId}/call-next`,
+            ticket: (id) => `${API_BASE}/api/queue/tickets/${id}`,
+            leave: (id) => `${API_BASE}/api/queue/tickets/${id}/leave`
+        },
+        events: {
+            stream: `${API_BASE}/api/events`
+        },
+        emergency: {
+            triage: `${API_BASE}/api/emergency/triage`
+        },
+        transport: {
+            request: (appointmentId) => `${API_BASE}/api/transport/requests/${appointmentId}`,
+            queue: `${API_BASE}/api/transport/requests`,
+            approve: (appointmentId) => `${API_BASE}/api/transport/requests/${appointmentId}/approve`,
+            decline: (appointmentId) => `${API_BASE}/api/transport/requests/${appointmentId}/decline`,
+            manifests: `${API_BASE}/api/transport/manifests`
+        },
+        reviews: {
+            base: `${API_BASE}/api/reviews`,
+            mine: `${API_BASE}/api/reviews/mine`,
+            facility: (facilityId) => `${API_BASE}/api/reviews/facilities/${facilityId}`,
+            moderation: `${API_BASE}/api/reviews/moderation`,
+            publish: (id) => `${API_BASE}/api/reviews/${id}/publish`,
+            reject: (id) => `${API_BASE}/api/reviews/${id}/reject`
+        },
+        dependants: {
+            base: `${API_BASE}/api/dependants`,
+            byId: (id) => `${API_BASE}/api/dependants/${id}`,
+            medical: (id) => `${API_BASE}/api/dependants/${id}/medical`,
+            consent: (id) => `${API_BASE}/api/dependants/${id}/consent`
+        },
+        assisted: {
+            patients: `${API_BASE}/api/assisted/patients`,
+            consent: (id) => `${API_BASE}/api/assisted/patients/${id}/consent`,
+            appointments: `${API_BASE}/api/assisted/appointments`
         },
         system: {
             health: `${API_BASE}/api/health`,